@@ -0,0 +1,98 @@
+<?php
+
+namespace App\Enums;
+
+/**
+ * Role - Roles de usuario para CatWare Systems
+ *
+ * Cada rol concede un conjunto fijo de permisos que se comprueban
+ * en las policies y se envían al frontend para ocultar acciones
+ */
+enum Role: string
+{
+    case Admin = 'admin';
+    case Manager = 'manager';
+    case Viewer = 'viewer';
+
+    /**
+     * Permiso para ver el directorio de usuarios
+     */
+    public const VIEW_USERS = 'users.view';
+
+    /**
+     * Permiso para crear usuarios
+     */
+    public const CREATE_USERS = 'users.create';
+
+    /**
+     * Permiso para editar usuarios
+     */
+    public const UPDATE_USERS = 'users.update';
+
+    /**
+     * Permiso para eliminar usuarios
+     */
+    public const DELETE_USERS = 'users.delete';
+
+    /**
+     * Permiso para cambiar el rol de un usuario
+     */
+    public const ASSIGN_ROLES = 'users.assign-role';
+
+    /**
+     * Permiso para desactivar el segundo factor de otro usuario
+     */
+    public const RESET_TWO_FACTOR = 'users.reset-two-factor';
+
+    /**
+     * Permiso para entrar como otro usuario (soporte)
+     */
+    public const IMPERSONATE_USERS = 'users.impersonate';
+
+    /**
+     * Permiso para consultar el registro de auditoría
+     */
+    public const VIEW_AUDIT_LOGS = 'audit.view';
+
+    /**
+     * Permisos concedidos por el rol
+     *
+     * @return list<string>
+     */
+    public function permissions(): array
+    {
+        return match ($this) {
+            self::Admin => [
+                self::VIEW_USERS,
+                self::CREATE_USERS,
+                self::UPDATE_USERS,
+                self::DELETE_USERS,
+                self::ASSIGN_ROLES,
+                self::RESET_TWO_FACTOR,
+                self::IMPERSONATE_USERS,
+                self::VIEW_AUDIT_LOGS,
+            ],
+            self::Manager => [
+                self::VIEW_USERS,
+                self::CREATE_USERS,
+                self::UPDATE_USERS,
+            ],
+            // El rol por defecto no puede consultar los datos de otros usuarios
+            self::Viewer => [],
+        };
+    }
+
+    /**
+     * Nombre legible del rol
+     *
+     * @return string
+     */
+    public function label(): string
+    {
+        return match ($this) {
+            self::Admin => 'Administrador',
+            self::Manager => 'Gestor',
+            self::Viewer => 'Lector',
+        };
+    }
+}
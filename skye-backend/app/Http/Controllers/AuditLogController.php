@@ -0,0 +1,111 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Validation\Rule;
+use App\Models\AuditLog;
+
+/**
+ * AuditLogController - Controlador del registro de auditoría para CatWare Systems
+ *
+ * Consulta de solo lectura de los eventos de autenticación y gestión de usuarios
+ * El permiso se comprueba en AuditLogPolicy (middleware "can" en la ruta)
+ */
+class AuditLogController extends Controller
+{
+    /**
+     * Tamaño de página por defecto del listado
+     */
+    private const DEFAULT_PER_PAGE = 25;
+
+    /**
+     * Listar eventos de auditoría paginados, del más reciente al más antiguo
+     *
+     * La búsqueda libre compara con el correo del actor, el del usuario afectado
+     * y la IP; el rango de fechas filtra por created_at (ambos extremos incluidos)
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request): JsonResponse
+    {
+        // Validar parámetros de paginación y filtros
+        $request->validate([
+            'page' => 'sometimes|integer|min:1',
+            'per_page' => 'sometimes|integer|min:1|max:100',
+            'action' => ['sometimes', 'nullable', 'string', Rule::in(AuditLog::actions())],
+            'actor_id' => 'sometimes|nullable|integer',
+            'search' => 'sometimes|nullable|string|max:255',
+            'created_from' => 'sometimes|nullable|date_format:Y-m-d',
+            'created_to' => 'sometimes|nullable|date_format:Y-m-d|after_or_equal:created_from',
+        ], [
+            'action.in' => 'La acción seleccionada no es válida',
+            'search.max' => 'La búsqueda no puede superar los 255 caracteres',
+            'created_from.date_format' => 'La fecha inicial debe tener el formato AAAA-MM-DD',
+            'created_to.date_format' => 'La fecha final debe tener el formato AAAA-MM-DD',
+            'created_to.after_or_equal' => 'La fecha final debe ser igual o posterior a la inicial',
+        ]);
+
+        $perPage = (int) $request->get('per_page', self::DEFAULT_PER_PAGE);
+        $action = $request->get('action');
+        $actorId = $request->get('actor_id');
+        $search = trim((string) $request->get('search', ''));
+        $createdFrom = $request->get('created_from');
+        $createdTo = $request->get('created_to');
+
+        // Obtener eventos filtrados (id como desempate para páginas estables)
+        $logs = AuditLog::with('actor:id,name,email')
+            ->when($action, fn ($query) => $query->where('action', $action))
+            ->when($actorId, fn ($query) => $query->where('actor_id', $actorId))
+            ->when($search !== '', function ($query) use ($search) {
+                // Escapar comodines de LIKE para buscar el texto literal
+                $term = '%' . addcslashes($search, '%_\\') . '%';
+                $query->where(function ($query) use ($term) {
+                    $query->where('target_label', 'like', $term)
+                        ->orWhere('ip_address', 'like', $term)
+                        ->orWhereHas('actor', fn ($query) => $query->where('email', 'like', $term));
+                });
+            })
+            ->when($createdFrom, fn ($query) => $query->whereDate('created_at', '>=', $createdFrom))
+            ->when($createdTo, fn ($query) => $query->whereDate('created_at', '<=', $createdTo))
+            ->orderByDesc('created_at')
+            ->orderByDesc('id')
+            ->paginate($perPage);
+
+        return response()->json([
+            'success' => true,
+            'logs' => collect($logs->items())->map(fn (AuditLog $log) => [
+                'id' => $log->id,
+                'action' => $log->action,
+                'actor' => $log->actor ? [
+                    'id' => $log->actor->id,
+                    'name' => $log->actor->name,
+                    'email' => $log->actor->email,
+                ] : null,
+                'target_id' => $log->target_id,
+                'target_label' => $log->target_label,
+                'metadata' => $log->metadata,
+                'ip_address' => $log->ip_address,
+                'user_agent' => $log->user_agent,
+                'created_at' => $log->created_at,
+            ]),
+            'filters' => [
+                'action' => $action,
+                'actor_id' => $actorId !== null ? (int) $actorId : null,
+                'search' => $search !== '' ? $search : null,
+                'created_from' => $createdFrom,
+                'created_to' => $createdTo,
+            ],
+            'meta' => [
+                'current_page' => $logs->currentPage(),
+                'per_page' => $logs->perPage(),
+                'last_page' => $logs->lastPage(),
+                'from' => $logs->firstItem(),
+                'to' => $logs->lastItem(),
+                'total' => $logs->total(),
+            ],
+        ]);
+    }
+}
@@ -2,57 +2,180 @@
 
 namespace App\Http\Controllers;
 
+use Illuminate\Auth\Events\Registered;
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Hash;
+use Illuminate\Support\Facades\Validator;
+use Illuminate\Support\Str;
+use App\Models\AuditLog;
 use App\Models\User;
+use App\Services\LoginThrottle;
+use App\Services\TwoFactorAuthenticator;
+use App\Http\Controllers\Concerns\ValidatesUserData;
+use App\Http\Responses\ApiError;
 
 /**
  * AuthController - Controlador de Autenticación para CatWare Systems
  * 
- * Maneja login y logout de usuarios
+ * Maneja login (con segundo paso opcional TOTP) y logout de usuarios
  * Retorna respuestas JSON para la API
+ * Cada evento queda registrado en el log de auditoría
  */
 class AuthController extends Controller
 {
+    use ValidatesUserData;
+
+    /**
+     * Habilidad de los tokens de acceso a la API
+     */
+    public const ACCESS_ABILITY = 'access-api';
+
+    /**
+     * Habilidad de los tokens que solo sirven para renovar la sesión
+     */
+    public const REFRESH_ABILITY = 'issue-access-token';
+
+    /**
+     * Minutos para completar el segundo paso del login
+     */
+    public const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+
     /**
      * Login de usuario
      * 
+     * Los fallos se limitan por correo + IP, por correo y por IP; al superar
+     * el límite responde 429 con Retry-After hasta que termina el bloqueo.
+     * Los contadores solo se reinician cuando se abre la sesión
+     * 
      * @param Request $request
+     * @param LoginThrottle $throttle
      * @return JsonResponse
      */
-    public function login(Request $request): JsonResponse
+    public function login(Request $request, LoginThrottle $throttle): JsonResponse
     {
-        // Validar datos de entrada
+        // Validar datos de entrada (device_name opcional para nombrar la sesión)
         $request->validate([
             'email' => 'required|email',
-            'password' => 'required|string|min:6',
+            // Sin longitud mínima: la política solo se aplica a contraseñas nuevas
+            'password' => 'required|string',
+            'device_name' => 'sometimes|nullable|string|max:100',
         ]);
 
+        // Durante un bloqueo no se comprueba la contraseña
+        if ($seconds = $throttle->availableIn($request)) {
+            return $this->lockoutResponse($seconds);
+        }
+
         // Buscar usuario por email
         $user = User::where('email', $request->email)->first();
 
         // Verificar si existe el usuario y la contraseña es correcta
         if (!$user || !Hash::check($request->password, $user->password)) {
+            $lockout = $throttle->hit($request);
+
+            AuditLog::record(AuditLog::LOGIN_FAILED, $request, null, $user, array_filter([
+                'email' => $request->email,
+                'lockout_seconds' => $lockout ?: null,
+            ]));
+
+            if ($lockout) {
+                return $this->lockoutResponse($lockout);
+            }
+
+            return ApiError::response(ApiError::INVALID_CREDENTIALS, 'Credenciales incorrectas', 401);
+        }
+
+        // Sin correo verificado no se abre sesión ni se emiten tokens
+        if (!$user->hasVerifiedEmail()) {
+            AuditLog::record(AuditLog::LOGIN_FAILED, $request, null, $user, [
+                'email' => $request->email,
+                'reason' => 'email_unverified',
+            ]);
+
+            return ApiError::response(
+                ApiError::EMAIL_UNVERIFIED,
+                'Debes verificar tu correo electrónico antes de acceder',
+                403
+            );
+        }
+
+        // Con segundo factor activo la sesión se abre tras POST /auth/two-factor-challenge
+        if ($user->hasTwoFactorEnabled()) {
             return response()->json([
-                'success' => false,
-                'message' => 'Credenciales incorrectas'
-            ], 401);
+                'success' => true,
+                'message' => 'Introduce el código de tu aplicación de autenticación',
+                'two_factor_required' => true,
+                'challenge_token' => $this->createTwoFactorChallenge($user),
+            ]);
         }
 
-        // Crear token de autenticación (usaremos Sanctum)
-        $token = $user->createToken('auth-token')->plainTextToken;
+        $throttle->clear($request, $user->email);
 
-        return response()->json([
-            'success' => true,
-            'message' => 'Login exitoso',
-            'user' => [
-                'id' => $user->id,
-                'name' => $user->name,
+        return $this->completeLogin($request, $user);
+    }
+
+    /**
+     * Segundo paso del login con verificación en dos pasos
+     * 
+     * Acepta un código TOTP o uno de los códigos de recuperación
+     * 
+     * @param Request $request
+     * @param TwoFactorAuthenticator $authenticator
+     * @param LoginThrottle $throttle
+     * @return JsonResponse
+     */
+    public function twoFactorChallenge(
+        Request $request,
+        TwoFactorAuthenticator $authenticator,
+        LoginThrottle $throttle
+    ): JsonResponse
+    {
+        $request->validate([
+            'challenge_token' => 'required|string',
+            'code' => 'nullable|string|required_without:recovery_code',
+            'recovery_code' => 'nullable|string',
+        ], [
+            'challenge_token.required' => 'La verificación ha caducado. Inicia sesión de nuevo',
+            'code.required_without' => 'Introduce el código de verificación',
+        ]);
+
+        $cacheKey = $this->twoFactorChallengeKey($request->challenge_token);
+        $user = User::find(Cache::get($cacheKey));
+
+        if (!$user || !$user->hasTwoFactorEnabled()) {
+            return ApiError::response(
+                ApiError::TWO_FACTOR_EXPIRED,
+                'La verificación ha caducado. Inicia sesión de nuevo',
+                422
+            );
+        }
+
+        $usesRecoveryCode = $request->filled('recovery_code');
+        $valid = $usesRecoveryCode
+            ? $user->useRecoveryCode($request->recovery_code)
+            : $authenticator->verify($user->two_factor_secret, $request->code);
+
+        if (!$valid) {
+            AuditLog::record(AuditLog::LOGIN_FAILED, $request, null, $user, [
                 'email' => $user->email,
-            ],
-            'token' => $token
+                'reason' => 'two_factor',
+            ]);
+
+            $field = $usesRecoveryCode ? 'recovery_code' : 'code';
+
+            return ApiError::validation([
+                $field => ['El código no es válido'],
+            ]);
+        }
+
+        Cache::forget($cacheKey);
+        $throttle->clear($request, $user->email);
+
+        return $this->completeLogin($request, $user, [
+            'two_factor' => $usesRecoveryCode ? 'recovery_code' : 'totp',
         ]);
     }
 
@@ -64,21 +187,8 @@ public function login(Request $request): JsonResponse
      */
     public function register(Request $request): JsonResponse
     {
-        // Validar datos de entrada con reglas profesionales
-        $validated = $request->validate([
-            'name' => 'required|string|max:255|min:2',
-            'email' => 'required|string|email|max:255|unique:users,email',
-            'password' => 'required|string|min:6|confirmed',
-        ], [
-            'name.required' => 'El nombre es obligatorio',
-            'name.min' => 'El nombre debe tener al menos 2 caracteres',
-            'email.required' => 'El correo electrónico es obligatorio',
-            'email.email' => 'El correo electrónico debe ser válido',
-            'email.unique' => 'Este correo electrónico ya está registrado',
-            'password.required' => 'La contraseña es obligatoria',
-            'password.min' => 'La contraseña debe tener al menos 6 caracteres',
-            'password.confirmed' => 'Las contraseñas no coinciden',
-        ]);
+        // Validar datos de entrada con las reglas compartidas de usuarios
+        $validated = $request->validate($this->userRules(), $this->userMessages());
 
         try {
             // Crear el nuevo usuario
@@ -88,44 +198,341 @@ public function register(Request $request): JsonResponse
                 'password' => Hash::make($validated['password']),
             ]);
 
-            // Crear token de autenticación automáticamente
-            $token = $user->createToken('auth-token')->plainTextToken;
+            AuditLog::record(AuditLog::REGISTER, $request, $user, $user);
+
+            // Envía el correo de verificación (listener de Laravel para MustVerifyEmail)
+            event(new Registered($user));
 
+            // Sin tokens: el usuario inicia sesión tras verificar su correo
             return response()->json([
                 'success' => true,
-                'message' => 'Usuario registrado exitosamente',
+                'message' => 'Usuario registrado. Revisa tu correo para verificar la cuenta',
                 'user' => [
                     'id' => $user->id,
                     'name' => $user->name,
                     'email' => $user->email,
+                    'role' => $user->role->value,
                     'created_at' => $user->created_at,
                 ],
-                'token' => $token
             ], 201);
 
         } catch (\Exception $e) {
-            return response()->json([
-                'success' => false,
-                'message' => 'Error al registrar usuario',
-                'error' => $e->getMessage()
-            ], 500);
+            // El detalle queda en el log; al cliente solo llega el código
+            report($e);
+
+            return ApiError::response(
+                ApiError::REGISTRATION_FAILED,
+                'Error al registrar usuario. Inténtalo de nuevo más tarde',
+                500
+            );
         }
     }
 
+    /**
+     * Comprobar si un correo está libre para el registro
+     * 
+     * Aplica las mismas reglas del correo que el registro: un formato no
+     * válido responde 422 y un correo ya registrado (regla unique) se
+     * devuelve como no disponible
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function emailAvailable(Request $request): JsonResponse
+    {
+        $validator = Validator::make(
+            $request->only('email'),
+            ['email' => $this->userRules()['email']],
+            $this->userMessages()
+        );
+
+        // failed() solo se rellena después de ejecutar la validación
+        $validator->fails();
+        $failedRules = array_keys($validator->failed()['email'] ?? []);
+        $taken = $failedRules === ['Unique'];
+
+        if ($failedRules && !$taken) {
+            return ApiError::validation($validator->errors()->toArray());
+        }
+
+        return response()->json([
+            'success' => true,
+            'available' => !$taken,
+            'message' => $taken
+                ? $validator->errors()->first('email')
+                : 'Correo electrónico disponible',
+        ]);
+    }
+
+    /**
+     * Renovar tokens de la sesión
+     * 
+     * Se autentica con el token de refresco, que se revoca (rotación)
+     * y se sustituye por un nuevo par de tokens de acceso y refresco
+     * del mismo dispositivo (misma sesión)
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function refresh(Request $request): JsonResponse
+    {
+        $user = $request->user();
+        $refreshToken = $user->currentAccessToken();
+
+        // Revocar el token de refresco usado y los tokens ya expirados de la sesión
+        $refreshToken->delete();
+        $user->tokens()
+            ->where('session_id', $refreshToken->session_id)
+            ->where('expires_at', '<', now())
+            ->delete();
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Sesión renovada',
+            ...$this->issueTokens($user, $request, $refreshToken->session_id, $refreshToken->name),
+        ]);
+    }
+
     /**
      * Logout de usuario
      * 
+     * Por defecto solo cierra la sesión de este dispositivo;
+     * con all_devices=true revoca los tokens de todos (no con un token de suplantación)
+     * 
      * @param Request $request
      * @return JsonResponse
      */
     public function logout(Request $request): JsonResponse
     {
-        // Eliminar todos los tokens del usuario actual
-        $request->user()->tokens()->delete();
+        $user = $request->user();
+
+        // Modo SPA: cerrar la sesión de cookie e invalidar el token CSRF
+        if ($this->usesSpaSession($request)) {
+            Auth::guard('web')->logout();
+            $request->session()->invalidate();
+            $request->session()->regenerateToken();
+
+            AuditLog::record(AuditLog::LOGOUT, $request, $user, null, ['mode' => 'spa']);
+        } else {
+            $allDevices = $request->boolean('all_devices');
+
+            if ($allDevices && $user->currentAccessToken()->impersonator_id) {
+                return ApiError::response(
+                    ApiError::IMPERSONATING,
+                    'No puedes cerrar las sesiones del usuario mientras entras como él',
+                    403
+                );
+            }
+
+            // Tokens de acceso y refresco de este dispositivo, o de todos
+            $revoked = $allDevices
+                ? $user->tokens()->delete()
+                : $user->tokens()->where('session_id', $user->currentAccessToken()->session_id)->delete();
+
+            AuditLog::record(AuditLog::LOGOUT, $request, $user, null, [
+                'mode' => 'token',
+                'scope' => $allDevices ? 'all_devices' : 'device',
+                'tokens_revoked' => $revoked,
+            ]);
+        }
 
         return response()->json([
             'success' => true,
             'message' => 'Logout exitoso'
         ]);
     }
+
+    /**
+     * Abrir la sesión (cookie en modo SPA o par de tokens) y registrar el login
+     * 
+     * @param Request $request
+     * @param User $user
+     * @param array<string, mixed> $metadata Datos adicionales para la auditoría
+     * @return JsonResponse
+     */
+    private function completeLogin(Request $request, User $user, array $metadata = []): JsonResponse
+    {
+        // Incluye rol y permisos para que el frontend adapte la interfaz
+        $userData = $user->toAuthPayload();
+
+        // Modo SPA: iniciar sesión con cookie en lugar de emitir tokens
+        if ($this->usesSpaSession($request)) {
+            Auth::guard('web')->login($user);
+            $request->session()->regenerate();
+
+            AuditLog::record(AuditLog::LOGIN, $request, $user, null, ['mode' => 'spa', ...$metadata]);
+
+            return response()->json([
+                'success' => true,
+                'message' => 'Login exitoso',
+                'user' => $userData,
+            ]);
+        }
+
+        AuditLog::record(AuditLog::LOGIN, $request, $user, null, ['mode' => 'token', ...$metadata]);
+
+        // Crear par de tokens de acceso y refresco (Sanctum)
+        return response()->json([
+            'success' => true,
+            'message' => 'Login exitoso',
+            'user' => $userData,
+            ...$this->issueTokens($user, $request),
+        ]);
+    }
+
+    /**
+     * Respuesta 429 mientras el login está bloqueado
+     * 
+     * @param int $seconds Segundos hasta el próximo intento permitido
+     * @return JsonResponse
+     */
+    private function lockoutResponse(int $seconds): JsonResponse
+    {
+        return ApiError::tooManyRequests(
+            ApiError::LOGIN_LOCKED,
+            "Demasiados intentos fallidos. Inténtalo de nuevo en {$seconds} segundos",
+            $seconds
+        );
+    }
+
+    /**
+     * Crear el reto del segundo paso del login
+     * 
+     * El token solo identifica al usuario durante unos minutos; en caché se
+     * guarda su hash para que un volcado de la caché no permita suplantarlo
+     * 
+     * @param User $user
+     * @return string Token que el frontend envía junto al código
+     */
+    private function createTwoFactorChallenge(User $user): string
+    {
+        $token = Str::random(64);
+
+        Cache::put(
+            $this->twoFactorChallengeKey($token),
+            $user->id,
+            now()->addMinutes(self::TWO_FACTOR_CHALLENGE_MINUTES)
+        );
+
+        return $token;
+    }
+
+    /**
+     * Clave de caché de un reto de segundo factor
+     * 
+     * @param string $token
+     * @return string
+     */
+    private function twoFactorChallengeKey(string $token): string
+    {
+        return 'two-factor-challenge:' . hash('sha256', $token);
+    }
+
+    /**
+     * Indica si la petición viene del frontend en modo SPA (sesión con cookies)
+     * 
+     * EnsureFrontendRequestsAreStateful solo inicia la sesión para peticiones
+     * de los dominios stateful, que solo se configuran en modo SPA
+     * 
+     * @param Request $request
+     * @return bool
+     */
+    private function usesSpaSession(Request $request): bool
+    {
+        return config('sanctum.spa_mode') && $request->hasSession();
+    }
+
+    /**
+     * Crear un token de acceso de corta duración y uno de refresco
+     * 
+     * Ambos llevan el nombre del dispositivo y el mismo session_id,
+     * que es lo que muestra y revoca GET/DELETE /api/sessions
+     * 
+     * @param User $user
+     * @param Request $request
+     * @param string|null $sessionId Sesión que se renueva (null para una nueva)
+     * @param string|null $deviceName Nombre del dispositivo (null para deducirlo)
+     * @return array{token: string, refresh_token: string, expires_in: int}
+     */
+    private function issueTokens(
+        User $user,
+        Request $request,
+        ?string $sessionId = null,
+        ?string $deviceName = null
+    ): array {
+        $accessMinutes = config('sanctum.access_token_expiration');
+        $refreshMinutes = config('sanctum.refresh_token_expiration');
+
+        $deviceName ??= $this->deviceName($request);
+        $sessionData = [
+            'session_id' => $sessionId ?? (string) Str::uuid(),
+            'ip_address' => $request->ip(),
+            'user_agent' => $request->userAgent(),
+        ];
+
+        $accessToken = $user->createToken(
+            $deviceName,
+            [self::ACCESS_ABILITY],
+            now()->addMinutes($accessMinutes)
+        );
+        $accessToken->accessToken->forceFill($sessionData)->save();
+
+        $refreshToken = $user->createToken(
+            $deviceName,
+            [self::REFRESH_ABILITY],
+            now()->addMinutes($refreshMinutes)
+        );
+        $refreshToken->accessToken->forceFill($sessionData)->save();
+
+        $token = $accessToken->plainTextToken;
+        $refreshToken = $refreshToken->plainTextToken;
+
+        return [
+            'token' => $token,
+            'refresh_token' => $refreshToken,
+            'expires_in' => $accessMinutes * 60,
+        ];
+    }
+
+    /**
+     * Nombre legible del dispositivo para la lista de sesiones
+     * 
+     * Usa device_name si el cliente lo envía; si no, lo deduce del navegador
+     * 
+     * @param Request $request
+     * @return string Ej: "Chrome en Windows"
+     */
+    private function deviceName(Request $request): string
+    {
+        if ($request->filled('device_name')) {
+            return Str::limit($request->input('device_name'), 100, '');
+        }
+
+        $userAgent = (string) $request->userAgent();
+
+        // El orden importa: Edge y Opera también se anuncian como Chrome, y Chrome como Safari
+        $browser = match (true) {
+            str_contains($userAgent, 'Edg/') => 'Edge',
+            str_contains($userAgent, 'OPR/') => 'Opera',
+            str_contains($userAgent, 'Firefox/') => 'Firefox',
+            str_contains($userAgent, 'Chrome/') => 'Chrome',
+            str_contains($userAgent, 'Safari/') => 'Safari',
+            default => null,
+        };
+
+        $platform = match (true) {
+            str_contains($userAgent, 'Android') => 'Android',
+            (bool) preg_match('/iPhone|iPad|iPod/', $userAgent) => 'iOS',
+            str_contains($userAgent, 'Windows') => 'Windows',
+            str_contains($userAgent, 'Mac OS X') => 'macOS',
+            str_contains($userAgent, 'Linux') => 'Linux',
+            default => null,
+        };
+
+        if ($browser && $platform) {
+            return "{$browser} en {$platform}";
+        }
+
+        return $browser ?? $platform ?? 'Dispositivo desconocido';
+    }
 }
@@ -0,0 +1,38 @@
+<?php
+
+namespace App\Http\Controllers\Concerns;
+
+use App\Models\User;
+
+/**
+ * AuditsUserChanges - Cambios de un usuario para el log de auditoría
+ * 
+ * Compartido por la gestión de usuarios (UserController), el perfil
+ * propio (ProfileController) y la confirmación de un cambio de correo
+ * (EmailVerificationController)
+ */
+trait AuditsUserChanges
+{
+    /**
+     * Cambios pendientes de guardar para el log de auditoría
+     * De la contraseña solo se indica que cambió, nunca su valor
+     * 
+     * @param User $user
+     * @return array<string, mixed>
+     */
+    protected function auditableChanges(User $user): array
+    {
+        $changes = [];
+
+        foreach (array_keys($user->getDirty()) as $attribute) {
+            $changes[$attribute] = $attribute === 'password'
+                ? true
+                : [
+                    'old' => $user->getRawOriginal($attribute),
+                    'new' => $user->getAttributes()[$attribute],
+                ];
+        }
+
+        return $changes;
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+
+namespace App\Http\Controllers\Concerns;
+
+use App\Models\User;
+use App\Services\PasswordPolicy;
+use Closure;
+use Illuminate\Validation\Rule;
+
+/**
+ * ValidatesUserData - Reglas de validación de usuarios para CatWare Systems
+ * 
+ * Comparte las reglas y los mensajes en español entre el registro
+ * (AuthController), la gestión de usuarios (UserController) y el
+ * restablecimiento de contraseña (PasswordResetController)
+ */
+trait ValidatesUserData
+{
+    /**
+     * Reglas de validación para crear o actualizar un usuario
+     * 
+     * @param User|null $user Usuario que se actualiza (null al crear)
+     * @return array<string, mixed>
+     */
+    protected function userRules(?User $user = null): array
+    {
+        return [
+            'name' => 'required|string|max:255|min:2',
+            'email' => [
+                'required',
+                'string',
+                'email',
+                'max:255',
+                Rule::unique('users', 'email')->ignore($user?->id),
+            ],
+            // Al editar, la contraseña es opcional: si se omite no se cambia
+            'password' => [
+                $user ? 'nullable' : 'required',
+                'string',
+                'confirmed',
+                $this->passwordPolicyRule($user),
+            ],
+        ];
+    }
+
+    /**
+     * Regla que aplica la política de contraseñas (App\Services\PasswordPolicy)
+     * 
+     * El nombre y el correo se toman de la petición o, si no vienen,
+     * del usuario que se actualiza
+     * 
+     * @param User|null $user Usuario que se actualiza (null al crear)
+     * @return Closure
+     */
+    protected function passwordPolicyRule(?User $user = null): Closure
+    {
+        return function (string $attribute, mixed $value, Closure $fail) use ($user) {
+            // Los valores que no son texto ya los rechaza la regla 'string'
+            if (!is_string($value)) {
+                return;
+            }
+
+            $personalInfo = array_filter([
+                request()->input('name', $user?->name),
+                request()->input('email', $user?->email),
+            ], 'is_string');
+
+            $failures = app(PasswordPolicy::class)->failures($value, $personalInfo);
+
+            foreach ($failures as $message) {
+                $fail($message);
+            }
+        };
+    }
+
+    /**
+     * Mensajes de validación en español
+     * 
+     * @return array<string, string>
+     */
+    protected function userMessages(): array
+    {
+        return [
+            'name.required' => 'El nombre es obligatorio',
+            'name.min' => 'El nombre debe tener al menos 2 caracteres',
+            'email.required' => 'El correo electrónico es obligatorio',
+            'email.email' => 'El correo electrónico debe ser válido',
+            'email.unique' => 'Este correo electrónico ya está registrado',
+            'password.required' => 'La contraseña es obligatoria',
+            'password.confirmed' => 'Las contraseñas no coinciden',
+        ];
+    }
+}
@@ -0,0 +1,143 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Auth\Events\Verified;
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use App\Models\AuditLog;
+use App\Models\User;
+use App\Http\Controllers\Concerns\AuditsUserChanges;
+use App\Http\Responses\ApiError;
+
+/**
+ * EmailVerificationController - Verificación de correo para CatWare Systems
+ *
+ * Los enlaces firmados del correo apuntan a la SPA (ver AppServiceProvider),
+ * que los reenvía a esta API. No requiere sesión: el enlace identifica al usuario
+ */
+class EmailVerificationController extends Controller
+{
+    use AuditsUserChanges;
+
+    /**
+     * Marcar el correo como verificado a partir del enlace firmado
+     *
+     * Si el enlace es del correo pendiente (cambio desde el perfil), lo
+     * confirma y pasa a ser el correo de acceso
+     *
+     * @param Request $request
+     * @param string $id
+     * @param string $hash
+     * @return JsonResponse
+     */
+    public function verify(Request $request, string $id, string $hash): JsonResponse
+    {
+        $user = User::find($id);
+
+        // La firma cubre la ruta y la caducidad; el hash ata el enlace al correo actual o al pendiente
+        $confirmsPendingEmail = $user?->pending_email !== null
+            && hash_equals(sha1($user->pending_email), $hash);
+
+        if (
+            !$user
+            || !$request->hasValidRelativeSignature()
+            || (!$confirmsPendingEmail && !hash_equals(sha1($user->getEmailForVerification()), $hash))
+        ) {
+            return ApiError::response(ApiError::INVALID_LINK, 'El enlace de verificación no es válido o ha caducado', 403);
+        }
+
+        if ($confirmsPendingEmail) {
+            return $this->confirmPendingEmail($request, $user);
+        }
+
+        if ($user->hasVerifiedEmail()) {
+            return response()->json([
+                'success' => true,
+                'message' => 'Tu correo ya estaba verificado. Ya puedes iniciar sesión'
+            ]);
+        }
+
+        $user->markEmailAsVerified();
+
+        event(new Verified($user));
+
+        AuditLog::record(AuditLog::EMAIL_VERIFIED, $request, $user, $user);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Correo verificado. Ya puedes iniciar sesión'
+        ]);
+    }
+
+    /**
+     * Sustituir el correo por el pendiente que se acaba de verificar
+     *
+     * Otra cuenta pudo registrar ese correo mientras tanto: en ese caso se
+     * descarta el cambio
+     *
+     * @param Request $request
+     * @param User $user
+     * @return JsonResponse
+     */
+    private function confirmPendingEmail(Request $request, User $user): JsonResponse
+    {
+        $taken = User::where('email', $user->pending_email)->whereKeyNot($user->getKey())->exists();
+
+        if ($taken) {
+            $user->forceFill(['pending_email' => null])->save();
+
+            return ApiError::validation([
+                'email' => ['Este correo electrónico ya está registrado'],
+            ]);
+        }
+
+        $user->forceFill([
+            'email' => $user->pending_email,
+            'pending_email' => null,
+            'email_verified_at' => $user->freshTimestamp(),
+        ]);
+
+        $changes = $this->auditableChanges($user);
+
+        $user->save();
+
+        AuditLog::record(AuditLog::USER_UPDATED, $request, $user, $user, [
+            'changes' => $changes,
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Correo actualizado. Usa tu nuevo correo para iniciar sesión'
+        ]);
+    }
+
+    /**
+     * Reenviar el correo de verificación
+     *
+     * Responde siempre igual para no revelar qué correos están registrados
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function resend(Request $request): JsonResponse
+    {
+        $request->validate([
+            'email' => 'required|email',
+        ], [
+            'email.required' => 'El correo electrónico es obligatorio',
+            'email.email' => 'El correo electrónico debe ser válido',
+        ]);
+
+        $user = User::where('email', $request->email)->first();
+
+        if ($user && !$user->hasVerifiedEmail()) {
+            $user->sendEmailVerificationNotification();
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Si la cuenta está pendiente de verificación, recibirás un nuevo enlace'
+        ]);
+    }
+}
@@ -0,0 +1,91 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Str;
+use App\Models\AuditLog;
+use App\Models\User;
+use App\Http\Responses\ApiError;
+
+/**
+ * ImpersonationController - Entrar como otro usuario (soporte)
+ *
+ * Un administrador obtiene un token de acceso del usuario, de corta duración
+ * y sin token de refresco, marcado con su id en impersonator_id. Con ese
+ * token la API responde como al usuario, salvo las acciones de seguridad
+ * de la cuenta (middleware "not-impersonating"). Inicio y fin se auditan
+ */
+class ImpersonationController extends Controller
+{
+    /**
+     * Emitir un token de suplantación para el usuario indicado
+     *
+     * @param Request $request
+     * @param User $user Usuario a suplantar
+     * @return JsonResponse
+     */
+    public function store(Request $request, User $user): JsonResponse
+    {
+        // La sesión de cookie del modo SPA no puede cambiar de usuario sin perder la del administrador
+        if (config('sanctum.spa_mode') && $request->hasSession()) {
+            return ApiError::response(ApiError::IMPERSONATION_UNAVAILABLE, 'Entrar como otro usuario solo está disponible con autenticación por token', 422);
+        }
+
+        $admin = $request->user();
+        $minutes = config('sanctum.impersonation_token_expiration');
+
+        $token = $user->createToken(
+            'Suplantación por ' . $admin->name,
+            [AuthController::ACCESS_ABILITY],
+            now()->addMinutes($minutes)
+        );
+        $token->accessToken->forceFill([
+            'session_id' => (string) Str::uuid(),
+            'impersonator_id' => $admin->id,
+            'ip_address' => $request->ip(),
+            'user_agent' => $request->userAgent(),
+        ])->save();
+
+        AuditLog::record(AuditLog::IMPERSONATION_STARTED, $request, $admin, $user, [
+            'expires_in' => $minutes * 60,
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'message' => "Ahora ves la aplicación como {$user->name}",
+            'user' => $user->toAuthPayload($admin),
+            'token' => $token->plainTextToken,
+            'expires_in' => $minutes * 60,
+        ]);
+    }
+
+    /**
+     * Terminar la suplantación revocando el token usado
+     *
+     * El frontend vuelve a la sesión del administrador, que nunca se cerró
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function destroy(Request $request): JsonResponse
+    {
+        $user = $request->user();
+        $token = $user->currentAccessToken();
+        $impersonatorId = $token?->impersonator_id ?? null;
+
+        if (!$impersonatorId) {
+            return ApiError::response(ApiError::NOT_IMPERSONATING, 'No estás entrando como otro usuario', 422);
+        }
+
+        AuditLog::record(AuditLog::IMPERSONATION_ENDED, $request, User::find($impersonatorId), $user);
+
+        $token->delete();
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Has vuelto a tu cuenta'
+        ]);
+    }
+}
@@ -0,0 +1,28 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\JsonResponse;
+use App\Services\PasswordPolicy;
+
+/**
+ * PasswordPolicyController - Política de contraseñas para la SPA
+ *
+ * Pública: el formulario de registro la necesita antes de iniciar sesión
+ */
+class PasswordPolicyController extends Controller
+{
+    /**
+     * Requisitos de las contraseñas nuevas y lista de contraseñas comunes
+     *
+     * @param PasswordPolicy $policy
+     * @return JsonResponse
+     */
+    public function show(PasswordPolicy $policy): JsonResponse
+    {
+        return response()->json([
+            'success' => true,
+            'policy' => $policy->toArray(),
+        ]);
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Auth\Events\PasswordReset;
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Hash;
+use Illuminate\Support\Facades\Password;
+use Illuminate\Support\Str;
+use App\Models\AuditLog;
+use App\Models\User;
+use App\Http\Controllers\Concerns\ValidatesUserData;
+use App\Http\Responses\ApiError;
+
+/**
+ * PasswordResetController - Recuperación de contraseña para CatWare Systems
+ *
+ * Usa el password broker de Laravel (tabla password_reset_tokens)
+ * El enlace del correo apunta a la SPA (ver AppServiceProvider)
+ */
+class PasswordResetController extends Controller
+{
+    use ValidatesUserData;
+
+    /**
+     * Enviar el enlace de restablecimiento por correo
+     *
+     * Responde siempre igual para no revelar qué correos están registrados
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function forgotPassword(Request $request): JsonResponse
+    {
+        $request->validate([
+            'email' => 'required|email',
+        ], [
+            'email.required' => 'El correo electrónico es obligatorio',
+            'email.email' => 'El correo electrónico debe ser válido',
+        ]);
+
+        Password::sendResetLink($request->only('email'));
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña'
+        ]);
+    }
+
+    /**
+     * Restablecer la contraseña con el token recibido por correo
+     *
+     * Revoca todos los tokens del usuario para cerrar sus sesiones abiertas
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function resetPassword(Request $request): JsonResponse
+    {
+        $request->validate([
+            'token' => 'required|string',
+            'email' => 'required|email',
+            'password' => $this->userRules()['password'],
+        ], [
+            'token.required' => 'El enlace de restablecimiento no es válido',
+            'email.required' => 'El correo electrónico es obligatorio',
+            'email.email' => 'El correo electrónico debe ser válido',
+            ...$this->userMessages(),
+        ]);
+
+        $status = Password::reset(
+            $request->only('email', 'password', 'password_confirmation', 'token'),
+            function (User $user, string $password) use ($request) {
+                $user->forceFill([
+                    'password' => Hash::make($password),
+                    'remember_token' => Str::random(60),
+                ])->save();
+
+                $user->tokens()->delete();
+
+                event(new PasswordReset($user));
+
+                AuditLog::record(AuditLog::PASSWORD_RESET, $request, $user, $user);
+            }
+        );
+
+        if ($status !== Password::PASSWORD_RESET) {
+            return ApiError::response(ApiError::INVALID_LINK, 'El enlace de restablecimiento no es válido o ha caducado', 422);
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Contraseña restablecida. Ya puedes iniciar sesión'
+        ]);
+    }
+}
@@ -0,0 +1,154 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Hash;
+use Illuminate\Support\Facades\Notification;
+use App\Models\AuditLog;
+use App\Models\User;
+use App\Http\Controllers\Concerns\AuditsUserChanges;
+use App\Http\Controllers\Concerns\ValidatesUserData;
+use App\Http\Responses\ApiError;
+use App\Notifications\VerifyPendingEmail;
+
+/**
+ * ProfileController - Perfil del usuario actual para CatWare Systems
+ *
+ * Cualquier rol puede consultar y editar sus propios datos. El rol no se
+ * cambia desde aquí: solo un administrador puede hacerlo en /api/users
+ */
+class ProfileController extends Controller
+{
+    use AuditsUserChanges, ValidatesUserData;
+
+    /**
+     * Usuario actual con su rol y permisos
+     *
+     * Con un token de suplantación incluye al administrador que lo usa
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function show(Request $request): JsonResponse
+    {
+        $impersonatorId = $request->user()->currentAccessToken()?->impersonator_id ?? null;
+
+        return response()->json($request->user()->toAuthPayload(
+            $impersonatorId ? User::find($impersonatorId) : null
+        ));
+    }
+
+    /**
+     * Actualizar nombre y correo
+     *
+     * Cambiar el correo exige la contraseña actual y no lo aplica todavía:
+     * se guarda como pendiente y se envía un enlace al nuevo. Hasta
+     * confirmarlo la cuenta sigue usando el correo actual. Guardar de nuevo
+     * el correo actual cancela el cambio pendiente
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function update(Request $request): JsonResponse
+    {
+        $user = $request->user();
+        $rules = $this->userRules($user);
+        $emailChanged = $request->input('email') !== $user->email;
+
+        $validated = $request->validate([
+            'name' => $rules['name'],
+            'email' => $rules['email'],
+            'current_password' => [$emailChanged ? 'required' : 'nullable', 'string'],
+        ], [
+            'current_password.required' => 'Introduce tu contraseña actual para cambiar el correo',
+            ...$this->userMessages(),
+        ]);
+
+        if ($emailChanged && !Hash::check($validated['current_password'], $user->password)) {
+            return ApiError::validation([
+                'current_password' => ['La contraseña actual no es correcta'],
+            ]);
+        }
+
+        $user->name = $validated['name'];
+        $user->pending_email = $emailChanged ? $validated['email'] : null;
+
+        $changes = $this->auditableChanges($user);
+
+        $user->save();
+
+        if ($changes) {
+            AuditLog::record(AuditLog::USER_UPDATED, $request, $user, $user, [
+                'changes' => $changes,
+            ]);
+        }
+
+        if ($emailChanged) {
+            Notification::route('mail', $user->pending_email)->notify(new VerifyPendingEmail($user));
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => $emailChanged
+                ? 'Te hemos enviado un enlace a ' . $user->pending_email . ' para confirmar el cambio. Hasta entonces seguirás entrando con tu correo actual'
+                : 'Perfil actualizado',
+            'email_change_pending' => $emailChanged,
+            'user' => $user->toAuthPayload(),
+        ]);
+    }
+
+    /**
+     * Cambiar la contraseña conociendo la actual
+     *
+     * Cierra las sesiones de los demás dispositivos; la actual sigue abierta
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function updatePassword(Request $request): JsonResponse
+    {
+        $user = $request->user();
+
+        $validated = $request->validate([
+            'current_password' => 'required|string',
+            'password' => [
+                'required',
+                'string',
+                'confirmed',
+                'different:current_password',
+                $this->passwordPolicyRule($user),
+            ],
+        ], [
+            'current_password.required' => 'Introduce tu contraseña actual',
+            'password.different' => 'La nueva contraseña debe ser distinta de la actual',
+            ...$this->userMessages(),
+        ]);
+
+        if (!Hash::check($validated['current_password'], $user->password)) {
+            return ApiError::validation([
+                'current_password' => ['La contraseña actual no es correcta'],
+            ]);
+        }
+
+        $user->password = Hash::make($validated['password']);
+        $user->save();
+
+        // En modo SPA no hay token actual: se revocan todos los tokens (otros dispositivos)
+        $currentSessionId = $user->currentAccessToken()?->session_id ?? null;
+        $revoked = $user->tokens()
+            ->when($currentSessionId, fn ($query) => $query->where('session_id', '!=', $currentSessionId))
+            ->delete();
+
+        AuditLog::record(AuditLog::USER_UPDATED, $request, $user, $user, [
+            'changes' => ['password' => true],
+            'tokens_revoked' => $revoked,
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Contraseña actualizada. Se han cerrado las sesiones de los demás dispositivos',
+        ]);
+    }
+}
@@ -0,0 +1,121 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Collection;
+use App\Models\AuditLog;
+use App\Http\Responses\ApiError;
+
+/**
+ * SessionController - Sesiones activas del usuario actual
+ *
+ * Cada login con token crea una sesión: un token de acceso y uno de refresco
+ * que comparten session_id y el nombre del dispositivo. Las sesiones del
+ * modo SPA (cookie) no usan tokens y no aparecen en la lista. Tampoco los
+ * tokens con los que un administrador entra como el usuario: no son sesiones
+ * suyas y no puede cerrarlos
+ */
+class SessionController extends Controller
+{
+    /**
+     * Listar las sesiones con algún token vigente
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $currentSessionId = $this->currentSessionId($request);
+
+        $sessions = $request->user()->tokens()
+            ->whereNotNull('session_id')
+            ->whereNull('impersonator_id')
+            ->where(function ($query) {
+                $query->whereNull('expires_at')->orWhere('expires_at', '>', now());
+            })
+            ->get()
+            ->groupBy('session_id')
+            ->map(fn (Collection $tokens, string $sessionId) => $this->sessionPayload(
+                $tokens,
+                $sessionId === $currentSessionId
+            ))
+            ->sortByDesc(fn (array $session) => [$session['current'], $session['last_used_at']])
+            ->values();
+
+        return response()->json([
+            'success' => true,
+            'sessions' => $sessions,
+        ]);
+    }
+
+    /**
+     * Cerrar otra sesión revocando todos sus tokens
+     *
+     * @param Request $request
+     * @param string $sessionId
+     * @return JsonResponse
+     */
+    public function destroy(Request $request, string $sessionId): JsonResponse
+    {
+        $user = $request->user();
+
+        if ($sessionId === $this->currentSessionId($request)) {
+            return ApiError::response(ApiError::CURRENT_SESSION, 'Para cerrar la sesión actual usa Cerrar sesión', 422);
+        }
+
+        $tokens = $user->tokens()->where('session_id', $sessionId)->whereNull('impersonator_id');
+        $deviceName = (clone $tokens)->value('name');
+
+        if ($deviceName === null) {
+            return ApiError::response(ApiError::NOT_FOUND, 'La sesión no existe o ya se cerró', 404);
+        }
+
+        $revoked = $tokens->delete();
+
+        AuditLog::record(AuditLog::SESSION_REVOKED, $request, $user, $user, [
+            'device_name' => $deviceName,
+            'tokens_revoked' => $revoked,
+        ]);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Sesión cerrada en ' . $deviceName
+        ]);
+    }
+
+    /**
+     * Sesión del token con el que se hace la petición (null en modo SPA)
+     *
+     * @param Request $request
+     * @return string|null
+     */
+    private function currentSessionId(Request $request): ?string
+    {
+        return $request->user()->currentAccessToken()?->session_id ?? null;
+    }
+
+    /**
+     * Datos de una sesión a partir de sus tokens
+     *
+     * @param Collection $tokens Tokens de acceso y refresco de la sesión
+     * @param bool $current Si es la sesión de esta petición
+     * @return array
+     */
+    private function sessionPayload(Collection $tokens, bool $current): array
+    {
+        // La IP y el navegador más recientes son los del último token usado o emitido
+        $latest = $tokens->sortByDesc(fn ($token) => $token->last_used_at ?? $token->created_at)->first();
+
+        return [
+            'id' => $latest->session_id,
+            'device_name' => $latest->name,
+            'ip_address' => $latest->ip_address,
+            'user_agent' => $latest->user_agent,
+            'last_used_at' => ($latest->last_used_at ?? $latest->created_at)?->toISOString(),
+            'created_at' => $tokens->min('created_at')?->toISOString(),
+            'current' => $current,
+        ];
+    }
+}
@@ -0,0 +1,179 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Hash;
+use App\Models\AuditLog;
+use App\Services\TwoFactorAuthenticator;
+use App\Http\Responses\ApiError;
+
+/**
+ * TwoFactorController - Verificación en dos pasos del usuario actual
+ *
+ * El alta tiene dos pasos: se genera el secreto (QR) y se confirma con un
+ * código de la aplicación. Hasta confirmarlo el login no pide el segundo factor
+ */
+class TwoFactorController extends Controller
+{
+    /**
+     * @param TwoFactorAuthenticator $authenticator
+     */
+    public function __construct(private TwoFactorAuthenticator $authenticator)
+    {
+    }
+
+    /**
+     * Generar un nuevo secreto para escanear con la aplicación
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function enable(Request $request): JsonResponse
+    {
+        $user = $request->user();
+
+        if ($user->hasTwoFactorEnabled()) {
+            return ApiError::response(ApiError::TWO_FACTOR_ALREADY_ENABLED, 'La verificación en dos pasos ya está activada', 422);
+        }
+
+        $secret = $this->authenticator->generateSecret();
+
+        $user->forceFill([
+            'two_factor_secret' => $secret,
+            'two_factor_recovery_codes' => null,
+            'two_factor_confirmed_at' => null,
+        ])->save();
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Escanea el código QR y confirma con un código de la aplicación',
+            'secret' => $secret,
+            'otpauth_url' => $this->authenticator->otpauthUrl($user->email, $secret),
+        ]);
+    }
+
+    /**
+     * Confirmar el alta con un código y generar los códigos de recuperación
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function confirm(Request $request): JsonResponse
+    {
+        $request->validate([
+            'code' => 'required|string',
+        ], [
+            'code.required' => 'Introduce el código de verificación',
+        ]);
+
+        $user = $request->user();
+
+        if ($user->two_factor_secret === null || $user->hasTwoFactorEnabled()) {
+            return ApiError::response(ApiError::TWO_FACTOR_NOT_PENDING, 'No hay ninguna activación pendiente de confirmar', 422);
+        }
+
+        if (!$this->authenticator->verify($user->two_factor_secret, $request->code)) {
+            return ApiError::validation([
+                'code' => ['El código no es válido'],
+            ]);
+        }
+
+        $recoveryCodes = $this->authenticator->generateRecoveryCodes();
+
+        $user->forceFill([
+            'two_factor_recovery_codes' => $recoveryCodes,
+            'two_factor_confirmed_at' => now(),
+        ])->save();
+
+        AuditLog::record(AuditLog::TWO_FACTOR_ENABLED, $request, $user, $user);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Verificación en dos pasos activada',
+            'recovery_codes' => $recoveryCodes,
+        ]);
+    }
+
+    /**
+     * Generar nuevos códigos de recuperación (invalida los anteriores)
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function regenerateRecoveryCodes(Request $request): JsonResponse
+    {
+        $user = $request->user();
+
+        if ($response = $this->checkPassword($request)) {
+            return $response;
+        }
+
+        if (!$user->hasTwoFactorEnabled()) {
+            return ApiError::response(ApiError::TWO_FACTOR_NOT_ENABLED, 'La verificación en dos pasos no está activada', 422);
+        }
+
+        $recoveryCodes = $this->authenticator->generateRecoveryCodes();
+
+        $user->forceFill(['two_factor_recovery_codes' => $recoveryCodes])->save();
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Códigos de recuperación generados',
+            'recovery_codes' => $recoveryCodes,
+        ]);
+    }
+
+    /**
+     * Desactivar la verificación en dos pasos (requiere la contraseña)
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function disable(Request $request): JsonResponse
+    {
+        $user = $request->user();
+
+        if ($response = $this->checkPassword($request)) {
+            return $response;
+        }
+
+        $wasEnabled = $user->hasTwoFactorEnabled();
+
+        $user->disableTwoFactor();
+
+        // Cancelar un alta a medias no es un cambio de seguridad que auditar
+        if ($wasEnabled) {
+            AuditLog::record(AuditLog::TWO_FACTOR_DISABLED, $request, $user, $user);
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Verificación en dos pasos desactivada'
+        ]);
+    }
+
+    /**
+     * Comprobar la contraseña actual antes de una acción sensible
+     *
+     * @param Request $request
+     * @return JsonResponse|null Respuesta de error o null si es correcta
+     */
+    private function checkPassword(Request $request): ?JsonResponse
+    {
+        $request->validate([
+            'password' => 'required|string',
+        ], [
+            'password.required' => 'Introduce tu contraseña actual',
+        ]);
+
+        if (Hash::check($request->password, $request->user()->password)) {
+            return null;
+        }
+
+        return ApiError::validation([
+            'password' => ['La contraseña no es correcta'],
+        ]);
+    }
+}
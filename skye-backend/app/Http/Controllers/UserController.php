@@ -4,45 +4,306 @@
 
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\Gate;
+use Illuminate\Support\Facades\Hash;
+use Illuminate\Validation\Rule;
+use App\Enums\Role;
+use App\Models\AuditLog;
 use App\Models\User;
+use App\Http\Controllers\Concerns\AuditsUserChanges;
+use App\Http\Controllers\Concerns\ValidatesUserData;
+use App\Http\Responses\ApiError;
 
 /**
  * UserController - Controlador de Usuarios para CatWare Systems
  * 
  * Maneja listado y gestión de usuarios
- * Incluye ordenamiento y paginación
+ * Incluye ordenamiento, paginación y CRUD completo
+ * Los permisos por rol se comprueban en UserPolicy (middleware "can" en las rutas)
+ * Cada cambio queda registrado en el log de auditoría
  */
 class UserController extends Controller
 {
+    use AuditsUserChanges, ValidatesUserData;
+
+    /**
+     * Tamaño de página por defecto del listado
+     */
+    private const DEFAULT_PER_PAGE = 15;
+
     /**
-     * Listar todos los usuarios con ordenamiento
+     * Listar usuarios paginados con ordenamiento, búsqueda y filtros
+     * 
+     * La búsqueda libre compara con nombre y correo; el rango de fechas
+     * filtra por created_at (ambos extremos incluidos)
      * 
      * @param Request $request
      * @return JsonResponse
      */
     public function index(Request $request): JsonResponse
     {
-        // Validar parámetros de ordenamiento
+        // Validar parámetros de ordenamiento, paginación y filtros
         $request->validate([
             'sort_by' => 'sometimes|string|in:name,email,created_at',
             'sort_direction' => 'sometimes|string|in:asc,desc',
+            'page' => 'sometimes|integer|min:1',
+            'per_page' => 'sometimes|integer|min:1|max:100',
+            'search' => 'sometimes|nullable|string|max:255',
+            'created_from' => 'sometimes|nullable|date_format:Y-m-d',
+            'created_to' => 'sometimes|nullable|date_format:Y-m-d|after_or_equal:created_from',
+        ], [
+            'search.max' => 'La búsqueda no puede superar los 255 caracteres',
+            'created_from.date_format' => 'La fecha inicial debe tener el formato AAAA-MM-DD',
+            'created_to.date_format' => 'La fecha final debe tener el formato AAAA-MM-DD',
+            'created_to.after_or_equal' => 'La fecha final debe ser igual o posterior a la inicial',
         ]);
 
-        // Obtener parámetros de ordenamiento (valores por defecto)
+        // Obtener parámetros de ordenamiento y paginación (valores por defecto)
         $sortBy = $request->get('sort_by', 'name');
         $sortDirection = $request->get('sort_direction', 'asc');
+        $perPage = (int) $request->get('per_page', self::DEFAULT_PER_PAGE);
+        $search = trim((string) $request->get('search', ''));
+        $createdFrom = $request->get('created_from');
+        $createdTo = $request->get('created_to');
 
-        // Obtener usuarios ordenados
-        $users = User::select('id', 'name', 'email', 'created_at')
+        // Obtener usuarios filtrados y ordenados (id como desempate para páginas estables)
+        $users = User::select('id', 'name', 'email', 'email_verified_at', 'role', 'two_factor_confirmed_at', 'created_at')
+            ->when($search !== '', function ($query) use ($search) {
+                // Escapar comodines de LIKE para buscar el texto literal
+                $term = '%' . addcslashes($search, '%_\\') . '%';
+                $query->where(function ($query) use ($term) {
+                    $query->where('name', 'like', $term)
+                        ->orWhere('email', 'like', $term);
+                });
+            })
+            ->when($createdFrom, fn ($query) => $query->whereDate('created_at', '>=', $createdFrom))
+            ->when($createdTo, fn ($query) => $query->whereDate('created_at', '<=', $createdTo))
             ->orderBy($sortBy, $sortDirection)
-            ->get();
+            ->orderBy('id')
+            ->paginate($perPage)
+            ->through(fn (User $user) => $this->userPayload($user));
 
         return response()->json([
             'success' => true,
-            'users' => $users,
-            'total' => $users->count(),
+            'users' => $users->items(),
+            'total' => $users->total(),
             'sort_by' => $sortBy,
-            'sort_direction' => $sortDirection
+            'sort_direction' => $sortDirection,
+            'filters' => [
+                'search' => $search !== '' ? $search : null,
+                'created_from' => $createdFrom,
+                'created_to' => $createdTo,
+            ],
+            'meta' => [
+                'current_page' => $users->currentPage(),
+                'per_page' => $users->perPage(),
+                'last_page' => $users->lastPage(),
+                'from' => $users->firstItem(),
+                'to' => $users->lastItem(),
+                'total' => $users->total(),
+            ],
+        ]);
+    }
+
+    /**
+     * Crear un nuevo usuario
+     * 
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $validated = $request->validate(
+            [...$this->userRules(), ...$this->roleRules()],
+            [...$this->userMessages(), ...$this->roleMessages()]
+        );
+
+        // Solo quien puede asignar roles elige uno distinto del rol por defecto
+        if (isset($validated['role']) && $validated['role'] !== Role::Viewer->value) {
+            Gate::authorize('assignRole', User::class);
+        }
+
+        $user = User::create([
+            'name' => $validated['name'],
+            'email' => $validated['email'],
+            'password' => Hash::make($validated['password']),
+            'role' => $validated['role'] ?? Role::Viewer->value,
+        ]);
+
+        AuditLog::record(AuditLog::USER_CREATED, $request, $request->user(), $user, [
+            'role' => $user->role->value,
         ]);
+
+        // El nuevo usuario confirma su correo antes de su primer acceso
+        $user->sendEmailVerificationNotification();
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Usuario creado exitosamente',
+            'user' => $this->userPayload($user),
+        ], 201);
+    }
+
+    /**
+     * Actualizar un usuario existente
+     * La contraseña solo se cambia si se envía. UserPolicy impide editarse
+     * a uno mismo: el perfil pide la contraseña actual para esos cambios
+     * 
+     * @param Request $request
+     * @param User $user
+     * @return JsonResponse
+     */
+    public function update(Request $request, User $user): JsonResponse
+    {
+        $validated = $request->validate(
+            [...$this->userRules($user), ...$this->roleRules()],
+            [...$this->userMessages(), ...$this->roleMessages()]
+        );
+
+        $user->name = $validated['name'];
+        $user->email = $validated['email'];
+
+        // Un correo nuevo debe confirmarse antes del siguiente acceso
+        $emailChanged = $user->isDirty('email');
+
+        if ($emailChanged) {
+            $user->email_verified_at = null;
+            $user->pending_email = null;
+        }
+
+        if (isset($validated['role']) && $validated['role'] !== $user->role->value) {
+            Gate::authorize('assignRole', $user);
+            $user->role = Role::from($validated['role']);
+        }
+
+        if (!empty($validated['password'])) {
+            $user->password = Hash::make($validated['password']);
+        }
+
+        $changes = $this->auditableChanges($user);
+
+        $passwordChanged = $user->isDirty('password');
+
+        $user->save();
+
+        // Con otra contraseña se cierran todas las sesiones abiertas con la anterior
+        if ($passwordChanged) {
+            $user->tokens()->delete();
+        }
+
+        if ($emailChanged) {
+            $user->sendEmailVerificationNotification();
+        }
+
+        if ($changes) {
+            AuditLog::record(AuditLog::USER_UPDATED, $request, $request->user(), $user, [
+                'changes' => $changes,
+            ]);
+        }
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Usuario actualizado exitosamente',
+            'user' => $this->userPayload($user),
+        ]);
+    }
+
+    /**
+     * Eliminar un usuario y revocar sus tokens
+     * 
+     * @param Request $request
+     * @param User $user
+     * @return JsonResponse
+     */
+    public function destroy(Request $request, User $user): JsonResponse
+    {
+        // Evitar que el usuario elimine su propia cuenta desde el listado
+        if ($request->user()->is($user)) {
+            return ApiError::response(ApiError::CANNOT_DELETE_SELF, 'No puedes eliminar tu propia cuenta', 422);
+        }
+
+        // Registrar antes de eliminar para conservar la referencia al usuario
+        AuditLog::record(AuditLog::USER_DELETED, $request, $request->user(), $user, [
+            'name' => $user->name,
+            'role' => $user->role->value,
+        ]);
+
+        $user->tokens()->delete();
+        $user->delete();
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Usuario eliminado exitosamente'
+        ]);
+    }
+
+    /**
+     * Desactivar el segundo factor de un usuario que ha perdido su dispositivo
+     * 
+     * Revoca sus tokens para que vuelva a iniciar sesión con la contraseña
+     * 
+     * @param Request $request
+     * @param User $user
+     * @return JsonResponse
+     */
+    public function resetTwoFactor(Request $request, User $user): JsonResponse
+    {
+        if ($user->two_factor_secret === null) {
+            return ApiError::response(ApiError::TWO_FACTOR_NOT_ENABLED, 'El usuario no tiene activada la verificación en dos pasos', 422);
+        }
+
+        $user->disableTwoFactor();
+        $user->tokens()->delete();
+
+        AuditLog::record(AuditLog::TWO_FACTOR_RESET, $request, $request->user(), $user);
+
+        return response()->json([
+            'success' => true,
+            'message' => 'Verificación en dos pasos restablecida',
+            'user' => $this->userPayload($user),
+        ]);
+    }
+
+    /**
+     * Reglas de validación del rol (solo en la gestión de usuarios, no en el registro)
+     * 
+     * @return array<string, mixed>
+     */
+    private function roleRules(): array
+    {
+        return [
+            'role' => ['sometimes', Rule::enum(Role::class)],
+        ];
+    }
+
+    /**
+     * Mensajes de validación del rol en español
+     * 
+     * @return array<string, string>
+     */
+    private function roleMessages(): array
+    {
+        return [
+            'role.enum' => 'El rol seleccionado no es válido',
+        ];
+    }
+
+    /**
+     * Datos públicos de un usuario para las respuestas JSON
+     * 
+     * @param User $user
+     * @return array<string, mixed>
+     */
+    private function userPayload(User $user): array
+    {
+        return [
+            'id' => $user->id,
+            'name' => $user->name,
+            'email' => $user->email,
+            'role' => $user->role->value,
+            'two_factor_enabled' => $user->two_factor_confirmed_at !== null,
+            'email_verified' => $user->hasVerifiedEmail(),
+            'created_at' => $user->created_at,
+        ];
     }
 }
@@ -0,0 +1,38 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use Closure;
+use Illuminate\Contracts\Auth\MustVerifyEmail;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+use App\Http\Responses\ApiError;
+
+/**
+ * EnsureEmailIsVerified - Bloquea la API a los usuarios sin correo verificado
+ *
+ * Sustituye al middleware "verified" de Laravel para responder con el
+ * formato JSON de la API en lugar de redirigir a una vista
+ */
+class EnsureEmailIsVerified
+{
+    /**
+     * Handle an incoming request.
+     *
+     * @param Closure(Request): Response $next
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        $user = $request->user();
+
+        if ($user instanceof MustVerifyEmail && !$user->hasVerifiedEmail()) {
+            return ApiError::response(
+                ApiError::EMAIL_UNVERIFIED,
+                'Debes verificar tu correo electrónico antes de acceder',
+                403
+            );
+        }
+
+        return $next($request);
+    }
+}
@@ -0,0 +1,37 @@
+<?php
+
+namespace App\Http\Middleware;
+
+use Closure;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+use App\Http\Responses\ApiError;
+
+/**
+ * PreventImpersonation - Bloquea los cambios mientras un administrador usa
+ * una cuenta con un token de suplantación
+ *
+ * El administrador puede ver lo mismo que el usuario, pero no cambiar su
+ * correo, su contraseña, su segundo factor ni cerrar sus sesiones, ni
+ * modificar el directorio de usuarios (tampoco al propio usuario)
+ */
+class PreventImpersonation
+{
+    /**
+     * Handle an incoming request.
+     *
+     * @param Closure(Request): Response $next
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        if ($request->user()?->currentAccessToken()?->impersonator_id ?? null) {
+            return ApiError::response(
+                ApiError::IMPERSONATING,
+                'Esta acción no está disponible mientras entras como otro usuario',
+                403
+            );
+        }
+
+        return $next($request);
+    }
+}
@@ -0,0 +1,164 @@
+<?php
+
+namespace App\Http\Responses;
+
+use Illuminate\Auth\AuthenticationException;
+use Illuminate\Http\Exceptions\HttpResponseException;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Arr;
+use Illuminate\Validation\ValidationException;
+use Laravel\Sanctum\Exceptions\MissingAbilityException;
+use Symfony\Component\HttpKernel\Exception\HttpExceptionInterface;
+use Throwable;
+
+/**
+ * ApiError - Sobre de las respuestas de error de la API de CatWare Systems
+ *
+ * Todas las respuestas de error tienen la misma forma:
+ * { success: false, code, message, errors?, retry_after? }
+ * `code` es estable y lo interpreta el frontend; `message` se muestra al
+ * usuario tal cual y nunca incluye detalles internos de la excepción
+ */
+final class ApiError
+{
+    // Códigos genéricos (también los usa el manejador de excepciones)
+    public const VALIDATION_FAILED = 'validation_failed';
+    public const UNAUTHENTICATED = 'unauthenticated';
+    public const FORBIDDEN = 'forbidden';
+    public const NOT_FOUND = 'not_found';
+    public const METHOD_NOT_ALLOWED = 'method_not_allowed';
+    public const CSRF_TOKEN_MISMATCH = 'csrf_token_mismatch';
+    public const TOO_MANY_REQUESTS = 'too_many_requests';
+    public const HTTP_ERROR = 'http_error';
+    public const SERVER_ERROR = 'server_error';
+
+    // Códigos de autenticación
+    public const INVALID_CREDENTIALS = 'invalid_credentials';
+    public const LOGIN_LOCKED = 'login_locked';
+    public const EMAIL_UNVERIFIED = 'email_unverified';
+    public const INVALID_LINK = 'invalid_link';
+    public const TWO_FACTOR_EXPIRED = 'two_factor_expired';
+    public const REGISTRATION_FAILED = 'registration_failed';
+
+    // Códigos de estado de la cuenta o del recurso
+    public const TWO_FACTOR_ALREADY_ENABLED = 'two_factor_already_enabled';
+    public const TWO_FACTOR_NOT_ENABLED = 'two_factor_not_enabled';
+    public const TWO_FACTOR_NOT_PENDING = 'two_factor_not_pending';
+    public const CANNOT_DELETE_SELF = 'cannot_delete_self';
+    public const CURRENT_SESSION = 'current_session';
+    public const IMPERSONATING = 'impersonating';
+    public const NOT_IMPERSONATING = 'not_impersonating';
+    public const IMPERSONATION_UNAVAILABLE = 'impersonation_unavailable';
+
+    /**
+     * Respuesta de error con el sobre común
+     *
+     * @param string $code Uno de los códigos de esta clase
+     * @param string $message Mensaje para el usuario
+     * @param int $status Código de estado HTTP
+     * @param array $extra Campos adicionales (ej: retry_after)
+     * @return JsonResponse
+     */
+    public static function response(string $code, string $message, int $status, array $extra = []): JsonResponse
+    {
+        return response()->json([
+            'success' => false,
+            'code' => $code,
+            'message' => $message,
+            ...$extra,
+        ], $status);
+    }
+
+    /**
+     * Error de validación con errores por campo (422)
+     * El mensaje general es el primer error, como en la interfaz
+     *
+     * @param array<string, array<string>> $errors Mensajes por campo
+     * @return JsonResponse
+     */
+    public static function validation(array $errors): JsonResponse
+    {
+        return self::response(
+            self::VALIDATION_FAILED,
+            Arr::first(Arr::flatten($errors)) ?? 'Los datos enviados no son válidos',
+            422,
+            ['errors' => $errors]
+        );
+    }
+
+    /**
+     * Demasiadas peticiones (429) con la espera en el cuerpo y en Retry-After
+     *
+     * @param string $code TOO_MANY_REQUESTS o LOGIN_LOCKED
+     * @param string $message Mensaje para el usuario
+     * @param int $seconds Segundos hasta poder repetir
+     * @return JsonResponse
+     */
+    public static function tooManyRequests(string $code, string $message, int $seconds): JsonResponse
+    {
+        return self::response($code, $message, 429, ['retry_after' => $seconds])
+            ->header('Retry-After', (string) $seconds);
+    }
+
+    /**
+     * Convierte una excepción no capturada en una respuesta con el sobre común
+     * Las excepciones inesperadas se ocultan tras un 500 genérico (ya quedan en el log)
+     *
+     * @param Throwable $e Excepción ya preparada por el manejador de Laravel
+     * @return JsonResponse
+     */
+    public static function fromException(Throwable $e): JsonResponse
+    {
+        if ($e instanceof HttpResponseException) {
+            return $e->getResponse();
+        }
+
+        if ($e instanceof ValidationException) {
+            return self::validation($e->errors());
+        }
+
+        if ($e instanceof AuthenticationException) {
+            return self::response(self::UNAUTHENTICATED, 'Tu sesión no es válida o ha caducado', 401);
+        }
+
+        if (!$e instanceof HttpExceptionInterface) {
+            return self::response(self::SERVER_ERROR, 'Error interno del servidor. Inténtalo de nuevo más tarde', 500);
+        }
+
+        $status = $e->getStatusCode();
+
+        return match (true) {
+            $status === 403 => self::response(self::FORBIDDEN, self::forbiddenMessage($e), 403),
+            $status === 404 => self::response(self::NOT_FOUND, 'El recurso solicitado no existe', 404),
+            $status === 405 => self::response(self::METHOD_NOT_ALLOWED, 'Método no permitido para esta ruta', 405),
+            $status === 419 => self::response(self::CSRF_TOKEN_MISMATCH, 'La sesión del formulario ha caducado. Recarga la página', 419),
+            $status === 429 => self::tooManyRequests(
+                self::TOO_MANY_REQUESTS,
+                'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo',
+                (int) ($e->getHeaders()['Retry-After'] ?? 60)
+            ),
+            $status >= 500 => self::response(self::SERVER_ERROR, 'Error interno del servidor. Inténtalo de nuevo más tarde', $status),
+            default => self::response(self::HTTP_ERROR, 'No se pudo procesar la solicitud', $status),
+        };
+    }
+
+    /**
+     * Mensaje de un 403: el de la policy si lo tiene, o uno genérico en español
+     *
+     * @param HttpExceptionInterface $e
+     * @return string
+     */
+    private static function forbiddenMessage(HttpExceptionInterface $e): string
+    {
+        if ($e->getPrevious() instanceof MissingAbilityException) {
+            return 'Este token no permite realizar esta acción';
+        }
+
+        $message = $e->getMessage();
+
+        // Mensaje por defecto de Gate (en inglés) cuando la policy no da uno propio
+        return $message === '' || $message === 'This action is unauthorized.'
+            ? 'No tienes permiso para realizar esta acción'
+            : $message;
+    }
+}
@@ -0,0 +1,145 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Http\Request;
+
+/**
+ * AuditLog - Registro de auditoría de CatWare Systems
+ *
+ * Guarda quién hizo qué, sobre qué usuario, desde qué IP y navegador
+ * Los registros son inmutables: solo tienen fecha de creación
+ */
+class AuditLog extends Model
+{
+    /**
+     * Acciones registradas
+     */
+    public const LOGIN = 'auth.login';
+    public const LOGIN_FAILED = 'auth.login_failed';
+    public const REGISTER = 'auth.register';
+    public const LOGOUT = 'auth.logout';
+    public const SESSION_REVOKED = 'auth.session_revoked';
+    public const IMPERSONATION_STARTED = 'auth.impersonation_started';
+    public const IMPERSONATION_ENDED = 'auth.impersonation_ended';
+    public const PASSWORD_RESET = 'auth.password_reset';
+    public const EMAIL_VERIFIED = 'auth.email_verified';
+    public const TWO_FACTOR_ENABLED = 'auth.two_factor_enabled';
+    public const TWO_FACTOR_DISABLED = 'auth.two_factor_disabled';
+    public const TWO_FACTOR_RESET = 'user.two_factor_reset';
+    public const USER_CREATED = 'user.created';
+    public const USER_UPDATED = 'user.updated';
+    public const USER_DELETED = 'user.deleted';
+
+    /**
+     * Los registros de auditoría no se actualizan
+     */
+    public const UPDATED_AT = null;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var list<string>
+     */
+    protected $fillable = [
+        'actor_id',
+        'action',
+        'target_id',
+        'target_label',
+        'metadata',
+        'ip_address',
+        'user_agent',
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'metadata' => 'array',
+        ];
+    }
+
+    /**
+     * Usuario que realizó la acción (null si no estaba autenticado)
+     */
+    public function actor(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'actor_id');
+    }
+
+    /**
+     * Usuario afectado por la acción
+     */
+    public function target(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'target_id');
+    }
+
+    /**
+     * Lista de acciones válidas para filtrar
+     *
+     * @return list<string>
+     */
+    public static function actions(): array
+    {
+        return [
+            self::LOGIN,
+            self::LOGIN_FAILED,
+            self::REGISTER,
+            self::LOGOUT,
+            self::SESSION_REVOKED,
+            self::IMPERSONATION_STARTED,
+            self::IMPERSONATION_ENDED,
+            self::PASSWORD_RESET,
+            self::EMAIL_VERIFIED,
+            self::TWO_FACTOR_ENABLED,
+            self::TWO_FACTOR_DISABLED,
+            self::TWO_FACTOR_RESET,
+            self::USER_CREATED,
+            self::USER_UPDATED,
+            self::USER_DELETED,
+        ];
+    }
+
+    /**
+     * Registrar un evento con la IP y el navegador de la petición
+     *
+     * Si la petición llega con un token de suplantación, se añade el correo
+     * del administrador para distinguir sus acciones de las del usuario
+     *
+     * @param string $action Una de las constantes de acción
+     * @param Request $request Petición que origina el evento
+     * @param User|null $actor Usuario que realiza la acción
+     * @param User|null $target Usuario afectado
+     * @param array<string, mixed> $metadata Datos adicionales (nunca contraseñas)
+     * @return self
+     */
+    public static function record(
+        string $action,
+        Request $request,
+        ?User $actor = null,
+        ?User $target = null,
+        array $metadata = []
+    ): self {
+        $impersonatorId = $request->user()?->currentAccessToken()?->impersonator_id ?? null;
+        if ($impersonatorId && !isset($metadata['impersonated_by'])) {
+            $metadata['impersonated_by'] = User::find($impersonatorId)?->email;
+        }
+
+        return self::create([
+            'actor_id' => $actor?->id,
+            'action' => $action,
+            'target_id' => $target?->id,
+            'target_label' => $target?->email,
+            'metadata' => $metadata ?: null,
+            'ip_address' => $request->ip(),
+            'user_agent' => $request->userAgent(),
+        ]);
+    }
+}
@@ -2,13 +2,15 @@
 
 namespace App\Models;
 
-// use Illuminate\Contracts\Auth\MustVerifyEmail;
+use App\Enums\Role;
+use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
+use Illuminate\Support\Facades\URL;
 use Laravel\Sanctum\HasApiTokens;
 
-class User extends Authenticatable
+class User extends Authenticatable implements MustVerifyEmail
 {
     /** @use HasFactory<\Database\Factories\UserFactory> */
     use HasFactory, Notifiable, HasApiTokens;
@@ -22,6 +24,16 @@ class User extends Authenticatable
         'name',
         'email',
         'password',
+        'role',
+    ];
+
+    /**
+     * Valores por defecto de los atributos (rol sin permisos)
+     *
+     * @var array<string, mixed>
+     */
+    protected $attributes = [
+        'role' => 'viewer',
     ];
 
     /**
@@ -32,6 +44,8 @@ class User extends Authenticatable
     protected $hidden = [
         'password',
         'remember_token',
+        'two_factor_secret',
+        'two_factor_recovery_codes',
     ];
 
     /**
@@ -44,6 +58,134 @@ protected function casts(): array
         return [
             'email_verified_at' => 'datetime',
             'password' => 'hashed',
+            'role' => Role::class,
+            'two_factor_secret' => 'encrypted',
+            'two_factor_recovery_codes' => 'encrypted:array',
+            'two_factor_confirmed_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Indica si el rol del usuario concede el permiso indicado
+     *
+     * @param string $permission
+     * @return bool
+     */
+    public function hasPermission(string $permission): bool
+    {
+        return in_array($permission, $this->role->permissions(), true);
+    }
+
+    /**
+     * Indica si el usuario es administrador
+     *
+     * @return bool
+     */
+    public function isAdmin(): bool
+    {
+        return $this->role === Role::Admin;
+    }
+
+    /**
+     * Indica si el usuario tiene activado (y confirmado) el segundo factor
+     *
+     * @return bool
+     */
+    public function hasTwoFactorEnabled(): bool
+    {
+        return $this->two_factor_secret !== null && $this->two_factor_confirmed_at !== null;
+    }
+
+    /**
+     * Consumir un código de recuperación: si existe, se elimina de la lista
+     *
+     * @param string $code
+     * @return bool true si el código era válido
+     */
+    public function useRecoveryCode(string $code): bool
+    {
+        $codes = $this->two_factor_recovery_codes ?? [];
+        $code = strtoupper(trim($code));
+
+        foreach ($codes as $index => $recoveryCode) {
+            if (hash_equals($recoveryCode, $code)) {
+                unset($codes[$index]);
+                $this->forceFill(['two_factor_recovery_codes' => array_values($codes)])->save();
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Desactivar el segundo factor y borrar sus datos
+     *
+     * @return void
+     */
+    public function disableTwoFactor(): void
+    {
+        $this->forceFill([
+            'two_factor_secret' => null,
+            'two_factor_recovery_codes' => null,
+            'two_factor_confirmed_at' => null,
+        ])->save();
+    }
+
+    /**
+     * Enlace de verificación de la SPA con los parámetros firmados de la API
+     *
+     * El hash ata el enlace a un correo: el actual para activar la cuenta o
+     * el pendiente para confirmar un cambio de correo desde el perfil
+     *
+     * @param string|null $email Correo que se verifica (por defecto el actual)
+     * @return string
+     */
+    public function emailVerificationUrl(?string $email = null): string
+    {
+        $hash = sha1($email ?? $this->getEmailForVerification());
+
+        $signedPath = URL::temporarySignedRoute(
+            'verification.verify',
+            now()->addMinutes(config('auth.verification.expire', 60)),
+            [
+                'id' => $this->getKey(),
+                'hash' => $hash,
+            ],
+            absolute: false
+        );
+
+        parse_str((string) parse_url($signedPath, PHP_URL_QUERY), $signature);
+
+        return config('app.frontend_url') . '/verify-email?' . http_build_query([
+            'id' => $this->getKey(),
+            'hash' => $hash,
+            ...$signature,
+        ]);
+    }
+
+    /**
+     * Datos de la sesión que recibe el frontend (login y GET /api/user)
+     *
+     * @param User|null $impersonator Administrador que suplanta al usuario, si lo hay
+     * @return array<string, mixed>
+     */
+    public function toAuthPayload(?User $impersonator = null): array
+    {
+        return [
+            'id' => $this->id,
+            'name' => $this->name,
+            'email' => $this->email,
+            'pending_email' => $this->pending_email,
+            'role' => $this->role->value,
+            'permissions' => $this->role->permissions(),
+            'two_factor_enabled' => $this->hasTwoFactorEnabled(),
+            'impersonator' => $impersonator ? [
+                'id' => $impersonator->id,
+                'name' => $impersonator->name,
+                'email' => $impersonator->email,
+            ] : null,
         ];
     }
 }
@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Notifications;
+
+use App\Models\User;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+
+/**
+ * VerifyPendingEmail - Confirmación de un cambio de correo para CatWare Systems
+ *
+ * Se envía al correo nuevo (Notification::route) con un enlace firmado;
+ * hasta abrirlo el usuario sigue entrando con su correo actual
+ */
+class VerifyPendingEmail extends Notification
+{
+    /**
+     * @param User $user Usuario que pidió el cambio (con pending_email)
+     */
+    public function __construct(private User $user)
+    {
+    }
+
+    /**
+     * Canales de envío
+     *
+     * @param object $notifiable
+     * @return list<string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['mail'];
+    }
+
+    /**
+     * Correo con el enlace de confirmación en español
+     *
+     * @param object $notifiable
+     * @return MailMessage
+     */
+    public function toMail(object $notifiable): MailMessage
+    {
+        return (new MailMessage)
+            ->subject('Confirma tu nuevo correo electrónico')
+            ->greeting('Hola, ' . $this->user->name)
+            ->line('Confirma esta dirección para usarla como correo de acceso a tu cuenta.')
+            ->action('Confirmar correo', $this->user->emailVerificationUrl($this->user->pending_email))
+            ->line('Hasta entonces seguirás entrando con tu correo actual.')
+            ->line('Si no pediste el cambio, puedes ignorar este mensaje.')
+            ->salutation('CatWare Systems');
+    }
+}
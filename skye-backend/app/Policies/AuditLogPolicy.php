@@ -0,0 +1,25 @@
+<?php
+
+namespace App\Policies;
+
+use App\Enums\Role;
+use App\Models\User;
+use Illuminate\Auth\Access\Response;
+
+/**
+ * AuditLogPolicy - Permisos sobre el registro de auditoría de CatWare Systems
+ *
+ * Laravel la descubre automáticamente para el modelo AuditLog
+ */
+class AuditLogPolicy
+{
+    /**
+     * Consultar el registro de auditoría
+     */
+    public function viewAny(User $user): Response
+    {
+        return $user->hasPermission(Role::VIEW_AUDIT_LOGS)
+            ? Response::allow()
+            : Response::deny('No tienes permiso para ver el registro de auditoría');
+    }
+}
@@ -0,0 +1,127 @@
+<?php
+
+namespace App\Policies;
+
+use App\Enums\Role;
+use App\Models\User;
+use Illuminate\Auth\Access\Response;
+
+/**
+ * UserPolicy - Permisos sobre el directorio de usuarios de CatWare Systems
+ *
+ * Se aplica en las rutas de /api/users con el middleware "can"
+ * Laravel la descubre automáticamente para el modelo User
+ */
+class UserPolicy
+{
+    /**
+     * Ver el listado de usuarios
+     */
+    public function viewAny(User $user): Response
+    {
+        return $user->hasPermission(Role::VIEW_USERS)
+            ? Response::allow()
+            : Response::deny('No tienes permiso para ver el listado de usuarios');
+    }
+
+    /**
+     * Crear usuarios
+     */
+    public function create(User $user): Response
+    {
+        return $user->hasPermission(Role::CREATE_USERS)
+            ? Response::allow()
+            : Response::deny('No tienes permiso para crear usuarios');
+    }
+
+    /**
+     * Editar un usuario
+     * Solo un administrador puede editar a otro administrador. Los datos
+     * propios se editan desde el perfil, que pide la contraseña actual
+     */
+    public function update(User $user, User $model): Response
+    {
+        if (!$user->hasPermission(Role::UPDATE_USERS)) {
+            return Response::deny('No tienes permiso para editar usuarios');
+        }
+
+        if ($user->is($model)) {
+            return Response::deny('Edita tus propios datos y tu contraseña desde tu perfil');
+        }
+
+        if ($model->isAdmin() && !$user->isAdmin()) {
+            return Response::deny('Solo un administrador puede editar a otro administrador');
+        }
+
+        return Response::allow();
+    }
+
+    /**
+     * Eliminar un usuario
+     */
+    public function delete(User $user, User $model): Response
+    {
+        return $user->hasPermission(Role::DELETE_USERS)
+            ? Response::allow()
+            : Response::deny('No tienes permiso para eliminar usuarios');
+    }
+
+    /**
+     * Asignar o cambiar el rol de un usuario
+     * Nadie puede cambiar su propio rol para evitar quedarse sin acceso
+     */
+    public function assignRole(User $user, ?User $model = null): Response
+    {
+        if (!$user->hasPermission(Role::ASSIGN_ROLES)) {
+            return Response::deny('No tienes permiso para asignar roles');
+        }
+
+        if ($model && $user->is($model)) {
+            return Response::deny('No puedes cambiar tu propio rol');
+        }
+
+        return Response::allow();
+    }
+
+    /**
+     * Desactivar el segundo factor de un usuario (ej: perdió el móvil)
+     * El propio usuario lo desactiva desde su pantalla de seguridad
+     */
+    public function resetTwoFactor(User $user, User $model): Response
+    {
+        if (!$user->hasPermission(Role::RESET_TWO_FACTOR)) {
+            return Response::deny('No tienes permiso para restablecer la verificación en dos pasos');
+        }
+
+        if ($user->is($model)) {
+            return Response::deny('Desactiva tu verificación en dos pasos desde la pantalla de seguridad');
+        }
+
+        return Response::allow();
+    }
+
+    /**
+     * Entrar como otro usuario para ver lo mismo que él
+     * No se puede suplantar a otro administrador ni a una cuenta sin verificar
+     */
+    public function impersonate(User $user, User $model): Response
+    {
+        if (!$user->hasPermission(Role::IMPERSONATE_USERS)) {
+            return Response::deny('No tienes permiso para entrar como otro usuario');
+        }
+
+        if ($user->is($model)) {
+            return Response::deny('No puedes entrar como tú mismo');
+        }
+
+        if ($model->isAdmin()) {
+            return Response::deny('No se puede entrar como otro administrador');
+        }
+
+        if (!$model->hasVerifiedEmail()) {
+            return Response::deny('El usuario aún no ha verificado su correo');
+        }
+
+        return Response::allow();
+    }
+}
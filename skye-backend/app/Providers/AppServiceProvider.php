@@ -2,7 +2,12 @@
 
 namespace App\Providers;
 
+use Illuminate\Auth\Notifications\ResetPassword;
+use Illuminate\Auth\Notifications\VerifyEmail;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Support\Facades\Event;
 use Illuminate\Support\ServiceProvider;
+use Laravel\Sanctum\Events\TokenAuthenticated;
 
 class AppServiceProvider extends ServiceProvider
 {
@@ -19,6 +24,51 @@ public function register(): void
      */
     public function boot(): void
     {
-        //
+        // El enlace de restablecimiento apunta a la SPA, no a una vista de Laravel
+        ResetPassword::createUrlUsing(function ($user, string $token) {
+            return config('app.frontend_url') . '/reset-password?' . http_build_query([
+                'token' => $token,
+                'email' => $user->getEmailForPasswordReset(),
+            ]);
+        });
+
+        // Correo de restablecimiento en español
+        ResetPassword::toMailUsing(function ($user, string $token) {
+            $url = call_user_func(ResetPassword::$createUrlCallback, $user, $token);
+            $minutes = config('auth.passwords.' . config('auth.defaults.passwords') . '.expire');
+
+            return (new MailMessage)
+                ->subject('Restablecer contraseña')
+                ->greeting('Hola, ' . $user->name)
+                ->line('Recibes este correo porque se solicitó restablecer la contraseña de tu cuenta.')
+                ->action('Restablecer contraseña', $url)
+                ->line("Este enlace caduca en {$minutes} minutos.")
+                ->line('Si no solicitaste el cambio, puedes ignorar este mensaje.')
+                ->salutation('CatWare Systems');
+        });
+
+        // El enlace de verificación lleva a la SPA con los parámetros firmados de la API
+        VerifyEmail::createUrlUsing(fn ($user) => $user->emailVerificationUrl());
+
+        // Correo de verificación en español
+        VerifyEmail::toMailUsing(function ($user, string $url) {
+            return (new MailMessage)
+                ->subject('Verifica tu correo electrónico')
+                ->greeting('Hola, ' . $user->name)
+                ->line('Confirma tu dirección de correo para activar tu cuenta.')
+                ->action('Verificar correo', $url)
+                ->line('Si no creaste esta cuenta, puedes ignorar este mensaje.')
+                ->salutation('CatWare Systems');
+        });
+
+        // Última IP de cada sesión (Sanctum ya actualiza last_used_at)
+        Event::listen(function (TokenAuthenticated $event) {
+            $token = $event->token;
+            $ip = request()->ip();
+
+            if ($token->ip_address !== $ip) {
+                $token->forceFill(['ip_address' => $ip])->save();
+            }
+        });
     }
 }
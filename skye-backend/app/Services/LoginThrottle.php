@@ -0,0 +1,149 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\RateLimiter;
+use Illuminate\Support\Str;
+
+/**
+ * LoginThrottle - Límite de intentos de login para CatWare Systems
+ *
+ * Cuenta los fallos por correo + IP, por correo (para frenar a quien reparte
+ * los intentos contra una cuenta entre muchas IP) y por IP (para frenar a
+ * quien prueba muchos correos). Al superar cualquiera de los umbrales cada
+ * nuevo fallo bloquea el doble de tiempo que el anterior, hasta un máximo
+ */
+class LoginThrottle
+{
+    /**
+     * Fallos permitidos por correo e IP antes del primer bloqueo
+     */
+    public const MAX_ATTEMPTS = 5;
+
+    /**
+     * Fallos permitidos por correo (desde cualquier IP) antes del primer bloqueo
+     */
+    public const MAX_ATTEMPTS_PER_EMAIL = 10;
+
+    /**
+     * Fallos permitidos por IP (con cualquier correo) antes del primer bloqueo
+     */
+    public const MAX_ATTEMPTS_PER_IP = 20;
+
+    /**
+     * Duración del primer bloqueo en segundos (luego se duplica)
+     */
+    public const BASE_LOCKOUT_SECONDS = 30;
+
+    /**
+     * Duración máxima de un bloqueo en segundos
+     */
+    public const MAX_LOCKOUT_SECONDS = 900;
+
+    /**
+     * Segundos desde el primer fallo tras los que se olvida el contador
+     */
+    public const DECAY_SECONDS = 3600;
+
+    /**
+     * Segundos que faltan para poder volver a intentarlo (0 si no hay bloqueo)
+     *
+     * @param Request $request
+     * @return int
+     */
+    public function availableIn(Request $request): int
+    {
+        $seconds = 0;
+
+        foreach (array_keys($this->limits($request)) as $key) {
+            $lockedUntil = (int) Cache::get($key . ':locked_until', 0);
+            $seconds = max($seconds, $lockedUntil - now()->getTimestamp());
+        }
+
+        return $seconds;
+    }
+
+    /**
+     * Registrar un intento fallido
+     *
+     * @param Request $request
+     * @return int Segundos de bloqueo que provoca este fallo (0 si ninguno)
+     */
+    public function hit(Request $request): int
+    {
+        $lockout = 0;
+
+        foreach ($this->limits($request) as $key => $maxAttempts) {
+            // Incremento atómico: peticiones simultáneas no pierden fallos
+            $failures = RateLimiter::hit($key . ':failures', self::DECAY_SECONDS);
+
+            if ($failures < $maxAttempts) {
+                continue;
+            }
+
+            $seconds = (int) min(
+                self::BASE_LOCKOUT_SECONDS * 2 ** ($failures - $maxAttempts),
+                self::MAX_LOCKOUT_SECONDS
+            );
+
+            Cache::put($key . ':locked_until', now()->getTimestamp() + $seconds, $seconds);
+            $lockout = max($lockout, $seconds);
+        }
+
+        return $lockout;
+    }
+
+    /**
+     * Olvidar los fallos del correo cuando se abre la sesión
+     *
+     * Se llama tras superar todas las comprobaciones (correo verificado y
+     * segundo factor), no al acertar la contraseña. El contador por IP no se
+     * reinicia: acertar una cuenta propia no debe dar más intentos contra las demás
+     *
+     * @param Request $request
+     * @param string $email Correo de la cuenta (el segundo paso no lo envía)
+     * @return void
+     */
+    public function clear(Request $request, string $email): void
+    {
+        foreach (array_keys($this->limits($request, $email)) as $key) {
+            if ($key === $this->ipKey($request)) {
+                continue;
+            }
+
+            RateLimiter::clear($key . ':failures');
+            Cache::forget($key . ':locked_until');
+        }
+    }
+
+    /**
+     * Claves de caché de la petición con su umbral de fallos
+     *
+     * @param Request $request
+     * @param string|null $email Por defecto, el correo enviado en la petición
+     * @return array<string, int>
+     */
+    private function limits(Request $request, ?string $email = null): array
+    {
+        $email = Str::lower(trim((string) ($email ?? $request->input('email'))));
+
+        return [
+            'login-throttle:' . sha1($email . '|' . $request->ip()) => self::MAX_ATTEMPTS,
+            'login-throttle:email:' . sha1($email) => self::MAX_ATTEMPTS_PER_EMAIL,
+            $this->ipKey($request) => self::MAX_ATTEMPTS_PER_IP,
+        ];
+    }
+
+    /**
+     * Clave de caché del contador por IP
+     *
+     * @param Request $request
+     * @return string
+     */
+    private function ipKey(Request $request): string
+    {
+        return 'login-throttle:ip:' . sha1((string) $request->ip());
+    }
+}
@@ -0,0 +1,161 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Support\Str;
+
+/**
+ * PasswordPolicy - Política de contraseñas de CatWare Systems
+ *
+ * Aplica los requisitos de config('auth.password_policy') a las contraseñas
+ * nuevas. La SPA recibe la misma política en /api/auth/password-policy y
+ * repite las comprobaciones en vivo, así que deben coincidir con las de
+ * services/passwordPolicy.js del frontend
+ */
+class PasswordPolicy
+{
+    /**
+     * Lista de contraseñas comunes que se rechazan
+     */
+    private const COMMON_PASSWORDS_FILE = 'data/common-passwords.txt';
+
+    /**
+     * Longitud mínima de un dato personal para buscarlo en la contraseña
+     * (evita rechazar contraseñas por contener "ana" o "jo")
+     */
+    private const MIN_PERSONAL_FRAGMENT = 3;
+
+    /**
+     * Contraseñas comunes cargadas (en minúsculas)
+     *
+     * @var array<int, string>|null
+     */
+    private ?array $commonPasswords = null;
+
+    /**
+     * Política para la SPA
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        $config = config('auth.password_policy');
+
+        return [
+            'min_length' => $config['min_length'],
+            'mixed_case' => $config['mixed_case'],
+            'numbers' => $config['numbers'],
+            'symbols' => $config['symbols'],
+            'reject_personal_info' => $config['reject_personal_info'],
+            'common_passwords' => $config['reject_common'] ? $this->commonPasswords() : [],
+        ];
+    }
+
+    /**
+     * Requisitos que la contraseña no cumple
+     *
+     * @param string $password Contraseña a comprobar
+     * @param array<int, string|null> $personalInfo Nombre, correo... del usuario
+     * @return array<int, string> Mensajes en español (vacío si es válida)
+     */
+    public function failures(string $password, array $personalInfo = []): array
+    {
+        $config = config('auth.password_policy');
+        $failures = [];
+
+        if (mb_strlen($password) < $config['min_length']) {
+            $failures[] = "La contraseña debe tener al menos {$config['min_length']} caracteres";
+        }
+
+        if ($config['mixed_case'] && !(preg_match('/\p{Ll}/u', $password) && preg_match('/\p{Lu}/u', $password))) {
+            $failures[] = 'La contraseña debe combinar mayúsculas y minúsculas';
+        }
+
+        if ($config['numbers'] && !preg_match('/\p{N}/u', $password)) {
+            $failures[] = 'La contraseña debe incluir al menos un número';
+        }
+
+        if ($config['symbols'] && !preg_match('/[^\p{L}\p{N}]/u', $password)) {
+            $failures[] = 'La contraseña debe incluir al menos un símbolo';
+        }
+
+        if ($config['reject_personal_info'] && $this->containsPersonalInfo($password, $personalInfo)) {
+            $failures[] = 'La contraseña no puede contener tu nombre ni tu correo electrónico';
+        }
+
+        if ($config['reject_common'] && in_array(Str::lower($password), $this->commonPasswords(), true)) {
+            $failures[] = 'Esta contraseña es demasiado común';
+        }
+
+        return $failures;
+    }
+
+    /**
+     * Si la contraseña contiene el nombre o la parte local del correo
+     *
+     * @param string $password
+     * @param array<int, string|null> $personalInfo
+     * @return bool
+     */
+    private function containsPersonalInfo(string $password, array $personalInfo): bool
+    {
+        $password = Str::lower($password);
+
+        foreach ($this->personalFragments($personalInfo) as $fragment) {
+            if (str_contains($password, $fragment)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Fragmentos buscables: cada palabra del nombre y la parte local del correo
+     *
+     * @param array<int, string|null> $personalInfo
+     * @return array<int, string>
+     */
+    private function personalFragments(array $personalInfo): array
+    {
+        $fragments = [];
+
+        foreach (array_filter($personalInfo) as $value) {
+            $value = Str::lower(trim($value));
+
+            // "ana.garcia@ejemplo.com" -> "ana.garcia", "ana", "garcia"
+            if (str_contains($value, '@')) {
+                $value = Str::before($value, '@');
+                $fragments[] = $value;
+            }
+
+            foreach (preg_split('/[^\p{L}\p{N}]+/u', $value, -1, PREG_SPLIT_NO_EMPTY) as $word) {
+                $fragments[] = $word;
+            }
+        }
+
+        return array_values(array_unique(array_filter(
+            $fragments,
+            fn (string $fragment) => mb_strlen($fragment) >= self::MIN_PERSONAL_FRAGMENT
+        )));
+    }
+
+    /**
+     * Contraseñas comunes del fichero incluido (sin comentarios ni líneas vacías)
+     *
+     * @return array<int, string>
+     */
+    private function commonPasswords(): array
+    {
+        if ($this->commonPasswords === null) {
+            $lines = file(resource_path(self::COMMON_PASSWORDS_FILE), FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES);
+
+            $this->commonPasswords = array_values(array_filter(
+                array_map(fn (string $line) => Str::lower(trim($line)), $lines ?: []),
+                fn (string $line) => $line !== '' && !str_starts_with($line, '#')
+            ));
+        }
+
+        return $this->commonPasswords;
+    }
+}
@@ -0,0 +1,193 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Str;
+
+/**
+ * TwoFactorAuthenticator - Códigos TOTP (RFC 6238) para CatWare Systems
+ *
+ * Compatible con Google Authenticator, Authy, 1Password, etc.:
+ * secreto en base32, HMAC-SHA1, códigos de 6 dígitos cada 30 segundos
+ */
+class TwoFactorAuthenticator
+{
+    /**
+     * Duración de cada código en segundos
+     */
+    public const PERIOD = 30;
+
+    /**
+     * Dígitos de cada código
+     */
+    public const DIGITS = 6;
+
+    /**
+     * Intervalos aceptados antes y después del actual (desfase del reloj del móvil)
+     */
+    public const WINDOW = 1;
+
+    /**
+     * Número de códigos de recuperación que se generan
+     */
+    public const RECOVERY_CODES = 8;
+
+    /**
+     * Alfabeto base32 (RFC 4648)
+     */
+    private const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    /**
+     * Generar un secreto aleatorio de 160 bits codificado en base32
+     *
+     * @return string
+     */
+    public function generateSecret(): string
+    {
+        return $this->base32Encode(random_bytes(20));
+    }
+
+    /**
+     * URI otpauth:// que las aplicaciones leen desde el código QR
+     *
+     * @param string $email Cuenta que verá el usuario en su aplicación
+     * @param string $secret Secreto en base32
+     * @return string
+     */
+    public function otpauthUrl(string $email, string $secret): string
+    {
+        $issuer = config('app.name');
+
+        return 'otpauth://totp/' . rawurlencode($issuer . ':' . $email) . '?' . http_build_query([
+            'secret' => $secret,
+            'issuer' => $issuer,
+            'algorithm' => 'SHA1',
+            'digits' => self::DIGITS,
+            'period' => self::PERIOD,
+        ], '', '&', PHP_QUERY_RFC3986);
+    }
+
+    /**
+     * Comprobar un código contra el secreto
+     *
+     * Cada intervalo solo se acepta una vez por secreto para que
+     * un código interceptado no pueda reutilizarse
+     *
+     * @param string $secret Secreto en base32
+     * @param string $code Código introducido por el usuario
+     * @return bool
+     */
+    public function verify(string $secret, string $code): bool
+    {
+        $code = preg_replace('/\s+/', '', $code);
+
+        if (!preg_match('/^\d{' . self::DIGITS . '}$/', $code)) {
+            return false;
+        }
+
+        $currentStep = intdiv(time(), self::PERIOD);
+
+        for ($offset = -self::WINDOW; $offset <= self::WINDOW; $offset++) {
+            $step = $currentStep + $offset;
+
+            if (!hash_equals($this->codeAt($secret, $step), $code)) {
+                continue;
+            }
+
+            // Cache::add solo escribe si la clave no existe: falla si el intervalo ya se usó
+            return Cache::add(
+                'two-factor-used:' . sha1($secret) . ':' . $step,
+                true,
+                self::PERIOD * (self::WINDOW * 2 + 1)
+            );
+        }
+
+        return false;
+    }
+
+    /**
+     * Generar códigos de recuperación de un solo uso (formato XXXXX-XXXXX)
+     *
+     * @return list<string>
+     */
+    public function generateRecoveryCodes(): array
+    {
+        return Collection::times(
+            self::RECOVERY_CODES,
+            fn () => Str::upper(Str::random(5) . '-' . Str::random(5))
+        )->all();
+    }
+
+    /**
+     * Calcular el código de un intervalo (RFC 4226, truncado dinámico)
+     *
+     * @param string $secret Secreto en base32
+     * @param int $step Número de intervalo desde la época Unix
+     * @return string
+     */
+    private function codeAt(string $secret, int $step): string
+    {
+        $hash = hash_hmac('sha1', pack('J', $step), $this->base32Decode($secret), true);
+        $offset = ord($hash[strlen($hash) - 1]) & 0x0F;
+
+        $value = (
+            ((ord($hash[$offset]) & 0x7F) << 24)
+            | (ord($hash[$offset + 1]) << 16)
+            | (ord($hash[$offset + 2]) << 8)
+            | ord($hash[$offset + 3])
+        ) % (10 ** self::DIGITS);
+
+        return str_pad((string) $value, self::DIGITS, '0', STR_PAD_LEFT);
+    }
+
+    /**
+     * Codificar bytes en base32 sin relleno
+     *
+     * @param string $bytes
+     * @return string
+     */
+    private function base32Encode(string $bytes): string
+    {
+        $bits = '';
+        foreach (str_split($bytes) as $byte) {
+            $bits .= str_pad(decbin(ord($byte)), 8, '0', STR_PAD_LEFT);
+        }
+
+        $encoded = '';
+        foreach (str_split($bits, 5) as $chunk) {
+            $encoded .= self::BASE32_ALPHABET[bindec(str_pad($chunk, 5, '0'))];
+        }
+
+        return $encoded;
+    }
+
+    /**
+     * Decodificar un texto base32 (ignora relleno y minúsculas)
+     *
+     * @param string $encoded
+     * @return string
+     */
+    private function base32Decode(string $encoded): string
+    {
+        $encoded = strtoupper(rtrim($encoded, '='));
+
+        $bits = '';
+        foreach (str_split($encoded) as $char) {
+            $position = strpos(self::BASE32_ALPHABET, $char);
+            if ($position !== false) {
+                $bits .= str_pad(decbin($position), 5, '0', STR_PAD_LEFT);
+            }
+        }
+
+        $bytes = '';
+        foreach (str_split($bits, 8) as $chunk) {
+            if (strlen($chunk) === 8) {
+                $bytes .= chr(bindec($chunk));
+            }
+        }
+
+        return $bytes;
+    }
+}
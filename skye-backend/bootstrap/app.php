@@ -3,6 +3,8 @@
 use Illuminate\Foundation\Application;
 use Illuminate\Foundation\Configuration\Exceptions;
 use Illuminate\Foundation\Configuration\Middleware;
+use Illuminate\Http\Request;
+use App\Http\Responses\ApiError;
 
 return Application::configure(basePath: dirname(__DIR__))
     ->withRouting(
@@ -17,11 +19,26 @@
             \Laravel\Sanctum\Http\Middleware\EnsureFrontendRequestsAreStateful::class,
         ]);
         
+        // Middleware de habilidades de tokens Sanctum (acceso vs refresco)
+        $middleware->alias([
+            'abilities' => \Laravel\Sanctum\Http\Middleware\CheckAbilities::class,
+            'ability' => \Laravel\Sanctum\Http\Middleware\CheckForAnyAbility::class,
+            // Respuesta JSON en español para cuentas sin verificar
+            'verified' => \App\Http\Middleware\EnsureEmailIsVerified::class,
+            // Acciones de seguridad vetadas a los tokens de suplantación
+            'not-impersonating' => \App\Http\Middleware\PreventImpersonation::class,
+        ]);
+
         // Configurar CORS globalmente
         $middleware->use([
             \Illuminate\Http\Middleware\HandleCors::class,
         ]);
     })
     ->withExceptions(function (Exceptions $exceptions): void {
-        //
+        // Errores de la API con el sobre común { success, code, message } (ver App\Http\Responses\ApiError)
+        $exceptions->render(function (\Throwable $e, Request $request) {
+            if ($request->is('api/*') || $request->expectsJson()) {
+                return ApiError::fromException($e);
+            }
+        });
     })->create();
@@ -112,4 +112,25 @@
 
     'password_timeout' => env('AUTH_PASSWORD_TIMEOUT', 10800),
 
+    /*
+    |--------------------------------------------------------------------------
+    | Password Policy (CatWare Systems)
+    |--------------------------------------------------------------------------
+    |
+    | Requisitos de las contraseñas nuevas (registro, alta de usuarios y
+    | restablecimiento). App\Services\PasswordPolicy los aplica y la SPA los
+    | lee de /api/auth/password-policy para validar en vivo. La lista de
+    | contraseñas comunes está en resources/data/common-passwords.txt.
+    |
+    */
+
+    'password_policy' => [
+        'min_length' => (int) env('PASSWORD_MIN_LENGTH', 8),
+        'mixed_case' => (bool) env('PASSWORD_REQUIRE_MIXED_CASE', true),
+        'numbers' => (bool) env('PASSWORD_REQUIRE_NUMBERS', true),
+        'symbols' => (bool) env('PASSWORD_REQUIRE_SYMBOLS', false),
+        'reject_personal_info' => (bool) env('PASSWORD_REJECT_PERSONAL_INFO', true),
+        'reject_common' => (bool) env('PASSWORD_REJECT_COMMON', true),
+    ],
+
 ];
@@ -10,6 +10,10 @@
     | Configuración CORS para CatWare Systems
     | Permite requests desde React frontend (localhost:5173)
     |
+    | En modo SPA (SANCTUM_SPA_MODE=true) los orígenes permitidos deben
+    | coincidir con SANCTUM_STATEFUL_DOMAINS y supports_credentials debe
+    | ser true para que el navegador envíe las cookies de sesión y XSRF.
+    |
     */
 
     'paths' => ['api/*', 'sanctum/csrf-cookie'],
@@ -22,13 +26,15 @@
         'http://127.0.0.1:5173',
         'http://127.0.0.1:5174',
         'http://localhost:3000',  // Por si usas otro puerto
+        env('FRONTEND_URL', 'http://localhost:5173'),  // Origen del frontend en producción
     ],
 
     'allowed_origins_patterns' => [],
 
     'allowed_headers' => ['*'],
 
-    'exposed_headers' => [],
+    // Retry-After indica al frontend cuánto esperar tras un 429
+    'exposed_headers' => ['Retry-After'],
 
     'max_age' => 0,
 
@@ -15,12 +15,29 @@
     |
     */
 
-    'stateful' => explode(',', env('SANCTUM_STATEFUL_DOMAINS', sprintf(
+    'stateful' => env('SANCTUM_SPA_MODE', false) ? explode(',', env('SANCTUM_STATEFUL_DOMAINS', sprintf(
         '%s%s',
-        'localhost,localhost:3000,127.0.0.1,127.0.0.1:8000,::1',
+        'localhost,localhost:3000,localhost:5173,127.0.0.1,127.0.0.1:5173,127.0.0.1:8000,::1',
         Sanctum::currentApplicationUrlWithPort(),
         // Sanctum::currentRequestHost(),
-    ))),
+    ))) : [],
+
+    /*
+    |--------------------------------------------------------------------------
+    | SPA Mode (CatWare Systems)
+    |--------------------------------------------------------------------------
+    |
+    | Modo opcional en el que el frontend React se autentica con la sesión
+    | de Sanctum (cookies + CSRF) en lugar de tokens Bearer. Solo en este
+    | modo los dominios de arriba se tratan como stateful; en modo token la
+    | lista queda vacía para que las peticiones no exijan CSRF.
+    |
+    | El frontend debe arrancar con VITE_AUTH_MODE=spa y su origen debe
+    | figurar también en allowed_origins de config/cors.php.
+    |
+    */
+
+    'spa_mode' => (bool) env('SANCTUM_SPA_MODE', false),
 
     /*
     |--------------------------------------------------------------------------
@@ -47,7 +64,26 @@
     |
     */
 
-    'expiration' => null,
+    // Límite global: ningún token (ni los antiguos sin expires_at) dura más que uno de refresco
+    'expiration' => (int) env('SANCTUM_REFRESH_TOKEN_EXPIRATION', 60 * 24 * 7),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Access / Refresh Token Lifetimes (CatWare Systems)
+    |--------------------------------------------------------------------------
+    |
+    | Minutos de vida de los tokens emitidos por AuthController. El token de
+    | acceso es de corta duración; el token de refresco solo sirve para pedir
+    | un nuevo par de tokens en /api/auth/refresh.
+    |
+    */
+
+    'access_token_expiration' => (int) env('SANCTUM_ACCESS_TOKEN_EXPIRATION', 60),
+
+    'refresh_token_expiration' => (int) env('SANCTUM_REFRESH_TOKEN_EXPIRATION', 60 * 24 * 7),
+
+    // Token de suplantación (ImpersonationController): sin token de refresco
+    'impersonation_token_expiration' => (int) env('SANCTUM_IMPERSONATION_TOKEN_EXPIRATION', 30),
 
     /*
     |--------------------------------------------------------------------------
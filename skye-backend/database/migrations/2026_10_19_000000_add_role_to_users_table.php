@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->string('role', 20)->default('viewer')->after('email')->index();
+        });
+
+        // Promover al usuario más antiguo para no dejar la instalación sin administrador
+        $firstUserId = DB::table('users')->min('id');
+
+        if ($firstUserId !== null) {
+            DB::table('users')->where('id', $firstUserId)->update(['role' => 'admin']);
+        }
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropIndex(['role']);
+            $table->dropColumn('role');
+        });
+    }
+};
@@ -0,0 +1,26 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Support\Facades\DB;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Las cuentas anteriores a la verificación por correo conservan el acceso
+        DB::table('users')
+            ->whereNull('email_verified_at')
+            ->update(['email_verified_at' => now()]);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        // No se puede saber qué cuentas se verificaron en esta migración
+    }
+};
@@ -0,0 +1,44 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+use Illuminate\Support\Str;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('personal_access_tokens', function (Blueprint $table) {
+            // Los tokens de acceso y de refresco de un mismo login comparten session_id
+            $table->uuid('session_id')->nullable()->after('tokenable_id')->index();
+            $table->string('ip_address', 45)->nullable()->after('last_used_at');
+            $table->text('user_agent')->nullable()->after('ip_address');
+        });
+
+        // Cada token anterior pasa a ser una sesión independiente
+        DB::table('personal_access_tokens')
+            ->whereNull('session_id')
+            ->orderBy('id')
+            ->eachById(function ($token) {
+                DB::table('personal_access_tokens')
+                    ->where('id', $token->id)
+                    ->update(['session_id' => (string) Str::uuid()]);
+            });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('personal_access_tokens', function (Blueprint $table) {
+            $table->dropIndex(['session_id']);
+            $table->dropColumn(['session_id', 'ip_address', 'user_agent']);
+        });
+    }
+};
@@ -0,0 +1,27 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Support\Facades\DB;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        // Los tokens emitidos antes de los tokens de refresco no caducaban: se revocan
+        // y esas sesiones tendrán que volver a iniciar sesión
+        DB::table('personal_access_tokens')
+            ->whereNull('expires_at')
+            ->delete();
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        // Los tokens revocados no se pueden recuperar
+    }
+};
@@ -4,6 +4,7 @@
 
 use Illuminate\Database\Console\Seeds\WithoutModelEvents;
 use Illuminate\Database\Seeder;
+use App\Enums\Role;
 use App\Models\User;
 use Illuminate\Support\Facades\Hash;
 
@@ -11,17 +12,18 @@ class UserSeeder extends Seeder
 {
     /**
      * Crear usuarios de prueba para CatWare Systems
-     * Incluye usuario admin y usuarios de ejemplo
+     * Incluye usuario admin, un gestor y usuarios de ejemplo con rol de lector
      */
     public function run(): void
     {
-        // Usuario administrador para login
+        // Usuario administrador para login (los usuarios de prueba ya tienen el correo verificado)
         User::create([
             'name' => 'Administrador',
             'email' => 'admin@test.com',
-            'password' => Hash::make('123456'),
+            'password' => Hash::make('CatWare-2025'),
+            'role' => Role::Admin,
             'created_at' => now()->subDays(30),
-        ]);
+        ])->markEmailAsVerified();
         
         // Usuarios de ejemplo (mismo que el frontend mockup)
         $users = [
@@ -33,6 +35,7 @@ public function run(): void
             [
                 'name' => 'María García',
                 'email' => 'maria.garcia@ejemplo.com',
+                'role' => Role::Manager,
                 'created_at' => '2024-02-20 14:22:00'
             ],
             [
@@ -61,10 +64,11 @@ public function run(): void
             User::create([
                 'name' => $userData['name'],
                 'email' => $userData['email'],
-                'password' => Hash::make('password123'),
+                'password' => Hash::make('Ejemplo-2025'),
+                'role' => $userData['role'] ?? Role::Viewer,
                 'created_at' => $userData['created_at'],
                 'updated_at' => $userData['created_at'],
-            ]);
+            ])->markEmailAsVerified();
         }
     }
 }
@@ -1,9 +1,18 @@
 <?php
 
-use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Route;
+use App\Http\Controllers\AuditLogController;
 use App\Http\Controllers\AuthController;
+use App\Http\Controllers\EmailVerificationController;
+use App\Http\Controllers\ImpersonationController;
+use App\Http\Controllers\PasswordPolicyController;
+use App\Http\Controllers\PasswordResetController;
+use App\Http\Controllers\ProfileController;
+use App\Http\Controllers\SessionController;
+use App\Http\Controllers\TwoFactorController;
 use App\Http\Controllers\UserController;
+use App\Models\AuditLog;
+use App\Models\User;
 
 /*
 |--------------------------------------------------------------------------
@@ -14,17 +23,77 @@
 // Rutas públicas (sin autenticación)
 Route::post('/auth/login', [AuthController::class, 'login']);
 Route::post('/auth/register', [AuthController::class, 'register']);
+Route::get('/auth/password-policy', [PasswordPolicyController::class, 'show']);
 
-// Rutas protegidas (con autenticación Sanctum)
-Route::middleware('auth:sanctum')->group(function () {
-    // Auth routes
-    Route::post('/auth/logout', [AuthController::class, 'logout']);
+// Disponibilidad del correo durante el registro (limitada contra la enumeración de cuentas)
+Route::get('/auth/email-available', [AuthController::class, 'emailAvailable'])
+    ->middleware('throttle:30,1');
+
+// Segundo paso del login con verificación en dos pasos (limitado contra fuerza bruta)
+Route::post('/auth/two-factor-challenge', [AuthController::class, 'twoFactorChallenge'])
+    ->middleware('throttle:6,1');
+
+// Recuperación de contraseña (limitada para evitar el envío masivo de correos)
+Route::middleware('throttle:6,1')->group(function () {
+    Route::post('/auth/forgot-password', [PasswordResetController::class, 'forgotPassword']);
+    Route::post('/auth/reset-password', [PasswordResetController::class, 'resetPassword']);
+});
+
+// Verificación de correo (enlace firmado del correo y reenvío del enlace)
+Route::middleware('throttle:6,1')->group(function () {
+    Route::get('/auth/email/verify/{id}/{hash}', [EmailVerificationController::class, 'verify'])
+        ->name('verification.verify');
+    Route::post('/auth/email/resend', [EmailVerificationController::class, 'resend']);
+});
+
+// Renovación de tokens (requiere el token de refresco, no el de acceso)
+Route::post('/auth/refresh', [AuthController::class, 'refresh'])
+    ->middleware(['auth:sanctum', 'abilities:' . AuthController::REFRESH_ABILITY]);
+
+// Logout (sin exigir correo verificado: tras cambiar el correo hay que poder salir)
+Route::post('/auth/logout', [AuthController::class, 'logout'])
+    ->middleware(['auth:sanctum', 'ability:' . AuthController::ACCESS_ABILITY]);
+
+// Volver a la cuenta del administrador (con el token de suplantación)
+Route::delete('/auth/impersonation', [ImpersonationController::class, 'destroy'])
+    ->middleware(['auth:sanctum', 'ability:' . AuthController::ACCESS_ABILITY]);
+
+// Rutas protegidas (con autenticación Sanctum y correo verificado)
+Route::middleware(['auth:sanctum', 'ability:' . AuthController::ACCESS_ABILITY, 'verified'])->group(function () {
+    // User routes (permisos por rol en UserPolicy)
+    Route::get('/users', [UserController::class, 'index'])->can('viewAny', User::class);
+    
+    // Registro de auditoría (permiso en AuditLogPolicy)
+    Route::get('/audit-logs', [AuditLogController::class, 'index'])->can('viewAny', AuditLog::class);
+    
+    // Sesiones activas (dispositivos) del usuario actual
+    Route::get('/sessions', [SessionController::class, 'index']);
     
-    // User routes
-    Route::get('/users', [UserController::class, 'index']);
+    // Perfil del usuario actual (rol y permisos)
+    Route::get('/user', [ProfileController::class, 'show']);
     
-    // Ruta original (información del usuario actual)
-    Route::get('/user', function (Request $request) {
-        return $request->user();
+    // Seguridad de la cuenta: no disponible con un token de suplantación
+    Route::middleware('not-impersonating')->group(function () {
+        // Cambios en el directorio de usuarios (incluido el propio usuario suplantado)
+        Route::post('/users', [UserController::class, 'store'])->can('create', User::class);
+        Route::put('/users/{user}', [UserController::class, 'update'])->can('update', 'user');
+        Route::delete('/users/{user}', [UserController::class, 'destroy'])->can('delete', 'user');
+        Route::delete('/users/{user}/two-factor', [UserController::class, 'resetTwoFactor'])
+            ->can('resetTwoFactor', 'user');
+        Route::post('/users/{user}/impersonate', [ImpersonationController::class, 'store'])
+            ->can('impersonate', 'user');
+        
+        // Verificación en dos pasos del usuario actual
+        Route::post('/user/two-factor', [TwoFactorController::class, 'enable']);
+        Route::post('/user/two-factor/confirm', [TwoFactorController::class, 'confirm']);
+        Route::post('/user/two-factor/recovery-codes', [TwoFactorController::class, 'regenerateRecoveryCodes']);
+        Route::delete('/user/two-factor', [TwoFactorController::class, 'disable']);
+        
+        // Cerrar sesiones de otros dispositivos
+        Route::delete('/sessions/{sessionId}', [SessionController::class, 'destroy']);
+        
+        // Datos personales y contraseña
+        Route::put('/user', [ProfileController::class, 'update']);
+        Route::put('/user/password', [ProfileController::class, 'updatePassword']);
     });
 });
@@ -0,0 +1,92 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\AuditLog;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class AuditLogTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function accessToken(User $user): string
+    {
+        return $user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+    }
+
+    public function test_guest_cannot_read_the_log(): void
+    {
+        $this->getJson('/api/audit-logs')
+            ->assertUnauthorized()
+            ->assertJson(['code' => 'unauthenticated']);
+    }
+
+    public function test_only_admins_can_read_the_log(): void
+    {
+        foreach ([User::factory()->manager()->create(), User::factory()->create()] as $user) {
+            $this->app['auth']->forgetGuards();
+
+            $this->withToken($this->accessToken($user))
+                ->getJson('/api/audit-logs')
+                ->assertForbidden()
+                ->assertJson(['message' => 'No tienes permiso para ver el registro de auditoría']);
+        }
+
+        $this->app['auth']->forgetGuards();
+        $admin = User::factory()->admin()->create();
+
+        $this->withToken($this->accessToken($admin))
+            ->getJson('/api/audit-logs')
+            ->assertOk()
+            ->assertJsonStructure(['logs']);
+    }
+
+    public function test_invalid_filters_are_validation_errors(): void
+    {
+        $admin = User::factory()->admin()->create();
+
+        $this->withToken($this->accessToken($admin))
+            ->getJson('/api/audit-logs?action=user.hacked&created_from=2025-02-01&created_to=2025-01-01')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['action', 'created_to']);
+    }
+
+    public function test_failed_login_is_recorded_with_the_email_used(): void
+    {
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+
+        $this->postJson('/api/auth/login', [
+            'email' => 'ana@ejemplo.com',
+            'password' => 'incorrecta',
+        ])->assertUnauthorized();
+
+        $log = AuditLog::where('action', AuditLog::LOGIN_FAILED)->sole();
+        $this->assertNull($log->actor_id);
+        $this->assertSame($user->id, $log->target_id);
+        $this->assertSame('ana@ejemplo.com', $log->metadata['email']);
+    }
+
+    public function test_user_update_records_the_changes_without_the_password(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create(['name' => 'Nombre Actual']);
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson("/api/users/{$user->id}", [
+                'name' => 'Nombre Nuevo',
+                'email' => $user->email,
+                'password' => 'Tornado-Azul-47',
+                'password_confirmation' => 'Tornado-Azul-47',
+            ])
+            ->assertOk();
+
+        $log = AuditLog::where('action', AuditLog::USER_UPDATED)->sole();
+        $this->assertSame($admin->id, $log->actor_id);
+        $this->assertSame(['old' => 'Nombre Actual', 'new' => 'Nombre Nuevo'], $log->metadata['changes']['name']);
+        $this->assertTrue($log->metadata['changes']['password']);
+        $this->assertStringNotContainsString('Tornado-Azul-47', json_encode($log->metadata));
+    }
+}
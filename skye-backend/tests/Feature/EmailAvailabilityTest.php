@@ -0,0 +1,40 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class EmailAvailabilityTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_free_email_is_available(): void
+    {
+        $this->getJson('/api/auth/email-available?email=libre@ejemplo.com')
+            ->assertOk()
+            ->assertJson(['success' => true, 'available' => true]);
+    }
+
+    public function test_registered_email_is_not_available(): void
+    {
+        User::factory()->create(['email' => 'ocupado@ejemplo.com']);
+
+        $this->getJson('/api/auth/email-available?email=ocupado@ejemplo.com')
+            ->assertOk()
+            ->assertJson([
+                'success' => true,
+                'available' => false,
+                'message' => 'Este correo electrónico ya está registrado',
+            ]);
+    }
+
+    public function test_malformed_email_is_rejected(): void
+    {
+        $this->getJson('/api/auth/email-available?email=no-es-un-correo')
+            ->assertStatus(422)
+            ->assertJson(['success' => false, 'code' => 'validation_failed'])
+            ->assertJsonValidationErrors('email');
+    }
+}
@@ -0,0 +1,127 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\AuditLog;
+use App\Models\User;
+use Illuminate\Auth\Notifications\VerifyEmail;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class EmailVerificationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Ruta de la API a la que llama la SPA con los datos del enlace del correo
+     */
+    private function verificationPath(User $user, array $overrides = []): string
+    {
+        parse_str((string) parse_url($user->emailVerificationUrl(), PHP_URL_QUERY), $link);
+        $link = [...$link, ...$overrides];
+
+        return "/api/auth/email/verify/{$link['id']}/{$link['hash']}?" . http_build_query([
+            'expires' => $link['expires'],
+            'signature' => $link['signature'],
+        ]);
+    }
+
+    public function test_registration_sends_the_link_without_opening_a_session(): void
+    {
+        Notification::fake();
+
+        $this->postJson('/api/auth/register', [
+            'name' => 'Lucas Moreno',
+            'email' => 'lucas@ejemplo.com',
+            'password' => 'Tornado-Azul-47',
+            'password_confirmation' => 'Tornado-Azul-47',
+        ])
+            ->assertCreated()
+            ->assertJsonMissingPath('token');
+
+        $user = User::where('email', 'lucas@ejemplo.com')->sole();
+        $this->assertFalse($user->hasVerifiedEmail());
+        Notification::assertSentTo($user, VerifyEmail::class);
+    }
+
+    public function test_unverified_account_cannot_log_in(): void
+    {
+        User::factory()->unverified()->create(['email' => 'ana@ejemplo.com']);
+
+        $this->postJson('/api/auth/login', [
+            'email' => 'ana@ejemplo.com',
+            'password' => 'password',
+        ])
+            ->assertForbidden()
+            ->assertJson(['code' => 'email_unverified'])
+            ->assertJsonMissingPath('token');
+    }
+
+    public function test_unverified_account_token_cannot_use_protected_routes(): void
+    {
+        $user = User::factory()->unverified()->create();
+
+        $this->withToken($user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken)
+            ->getJson('/api/user')
+            ->assertForbidden()
+            ->assertJson(['code' => 'email_unverified']);
+    }
+
+    public function test_tampered_link_is_rejected(): void
+    {
+        $user = User::factory()->unverified()->create();
+
+        $this->getJson($this->verificationPath($user, ['signature' => str_repeat('0', 64)]))
+            ->assertForbidden()
+            ->assertJson(['code' => 'invalid_link']);
+
+        $this->getJson($this->verificationPath($user, ['hash' => sha1('otro@ejemplo.com')]))
+            ->assertForbidden()
+            ->assertJson(['code' => 'invalid_link']);
+
+        $this->assertFalse($user->fresh()->hasVerifiedEmail());
+    }
+
+    public function test_expired_link_is_rejected(): void
+    {
+        $user = User::factory()->unverified()->create();
+        $path = $this->verificationPath($user);
+
+        $this->travel(config('auth.verification.expire', 60) + 1)->minutes();
+
+        $this->getJson($path)
+            ->assertForbidden()
+            ->assertJson(['code' => 'invalid_link']);
+    }
+
+    public function test_valid_link_verifies_the_email_once(): void
+    {
+        $user = User::factory()->unverified()->create();
+        $path = $this->verificationPath($user);
+
+        $this->getJson($path)->assertOk();
+
+        $this->assertTrue($user->fresh()->hasVerifiedEmail());
+        $this->assertSame(1, AuditLog::where('action', AuditLog::EMAIL_VERIFIED)->count());
+
+        // Volver a abrir el enlace no registra otra verificación
+        $this->getJson($path)->assertOk();
+        $this->assertSame(1, AuditLog::where('action', AuditLog::EMAIL_VERIFIED)->count());
+    }
+
+    public function test_resend_only_mails_pending_accounts(): void
+    {
+        Notification::fake();
+        $pending = User::factory()->unverified()->create(['email' => 'pendiente@ejemplo.com']);
+        User::factory()->create(['email' => 'verificado@ejemplo.com']);
+
+        foreach (['pendiente@ejemplo.com', 'verificado@ejemplo.com', 'nadie@ejemplo.com'] as $email) {
+            $this->postJson('/api/auth/email/resend', ['email' => $email])->assertOk();
+        }
+
+        Notification::assertSentTo($pending, VerifyEmail::class);
+        Notification::assertCount(1);
+    }
+}
@@ -0,0 +1,138 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\AuditLog;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ImpersonationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Petición con el token indicado (sin reutilizar el usuario de la anterior)
+     */
+    private function withFreshToken(string $token): static
+    {
+        $this->app['auth']->forgetGuards();
+
+        return $this->withToken($token);
+    }
+
+    private function accessToken(User $user): string
+    {
+        return $user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+    }
+
+    public function test_manager_cannot_impersonate(): void
+    {
+        $manager = User::factory()->manager()->create();
+        $user = User::factory()->create();
+
+        $this->withFreshToken($this->accessToken($manager))
+            ->postJson("/api/users/{$user->id}/impersonate")
+            ->assertForbidden();
+
+        $this->assertSame(0, $user->tokens()->count());
+    }
+
+    public function test_admin_cannot_impersonate_admins_themselves_or_unverified_users(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $token = $this->accessToken($admin);
+
+        $cases = [
+            'No puedes entrar como tú mismo' => $admin,
+            'No se puede entrar como otro administrador' => User::factory()->admin()->create(),
+            'El usuario aún no ha verificado su correo' => User::factory()->unverified()->create(),
+        ];
+
+        foreach ($cases as $message => $target) {
+            $this->withFreshToken($token)
+                ->postJson("/api/users/{$target->id}/impersonate")
+                ->assertForbidden()
+                ->assertJson(['message' => $message]);
+        }
+
+        $this->assertSame(0, AuditLog::where('action', AuditLog::IMPERSONATION_STARTED)->count());
+    }
+
+    public function test_impersonation_token_sees_the_user_and_its_admin(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+
+        $token = $this->withFreshToken($this->accessToken($admin))
+            ->postJson("/api/users/{$user->id}/impersonate")
+            ->assertOk()
+            ->assertJsonMissingPath('refresh_token')
+            ->json('token');
+
+        $this->withFreshToken($token)
+            ->getJson('/api/user')
+            ->assertOk()
+            ->assertJsonPath('id', $user->id)
+            ->assertJsonPath('impersonator.id', $admin->id);
+    }
+
+    public function test_impersonation_token_cannot_change_account_security(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+
+        $token = $this->withFreshToken($this->accessToken($admin))
+            ->postJson("/api/users/{$user->id}/impersonate")
+            ->json('token');
+
+        $this->withFreshToken($token)
+            ->putJson('/api/user/password', [
+                'current_password' => 'password',
+                'password' => 'Tornado-Azul-47',
+                'password_confirmation' => 'Tornado-Azul-47',
+            ])
+            ->assertForbidden()
+            ->assertJson(['code' => 'impersonating']);
+
+        $this->withFreshToken($token)
+            ->postJson('/api/user/two-factor')
+            ->assertForbidden()
+            ->assertJson(['code' => 'impersonating']);
+
+        $this->withFreshToken($token)
+            ->postJson('/api/auth/logout', ['all_devices' => true])
+            ->assertForbidden();
+    }
+
+    public function test_stopping_requires_an_impersonation_token(): void
+    {
+        $admin = User::factory()->admin()->create();
+
+        $this->withFreshToken($this->accessToken($admin))
+            ->deleteJson('/api/auth/impersonation')
+            ->assertStatus(422)
+            ->assertJson(['code' => 'not_impersonating']);
+    }
+
+    public function test_stopping_revokes_the_token_and_is_audited(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+
+        $token = $this->withFreshToken($this->accessToken($admin))
+            ->postJson("/api/users/{$user->id}/impersonate")
+            ->json('token');
+
+        $this->withFreshToken($token)
+            ->deleteJson('/api/auth/impersonation')
+            ->assertOk();
+
+        $this->assertSame(0, $user->tokens()->count());
+
+        $log = AuditLog::where('action', AuditLog::IMPERSONATION_ENDED)->sole();
+        $this->assertSame($admin->id, $log->actor_id);
+        $this->assertSame($user->id, $log->target_id);
+    }
+}
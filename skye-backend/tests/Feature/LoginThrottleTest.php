@@ -0,0 +1,118 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use App\Services\LoginThrottle;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class LoginThrottleTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        User::factory()->create(['email' => 'ana@ejemplo.com']);
+    }
+
+    private function attempt(string $password)
+    {
+        return $this->postJson('/api/auth/login', [
+            'email' => 'ana@ejemplo.com',
+            'password' => $password,
+        ]);
+    }
+
+    public function test_correct_password_logs_in(): void
+    {
+        $this->attempt('password')
+            ->assertOk()
+            ->assertJsonStructure(['token', 'refresh_token', 'user']);
+    }
+
+    public function test_failures_below_the_limit_are_invalid_credentials(): void
+    {
+        for ($i = 1; $i < LoginThrottle::MAX_ATTEMPTS; $i++) {
+            $this->attempt('incorrecta')
+                ->assertStatus(401)
+                ->assertJsonMissingPath('token');
+        }
+
+        $this->attempt('password')->assertOk();
+    }
+
+    public function test_too_many_failures_lock_the_login(): void
+    {
+        for ($i = 1; $i < LoginThrottle::MAX_ATTEMPTS; $i++) {
+            $this->attempt('incorrecta');
+        }
+
+        $this->attempt('incorrecta')
+            ->assertStatus(429)
+            ->assertHeader('Retry-After', (string) LoginThrottle::BASE_LOCKOUT_SECONDS)
+            ->assertJson(['retry_after' => LoginThrottle::BASE_LOCKOUT_SECONDS]);
+
+        // Durante el bloqueo ni la contraseña correcta abre sesión
+        $this->attempt('password')
+            ->assertStatus(429)
+            ->assertJsonMissingPath('token');
+    }
+
+    public function test_each_failure_after_the_limit_doubles_the_lockout(): void
+    {
+        for ($i = 0; $i < LoginThrottle::MAX_ATTEMPTS; $i++) {
+            $this->attempt('incorrecta');
+        }
+
+        $this->travel(LoginThrottle::BASE_LOCKOUT_SECONDS + 1)->seconds();
+
+        $this->attempt('incorrecta')
+            ->assertStatus(429)
+            ->assertJson(['retry_after' => LoginThrottle::BASE_LOCKOUT_SECONDS * 2]);
+    }
+
+    public function test_unverified_account_does_not_reset_the_counter(): void
+    {
+        User::where('email', 'ana@ejemplo.com')->update(['email_verified_at' => null]);
+
+        for ($i = 1; $i < LoginThrottle::MAX_ATTEMPTS; $i++) {
+            $this->attempt('incorrecta');
+        }
+
+        $this->attempt('password')->assertForbidden();
+
+        $this->attempt('incorrecta')->assertStatus(429);
+    }
+
+    public function test_failures_spread_across_ips_lock_the_email(): void
+    {
+        for ($i = 1; $i < LoginThrottle::MAX_ATTEMPTS_PER_EMAIL; $i++) {
+            $this->withServerVariables(['REMOTE_ADDR' => "10.0.0.{$i}"])
+                ->attempt('incorrecta')
+                ->assertStatus(401);
+        }
+
+        $this->withServerVariables(['REMOTE_ADDR' => '10.0.1.1'])
+            ->attempt('incorrecta')
+            ->assertStatus(429)
+            ->assertJson(['retry_after' => LoginThrottle::BASE_LOCKOUT_SECONDS]);
+
+        $this->withServerVariables(['REMOTE_ADDR' => '10.0.1.2'])
+            ->attempt('password')
+            ->assertStatus(429);
+    }
+
+    public function test_login_works_again_when_the_lockout_ends(): void
+    {
+        for ($i = 0; $i < LoginThrottle::MAX_ATTEMPTS; $i++) {
+            $this->attempt('incorrecta');
+        }
+
+        $this->travel(LoginThrottle::BASE_LOCKOUT_SECONDS + 1)->seconds();
+
+        $this->attempt('password')->assertOk();
+    }
+}
@@ -0,0 +1,124 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class PasswordPolicyTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function register(string $password)
+    {
+        return $this->postJson('/api/auth/register', [
+            'name' => 'Lucas Moreno',
+            'email' => 'lucas@ejemplo.com',
+            'password' => $password,
+            'password_confirmation' => $password,
+        ]);
+    }
+
+    public function test_policy_endpoint_exposes_the_requirements(): void
+    {
+        $response = $this->getJson('/api/auth/password-policy')
+            ->assertOk()
+            ->assertJson([
+                'success' => true,
+                'policy' => [
+                    'min_length' => 8,
+                    'mixed_case' => true,
+                    'numbers' => true,
+                    'reject_personal_info' => true,
+                ],
+            ]);
+
+        $this->assertContains('password1', $response->json('policy.common_passwords'));
+    }
+
+    public function test_strong_password_is_accepted(): void
+    {
+        Notification::fake();
+
+        $this->register('Tornado-Azul-47')->assertCreated();
+    }
+
+    public function test_short_password_is_rejected(): void
+    {
+        $this->register('Ab1')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors([
+                'password' => 'La contraseña debe tener al menos 8 caracteres',
+            ]);
+    }
+
+    public function test_password_without_numbers_or_mixed_case_is_rejected(): void
+    {
+        $this->register('solominusculas')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors([
+                'password' => [
+                    'La contraseña debe combinar mayúsculas y minúsculas',
+                    'La contraseña debe incluir al menos un número',
+                ],
+            ]);
+    }
+
+    public function test_common_password_is_rejected(): void
+    {
+        $this->register('Password1')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['password' => 'Esta contraseña es demasiado común']);
+    }
+
+    public function test_password_with_personal_info_is_rejected(): void
+    {
+        $this->register('Moreno2024')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors([
+                'password' => 'La contraseña no puede contener tu nombre ni tu correo electrónico',
+            ]);
+    }
+
+    public function test_password_that_is_not_text_is_a_validation_error(): void
+    {
+        $this->postJson('/api/auth/register', [
+            'name' => 'Lucas Moreno',
+            'email' => 'lucas@ejemplo.com',
+            'password' => ['Tornado-Azul-47'],
+            'password_confirmation' => ['Tornado-Azul-47'],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('password');
+    }
+
+    public function test_users_created_by_an_admin_follow_the_policy(): void
+    {
+        Notification::fake();
+        $admin = User::factory()->admin()->create();
+        $token = $admin->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+
+        $user = [
+            'name' => 'Lucas Moreno',
+            'email' => 'lucas@ejemplo.com',
+            'password' => 'qwerty123',
+            'password_confirmation' => 'qwerty123',
+        ];
+
+        $this->withToken($token)
+            ->postJson('/api/users', $user)
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('password');
+
+        $this->withToken($token)
+            ->postJson('/api/users', [
+                ...$user,
+                'password' => 'Tornado-Azul-47',
+                'password_confirmation' => 'Tornado-Azul-47',
+            ])
+            ->assertCreated();
+    }
+}
@@ -0,0 +1,91 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use Illuminate\Auth\Notifications\ResetPassword;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Hash;
+use Illuminate\Support\Facades\Notification;
+use Illuminate\Support\Facades\Password;
+use Tests\TestCase;
+
+class PasswordResetTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_forgot_password_answers_the_same_for_unknown_emails(): void
+    {
+        Notification::fake();
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+
+        $known = $this->postJson('/api/auth/forgot-password', ['email' => 'ana@ejemplo.com'])
+            ->assertOk()
+            ->json();
+
+        $unknown = $this->postJson('/api/auth/forgot-password', ['email' => 'nadie@ejemplo.com'])
+            ->assertOk()
+            ->json();
+
+        $this->assertSame($known, $unknown);
+        Notification::assertSentTo($user, ResetPassword::class);
+        Notification::assertCount(1);
+    }
+
+    public function test_invalid_token_is_rejected(): void
+    {
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+
+        $this->postJson('/api/auth/reset-password', [
+            'token' => 'desconocido',
+            'email' => 'ana@ejemplo.com',
+            'password' => 'Tornado-Azul-47',
+            'password_confirmation' => 'Tornado-Azul-47',
+        ])
+            ->assertStatus(422)
+            ->assertJson(['code' => 'invalid_link']);
+
+        $this->assertTrue(Hash::check('password', $user->fresh()->password));
+    }
+
+    public function test_new_password_must_follow_the_policy(): void
+    {
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+
+        $this->postJson('/api/auth/reset-password', [
+            'token' => Password::createToken($user),
+            'email' => 'ana@ejemplo.com',
+            'password' => 'corta',
+            'password_confirmation' => 'corta',
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('password');
+
+        $this->assertTrue(Hash::check('password', $user->fresh()->password));
+    }
+
+    public function test_reset_changes_the_password_and_closes_every_session(): void
+    {
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+        $user->createToken('test', [AuthController::ACCESS_ABILITY]);
+        $token = Password::createToken($user);
+
+        $reset = [
+            'token' => $token,
+            'email' => 'ana@ejemplo.com',
+            'password' => 'Tornado-Azul-47',
+            'password_confirmation' => 'Tornado-Azul-47',
+        ];
+
+        $this->postJson('/api/auth/reset-password', $reset)->assertOk();
+
+        $this->assertTrue(Hash::check('Tornado-Azul-47', $user->fresh()->password));
+        $this->assertSame(0, $user->tokens()->count());
+
+        // El enlace solo sirve una vez
+        $this->postJson('/api/auth/reset-password', $reset)
+            ->assertStatus(422)
+            ->assertJson(['code' => 'invalid_link']);
+    }
+}
@@ -0,0 +1,94 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use App\Notifications\VerifyPendingEmail;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class ProfileEmailChangeTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function accessToken(User $user): string
+    {
+        return $user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+    }
+
+    public function test_changing_the_email_requires_the_current_password(): void
+    {
+        $user = User::factory()->create(['email' => 'actual@ejemplo.com']);
+
+        $this->withToken($this->accessToken($user))
+            ->putJson('/api/user', ['name' => $user->name, 'email' => 'nuevo@ejemplo.com'])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('current_password');
+
+        $this->withToken($this->accessToken($user))
+            ->putJson('/api/user', [
+                'name' => $user->name,
+                'email' => 'nuevo@ejemplo.com',
+                'current_password' => 'incorrecta',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('current_password');
+
+        $this->assertSame('actual@ejemplo.com', $user->fresh()->email);
+        $this->assertNull($user->fresh()->pending_email);
+    }
+
+    public function test_new_email_stays_pending_until_the_link_is_opened(): void
+    {
+        Notification::fake();
+        $user = User::factory()->create(['email' => 'actual@ejemplo.com']);
+
+        $this->withToken($this->accessToken($user))
+            ->putJson('/api/user', [
+                'name' => $user->name,
+                'email' => 'nuevo@ejemplo.com',
+                'current_password' => 'password',
+            ])
+            ->assertOk()
+            ->assertJson(['email_change_pending' => true]);
+
+        $user->refresh();
+        $this->assertSame('actual@ejemplo.com', $user->email);
+        $this->assertSame('nuevo@ejemplo.com', $user->pending_email);
+        $this->assertTrue($user->hasVerifiedEmail());
+        Notification::assertSentOnDemand(VerifyPendingEmail::class);
+
+        parse_str((string) parse_url($user->emailVerificationUrl($user->pending_email), PHP_URL_QUERY), $link);
+
+        $this->getJson("/api/auth/email/verify/{$link['id']}/{$link['hash']}?" . http_build_query([
+            'expires' => $link['expires'],
+            'signature' => $link['signature'],
+        ]))->assertOk();
+
+        $user->refresh();
+        $this->assertSame('nuevo@ejemplo.com', $user->email);
+        $this->assertNull($user->pending_email);
+    }
+
+    public function test_pending_email_taken_meanwhile_is_discarded(): void
+    {
+        $user = User::factory()->create([
+            'email' => 'actual@ejemplo.com',
+            'pending_email' => 'nuevo@ejemplo.com',
+        ]);
+        User::factory()->create(['email' => 'nuevo@ejemplo.com']);
+
+        parse_str((string) parse_url($user->emailVerificationUrl('nuevo@ejemplo.com'), PHP_URL_QUERY), $link);
+
+        $this->getJson("/api/auth/email/verify/{$link['id']}/{$link['hash']}?" . http_build_query([
+            'expires' => $link['expires'],
+            'signature' => $link['signature'],
+        ]))->assertStatus(422);
+
+        $user->refresh();
+        $this->assertSame('actual@ejemplo.com', $user->email);
+        $this->assertNull($user->pending_email);
+    }
+}
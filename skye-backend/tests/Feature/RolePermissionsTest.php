@@ -0,0 +1,143 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Enums\Role;
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class RolePermissionsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function accessToken(User $user): string
+    {
+        return $user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+    }
+
+    public function test_profile_exposes_the_permissions_of_the_role(): void
+    {
+        $manager = User::factory()->manager()->create();
+
+        $permissions = $this->withToken($this->accessToken($manager))
+            ->getJson('/api/user')
+            ->assertOk()
+            ->assertJson(['role' => 'manager'])
+            ->json('permissions');
+
+        $this->assertContains(Role::CREATE_USERS, $permissions);
+        $this->assertNotContains(Role::DELETE_USERS, $permissions);
+        $this->assertNotContains(Role::ASSIGN_ROLES, $permissions);
+    }
+
+    public function test_viewer_cannot_list_users(): void
+    {
+        $viewer = User::factory()->create();
+
+        $this->withToken($this->accessToken($viewer))
+            ->getJson('/api/users')
+            ->assertForbidden()
+            ->assertJson(['message' => 'No tienes permiso para ver el listado de usuarios']);
+    }
+
+    public function test_manager_creates_viewers_but_cannot_delete(): void
+    {
+        Notification::fake();
+        $manager = User::factory()->manager()->create();
+        $user = User::factory()->create();
+        $token = $this->accessToken($manager);
+
+        $this->withToken($token)
+            ->postJson('/api/users', [
+                'name' => 'Lucas Moreno',
+                'email' => 'lucas@ejemplo.com',
+                'password' => 'Tornado-Azul-47',
+                'password_confirmation' => 'Tornado-Azul-47',
+            ])
+            ->assertCreated()
+            ->assertJsonPath('user.role', 'viewer');
+
+        $this->withToken($token)
+            ->deleteJson("/api/users/{$user->id}")
+            ->assertForbidden();
+
+        $this->assertModelExists($user);
+    }
+
+    public function test_manager_cannot_assign_roles(): void
+    {
+        $manager = User::factory()->manager()->create();
+        $user = User::factory()->create();
+        $token = $this->accessToken($manager);
+
+        $this->withToken($token)
+            ->postJson('/api/users', [
+                'name' => 'Lucas Moreno',
+                'email' => 'lucas@ejemplo.com',
+                'password' => 'Tornado-Azul-47',
+                'password_confirmation' => 'Tornado-Azul-47',
+                'role' => 'admin',
+            ])
+            ->assertForbidden()
+            ->assertJson(['message' => 'No tienes permiso para asignar roles']);
+
+        $this->withToken($token)
+            ->putJson("/api/users/{$user->id}", [
+                'name' => $user->name,
+                'email' => $user->email,
+                'role' => 'manager',
+            ])
+            ->assertForbidden();
+
+        $this->assertDatabaseMissing('users', ['email' => 'lucas@ejemplo.com']);
+        $this->assertSame(Role::Viewer, $user->fresh()->role);
+    }
+
+    public function test_only_an_admin_can_edit_another_admin(): void
+    {
+        $manager = User::factory()->manager()->create();
+        $admin = User::factory()->admin()->create();
+
+        $this->withToken($this->accessToken($manager))
+            ->putJson("/api/users/{$admin->id}", ['name' => 'Nombre Nuevo', 'email' => $admin->email])
+            ->assertForbidden()
+            ->assertJson(['message' => 'Solo un administrador puede editar a otro administrador']);
+
+        $this->assertNotSame('Nombre Nuevo', $admin->fresh()->name);
+    }
+
+    public function test_admin_can_change_the_role_of_another_user(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson("/api/users/{$user->id}", [
+                'name' => $user->name,
+                'email' => $user->email,
+                'role' => 'manager',
+            ])
+            ->assertOk()
+            ->assertJsonPath('user.role', 'manager');
+
+        $this->assertSame(Role::Manager, $user->fresh()->role);
+    }
+
+    public function test_unknown_role_is_a_validation_error(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson("/api/users/{$user->id}", [
+                'name' => $user->name,
+                'email' => $user->email,
+                'role' => 'superadmin',
+            ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('role');
+    }
+}
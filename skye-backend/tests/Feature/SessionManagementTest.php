@@ -0,0 +1,128 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class SessionManagementTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Petición con el token indicado (sin reutilizar el usuario de la anterior)
+     */
+    private function withFreshToken(string $token): static
+    {
+        $this->app['auth']->forgetGuards();
+
+        return $this->withToken($token);
+    }
+
+    /**
+     * Token de acceso de un login desde el dispositivo indicado
+     */
+    private function login(string $email, string $deviceName): string
+    {
+        return $this->postJson('/api/auth/login', [
+            'email' => $email,
+            'password' => 'password',
+            'device_name' => $deviceName,
+        ])->assertOk()->json('token');
+    }
+
+    public function test_sessions_list_the_current_one_first(): void
+    {
+        User::factory()->create(['email' => 'ana@ejemplo.com']);
+        $this->login('ana@ejemplo.com', 'Móvil');
+        $token = $this->login('ana@ejemplo.com', 'Portátil');
+
+        $this->withFreshToken($token)
+            ->getJson('/api/sessions')
+            ->assertOk()
+            ->assertJsonCount(2, 'sessions')
+            ->assertJsonPath('sessions.0.device_name', 'Portátil')
+            ->assertJsonPath('sessions.0.current', true)
+            ->assertJsonPath('sessions.1.current', false);
+    }
+
+    public function test_current_session_cannot_be_revoked_from_the_list(): void
+    {
+        User::factory()->create(['email' => 'ana@ejemplo.com']);
+        $token = $this->login('ana@ejemplo.com', 'Portátil');
+
+        $currentSession = $this->withFreshToken($token)->getJson('/api/sessions')->json('sessions.0.id');
+
+        $this->withFreshToken($token)
+            ->deleteJson("/api/sessions/{$currentSession}")
+            ->assertStatus(422)
+            ->assertJson(['code' => 'current_session']);
+    }
+
+    public function test_sessions_of_other_users_are_not_found(): void
+    {
+        User::factory()->create(['email' => 'ana@ejemplo.com']);
+        $other = User::factory()->create(['email' => 'luis@ejemplo.com']);
+        $token = $this->login('ana@ejemplo.com', 'Portátil');
+        $this->login('luis@ejemplo.com', 'Móvil');
+
+        $otherSession = $other->tokens()->value('session_id');
+
+        $this->withFreshToken($token)
+            ->deleteJson("/api/sessions/{$otherSession}")
+            ->assertNotFound()
+            ->assertJson(['code' => 'not_found']);
+
+        $this->withFreshToken($token)
+            ->deleteJson('/api/sessions/desconocida')
+            ->assertNotFound();
+
+        $this->assertSame(2, $other->tokens()->count());
+    }
+
+    public function test_revoking_a_session_closes_it_on_that_device(): void
+    {
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+        $phoneToken = $this->login('ana@ejemplo.com', 'Móvil');
+        $token = $this->login('ana@ejemplo.com', 'Portátil');
+
+        $phoneSession = $this->withFreshToken($token)->getJson('/api/sessions')->json('sessions.1.id');
+
+        $this->withFreshToken($token)
+            ->deleteJson("/api/sessions/{$phoneSession}")
+            ->assertOk();
+
+        $this->assertSame(0, $user->tokens()->where('session_id', $phoneSession)->count());
+
+        $this->withFreshToken($phoneToken)
+            ->getJson('/api/user')
+            ->assertUnauthorized();
+    }
+
+    public function test_impersonation_tokens_are_not_listed_nor_revocable(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+        $token = $this->login('ana@ejemplo.com', 'Portátil');
+
+        $this->withFreshToken($admin->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken)
+            ->postJson("/api/users/{$user->id}/impersonate")
+            ->assertOk();
+
+        $impersonationSession = $user->tokens()->whereNotNull('impersonator_id')->value('session_id');
+
+        $this->withFreshToken($token)
+            ->getJson('/api/sessions')
+            ->assertOk()
+            ->assertJsonCount(1, 'sessions')
+            ->assertJsonPath('sessions.0.device_name', 'Portátil');
+
+        $this->withFreshToken($token)
+            ->deleteJson("/api/sessions/{$impersonationSession}")
+            ->assertNotFound();
+
+        $this->assertSame(1, $user->tokens()->whereNotNull('impersonator_id')->count());
+    }
+}
@@ -0,0 +1,204 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use App\Services\TwoFactorAuthenticator;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class TwoFactorAuthenticationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * Código TOTP del intervalo actual (el que mostraría la aplicación)
+     */
+    private function currentCode(string $secret): string
+    {
+        $step = intdiv(time(), TwoFactorAuthenticator::PERIOD);
+
+        return (fn () => $this->codeAt($secret, $step))->call(app(TwoFactorAuthenticator::class));
+    }
+
+    /**
+     * Código de 6 dígitos que no es el actual
+     */
+    private function wrongCode(string $secret): string
+    {
+        return $this->currentCode($secret) === '000000' ? '111111' : '000000';
+    }
+
+    /**
+     * Usuario con el segundo factor ya confirmado
+     */
+    private function userWithTwoFactor(): User
+    {
+        $user = User::factory()->create(['email' => 'ana@ejemplo.com']);
+
+        $user->forceFill([
+            'two_factor_secret' => app(TwoFactorAuthenticator::class)->generateSecret(),
+            'two_factor_recovery_codes' => ['AAAAA-BBBBB', 'CCCCC-DDDDD'],
+            'two_factor_confirmed_at' => now(),
+        ])->save();
+
+        return $user;
+    }
+
+    private function challengeToken(): string
+    {
+        return $this->postJson('/api/auth/login', [
+            'email' => 'ana@ejemplo.com',
+            'password' => 'password',
+        ])
+            ->assertOk()
+            ->assertJson(['two_factor_required' => true])
+            ->assertJsonMissingPath('token')
+            ->json('challenge_token');
+    }
+
+    public function test_enabling_requires_confirming_with_a_valid_code(): void
+    {
+        $user = User::factory()->create();
+        $token = $user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+
+        $secret = $this->withToken($token)
+            ->postJson('/api/user/two-factor')
+            ->assertOk()
+            ->assertJsonStructure(['secret', 'otpauth_url'])
+            ->json('secret');
+
+        $this->withToken($token)
+            ->postJson('/api/user/two-factor/confirm', ['code' => $this->wrongCode($secret)])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('code');
+
+        $this->assertFalse($user->fresh()->hasTwoFactorEnabled());
+
+        $this->withToken($token)
+            ->postJson('/api/user/two-factor/confirm', ['code' => $this->currentCode($secret)])
+            ->assertOk()
+            ->assertJsonCount(TwoFactorAuthenticator::RECOVERY_CODES, 'recovery_codes');
+
+        $this->assertTrue($user->fresh()->hasTwoFactorEnabled());
+    }
+
+    public function test_login_waits_for_a_valid_code(): void
+    {
+        $user = $this->userWithTwoFactor();
+        $challengeToken = $this->challengeToken();
+
+        $this->postJson('/api/auth/two-factor-challenge', [
+            'challenge_token' => $challengeToken,
+            'code' => $this->wrongCode($user->two_factor_secret),
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('code');
+
+        $this->postJson('/api/auth/two-factor-challenge', [
+            'challenge_token' => $challengeToken,
+            'code' => $this->currentCode($user->two_factor_secret),
+        ])
+            ->assertOk()
+            ->assertJsonStructure(['token', 'refresh_token']);
+    }
+
+    public function test_expired_challenge_is_rejected(): void
+    {
+        $user = $this->userWithTwoFactor();
+
+        $this->postJson('/api/auth/two-factor-challenge', [
+            'challenge_token' => 'desconocido',
+            'code' => $this->currentCode($user->two_factor_secret),
+        ])
+            ->assertStatus(422)
+            ->assertJsonMissingPath('token');
+    }
+
+    public function test_recovery_code_works_only_once(): void
+    {
+        $this->userWithTwoFactor();
+
+        $this->postJson('/api/auth/two-factor-challenge', [
+            'challenge_token' => $this->challengeToken(),
+            'recovery_code' => 'aaaaa-bbbbb',
+        ])
+            ->assertOk()
+            ->assertJsonStructure(['token']);
+
+        $this->postJson('/api/auth/two-factor-challenge', [
+            'challenge_token' => $this->challengeToken(),
+            'recovery_code' => 'AAAAA-BBBBB',
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('recovery_code');
+    }
+
+    public function test_regenerating_recovery_codes_requires_the_password(): void
+    {
+        $user = $this->userWithTwoFactor();
+        $token = $user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+
+        $this->withToken($token)
+            ->postJson('/api/user/two-factor/recovery-codes', ['password' => 'incorrecta'])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('password');
+
+        $this->withToken($token)
+            ->postJson('/api/user/two-factor/recovery-codes', ['password' => 'password'])
+            ->assertOk()
+            ->assertJsonCount(TwoFactorAuthenticator::RECOVERY_CODES, 'recovery_codes');
+
+        $this->assertNotContains('AAAAA-BBBBB', $user->fresh()->two_factor_recovery_codes);
+    }
+
+    public function test_admin_reset_disables_two_factor_and_revokes_tokens(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = $this->userWithTwoFactor();
+        $user->createToken('test', [AuthController::ACCESS_ABILITY]);
+
+        $this->withToken($admin->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken)
+            ->deleteJson("/api/users/{$user->id}/two-factor")
+            ->assertOk()
+            ->assertJsonPath('user.two_factor_enabled', false);
+
+        $this->assertFalse($user->fresh()->hasTwoFactorEnabled());
+        $this->assertSame(0, $user->tokens()->count());
+    }
+
+    public function test_reset_requires_the_permission(): void
+    {
+        $manager = User::factory()->manager()->create();
+        $user = $this->userWithTwoFactor();
+
+        $this->withToken($manager->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken)
+            ->deleteJson("/api/users/{$user->id}/two-factor")
+            ->assertForbidden();
+
+        $this->assertTrue($user->fresh()->hasTwoFactorEnabled());
+    }
+
+    public function test_admin_cannot_reset_their_own_two_factor(): void
+    {
+        $admin = $this->userWithTwoFactor();
+        $admin->forceFill(['role' => 'admin'])->save();
+
+        $this->withToken($admin->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken)
+            ->deleteJson("/api/users/{$admin->id}/two-factor")
+            ->assertForbidden()
+            ->assertJson(['message' => 'Desactiva tu verificación en dos pasos desde la pantalla de seguridad']);
+    }
+
+    public function test_reset_without_two_factor_is_rejected(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+
+        $this->withToken($admin->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken)
+            ->deleteJson("/api/users/{$user->id}/two-factor")
+            ->assertStatus(422)
+            ->assertJson(['code' => 'two_factor_not_enabled']);
+    }
+}
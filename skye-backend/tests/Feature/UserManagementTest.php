@@ -0,0 +1,155 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use Illuminate\Auth\Notifications\VerifyEmail;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class UserManagementTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function accessToken(User $user): string
+    {
+        return $user->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+    }
+
+    public function test_changing_the_email_requires_verifying_it_again(): void
+    {
+        Notification::fake();
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create(['email' => 'actual@ejemplo.com']);
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson("/api/users/{$user->id}", [
+                'name' => $user->name,
+                'email' => 'nuevo@ejemplo.com',
+            ])
+            ->assertOk();
+
+        $user->refresh();
+        $this->assertSame('nuevo@ejemplo.com', $user->email);
+        $this->assertFalse($user->hasVerifiedEmail());
+        Notification::assertSentTo($user, VerifyEmail::class);
+    }
+
+    public function test_keeping_the_email_keeps_it_verified(): void
+    {
+        Notification::fake();
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson("/api/users/{$user->id}", [
+                'name' => 'Nombre Nuevo',
+                'email' => $user->email,
+            ])
+            ->assertOk();
+
+        $this->assertTrue($user->fresh()->hasVerifiedEmail());
+        Notification::assertNothingSent();
+    }
+
+    public function test_changing_the_password_revokes_the_user_tokens(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+        $this->accessToken($user);
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson("/api/users/{$user->id}", [
+                'name' => $user->name,
+                'email' => $user->email,
+                'password' => 'Tornado-Azul-47',
+                'password_confirmation' => 'Tornado-Azul-47',
+            ])
+            ->assertOk();
+
+        $this->assertSame(0, $user->tokens()->count());
+        $this->assertSame(1, $admin->tokens()->count());
+    }
+
+    public function test_viewer_cannot_create_edit_or_delete_users(): void
+    {
+        $viewer = User::factory()->create();
+        $user = User::factory()->create(['name' => 'Nombre Actual']);
+        $token = $this->accessToken($viewer);
+
+        $this->withToken($token)
+            ->postJson('/api/users', [
+                'name' => 'Lucas Moreno',
+                'email' => 'lucas@ejemplo.com',
+                'password' => 'Tornado-Azul-47',
+                'password_confirmation' => 'Tornado-Azul-47',
+            ])
+            ->assertForbidden()
+            ->assertJson(['code' => 'forbidden']);
+
+        $this->withToken($token)
+            ->putJson("/api/users/{$user->id}", ['name' => 'Nombre Nuevo', 'email' => $user->email])
+            ->assertForbidden();
+
+        $this->withToken($token)
+            ->deleteJson("/api/users/{$user->id}")
+            ->assertForbidden();
+
+        $this->assertDatabaseMissing('users', ['email' => 'lucas@ejemplo.com']);
+        $this->assertSame('Nombre Actual', $user->fresh()->name);
+    }
+
+    public function test_email_of_another_user_is_a_validation_error(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+        User::factory()->create(['email' => 'ocupado@ejemplo.com']);
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson("/api/users/{$user->id}", ['name' => $user->name, 'email' => 'ocupado@ejemplo.com'])
+            ->assertStatus(422)
+            ->assertJson(['code' => 'validation_failed'])
+            ->assertJsonValidationErrors('email');
+    }
+
+    public function test_missing_user_is_not_found(): void
+    {
+        $admin = User::factory()->admin()->create();
+
+        $this->withToken($this->accessToken($admin))
+            ->putJson('/api/users/999', ['name' => 'Nombre Nuevo', 'email' => 'nuevo@ejemplo.com'])
+            ->assertNotFound()
+            ->assertJson(['code' => 'not_found']);
+    }
+
+    public function test_admin_cannot_delete_their_own_account(): void
+    {
+        $admin = User::factory()->admin()->create();
+
+        $this->withToken($this->accessToken($admin))
+            ->deleteJson("/api/users/{$admin->id}")
+            ->assertStatus(422)
+            ->assertJson(['code' => 'cannot_delete_self']);
+
+        $this->assertModelExists($admin);
+    }
+
+    public function test_deleting_a_user_revokes_their_tokens(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+        $this->accessToken($user);
+
+        $this->withToken($this->accessToken($admin))
+            ->deleteJson("/api/users/{$user->id}")
+            ->assertOk();
+
+        $this->assertModelMissing($user);
+        $this->assertDatabaseMissing('personal_access_tokens', [
+            'tokenable_type' => User::class,
+            'tokenable_id' => $user->id,
+        ]);
+    }
+}
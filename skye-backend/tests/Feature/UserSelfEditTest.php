@@ -0,0 +1,44 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Http\Controllers\AuthController;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UserSelfEditTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_admin_cannot_edit_themselves_from_the_users_directory(): void
+    {
+        $admin = User::factory()->admin()->create(['email' => 'admin@ejemplo.com']);
+        $token = $admin->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+
+        $this->withToken($token)
+            ->putJson("/api/users/{$admin->id}", [
+                'name' => $admin->name,
+                'email' => 'otro@ejemplo.com',
+            ])
+            ->assertForbidden();
+
+        $this->assertSame('admin@ejemplo.com', $admin->fresh()->email);
+    }
+
+    public function test_admin_can_edit_another_user(): void
+    {
+        $admin = User::factory()->admin()->create();
+        $user = User::factory()->create();
+        $token = $admin->createToken('test', [AuthController::ACCESS_ABILITY])->plainTextToken;
+
+        $this->withToken($token)
+            ->putJson("/api/users/{$user->id}", [
+                'name' => 'Nombre Nuevo',
+                'email' => $user->email,
+            ])
+            ->assertOk();
+
+        $this->assertSame('Nombre Nuevo', $user->fresh()->name);
+    }
+}
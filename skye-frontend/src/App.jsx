@@ -1,25 +1,61 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
-import { LoginPage, RegisterPage, UserCreatedPage, UsersPage } from './pages';
+import {
+  LoginPage,
+  RegisterPage,
+  ForgotPasswordPage,
+  ResetPasswordPage,
+  VerifyEmailPage,
+  UserCreatedPage,
+  UsersPage,
+  AuditLogPage,
+  SecurityPage,
+  ProfilePage
+} from './pages';
+import { ProtectedRoute, GuestOnlyRoute, HomeRedirect } from './routes';
+import { PERMISSIONS } from './constants/permissions';
 
 function App() {
   return (
     <Router>
       <div className="App">
         <Routes>
-          {/* Redirect root to login */}
-          <Route path="/" element={<Navigate to="/login" replace />} />
-          
-          {/* Login route */}
-          <Route path="/login" element={<LoginPage />} />
-          
-          {/* Register route */}
-          <Route path="/register" element={<RegisterPage />} />
+          {/* Guest only routes - redirect to the app when already logged in */}
+          <Route element={<GuestOnlyRoute />}>
+            {/* Login route */}
+            <Route path="/login" element={<LoginPage />} />
+            
+            {/* Register route */}
+            <Route path="/register" element={<RegisterPage />} />
+            
+            {/* Password recovery routes */}
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+          </Route>
           
           {/* User created confirmation route */}
           <Route path="/user-created" element={<UserCreatedPage />} />
           
-          {/* Users route */}
-          <Route path="/users" element={<UsersPage />} />
+          {/* Email verification link route (works with or without a session) */}
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
+          
+          {/* Protected routes - require a valid session and the users permission */}
+          <Route element={<ProtectedRoute permission={PERMISSIONS.VIEW_USERS} />}>
+            {/* Users route */}
+            <Route path="/users" element={<UsersPage />} />
+          </Route>
+          
+          {/* Audit log route - admin only */}
+          <Route element={<ProtectedRoute permission={PERMISSIONS.VIEW_AUDIT_LOGS} />}>
+            <Route path="/audit-logs" element={<AuditLogPage />} />
+          </Route>
+          
+          {/* Account profile and security - any authenticated user */}
+          <Route element={<ProtectedRoute />}>
+            {/* Home route - users list or profile depending on the role (guests go to login) */}
+            <Route path="/" element={<HomeRedirect />} />
+            <Route path="/profile" element={<ProfilePage />} />
+            <Route path="/security" element={<SecurityPage />} />
+          </Route>
           
           {/* Catch all - redirect to login */}
           <Route path="*" element={<Navigate to="/login" replace />} />
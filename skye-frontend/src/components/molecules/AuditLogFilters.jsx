@@ -0,0 +1,163 @@
+import PropTypes from 'prop-types';
+import { Search, X } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button, Label } from '../atoms';
+import FormField from './FormField';
+import { AUDIT_ACTIONS } from '../../constants/auditActions';
+
+/**
+ * @fileoverview Componente AuditLogFilters molecular para CatWare Systems
+ * Panel de filtros mostrado sobre la tabla del registro de auditoría
+ */
+
+/**
+ * @component AuditLogFilters
+ * @description Panel con filtro por acción, búsqueda libre por correo o IP
+ * y rango de fechas. Es un componente controlado, igual que UserFilters.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.values - Valores actuales { action, search, createdFrom, createdTo }
+ * @param {Function} props.onChange - Callback (campo, valor) al modificar un filtro
+ * @param {Function} props.onClear - Callback para limpiar todos los filtros
+ * @param {string} [props.className=''] - Clases CSS adicionales
+ * @returns {JSX.Element} Elemento JSX del panel de filtros
+ *
+ * @example
+ * <AuditLogFilters
+ *   values={{ action: 'auth.login', search: '', createdFrom: '', createdTo: '' }}
+ *   onChange={(field, value) => setFilters(prev => ({ ...prev, [field]: value }))}
+ *   onClear={() => setFilters(EMPTY_FILTERS)}
+ * />
+ */
+const AuditLogFilters = ({
+  values,
+  onChange,
+  onClear,
+  className = ''
+}) => {
+  const { colors, isDark } = useTheme();
+
+  const hasFilters = Boolean(values.action || values.search || values.createdFrom || values.createdTo);
+
+  /**
+   * Propaga el cambio de un campo al componente padre
+   *
+   * @param {Event} e - Evento de cambio del input
+   */
+  const handleChange = (e) => {
+    onChange(e.target.name, e.target.value);
+  };
+
+  return (
+    <div
+      className={`p-6 mb-6 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''} ${className}`}
+      style={{
+        background: colors.background,
+        border: `2px solid ${colors.primary}`,
+        backdropFilter: 'blur(10px)',
+        boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+      }}
+      role="search"
+      aria-label="Filtrar registro de auditoría"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 items-end">
+        {/* Filtro por acción */}
+        <div className="space-y-2">
+          <Label htmlFor="audit-action">
+            Acción
+          </Label>
+          <select
+            id="audit-action"
+            name="action"
+            value={values.action}
+            onChange={handleChange}
+            className="w-full px-0 py-3 bg-transparent border-0 border-b-2 focus:outline-none focus:ring-0 transition-colors duration-200"
+            style={{
+              borderBottomColor: colors.lightGray,
+              color: colors.darkGray,
+              background: isDark ? colors.surface : 'transparent',
+              fontSize: '16px'
+            }}
+          >
+            <option value="">Todas</option>
+            {AUDIT_ACTIONS.map((action) => (
+              <option key={action.value} value={action.value}>{action.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Búsqueda libre por correo o IP */}
+        <FormField
+          id="audit-search"
+          name="search"
+          label="Buscar"
+          type="search"
+          value={values.search}
+          onChange={handleChange}
+          placeholder="Correo o dirección IP"
+          autoComplete="off"
+          icon={<Search size={18} />}
+        />
+
+        {/* Rango de fechas del evento */}
+        <FormField
+          id="audit-created-from"
+          name="createdFrom"
+          label="Desde"
+          type="date"
+          value={values.createdFrom}
+          onChange={handleChange}
+          max={values.createdTo || undefined}
+        />
+        <FormField
+          id="audit-created-to"
+          name="createdTo"
+          label="Hasta"
+          type="date"
+          value={values.createdTo}
+          onChange={handleChange}
+          min={values.createdFrom || undefined}
+        />
+      </div>
+
+      {/* Limpiar filtros */}
+      {hasFilters && (
+        <div className="flex justify-end mt-4">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onClear}
+            className="flex items-center space-x-2"
+          >
+            <X className="w-4 h-4" />
+            <span>Limpiar filtros</span>
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+AuditLogFilters.propTypes = {
+  /** Valores actuales de los filtros */
+  values: PropTypes.shape({
+    action: PropTypes.string.isRequired,
+    search: PropTypes.string.isRequired,
+    createdFrom: PropTypes.string.isRequired,
+    createdTo: PropTypes.string.isRequired,
+  }).isRequired,
+  /** Función callback (campo, valor) ejecutada al modificar un filtro */
+  onChange: PropTypes.func.isRequired,
+  /** Función callback para limpiar todos los filtros */
+  onClear: PropTypes.func.isRequired,
+  /** Clases CSS adicionales */
+  className: PropTypes.string,
+};
+
+// Valores por defecto
+AuditLogFilters.defaultProps = {
+  className: '',
+};
+
+export default AuditLogFilters;
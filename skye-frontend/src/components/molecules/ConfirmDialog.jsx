@@ -0,0 +1,110 @@
+import PropTypes from 'prop-types';
+import { Button, Text, ErrorMessage } from '../atoms';
+import Modal from './Modal';
+
+/**
+ * @fileoverview Componente ConfirmDialog molecular para CatWare Systems
+ * Diálogo de confirmación para acciones destructivas
+ */
+
+/**
+ * @component ConfirmDialog
+ * @description Modal de confirmación con mensaje, botón de cancelar y botón
+ * de confirmar. Mientras la acción está en curso los botones se deshabilitan
+ * y el diálogo no se puede cerrar.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {boolean} props.isOpen - Si el diálogo está visible
+ * @param {string} props.title - Título del diálogo
+ * @param {React.ReactNode} props.message - Mensaje de confirmación
+ * @param {Function} props.onConfirm - Callback al confirmar
+ * @param {Function} props.onCancel - Callback al cancelar o cerrar
+ * @param {string} [props.confirmLabel='Confirmar'] - Texto del botón de confirmar
+ * @param {string} [props.variant='danger'] - Variante del botón de confirmar
+ * @param {boolean} [props.loading=false] - Si la acción está en curso
+ * @param {string} [props.error=''] - Mensaje de error de la acción
+ * @returns {JSX.Element|null} Elemento JSX del diálogo
+ *
+ * @example
+ * <ConfirmDialog
+ *   isOpen={!!userToDelete}
+ *   title="Eliminar usuario"
+ *   message="¿Seguro que deseas eliminar a Juan?"
+ *   confirmLabel="Eliminar"
+ *   onConfirm={handleDelete}
+ *   onCancel={() => setUserToDelete(null)}
+ * />
+ */
+const ConfirmDialog = ({
+  isOpen,
+  title,
+  message,
+  onConfirm,
+  onCancel,
+  confirmLabel = 'Confirmar',
+  variant = 'danger',
+  loading = false,
+  error = ''
+}) => {
+  /**
+   * Cierra el diálogo salvo que la acción esté en curso
+   */
+  const handleClose = () => {
+    if (!loading) onCancel();
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title={title} size="sm">
+      <Text variant="body" className="mb-6">
+        {message}
+      </Text>
+
+      {error && (
+        <ErrorMessage type="error" size="md" showIcon className="mb-6">
+          {error}
+        </ErrorMessage>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <Button variant="secondary" size="sm" onClick={handleClose} disabled={loading}>
+          Cancelar
+        </Button>
+        <Button variant={variant} size="sm" onClick={onConfirm} loading={loading}>
+          {confirmLabel}
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+// Validación de tipos con PropTypes
+ConfirmDialog.propTypes = {
+  /** Si el diálogo está visible */
+  isOpen: PropTypes.bool.isRequired,
+  /** Título del diálogo */
+  title: PropTypes.string.isRequired,
+  /** Mensaje de confirmación */
+  message: PropTypes.node.isRequired,
+  /** Función callback ejecutada al confirmar */
+  onConfirm: PropTypes.func.isRequired,
+  /** Función callback ejecutada al cancelar o cerrar */
+  onCancel: PropTypes.func.isRequired,
+  /** Texto del botón de confirmar */
+  confirmLabel: PropTypes.string,
+  /** Variante visual del botón de confirmar */
+  variant: PropTypes.oneOf(['primary', 'danger']),
+  /** Si la acción está en curso */
+  loading: PropTypes.bool,
+  /** Mensaje de error de la acción */
+  error: PropTypes.string,
+};
+
+// Valores por defecto
+ConfirmDialog.defaultProps = {
+  confirmLabel: 'Confirmar',
+  variant: 'danger',
+  loading: false,
+  error: '',
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,114 @@
+import PropTypes from 'prop-types';
+import { X } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+
+/**
+ * @fileoverview Componente ConnectionStatus molecular para CatWare Systems
+ * Indicador de la cabecera con el estado de la conexión y de los cambios sin enviar
+ */
+
+/**
+ * Texto en singular o plural según la cantidad
+ *
+ * @param {number} count - Cantidad
+ * @param {string} singular - Texto para 1
+ * @param {string} plural - Texto para el resto
+ * @returns {string} Cantidad con su texto
+ */
+const pluralize = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+/**
+ * @component ConnectionStatus
+ * @description Punto de color con el estado de la conexión: activo, sin
+ * conexión (con los cambios guardados para enviar) o sincronizando. Si el
+ * servidor rechazó algún cambio guardado lo indica con un botón para
+ * descartarlos; el motivo se ve al pasar el ratón.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {boolean} props.online - Si el navegador tiene conexión
+ * @param {number} [props.pending=0] - Cambios pendientes de enviar
+ * @param {boolean} [props.replaying=false] - Si se están enviando los cambios
+ * @param {Array<Object>} [props.failed=[]] - Cambios rechazados ({ message })
+ * @param {Function} [props.onDiscardFailed] - Callback para descartar los rechazados
+ * @returns {JSX.Element} Elemento JSX del indicador
+ *
+ * @example
+ * <ConnectionStatus online={online} pending={pending} failed={failed} onDiscardFailed={discardFailed} />
+ */
+const ConnectionStatus = ({
+  online,
+  pending = 0,
+  replaying = false,
+  failed = [],
+  onDiscardFailed
+}) => {
+  const { colors, isDark } = useTheme();
+
+  let label = 'Sistema Activo';
+  if (!online) {
+    label = pending > 0
+      ? `Sin conexión · ${pluralize(pending, 'cambio pendiente', 'cambios pendientes')}`
+      : 'Sin conexión';
+  } else if (replaying) {
+    label = 'Sincronizando';
+  } else if (pending > 0) {
+    label = pluralize(pending, 'cambio pendiente', 'cambios pendientes');
+  }
+
+  const dotColor = online ? colors.primary : colors.error;
+
+  return (
+    <div className="flex items-center space-x-3 text-sm transition-colors duration-300" style={{ color: colors.textMuted }}>
+      <div className="flex items-center space-x-2" role="status">
+        <div
+          className={`w-2 h-2 rounded-full transition-all duration-500 ${isDark ? 'shadow-sm' : ''} ${replaying ? 'animate-pulse' : ''}`}
+          style={{
+            backgroundColor: dotColor,
+            boxShadow: isDark ? `0 0 8px ${dotColor}60` : 'none'
+          }}
+        ></div>
+        <span className="tracking-wider uppercase font-medium">{label}</span>
+      </div>
+
+      {/* Cambios guardados que el servidor rechazó al enviarlos */}
+      {failed.length > 0 && (
+        <button
+          type="button"
+          onClick={onDiscardFailed}
+          title={failed.map((item) => item.message).filter(Boolean).join('\n')}
+          aria-label={`${pluralize(failed.length, 'cambio rechazado', 'cambios rechazados')}. Descartar`}
+          className="inline-flex items-center space-x-1 text-xs font-medium tracking-wider uppercase transition-colors duration-300"
+          style={{ color: colors.error }}
+        >
+          <span>{pluralize(failed.length, 'rechazado', 'rechazados')}</span>
+          <X size={14} aria-hidden="true" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+ConnectionStatus.propTypes = {
+  /** Si el navegador tiene conexión */
+  online: PropTypes.bool.isRequired,
+  /** Cambios pendientes de enviar */
+  pending: PropTypes.number,
+  /** Si se están enviando los cambios pendientes */
+  replaying: PropTypes.bool,
+  /** Cambios que el servidor rechazó al enviarlos */
+  failed: PropTypes.arrayOf(PropTypes.shape({
+    message: PropTypes.string,
+  })),
+  /** Función callback para descartar los cambios rechazados */
+  onDiscardFailed: PropTypes.func,
+};
+
+// Valores por defecto
+ConnectionStatus.defaultProps = {
+  pending: 0,
+  replaying: false,
+  failed: [],
+};
+
+export default ConnectionStatus;
@@ -34,6 +34,7 @@ import { Input, Label, ErrorMessage } from '../atoms';
  * @param {boolean} [props.required=false] - Campo requerido
  * @param {string} [props.autoComplete] - Atributo autocomplete
  * @param {string} [props.error] - Mensaje de error para mostrar
+ * @param {string} [props.describedBy] - IDs de otros elementos que describen el campo (ej: requisitos)
  * @param {React.Component} [props.icon] - Icono opcional para el input
  * @param {string} [props.labelSize='md'] - Tamaño del label
  * @param {string} [props.errorType='error'] - Tipo de mensaje de error
@@ -68,6 +69,7 @@ const FormField = ({
   required = false,
   autoComplete,
   error,
+  describedBy,
   icon,
   labelSize = 'md',
   errorType = 'error',
@@ -103,7 +105,7 @@ const FormField = ({
         required={required}
         autoComplete={autoComplete}
         hasError={!!error}
-        ariaDescribedBy={errorId}
+        ariaDescribedBy={[errorId, describedBy].filter(Boolean).join(' ') || undefined}
         icon={icon}
         {...props}
       />
@@ -151,6 +153,8 @@ FormField.propTypes = {
   autoComplete: PropTypes.string,
   /** Mensaje de error para mostrar */
   error: PropTypes.string,
+  /** IDs de otros elementos que describen el campo */
+  describedBy: PropTypes.string,
   /** Componente de icono opcional */
   icon: PropTypes.element,
   /** Tamaño del label */
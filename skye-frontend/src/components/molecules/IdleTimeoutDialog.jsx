@@ -0,0 +1,73 @@
+import PropTypes from 'prop-types';
+import { Clock } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button, Text } from '../atoms';
+import Modal from './Modal';
+
+/**
+ * @fileoverview Componente IdleTimeoutDialog molecular para CatWare Systems
+ * Aviso de cierre de sesión por inactividad
+ */
+
+/**
+ * @component IdleTimeoutDialog
+ * @description Modal con la cuenta atrás hasta el cierre de la sesión.
+ * Cerrarlo con Escape, la X o un clic fuera equivale a seguir conectado.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {boolean} props.isOpen - Si el aviso está visible
+ * @param {number} props.seconds - Segundos que faltan para cerrar la sesión
+ * @param {Function} props.onStay - Callback para seguir conectado
+ * @param {Function} props.onLogout - Callback para cerrar la sesión ya
+ * @returns {JSX.Element|null} Elemento JSX del aviso
+ *
+ * @example
+ * <IdleTimeoutDialog isOpen={!!warningUntil} seconds={seconds} onStay={reset} onLogout={handleLogout} />
+ */
+const IdleTimeoutDialog = ({
+  isOpen,
+  seconds,
+  onStay,
+  onLogout
+}) => {
+  const { colors } = useTheme();
+
+  return (
+    <Modal isOpen={isOpen} onClose={onStay} title="Sesión inactiva" size="sm">
+      <div className="flex items-center space-x-3 mb-4" role="timer" aria-live="polite">
+        <Clock className="w-5 h-5 flex-shrink-0" style={{ color: colors.primary }} />
+        <Text variant="body">
+          Tu sesión expirará en {seconds} s
+        </Text>
+      </div>
+
+      <Text variant="muted" size="sm" className="mb-6">
+        Por seguridad cerramos la sesión tras un tiempo sin actividad.
+      </Text>
+
+      <div className="flex justify-end space-x-3">
+        {/* Seguir conectado va primero para que reciba el foco inicial del Modal */}
+        <Button variant="primary" size="sm" onClick={onStay}>
+          Seguir Conectado
+        </Button>
+        <Button variant="secondary" size="sm" onClick={onLogout}>
+          Cerrar Sesión
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+// Validación de tipos con PropTypes
+IdleTimeoutDialog.propTypes = {
+  /** Si el aviso está visible */
+  isOpen: PropTypes.bool.isRequired,
+  /** Segundos restantes */
+  seconds: PropTypes.number.isRequired,
+  /** Función callback para seguir conectado */
+  onStay: PropTypes.func.isRequired,
+  /** Función callback para cerrar la sesión */
+  onLogout: PropTypes.func.isRequired,
+};
+
+export default IdleTimeoutDialog;
@@ -0,0 +1,82 @@
+import PropTypes from 'prop-types';
+import { Eye, Undo2 } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button } from '../atoms';
+
+/**
+ * @fileoverview Componente ImpersonationBanner molecular para CatWare Systems
+ * Franja fija que recuerda que se está usando la cuenta de otro usuario
+ */
+
+/**
+ * @component ImpersonationBanner
+ * @description Franja sobre la cabecera con el usuario suplantado y el botón
+ * para volver a la propia cuenta. Usa el color primario del tema para que no
+ * se confunda con el resto de la interfaz.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.userName - Nombre del usuario suplantado
+ * @param {string} [props.impersonatorName=''] - Nombre del administrador
+ * @param {Function} props.onStop - Callback para volver a la propia cuenta
+ * @param {boolean} [props.loading=false] - Si la vuelta está en curso
+ * @returns {JSX.Element} Elemento JSX de la franja
+ *
+ * @example
+ * <ImpersonationBanner userName={user.name} onStop={handleStopImpersonating} />
+ */
+const ImpersonationBanner = ({
+  userName,
+  impersonatorName = '',
+  onStop,
+  loading = false
+}) => {
+  const { colors } = useTheme();
+
+  return (
+    <div
+      className="relative z-30 px-4 py-2"
+      style={{ background: colors.primary, color: colors.background }}
+      role="status"
+    >
+      <div className="max-w-7xl mx-auto flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center space-x-2 text-sm">
+          <Eye className="w-4 h-4 flex-shrink-0" />
+          <span>
+            Estás viendo la aplicación como <strong>{userName}</strong>
+            {impersonatorName && ` (sesión de ${impersonatorName})`}
+          </span>
+        </div>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={onStop}
+          loading={loading}
+          className="inline-flex items-center space-x-2"
+        >
+          <Undo2 className="w-4 h-4" />
+          <span>Volver a mi cuenta</span>
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+ImpersonationBanner.propTypes = {
+  /** Nombre del usuario suplantado */
+  userName: PropTypes.string.isRequired,
+  /** Nombre del administrador que suplanta */
+  impersonatorName: PropTypes.string,
+  /** Función callback para volver a la propia cuenta */
+  onStop: PropTypes.func.isRequired,
+  /** Si la vuelta está en curso */
+  loading: PropTypes.bool,
+};
+
+// Valores por defecto
+ImpersonationBanner.defaultProps = {
+  impersonatorName: '',
+  loading: false,
+};
+
+export default ImpersonationBanner;
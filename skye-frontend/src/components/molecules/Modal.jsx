@@ -0,0 +1,152 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { X } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Text } from '../atoms';
+
+/**
+ * @fileoverview Componente Modal molecular para CatWare Systems
+ * Diálogo modal reutilizable con soporte de temas y accesibilidad
+ */
+
+/**
+ * @component Modal
+ * @description Diálogo modal con overlay, cierre con Escape o clic fuera,
+ * foco inicial dentro del diálogo y restauración del foco al cerrar.
+ * Implementa el sistema de temas con el mismo marco que las tablas.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {boolean} props.isOpen - Si el modal está visible
+ * @param {Function} props.onClose - Callback para cerrar el modal
+ * @param {string} props.title - Título del diálogo
+ * @param {React.ReactNode} props.children - Contenido del diálogo
+ * @param {boolean} [props.closeOnOverlay=true] - Cerrar al hacer clic fuera
+ * @param {string} [props.size='md'] - Ancho máximo (sm, md, lg)
+ * @returns {JSX.Element|null} Elemento JSX del modal o null si está cerrado
+ *
+ * @example
+ * <Modal isOpen={open} onClose={() => setOpen(false)} title="Editar usuario">
+ *   <UserForm ... />
+ * </Modal>
+ */
+const Modal = ({
+  isOpen,
+  onClose,
+  title,
+  children,
+  closeOnOverlay = true,
+  size = 'md'
+}) => {
+  const { colors, isDark } = useTheme();
+  const dialogRef = useRef(null);
+
+  // Referencia al callback para no reiniciar el foco en cada render del padre
+  const onCloseRef = useRef(onClose);
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  }, [onClose]);
+
+  /**
+   * Effect para cerrar con Escape y gestionar el foco mientras está abierto
+   */
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const previouslyFocused = document.activeElement;
+
+    // Mover el foco al primer elemento interactivo del diálogo
+    const focusable = dialogRef.current?.querySelector(
+      'input, select, textarea, button:not([data-modal-close]), [href], [tabindex]:not([tabindex="-1"])'
+    );
+    (focusable || dialogRef.current)?.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onCloseRef.current();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previouslyFocused?.focus?.();
+    };
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const sizeClasses = {
+    sm: 'max-w-sm',
+    md: 'max-w-lg',
+    lg: 'max-w-2xl'
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+      style={{ background: isDark ? 'rgba(0,0,0,0.75)' : 'rgba(44,44,44,0.45)' }}
+      onMouseDown={(e) => {
+        if (closeOnOverlay && e.target === e.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="modal-title"
+        tabIndex={-1}
+        className={`w-full ${sizeClasses[size]} p-8 transition-all duration-300 focus:outline-none ${isDark ? 'shadow-2xl' : ''}`}
+        style={{
+          background: colors.background,
+          border: `2px solid ${colors.primary}`,
+          boxShadow: isDark ? `0 0 40px ${colors.primary}30` : `0 20px 50px ${colors.shadow}`
+        }}
+      >
+        {/* Cabecera con título y botón de cierre */}
+        <div className="flex items-start justify-between mb-6">
+          <Text id="modal-title" variant="heading" size="xl" as="h2">
+            {title}
+          </Text>
+          <button
+            type="button"
+            onClick={onClose}
+            data-modal-close
+            className="p-1 transition-opacity duration-200 hover:opacity-70 focus:outline-none focus:ring-2"
+            style={{ color: colors.textMuted }}
+            aria-label="Cerrar"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {children}
+      </div>
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+Modal.propTypes = {
+  /** Si el modal está visible */
+  isOpen: PropTypes.bool.isRequired,
+  /** Función callback para cerrar el modal */
+  onClose: PropTypes.func.isRequired,
+  /** Título del diálogo */
+  title: PropTypes.string.isRequired,
+  /** Contenido del diálogo */
+  children: PropTypes.node.isRequired,
+  /** Cerrar al hacer clic fuera del diálogo */
+  closeOnOverlay: PropTypes.bool,
+  /** Ancho máximo del diálogo */
+  size: PropTypes.oneOf(['sm', 'md', 'lg']),
+};
+
+// Valores por defecto
+Modal.defaultProps = {
+  closeOnOverlay: true,
+  size: 'md',
+};
+
+export default Modal;
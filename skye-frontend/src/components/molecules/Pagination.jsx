@@ -0,0 +1,175 @@
+import PropTypes from 'prop-types';
+import { ChevronsLeft, ChevronLeft, ChevronRight, ChevronsRight } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button, Text } from '../atoms';
+
+/**
+ * @fileoverview Componente Pagination molecular para CatWare Systems
+ * Control de paginación para listados servidos por el paginador de Laravel
+ */
+
+/**
+ * Tamaños de página disponibles en el selector
+ * @constant {Array<number>}
+ */
+const PAGE_SIZE_OPTIONS = [10, 15, 25, 50, 100];
+
+/**
+ * @component Pagination
+ * @description Control de paginación con selector de tamaño de página,
+ * navegación a primera/anterior/siguiente/última página y etiqueta
+ * "Mostrando X–Y de Z". Trabaja con los metadatos del paginador de Laravel.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {number} props.currentPage - Página actual (1-indexada)
+ * @param {number} props.lastPage - Última página disponible
+ * @param {number} props.perPage - Elementos por página
+ * @param {number|null} props.from - Índice del primer elemento mostrado
+ * @param {number|null} props.to - Índice del último elemento mostrado
+ * @param {number} props.total - Total de elementos
+ * @param {Function} props.onPageChange - Callback con la nueva página
+ * @param {Function} props.onPerPageChange - Callback con el nuevo tamaño de página
+ * @param {boolean} [props.disabled=false] - Deshabilita todos los controles
+ * @param {string} [props.className=''] - Clases CSS adicionales
+ * @returns {JSX.Element} Elemento JSX del control de paginación
+ *
+ * @example
+ * <Pagination
+ *   currentPage={1}
+ *   lastPage={10}
+ *   perPage={15}
+ *   from={1}
+ *   to={15}
+ *   total={150}
+ *   onPageChange={setPage}
+ *   onPerPageChange={setPerPage}
+ * />
+ */
+const Pagination = ({
+  currentPage,
+  lastPage,
+  perPage,
+  from,
+  to,
+  total,
+  onPageChange,
+  onPerPageChange,
+  disabled = false,
+  className = ''
+}) => {
+  const { colors, isDark } = useTheme();
+
+  const isFirstPage = currentPage <= 1;
+  const isLastPage = currentPage >= lastPage;
+
+  /**
+   * Cambia de página si el destino es válido y distinto del actual
+   *
+   * @param {number} page - Página destino
+   */
+  const goToPage = (page) => {
+    if (page < 1 || page > lastPage || page === currentPage) return;
+    onPageChange(page);
+  };
+
+  // Botones de navegación con su destino y etiqueta accesible
+  const navButtons = [
+    { key: 'first', icon: <ChevronsLeft className="w-4 h-4" />, page: 1, label: 'Primera página', inactive: isFirstPage },
+    { key: 'prev', icon: <ChevronLeft className="w-4 h-4" />, page: currentPage - 1, label: 'Página anterior', inactive: isFirstPage },
+    { key: 'next', icon: <ChevronRight className="w-4 h-4" />, page: currentPage + 1, label: 'Página siguiente', inactive: isLastPage },
+    { key: 'last', icon: <ChevronsRight className="w-4 h-4" />, page: lastPage, label: 'Última página', inactive: isLastPage },
+  ];
+
+  return (
+    <nav
+      className={`flex flex-col sm:flex-row sm:items-center sm:justify-between mt-6 space-y-4 sm:space-y-0 ${className}`}
+      aria-label="Paginación"
+    >
+      {/* Selector de tamaño de página */}
+      <div className="flex items-center space-x-3">
+        <label
+          htmlFor="per-page"
+          className="text-xs font-medium uppercase tracking-widest"
+          style={{ color: colors.textMuted }}
+        >
+          Por página
+        </label>
+        <select
+          id="per-page"
+          value={perPage}
+          onChange={(e) => onPerPageChange(Number(e.target.value))}
+          disabled={disabled}
+          className="px-2 py-1 text-sm bg-transparent border-0 border-b-2 focus:outline-none focus:ring-0 transition-colors duration-200"
+          style={{
+            borderBottomColor: colors.lightGray,
+            color: colors.darkGray,
+            background: isDark ? colors.surface : 'transparent'
+          }}
+        >
+          {PAGE_SIZE_OPTIONS.map((size) => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Etiqueta de rango actual */}
+      <Text variant="muted" size="sm" aria-live="polite">
+        {total > 0 ? `Mostrando ${from}–${to} de ${total}` : 'Sin resultados'}
+      </Text>
+
+      {/* Navegación entre páginas */}
+      <div className="flex items-center space-x-1">
+        {navButtons.map(({ key, icon, page, label, inactive }) => (
+          <Button
+            key={key}
+            variant="ghost"
+            size="sm"
+            onClick={() => goToPage(page)}
+            disabled={disabled || inactive}
+            aria-label={label}
+            title={label}
+          >
+            {icon}
+          </Button>
+        ))}
+        <Text variant="muted" size="sm" as="span" className="px-2">
+          {currentPage} / {Math.max(lastPage, 1)}
+        </Text>
+      </div>
+    </nav>
+  );
+};
+
+// Validación de tipos con PropTypes
+Pagination.propTypes = {
+  /** Página actual (1-indexada) */
+  currentPage: PropTypes.number.isRequired,
+  /** Última página disponible */
+  lastPage: PropTypes.number.isRequired,
+  /** Elementos por página */
+  perPage: PropTypes.number.isRequired,
+  /** Índice del primer elemento mostrado (null si no hay resultados) */
+  from: PropTypes.number,
+  /** Índice del último elemento mostrado (null si no hay resultados) */
+  to: PropTypes.number,
+  /** Total de elementos */
+  total: PropTypes.number.isRequired,
+  /** Callback ejecutado con la nueva página */
+  onPageChange: PropTypes.func.isRequired,
+  /** Callback ejecutado con el nuevo tamaño de página */
+  onPerPageChange: PropTypes.func.isRequired,
+  /** Deshabilita todos los controles */
+  disabled: PropTypes.bool,
+  /** Clases CSS adicionales */
+  className: PropTypes.string,
+};
+
+// Valores por defecto
+Pagination.defaultProps = {
+  from: null,
+  to: null,
+  disabled: false,
+  className: '',
+};
+
+export default Pagination;
@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Lock } from 'lucide-react';
+import { Button, Text, ErrorMessage } from '../atoms';
+import FormField from './FormField';
+import Modal from './Modal';
+
+/**
+ * @fileoverview Componente PasswordConfirmDialog molecular para CatWare Systems
+ * Diálogo que pide la contraseña actual antes de una acción sensible
+ */
+
+/**
+ * @component PasswordConfirmDialog
+ * @description Variante de ConfirmDialog con un campo de contraseña. El valor
+ * se descarta al cancelar; tras confirmar conviene desmontar el diálogo.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {boolean} props.isOpen - Si el diálogo está visible
+ * @param {string} props.title - Título del diálogo
+ * @param {React.ReactNode} props.message - Explicación de la acción
+ * @param {Function} props.onConfirm - Callback con la contraseña introducida
+ * @param {Function} props.onCancel - Callback al cancelar o cerrar
+ * @param {string} [props.confirmLabel='Confirmar'] - Texto del botón de confirmar
+ * @param {string} [props.variant='primary'] - Variante del botón de confirmar
+ * @param {boolean} [props.loading=false] - Si la acción está en curso
+ * @param {string} [props.error=''] - Mensaje de error de la acción
+ * @returns {JSX.Element|null} Elemento JSX del diálogo
+ *
+ * @example
+ * <PasswordConfirmDialog
+ *   isOpen={confirming}
+ *   title="Desactivar verificación"
+ *   message="Introduce tu contraseña para continuar."
+ *   onConfirm={(password) => disable(password)}
+ *   onCancel={() => setConfirming(false)}
+ * />
+ */
+const PasswordConfirmDialog = ({
+  isOpen,
+  title,
+  message,
+  onConfirm,
+  onCancel,
+  confirmLabel = 'Confirmar',
+  variant = 'primary',
+  loading = false,
+  error = ''
+}) => {
+  const [password, setPassword] = useState('');
+  const [fieldError, setFieldError] = useState('');
+
+  /**
+   * Cierra el diálogo salvo que la acción esté en curso
+   */
+  const handleClose = () => {
+    if (loading) return;
+    setPassword('');
+    setFieldError('');
+    onCancel();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!password) {
+      setFieldError('Introduce tu contraseña actual');
+      return;
+    }
+
+    onConfirm(password);
+  };
+
+  const handleChange = (e) => {
+    setPassword(e.target.value);
+    if (fieldError) setFieldError('');
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title={title} size="sm">
+      <form onSubmit={handleSubmit} noValidate>
+        <Text variant="body" className="mb-6">
+          {message}
+        </Text>
+
+        <FormField
+          id="confirm-password"
+          name="password"
+          label="Contraseña Actual"
+          type="password"
+          value={password}
+          onChange={handleChange}
+          disabled={loading}
+          autoComplete="current-password"
+          placeholder="••••••••"
+          required
+          error={fieldError}
+          icon={<Lock size={18} />}
+          className="mb-6"
+        />
+
+        {error && (
+          <ErrorMessage type="error" size="md" showIcon className="mb-6">
+            {error}
+          </ErrorMessage>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <Button type="button" variant="secondary" size="sm" onClick={handleClose} disabled={loading}>
+            Cancelar
+          </Button>
+          <Button type="submit" variant={variant} size="sm" loading={loading}>
+            {confirmLabel}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+// Validación de tipos con PropTypes
+PasswordConfirmDialog.propTypes = {
+  /** Si el diálogo está visible */
+  isOpen: PropTypes.bool.isRequired,
+  /** Título del diálogo */
+  title: PropTypes.string.isRequired,
+  /** Explicación de la acción */
+  message: PropTypes.node.isRequired,
+  /** Función callback ejecutada con la contraseña */
+  onConfirm: PropTypes.func.isRequired,
+  /** Función callback ejecutada al cancelar o cerrar */
+  onCancel: PropTypes.func.isRequired,
+  /** Texto del botón de confirmar */
+  confirmLabel: PropTypes.string,
+  /** Variante visual del botón de confirmar */
+  variant: PropTypes.oneOf(['primary', 'danger']),
+  /** Si la acción está en curso */
+  loading: PropTypes.bool,
+  /** Mensaje de error de la acción */
+  error: PropTypes.string,
+};
+
+// Valores por defecto
+PasswordConfirmDialog.defaultProps = {
+  confirmLabel: 'Confirmar',
+  variant: 'primary',
+  loading: false,
+  error: '',
+};
+
+export default PasswordConfirmDialog;
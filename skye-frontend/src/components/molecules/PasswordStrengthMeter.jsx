@@ -0,0 +1,112 @@
+import PropTypes from 'prop-types';
+import { Check, X } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Text } from '../atoms';
+
+/**
+ * @fileoverview Componente PasswordStrengthMeter molecular para CatWare Systems
+ * Barra de fortaleza y lista de requisitos de la política de contraseñas
+ */
+
+// Nombre de cada nivel de fortaleza (índice = nivel)
+const STRENGTH_LABELS = ['', 'Débil', 'Aceptable', 'Buena', 'Fuerte'];
+
+// Número de segmentos de la barra (niveles 1 a 4)
+const SEGMENTS = 4;
+
+/**
+ * @component PasswordStrengthMeter
+ * @description Muestra la fortaleza de la contraseña en cuatro segmentos y,
+ * debajo, cada requisito de la política marcado como cumplido o pendiente.
+ * Los cálculos los hace services/passwordPolicy; este componente solo los pinta.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<Object>} props.checks - Requisitos { id, label, passed }
+ * @param {number} [props.strength=0] - Nivel de 0 a 4
+ * @param {string} [props.id] - Id del contenedor (para aria-describedby del campo)
+ * @param {string} [props.className=''] - Clases CSS adicionales
+ * @returns {JSX.Element} Elemento JSX del medidor
+ *
+ * @example
+ * <PasswordStrengthMeter
+ *   id="password-policy"
+ *   checks={checks}
+ *   strength={getPasswordStrength(password, checks, policy)}
+ * />
+ */
+const PasswordStrengthMeter = ({
+  checks,
+  strength = 0,
+  id,
+  className = ''
+}) => {
+  const { colors } = useTheme();
+
+  // Color de la barra según el nivel alcanzado (aceptable en gris neutro)
+  const strengthColor = strength <= 1 ? colors.error : strength === 2 ? colors.lightGray : colors.success;
+
+  return (
+    <div id={id} className={`space-y-3 ${className}`}>
+      <div className="flex items-center space-x-3">
+        <div
+          className="flex flex-1 space-x-1"
+          role="meter"
+          aria-label="Fortaleza de la contraseña"
+          aria-valuemin={0}
+          aria-valuemax={SEGMENTS}
+          aria-valuenow={strength}
+          aria-valuetext={STRENGTH_LABELS[strength] || 'Sin contraseña'}
+        >
+          {Array.from({ length: SEGMENTS }, (_, index) => (
+            <div
+              key={index}
+              className="h-1 flex-1 transition-all duration-300"
+              style={{ background: index < strength ? strengthColor : `${colors.mediumGray}40` }}
+            />
+          ))}
+        </div>
+        <Text variant="muted" size="xs" className="w-16 text-right">
+          {STRENGTH_LABELS[strength]}
+        </Text>
+      </div>
+
+      <ul className="space-y-1" aria-label="Requisitos de la contraseña">
+        {checks.map((check) => (
+          <li
+            key={check.id}
+            className="flex items-center space-x-2 text-xs transition-colors duration-200"
+            style={{ color: check.passed ? colors.success : colors.textMuted }}
+          >
+            {check.passed ? <Check className="w-3 h-3" /> : <X className="w-3 h-3" />}
+            <span>{check.label}</span>
+            <span className="sr-only">{check.passed ? '(cumplido)' : '(pendiente)'}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+PasswordStrengthMeter.propTypes = {
+  /** Requisitos de la política con su estado */
+  checks: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    passed: PropTypes.bool.isRequired,
+  })).isRequired,
+  /** Nivel de fortaleza de 0 a 4 */
+  strength: PropTypes.number,
+  /** Id del contenedor */
+  id: PropTypes.string,
+  /** Clases CSS adicionales */
+  className: PropTypes.string,
+};
+
+// Valores por defecto
+PasswordStrengthMeter.defaultProps = {
+  strength: 0,
+  className: '',
+};
+
+export default PasswordStrengthMeter;
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Copy, Check } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button, ErrorMessage, Text } from '../atoms';
+
+/**
+ * @fileoverview Componente RecoveryCodes molecular para CatWare Systems
+ * Lista de códigos de recuperación de la verificación en dos pasos
+ */
+
+/**
+ * @component RecoveryCodes
+ * @description Muestra los códigos de recuperación recién generados con un
+ * aviso de que no se volverán a mostrar y un botón para copiarlos.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<string>} props.codes - Códigos de recuperación
+ * @param {Function} props.onDone - Callback cuando el usuario confirma que los guardó
+ * @returns {JSX.Element} Elemento JSX de la lista de códigos
+ *
+ * @example
+ * <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes([])} />
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  const { colors, isDark } = useTheme();
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (err) {
+      console.error('Error copiando los códigos:', err);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <ErrorMessage type="warning" size="md" showIcon>
+        Guarda estos códigos en un lugar seguro. Cada uno sirve una sola vez para
+        entrar sin la aplicación y no se volverán a mostrar.
+      </ErrorMessage>
+
+      <ul
+        className="grid grid-cols-2 gap-3 p-4"
+        style={{
+          background: isDark ? colors.surface : `${colors.primary}08`,
+          border: `1px solid ${colors.primary}30`
+        }}
+        aria-label="Códigos de recuperación"
+      >
+        {codes.map((code) => (
+          <li key={code}>
+            <Text variant="mono" size="sm">
+              {code}
+            </Text>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-end space-x-3">
+        <Button type="button" variant="secondary" size="sm" onClick={handleCopy}>
+          <span className="flex items-center space-x-2">
+            {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+            <span>{copied ? 'Copiados' : 'Copiar'}</span>
+          </span>
+        </Button>
+        <Button type="button" variant="primary" size="sm" onClick={onDone}>
+          Ya los he guardado
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+RecoveryCodes.propTypes = {
+  /** Códigos de recuperación */
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  /** Función callback cuando el usuario confirma que los guardó */
+  onDone: PropTypes.func.isRequired,
+};
+
+export default RecoveryCodes;
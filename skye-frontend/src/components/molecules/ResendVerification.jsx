@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { MailCheck } from 'lucide-react';
+import { Button, ErrorMessage } from '../atoms';
+import { authAPI } from '../../services/api';
+
+/**
+ * @fileoverview Componente ResendVerification molecular para CatWare Systems
+ * Botón para reenviar el correo de verificación de una cuenta
+ */
+
+// Segundos de espera entre reenvíos
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * @component ResendVerification
+ * @description Reenvía el enlace de verificación al correo indicado y muestra
+ * el resultado. Tras cada envío el botón queda bloqueado durante un minuto
+ * para no saturar la bandeja del usuario (la API también limita los envíos).
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {string} props.email - Correo de la cuenta pendiente de verificar
+ * @param {string} [props.variant='secondary'] - Variante visual del botón
+ * @param {string} [props.className=''] - Clases CSS adicionales
+ * @returns {JSX.Element} Elemento JSX del botón y su mensaje
+ *
+ * @example
+ * <ResendVerification email={user.email} />
+ */
+const ResendVerification = ({
+  email,
+  variant = 'secondary',
+  className = ''
+}) => {
+  const [loading, setLoading] = useState(false);
+  const [cooldown, setCooldown] = useState(0);
+  const [message, setMessage] = useState({ type: 'success', text: '' });
+
+  /**
+   * Effect para descontar la espera entre reenvíos
+   */
+  useEffect(() => {
+    if (cooldown <= 0) return undefined;
+
+    const timer = setTimeout(() => setCooldown((prev) => prev - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const handleResend = async () => {
+    setLoading(true);
+    setMessage({ type: 'success', text: '' });
+
+    try {
+      const response = await authAPI.resendVerification(email);
+      setMessage({ type: 'success', text: response.message });
+      setCooldown(RESEND_COOLDOWN_SECONDS);
+    } catch (err) {
+      console.error('Error reenviando la verificación:', err);
+      setMessage({
+        type: 'error',
+        text: err.message
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <Button
+        type="button"
+        variant={variant}
+        onClick={handleResend}
+        loading={loading}
+        disabled={!email || cooldown > 0}
+        fullWidth
+      >
+        <span className="flex items-center justify-center space-x-2">
+          <MailCheck className="w-4 h-4" />
+          <span>
+            {cooldown > 0 ? `Reenviar correo en ${cooldown} s` : 'Reenviar correo de verificación'}
+          </span>
+        </span>
+      </Button>
+
+      {message.text && (
+        <ErrorMessage type={message.type} showIcon>
+          {message.text}
+        </ErrorMessage>
+      )}
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+ResendVerification.propTypes = {
+  /** Correo de la cuenta pendiente de verificar */
+  email: PropTypes.string.isRequired,
+  /** Variante visual del botón */
+  variant: PropTypes.oneOf(['primary', 'secondary', 'ghost']),
+  /** Clases CSS adicionales */
+  className: PropTypes.string,
+};
+
+// Valores por defecto
+ResendVerification.defaultProps = {
+  variant: 'secondary',
+  className: '',
+};
+
+export default ResendVerification;
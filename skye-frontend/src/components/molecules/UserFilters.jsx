@@ -0,0 +1,138 @@
+import PropTypes from 'prop-types';
+import { Search, X } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button } from '../atoms';
+import FormField from './FormField';
+
+/**
+ * @fileoverview Componente UserFilters molecular para CatWare Systems
+ * Panel de búsqueda y filtros mostrado sobre la tabla de usuarios
+ */
+
+/**
+ * @component UserFilters
+ * @description Panel con búsqueda libre por nombre/correo y rango de fechas
+ * de registro. Es un componente controlado: el debounce y la petición a la
+ * API los gestiona la página que lo usa.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.values - Valores actuales { search, createdFrom, createdTo }
+ * @param {Function} props.onChange - Callback (campo, valor) al modificar un filtro
+ * @param {Function} props.onClear - Callback para limpiar todos los filtros
+ * @param {string} [props.className=''] - Clases CSS adicionales
+ * @returns {JSX.Element} Elemento JSX del panel de filtros
+ *
+ * @example
+ * <UserFilters
+ *   values={{ search: 'juan', createdFrom: '', createdTo: '' }}
+ *   onChange={(field, value) => setFilters(prev => ({ ...prev, [field]: value }))}
+ *   onClear={() => setFilters(EMPTY_FILTERS)}
+ * />
+ */
+const UserFilters = ({
+  values,
+  onChange,
+  onClear,
+  className = ''
+}) => {
+  const { colors, isDark } = useTheme();
+
+  const hasFilters = Boolean(values.search || values.createdFrom || values.createdTo);
+
+  /**
+   * Propaga el cambio de un campo al componente padre
+   *
+   * @param {Event} e - Evento de cambio del input
+   */
+  const handleChange = (e) => {
+    onChange(e.target.name, e.target.value);
+  };
+
+  return (
+    <div
+      className={`p-6 mb-6 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''} ${className}`}
+      style={{
+        background: colors.background,
+        border: `2px solid ${colors.primary}`,
+        backdropFilter: 'blur(10px)',
+        boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+      }}
+      role="search"
+      aria-label="Buscar y filtrar usuarios"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 items-end">
+        {/* Búsqueda libre por nombre o correo */}
+        <FormField
+          id="user-search"
+          name="search"
+          label="Buscar"
+          type="search"
+          value={values.search}
+          onChange={handleChange}
+          placeholder="Nombre o correo electrónico"
+          autoComplete="off"
+          icon={<Search size={18} />}
+          className="md:col-span-2"
+        />
+
+        {/* Rango de fechas de registro */}
+        <FormField
+          id="user-created-from"
+          name="createdFrom"
+          label="Registrado desde"
+          type="date"
+          value={values.createdFrom}
+          onChange={handleChange}
+          max={values.createdTo || undefined}
+        />
+        <FormField
+          id="user-created-to"
+          name="createdTo"
+          label="Registrado hasta"
+          type="date"
+          value={values.createdTo}
+          onChange={handleChange}
+          min={values.createdFrom || undefined}
+        />
+      </div>
+
+      {/* Limpiar filtros */}
+      {hasFilters && (
+        <div className="flex justify-end mt-4">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onClear}
+            className="flex items-center space-x-2"
+          >
+            <X className="w-4 h-4" />
+            <span>Limpiar filtros</span>
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+UserFilters.propTypes = {
+  /** Valores actuales de los filtros */
+  values: PropTypes.shape({
+    search: PropTypes.string.isRequired,
+    createdFrom: PropTypes.string.isRequired,
+    createdTo: PropTypes.string.isRequired,
+  }).isRequired,
+  /** Función callback (campo, valor) ejecutada al modificar un filtro */
+  onChange: PropTypes.func.isRequired,
+  /** Función callback para limpiar todos los filtros */
+  onClear: PropTypes.func.isRequired,
+  /** Clases CSS adicionales */
+  className: PropTypes.string,
+};
+
+// Valores por defecto
+UserFilters.defaultProps = {
+  className: '',
+};
+
+export default UserFilters;
@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { UserCircle, ChevronDown, LogOut } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getRoleLabel } from '../../constants/permissions';
+
+/**
+ * @fileoverview Componente UserMenu molecular para CatWare Systems
+ * Menú desplegable de la cabecera con las páginas de la cuenta y el logout
+ */
+
+/**
+ * @component UserMenu
+ * @description Botón con el nombre y el rol del usuario que despliega las
+ * opciones de su cuenta. Se cierra con Escape, al hacer clic fuera o al
+ * elegir una opción.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.user - Usuario actual ({ name, email, role })
+ * @param {Array<Object>} props.items - Opciones { path, label, icon }
+ * @param {string} [props.currentPath=''] - Ruta actual para marcar la opción activa
+ * @param {Function} props.onNavigate - Callback con la ruta elegida
+ * @param {Function} props.onLogout - Callback para cerrar la sesión
+ * @returns {JSX.Element} Elemento JSX del menú
+ *
+ * @example
+ * <UserMenu
+ *   user={user}
+ *   items={[{ path: '/profile', label: 'Mi Perfil', icon: <User size={16} /> }]}
+ *   onNavigate={navigate}
+ *   onLogout={handleLogout}
+ * />
+ */
+const UserMenu = ({
+  user,
+  items,
+  currentPath = '',
+  onNavigate,
+  onLogout
+}) => {
+  const { colors, isDark } = useTheme();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  /**
+   * Effect para cerrar el menú con Escape o con un clic fuera
+   */
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const handleSelect = (path) => {
+    setOpen(false);
+    onNavigate(path);
+  };
+
+  const handleLogout = () => {
+    setOpen(false);
+    onLogout();
+  };
+
+  // Estilo compartido por las opciones del menú
+  const itemClassName = 'w-full flex items-center space-x-2 px-4 py-2 text-sm text-left transition-colors duration-200';
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="flex items-center space-x-2 text-sm transition-colors duration-300"
+        style={{ color: colors.text }}
+      >
+        <UserCircle className="w-5 h-5" style={{ color: colors.primary }} />
+        <span className="hidden md:inline font-medium">{user.name}</span>
+        <span
+          className="hidden md:inline px-2 py-0.5 text-xs uppercase tracking-wider"
+          style={{ border: `1px solid ${colors.border}`, color: colors.textMuted }}
+        >
+          {getRoleLabel(user.role)}
+        </span>
+        <ChevronDown
+          className={`w-4 h-4 transition-transform duration-200 ${open ? 'rotate-180' : ''}`}
+          style={{ color: colors.textMuted }}
+        />
+      </button>
+
+      {open && (
+        <div
+          role="menu"
+          aria-label="Menú de la cuenta"
+          className={`absolute right-0 mt-3 w-56 z-20 ${isDark ? 'shadow-2xl' : 'shadow-lg'}`}
+          style={{
+            background: colors.background,
+            border: `1px solid ${colors.primary}`,
+            boxShadow: isDark ? `0 0 20px ${colors.primary}20` : undefined
+          }}
+        >
+          <div className="px-4 py-3" style={{ borderBottom: `1px solid ${colors.border}` }}>
+            <p className="text-sm font-medium truncate" style={{ color: colors.text }}>{user.name}</p>
+            <p className="text-xs truncate" style={{ color: colors.textMuted }}>{user.email}</p>
+          </div>
+
+          {items.map((item) => {
+            const isActive = currentPath === item.path;
+            return (
+              <button
+                key={item.path}
+                type="button"
+                role="menuitem"
+                onClick={() => handleSelect(item.path)}
+                aria-current={isActive ? 'page' : undefined}
+                className={itemClassName}
+                style={{ color: isActive ? colors.primary : colors.text }}
+              >
+                {item.icon}
+                <span>{item.label}</span>
+              </button>
+            );
+          })}
+
+          <button
+            type="button"
+            role="menuitem"
+            onClick={handleLogout}
+            className={itemClassName}
+            style={{ color: colors.error, borderTop: `1px solid ${colors.border}` }}
+          >
+            <LogOut size={16} />
+            <span>Cerrar Sesión</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+UserMenu.propTypes = {
+  /** Usuario actual */
+  user: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    email: PropTypes.string,
+    role: PropTypes.string,
+  }).isRequired,
+  /** Opciones del menú */
+  items: PropTypes.arrayOf(PropTypes.shape({
+    path: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    icon: PropTypes.node,
+  })).isRequired,
+  /** Ruta actual */
+  currentPath: PropTypes.string,
+  /** Función callback con la ruta elegida */
+  onNavigate: PropTypes.func.isRequired,
+  /** Función callback para cerrar la sesión */
+  onLogout: PropTypes.func.isRequired,
+};
+
+// Valores por defecto
+UserMenu.defaultProps = {
+  currentPath: '',
+};
+
+export default UserMenu;
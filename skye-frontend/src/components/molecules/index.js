@@ -1,2 +1,15 @@
 // Molecules exports
-export { default as FormField } from './FormField';
\ No newline at end of file
+export { default as FormField } from './FormField';
+export { default as Pagination } from './Pagination';
+export { default as UserFilters } from './UserFilters';
+export { default as Modal } from './Modal';
+export { default as ConfirmDialog } from './ConfirmDialog';
+export { default as AuditLogFilters } from './AuditLogFilters';
+export { default as ResendVerification } from './ResendVerification';
+export { default as PasswordConfirmDialog } from './PasswordConfirmDialog';
+export { default as RecoveryCodes } from './RecoveryCodes';
+export { default as PasswordStrengthMeter } from './PasswordStrengthMeter';
+export { default as UserMenu } from './UserMenu';
+export { default as IdleTimeoutDialog } from './IdleTimeoutDialog';
+export { default as ImpersonationBanner } from './ImpersonationBanner';
+export { default as ConnectionStatus } from './ConnectionStatus';
@@ -0,0 +1,165 @@
+import PropTypes from 'prop-types';
+import { MonitorSmartphone, LogOut } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button, IconBox, Spinner, Text } from '../atoms';
+
+/**
+ * @fileoverview Panel de sesiones activas para CatWare Systems
+ * Lista los dispositivos con la sesión abierta y permite cerrar los demás
+ */
+
+/**
+ * @component ActiveSessions
+ * @description Muestra cada sesión con su dispositivo, IP y último uso. La
+ * sesión actual se marca y no se puede cerrar desde aquí (para eso está
+ * Cerrar sesión); las demás tienen un botón para revocarlas.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<Object>} [props.sessions=[]] - Sesiones devueltas por GET /api/sessions
+ * @param {boolean} [props.loading=false] - Estado de carga de la lista
+ * @param {string|null} [props.revokingId=null] - Sesión que se está cerrando
+ * @param {Function} props.onRevoke - Callback con la sesión a cerrar
+ * @param {Function} props.onLogoutAll - Callback para cerrar la sesión en todos los dispositivos
+ * @returns {JSX.Element} Elemento JSX del panel
+ *
+ * @example
+ * <ActiveSessions
+ *   sessions={sessions}
+ *   revokingId={revokingId}
+ *   onRevoke={handleRevoke}
+ *   onLogoutAll={() => logout({ allDevices: true })}
+ * />
+ */
+const ActiveSessions = ({
+  sessions = [],
+  loading = false,
+  revokingId = null,
+  onRevoke,
+  onLogoutAll
+}) => {
+  const { colors, isDark } = useTheme();
+
+  /**
+   * Formatea una fecha ISO string con fecha y hora en español
+   *
+   * @param {string} dateString - Fecha en formato ISO
+   * @returns {string} Fecha formateada (ej: "15 ene 2024, 10:30")
+   */
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('es-ES', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div>
+      {/* Cabecera con el número de dispositivos */}
+      <div className="flex items-start space-x-4 mb-8">
+        <IconBox size="md">
+          <MonitorSmartphone className="w-6 h-6" />
+        </IconBox>
+        <div>
+          <Text variant="heading" size="xl" as="h2" className="mb-1">
+            Sesiones Activas
+          </Text>
+          <Text variant="muted" size="sm">
+            Dispositivos con tu sesión abierta. Cierra los que no reconozcas.
+          </Text>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="py-8">
+          <Spinner size="md" message="Cargando Sesiones..." />
+        </div>
+      ) : sessions.length === 0 ? (
+        <Text variant="muted" size="sm" className="text-center py-8">
+          No hay sesiones con token: en modo SPA la sesión vive en la cookie del navegador.
+        </Text>
+      ) : (
+        <ul className="space-y-3" aria-label="Sesiones activas">
+          {sessions.map((session) => (
+            <li
+              key={session.id}
+              className="flex flex-wrap items-center justify-between gap-3 p-4"
+              style={{
+                background: isDark ? colors.surface : `${colors.primary}08`,
+                border: `1px solid ${session.current ? colors.primary : `${colors.primary}30`}`
+              }}
+            >
+              <div>
+                <Text variant="body" size="sm" className="font-medium">
+                  {session.device_name}
+                  {session.current && (
+                    <span className="ml-2 text-xs" style={{ color: colors.primary }}>
+                      (este dispositivo)
+                    </span>
+                  )}
+                </Text>
+                <Text variant="muted" size="xs">
+                  {session.ip_address || 'IP desconocida'}
+                  {session.last_used_at && ` · Último uso: ${formatDateTime(session.last_used_at)}`}
+                </Text>
+              </div>
+
+              {!session.current && (
+                <Button
+                  type="button"
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => onRevoke(session)}
+                  loading={revokingId === session.id}
+                  disabled={Boolean(revokingId)}
+                >
+                  Cerrar Sesión
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end mt-6">
+        <Button type="button" variant="danger" size="sm" onClick={onLogoutAll}>
+          <span className="flex items-center space-x-2">
+            <LogOut className="w-4 h-4" />
+            <span>Cerrar Sesión en Todos los Dispositivos</span>
+          </span>
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+ActiveSessions.propTypes = {
+  /** Sesiones devueltas por la API */
+  sessions: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    device_name: PropTypes.string.isRequired,
+    ip_address: PropTypes.string,
+    last_used_at: PropTypes.string,
+    current: PropTypes.bool,
+  })),
+  /** Estado de carga de la lista */
+  loading: PropTypes.bool,
+  /** Sesión que se está cerrando */
+  revokingId: PropTypes.string,
+  /** Función callback con la sesión a cerrar */
+  onRevoke: PropTypes.func.isRequired,
+  /** Función callback para cerrar la sesión en todos los dispositivos */
+  onLogoutAll: PropTypes.func.isRequired,
+};
+
+// Valores por defecto
+ActiveSessions.defaultProps = {
+  sessions: [],
+  loading: false,
+  revokingId: null,
+};
+
+export default ActiveSessions;
@@ -0,0 +1,393 @@
+import PropTypes from 'prop-types';
+import { ScrollText } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Spinner, IconBox, Text } from '../atoms';
+import { Pagination } from '../molecules';
+import { getActionLabel } from '../../constants/auditActions';
+
+/**
+ * @fileoverview Componente de tabla del registro de auditoría para CatWare Systems
+ * Muestra los eventos de autenticación y gestión de usuarios con el mismo
+ * aspecto que UserTable y paginación del servidor
+ */
+
+/**
+ * Nombres legibles de los campos que aparecen en los cambios de un usuario
+ * @constant {Object<string, string>}
+ */
+const FIELD_LABELS = {
+  name: 'nombre',
+  email: 'correo',
+  role: 'rol',
+  password: 'contraseña',
+};
+
+/**
+ * Motivos de un login fallido distintos de las credenciales incorrectas
+ * @constant {Object<string, string>}
+ */
+const FAILURE_REASONS = {
+  email_unverified: 'correo sin verificar',
+  two_factor: 'código de verificación incorrecto',
+};
+
+/**
+ * Acciones que indican un fallo y se resaltan con el color de error
+ * @constant {Array<string>}
+ */
+const FAILURE_ACTIONS = ['auth.login_failed', 'user.deleted'];
+
+/**
+ * Resume los detalles propios de cada tipo de evento
+ *
+ * @param {Object} log - Evento de auditoría
+ * @returns {string} Resumen de los detalles o cadena vacía
+ */
+const describeDetails = (log) => {
+  const metadata = log.metadata || {};
+
+  if (log.action === 'auth.impersonation_started' && metadata.expires_in) {
+    return `Válido ${Math.round(metadata.expires_in / 60)} min`;
+  }
+  if (metadata.changes) {
+    const fields = Object.keys(metadata.changes).map((field) => FIELD_LABELS[field] || field);
+    return `Cambios: ${fields.join(', ')}`;
+  }
+  if (log.action === 'auth.login_failed' && metadata.email) {
+    const reason = metadata.lockout_seconds
+      ? `login bloqueado ${metadata.lockout_seconds} s`
+      : FAILURE_REASONS[metadata.reason];
+    return `Correo usado: ${metadata.email}${reason ? ` (${reason})` : ''}`;
+  }
+  if (metadata.two_factor) {
+    return metadata.two_factor === 'recovery_code'
+      ? 'Con código de recuperación'
+      : 'Con verificación en dos pasos';
+  }
+  if (metadata.device_name) {
+    return `Dispositivo: ${metadata.device_name}`;
+  }
+  if (metadata.scope === 'all_devices') {
+    return `Todos los dispositivos (tokens revocados: ${metadata.tokens_revoked})`;
+  }
+  if (metadata.tokens_revoked !== undefined) {
+    return `Tokens revocados: ${metadata.tokens_revoked}`;
+  }
+  if (metadata.role) {
+    return `Rol: ${metadata.role}`;
+  }
+  return '';
+};
+
+/**
+ * Resume los metadatos de un evento en una línea legible
+ * Las acciones hechas con un token de suplantación indican el administrador
+ *
+ * @param {Object} log - Evento de auditoría
+ * @returns {string} Resumen de los detalles o cadena vacía
+ */
+const describeMetadata = (log) => {
+  const details = describeDetails(log);
+  const impersonatedBy = log.metadata?.impersonated_by;
+
+  // Al terminar la suplantación el administrador ya figura como autor
+  if (!impersonatedBy || log.action === 'auth.impersonation_ended') {
+    return details;
+  }
+  const note = `Suplantado por ${impersonatedBy}`;
+  return details ? `${details} · ${note}` : note;
+};
+
+/**
+ * Componente de tabla para consultar el registro de auditoría
+ * Solo lectura: no tiene ordenamiento, los eventos llegan del más reciente al más antiguo
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<Object>} [props.logs=[]] - Eventos a mostrar
+ * @param {boolean} [props.loading=false] - Estado de carga
+ * @param {string} [props.emptyMessage] - Texto mostrado cuando no hay eventos
+ * @param {Object} [props.pagination] - Metadatos de paginación del servidor (meta)
+ * @param {Function} [props.onPageChange] - Callback con la nueva página
+ * @param {Function} [props.onPerPageChange] - Callback con el nuevo tamaño de página
+ * @param {string} [props.className=''] - Clases CSS adicionales
+ * @returns {JSX.Element} Tabla de auditoría accesible y temática
+ *
+ * @example
+ * <AuditLogTable
+ *   logs={logs}
+ *   loading={loading}
+ *   pagination={meta}
+ *   onPageChange={setPage}
+ *   onPerPageChange={setPerPage}
+ * />
+ */
+const AuditLogTable = ({
+  logs = [],
+  loading = false,
+  emptyMessage = 'No hay eventos registrados',
+  pagination = null,
+  onPageChange,
+  onPerPageChange,
+  className = ''
+}) => {
+  // Hook de tema para colores y modo oscuro
+  const { isDark, colors } = useTheme();
+
+  /**
+   * Formatea una fecha ISO string con fecha y hora en español
+   *
+   * @param {string} dateString - Fecha en formato ISO
+   * @returns {string} Fecha formateada (ej: "15 ene 2024, 10:30:05")
+   */
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('es-ES', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  // Estilos compartidos por las cabeceras de la tabla
+  const headerStyle = {
+    color: isDark ? '#FFFFFF' : colors.text,
+    textShadow: isDark ? `0 0 8px ${colors.primary}20` : 'none'
+  };
+  const headers = ['Fecha', 'Acción', 'Realizada por', 'Usuario afectado', 'Detalles', 'IP / Navegador'];
+
+  // Estado de carga - Mostrar spinner con estilo temático
+  if (loading) {
+    return (
+      <div
+        className={`p-8 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''} ${className}`}
+        style={{
+          background: colors.background,
+          border: `2px solid ${colors.primary}`,
+          backdropFilter: 'blur(10px)',
+          boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+        }}
+        role="status"
+        aria-label="Cargando registro de auditoría"
+      >
+        <div className="py-12">
+          <Spinner size="md" message="Cargando Eventos..." />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`p-8 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''} ${className}`}
+      style={{
+        background: colors.background,
+        border: `2px solid ${colors.primary}`,
+        backdropFilter: 'blur(10px)',
+        boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+      }}
+      role="region"
+      aria-label="Registro de auditoría"
+    >
+      {/* Header de la tabla con título y contador */}
+      <div className="flex items-center space-x-4 mb-8">
+        <IconBox size="md">
+          <ScrollText className="w-6 h-6" />
+        </IconBox>
+        <div>
+          <Text variant="heading" size="2xl" as="h2">
+            Registro de Auditoría
+          </Text>
+          <Text variant="subheading" size="sm">
+            {pagination ? pagination.total : logs.length} Eventos
+          </Text>
+        </div>
+      </div>
+
+      {logs.length === 0 ? (
+        <div className="text-center py-16">
+          <div
+            className="mx-auto mb-4 w-16 h-16 flex items-center justify-center"
+            style={{
+              color: colors.textMuted,
+              opacity: 0.5,
+              filter: isDark ? `drop-shadow(0 0 8px ${colors.primary}20)` : 'none'
+            }}
+          >
+            <ScrollText className="w-16 h-16" />
+          </div>
+          <Text variant="muted" size="lg">
+            {emptyMessage}
+          </Text>
+        </div>
+      ) : (
+        <div className="overflow-hidden">
+          <div
+            className={`overflow-x-auto transition-all duration-300 ${isDark ? 'shadow-inner' : ''}`}
+            style={{
+              background: colors.surface,
+              border: `1px solid ${colors.border}40`,
+              boxShadow: isDark ? `inset 0 0 20px ${colors.primary}10` : 'none'
+            }}
+          >
+            <table className="min-w-full">
+              <thead>
+                <tr
+                  className="transition-all duration-300"
+                  style={{
+                    background: colors.accent,
+                    borderBottom: `2px solid ${colors.primary}`,
+                    boxShadow: isDark ? `0 2px 10px ${colors.primary}20` : 'none'
+                  }}
+                >
+                  {headers.map((header) => (
+                    <th
+                      key={header}
+                      scope="col"
+                      className="px-6 py-4 text-left text-xs font-medium uppercase tracking-widest"
+                      style={headerStyle}
+                    >
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {logs.map((log, index) => (
+                  <tr
+                    key={log.id}
+                    className="transition-all duration-300 hover:bg-gray-100 dark:hover:bg-gray-800"
+                    style={{
+                      borderBottom: index !== logs.length - 1 ? `1px solid ${colors.border}30` : 'none',
+                    }}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Text variant="muted" size="sm">
+                        {formatDateTime(log.created_at)}
+                      </Text>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className="px-2 py-1 text-xs font-medium uppercase tracking-wider"
+                        style={{
+                          border: `1px solid ${FAILURE_ACTIONS.includes(log.action) ? colors.error : colors.primary}`,
+                          color: FAILURE_ACTIONS.includes(log.action) ? colors.error : colors.primary
+                        }}
+                      >
+                        {getActionLabel(log.action)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {log.actor ? (
+                        <>
+                          <Text variant="body" size="sm" className="font-medium">
+                            {log.actor.name}
+                          </Text>
+                          <Text variant="mono" size="xs">
+                            {log.actor.email}
+                          </Text>
+                        </>
+                      ) : (
+                        <Text variant="muted" size="sm">Anónimo</Text>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Text variant="mono" size="sm">
+                        {log.target_label || '—'}
+                      </Text>
+                    </td>
+                    <td className="px-6 py-4">
+                      <Text variant="muted" size="sm">
+                        {describeMetadata(log) || '—'}
+                      </Text>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Text variant="mono" size="sm">
+                        {log.ip_address || '—'}
+                      </Text>
+                      <Text
+                        variant="muted"
+                        size="xs"
+                        className="max-w-xs truncate"
+                        title={log.user_agent || undefined}
+                      >
+                        {log.user_agent || '—'}
+                      </Text>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Control de paginación del servidor */}
+          {pagination && (
+            <Pagination
+              currentPage={pagination.current_page}
+              lastPage={pagination.last_page}
+              perPage={pagination.per_page}
+              from={pagination.from}
+              to={pagination.to}
+              total={pagination.total}
+              onPageChange={onPageChange}
+              onPerPageChange={onPerPageChange}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+AuditLogTable.propTypes = {
+  /** Eventos de auditoría devueltos por GET /api/audit-logs */
+  logs: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      action: PropTypes.string.isRequired,
+      actor: PropTypes.shape({
+        id: PropTypes.number,
+        name: PropTypes.string,
+        email: PropTypes.string,
+      }),
+      target_label: PropTypes.string,
+      metadata: PropTypes.object,
+      ip_address: PropTypes.string,
+      user_agent: PropTypes.string,
+      created_at: PropTypes.string.isRequired,
+    })
+  ),
+  /** Estado de carga para mostrar spinner */
+  loading: PropTypes.bool,
+  /** Texto mostrado cuando la lista está vacía */
+  emptyMessage: PropTypes.string,
+  /** Metadatos de paginación devueltos por la API (meta) */
+  pagination: PropTypes.shape({
+    current_page: PropTypes.number.isRequired,
+    per_page: PropTypes.number.isRequired,
+    last_page: PropTypes.number.isRequired,
+    from: PropTypes.number,
+    to: PropTypes.number,
+    total: PropTypes.number.isRequired,
+  }),
+  /** Función callback ejecutada al cambiar de página */
+  onPageChange: PropTypes.func,
+  /** Función callback ejecutada al cambiar el tamaño de página */
+  onPerPageChange: PropTypes.func,
+  /** Clases CSS adicionales */
+  className: PropTypes.string,
+};
+
+// Valores por defecto de las props
+AuditLogTable.defaultProps = {
+  logs: [],
+  loading: false,
+  emptyMessage: 'No hay eventos registrados',
+  pagination: null,
+  className: '',
+};
+
+export default AuditLogTable;
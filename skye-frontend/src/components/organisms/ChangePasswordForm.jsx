@@ -0,0 +1,171 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Lock, KeyRound } from 'lucide-react';
+import { Button, ErrorMessage } from '../atoms';
+import { FormField, PasswordStrengthMeter } from '../molecules';
+import { usePasswordPolicy, useForm } from '../../hooks';
+import {
+  checkPassword,
+  getPasswordStrength,
+  passwordPolicyRule
+} from '../../services/passwordPolicy';
+import { required, differentFrom, matchesField } from '../../services/validation';
+
+/**
+ * @fileoverview Componente ChangePasswordForm organism para CatWare Systems
+ * Cambio de contraseña del usuario actual conociendo la contraseña actual
+ */
+
+// Campos de la API con otro nombre en el formulario
+const CHANGE_PASSWORD_FIELD_MAP = {
+  current_password: 'currentPassword',
+  password_confirmation: 'confirmPassword'
+};
+
+// Valores iniciales del formulario
+const CHANGE_PASSWORD_INITIAL_VALUES = {
+  currentPassword: '',
+  password: '',
+  confirmPassword: ''
+};
+
+/**
+ * @component ChangePasswordForm
+ * @description Pide la contraseña actual y la nueva dos veces. La nueva se
+ * comprueba en vivo con la política del backend y el medidor de fortaleza.
+ * Para vaciar los campos tras un cambio correcto, remontar con otra `key`.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.user - Usuario actual ({ name, email }) para la política
+ * @param {Function} props.onSubmit - Callback con { current_password, password, password_confirmation }
+ * @param {boolean} [props.loading=false] - Si el envío está en curso
+ * @param {string} [props.error=''] - Mensaje de error devuelto por la API
+ * @param {Object<string, string[]>} [props.serverErrors] - Errores por campo devueltos por la API
+ * @returns {JSX.Element} Elemento JSX del formulario
+ *
+ * @example
+ * <ChangePasswordForm key={formKey} user={user} onSubmit={handleChangePassword} />
+ */
+const ChangePasswordForm = ({
+  user,
+  onSubmit,
+  loading = false,
+  error = '',
+  serverErrors
+}) => {
+  // Política del backend para la contraseña nueva (null mientras carga)
+  const policy = usePasswordPolicy();
+  const schema = useMemo(() => ({
+    currentPassword: [required('Introduce tu contraseña actual')],
+    password: [
+      required('La nueva contraseña es requerida'),
+      differentFrom('currentPassword', 'La nueva contraseña debe ser distinta de la actual'),
+      passwordPolicyRule(policy, () => [user.name, user.email])
+    ],
+    confirmPassword: [
+      required('Confirma la nueva contraseña'),
+      matchesField('password', 'Las contraseñas no coinciden')
+    ]
+  }), [policy, user.name, user.email]);
+
+  const { values, formRef, handleSubmit, getFieldProps } = useForm({
+    initialValues: CHANGE_PASSWORD_INITIAL_VALUES,
+    schema,
+    fieldMap: CHANGE_PASSWORD_FIELD_MAP,
+    serverErrors,
+    onSubmit: (formValues) => onSubmit({
+      current_password: formValues.currentPassword,
+      password: formValues.password,
+      password_confirmation: formValues.confirmPassword
+    })
+  });
+
+  const passwordChecks = policy
+    ? checkPassword(values.password, policy, [user.name, user.email])
+    : [];
+
+  return (
+    <form ref={formRef} onSubmit={handleSubmit} className="space-y-6" noValidate>
+      {/* Error devuelto por la API */}
+      {error && (
+        <ErrorMessage type="error" size="md" showIcon>
+          {error}
+        </ErrorMessage>
+      )}
+
+      <FormField
+        id="current-password"
+        label="Contraseña Actual"
+        type="password"
+        {...getFieldProps('currentPassword')}
+        disabled={loading}
+        autoComplete="current-password"
+        placeholder="••••••••"
+        required
+        icon={<KeyRound size={18} />}
+      />
+
+      <FormField
+        id="new-password"
+        label="Nueva Contraseña"
+        type="password"
+        {...getFieldProps('password')}
+        disabled={loading}
+        autoComplete="new-password"
+        placeholder="••••••••"
+        required
+        icon={<Lock size={18} />}
+      />
+
+      {policy && (
+        <PasswordStrengthMeter
+          checks={passwordChecks}
+          strength={getPasswordStrength(values.password, passwordChecks, policy)}
+        />
+      )}
+
+      <FormField
+        id="confirm-new-password"
+        label="Confirmar Nueva Contraseña"
+        type="password"
+        {...getFieldProps('confirmPassword')}
+        disabled={loading}
+        autoComplete="new-password"
+        placeholder="••••••••"
+        required
+        icon={<Lock size={18} />}
+      />
+
+      <div className="flex justify-end pt-2">
+        <Button type="submit" variant="primary" size="sm" loading={loading}>
+          Cambiar Contraseña
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Validación de tipos con PropTypes
+ChangePasswordForm.propTypes = {
+  /** Usuario actual (nombre y correo para la política) */
+  user: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    email: PropTypes.string.isRequired,
+  }).isRequired,
+  /** Función callback ejecutada con los datos validados */
+  onSubmit: PropTypes.func.isRequired,
+  /** Si el envío está en curso */
+  loading: PropTypes.bool,
+  /** Mensaje de error devuelto por la API */
+  error: PropTypes.string,
+  /** Errores por campo devueltos por la API ({ email: ['...'] }) */
+  serverErrors: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+};
+
+// Valores por defecto
+ChangePasswordForm.defaultProps = {
+  loading: false,
+  error: '',
+};
+
+export default ChangePasswordForm;
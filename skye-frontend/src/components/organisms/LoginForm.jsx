@@ -1,9 +1,32 @@
-import { useState } from 'react';
 import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { Mail, Lock, AlertCircle } from 'lucide-react';
 import { useTheme } from '../../contexts/ThemeContext';
-import { Input, Button, Label, ErrorMessage } from '../atoms';
+import { Button, ErrorMessage } from '../atoms';
+import { FormField } from '../molecules';
+import { useForm } from '../../hooks';
+import { required, email } from '../../services/validation';
+
+// Valores iniciales del formulario
+const LOGIN_INITIAL_VALUES = {
+  email: '',
+  password: ''
+};
+
+// Reglas de validación (la política de contraseñas solo aplica a contraseñas nuevas)
+const LOGIN_SCHEMA = {
+  email: [required('El correo electrónico es requerido'), email()],
+  password: [required('La contraseña es requerida')]
+};
+
+/**
+ * Formatea una espera en segundos como m:ss
+ *
+ * @param {number} seconds - Segundos restantes
+ * @returns {string} Tiempo formateado (ej: "1:05")
+ */
+const formatWait = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
 
 /**
  * @fileoverview Formulario de inicio de sesión para CatWare Systems
@@ -19,7 +42,9 @@ import { Input, Button, Label, ErrorMessage } from '../atoms';
  * 
  * Características:
  * - Validación de email con formato correcto
- * - Validación de contraseña con longitud mínima
+ * - Validación de contraseña requerida (la política se aplica al crearla, no al entrar)
+ * - Cuenta atrás con el envío bloqueado tras demasiados intentos fallidos
+ * - Errores de validación del servidor bajo su campo, con el foco en el primero
  * - Mensajes de error accesibles con ARIA
  * - Soporte completo para lectores de pantalla
  * - Navegación por teclado optimizada
@@ -30,6 +55,8 @@ import { Input, Button, Label, ErrorMessage } from '../atoms';
  * @param {Function} props.onSubmit - Callback ejecutado al enviar el formulario con credenciales válidas
  * @param {boolean} [props.loading=false] - Estado de carga del formulario
  * @param {string} [props.error] - Mensaje de error general del formulario
+ * @param {Object<string, string[]>} [props.serverErrors] - Errores por campo devueltos por la API
+ * @param {number} [props.lockedSeconds=0] - Segundos que faltan para poder volver a intentarlo
  * @param {string} [props.className=''] - Clases CSS adicionales para el contenedor
  * @returns {JSX.Element} Elemento JSX del formulario de login
  * 
@@ -45,93 +72,34 @@ const LoginForm = ({
   onSubmit,
   loading = false,
   error,
+  serverErrors,
+  lockedSeconds = 0,
   className = ''
 }) => {
   const { colors, isDark } = useTheme();
+  const locked = lockedSeconds > 0;
   
-  // Estado del formulario con campos de email y contraseña
-  const [formData, setFormData] = useState({
-    email: '',
-    password: ''
+  // Estado, validación y errores por campo (locales y de la API)
+  const { formRef, handleSubmit, getFieldProps } = useForm({
+    initialValues: LOGIN_INITIAL_VALUES,
+    schema: LOGIN_SCHEMA,
+    serverErrors,
+    // Durante un bloqueo se valida pero no se envía
+    onSubmit: (credentials) => (locked ? undefined : onSubmit(credentials))
   });
 
-  // Estado para errores de validación por campo
-  const [fieldErrors, setFieldErrors] = useState({});
-
-  /**
-   * Maneja los cambios en los campos del formulario
-   * Actualiza el estado del formulario y limpia errores de validación
-   * 
-   * @param {Event} e - Evento de cambio del input
-   */
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
-
-    // Limpiar error del campo cuando el usuario empieza a escribir
-    if (fieldErrors[name]) {
-      setFieldErrors(prev => ({
-        ...prev,
-        [name]: ''
-      }));
-    }
-  };
-
-  /**
-   * Valida todos los campos del formulario
-   * Verifica formato de email y longitud de contraseña
-   * 
-   * @returns {Object} Objeto con errores de validación por campo
-   */
-  const validate = () => {
-    const errors = {};
-
-    // Validación del email
-    if (!formData.email) {
-      errors.email = 'El correo electrónico es requerido';
-    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
-      errors.email = 'Por favor ingresa un correo electrónico válido';
-    }
-
-    // Validación de la contraseña
-    if (!formData.password) {
-      errors.password = 'La contraseña es requerida';
-    } else if (formData.password.length < 6) {
-      errors.password = 'La contraseña debe tener al menos 6 caracteres';
-    }
-
-    return errors;
-  };
-
-  /**
-   * Maneja el envío del formulario
-   * Previene el comportamiento por defecto, valida campos y ejecuta callback
-   * 
-   * @param {Event} e - Evento de envío del formulario
-   */
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    
-    // Validar todos los campos
-    const errors = validate();
-    if (Object.keys(errors).length > 0) {
-      setFieldErrors(errors);
-      return;
-    }
-
-    // Limpiar errores y enviar datos
-    setFieldErrors({});
-    onSubmit(formData);
-  };
-
   return (
     <div className={`w-full space-y-8 ${className}`}>
       
+      {/* Bloqueo temporal por demasiados intentos fallidos */}
+      {locked && (
+        <ErrorMessage id="form-locked" type="warning" size="md" showIcon>
+          Demasiados intentos fallidos. Podrás volver a intentarlo en {formatWait(lockedSeconds)}.
+        </ErrorMessage>
+      )}
+
       {/* Visualización de errores generales del formulario */}
-      {error && (
+      {error && !locked && (
         <div 
           className="border-l-4 px-4 py-3 transition-all duration-300"
           style={{
@@ -148,52 +116,55 @@ const LoginForm = ({
       )}
 
       {/* Formulario principal con validación y accesibilidad */}
-      <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+      <form ref={formRef} onSubmit={handleSubmit} className="space-y-6" noValidate>
         
         {/* Campo de correo electrónico */}
-        <div className="space-y-2">
-          <Label htmlFor="email" required>
-            Correo Electrónico
-          </Label>
-          <Input
-            id="email"
-            name="email"
-            type="email"
-            value={formData.email}
-            onChange={handleChange}
-            disabled={loading}
-            autoComplete="email"
-            placeholder="usuario@ejemplo.com"
-            hasError={!!fieldErrors.email}
-            ariaDescribedBy={fieldErrors.email ? "email-error" : undefined}
-            icon={<Mail size={18} />}
-          />
-          <ErrorMessage id="email-error" type="error">
-            {fieldErrors.email}
-          </ErrorMessage>
-        </div>
+        <FormField
+          id="email"
+          label="Correo Electrónico"
+          type="email"
+          {...getFieldProps('email')}
+          disabled={loading}
+          autoComplete="email"
+          placeholder="usuario@ejemplo.com"
+          required
+          icon={<Mail size={18} />}
+        />
 
         {/* Campo de contraseña */}
-        <div className="space-y-2">
-          <Label htmlFor="password" required>
-            Contraseña
-          </Label>
-          <Input
-            id="password"
-            name="password"
-            type="password"
-            value={formData.password}
-            onChange={handleChange}
-            disabled={loading}
-            autoComplete="current-password"
-            placeholder="••••••••"
-            hasError={!!fieldErrors.password}
-            ariaDescribedBy={fieldErrors.password ? "password-error" : undefined}
-            icon={<Lock size={18} />}
-          />
-          <ErrorMessage id="password-error" type="error">
-            {fieldErrors.password}
-          </ErrorMessage>
+        <FormField
+          id="password"
+          label="Contraseña"
+          type="password"
+          {...getFieldProps('password')}
+          disabled={loading}
+          autoComplete="current-password"
+          placeholder="••••••••"
+          required
+          icon={<Lock size={18} />}
+        />
+
+        {/* Enlace de recuperación de contraseña */}
+        <div className="text-right">
+          <Link
+            to="/forgot-password"
+            className="text-xs tracking-wider transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2"
+            style={{
+              color: colors.mediumGray,
+              textDecoration: 'none',
+              borderBottom: `1px solid ${colors.mediumGray}`
+            }}
+            onMouseEnter={(e) => {
+              e.target.style.color = colors.primary;
+              e.target.style.borderBottomColor = colors.primary;
+            }}
+            onMouseLeave={(e) => {
+              e.target.style.color = colors.mediumGray;
+              e.target.style.borderBottomColor = colors.mediumGray;
+            }}
+          >
+            ¿Olvidaste tu contraseña?
+          </Link>
         </div>
 
         {/* Botón de envío del formulario */}
@@ -202,10 +173,11 @@ const LoginForm = ({
             type="submit"
             variant="primary"
             loading={loading}
+            disabled={locked}
             fullWidth
-            ariaDescribedBy={loading ? "loading-status" : undefined}
+            ariaDescribedBy={locked ? "form-locked" : loading ? "loading-status" : undefined}
           >
-            {loading ? 'Autenticando...' : 'Iniciar Sesión'}
+            {loading ? 'Autenticando...' : locked ? `Reintentar en ${formatWait(lockedSeconds)}` : 'Iniciar Sesión'}
           </Button>
         </div>
 
@@ -281,6 +253,10 @@ LoginForm.propTypes = {
   loading: PropTypes.bool,
   /** Mensaje de error general del formulario para mostrar al usuario */
   error: PropTypes.string,
+  /** Errores por campo devueltos por la API ({ email: ['...'] }) */
+  serverErrors: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+  /** Segundos que faltan para poder volver a intentarlo tras un bloqueo */
+  lockedSeconds: PropTypes.number,
   /** Clases CSS adicionales para personalización del contenedor */
   className: PropTypes.string,
 };
@@ -292,6 +268,7 @@ LoginForm.propTypes = {
 LoginForm.defaultProps = {
   loading: false,
   error: '',
+  lockedSeconds: 0,
   className: '',
 };
 
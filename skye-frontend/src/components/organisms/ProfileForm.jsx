@@ -0,0 +1,175 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Mail, User, KeyRound } from 'lucide-react';
+import { Button, ErrorMessage } from '../atoms';
+import { FormField } from '../molecules';
+import { useForm } from '../../hooks';
+import { required, minLength, email } from '../../services/validation';
+
+/**
+ * @fileoverview Componente ProfileForm organism para CatWare Systems
+ * Formulario de datos personales del usuario actual
+ */
+
+// Campos de la API con otro nombre en el formulario
+const PROFILE_FIELD_MAP = {
+  current_password: 'currentPassword'
+};
+
+/**
+ * Indica si el correo escrito es distinto del actual
+ *
+ * @param {string} value - Correo del formulario
+ * @param {string} currentEmail - Correo actual del usuario
+ * @returns {boolean}
+ */
+const isEmailChanged = (value, currentEmail) => value.trim().toLowerCase() !== currentEmail.toLowerCase();
+
+/**
+ * @component ProfileForm
+ * @description Edita el nombre y el correo del usuario actual con las mismas
+ * validaciones que el registro. Cambiar el correo pide la contraseña actual y
+ * avisa de que no se aplicará hasta confirmar el enlace del correo nuevo; si
+ * ya hay un cambio pendiente lo indica.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.user - Usuario actual ({ name, email, pending_email })
+ * @param {Function} props.onSubmit - Callback con { name, email } y current_password si cambia el correo
+ * @param {boolean} [props.loading=false] - Si el envío está en curso
+ * @param {string} [props.error=''] - Mensaje de error devuelto por la API
+ * @param {Object<string, string[]>} [props.serverErrors] - Errores por campo devueltos por la API
+ * @returns {JSX.Element} Elemento JSX del formulario
+ *
+ * @example
+ * <ProfileForm user={user} onSubmit={handleSaveProfile} loading={saving} error={profileError} />
+ */
+const ProfileForm = ({
+  user,
+  onSubmit,
+  loading = false,
+  error = '',
+  serverErrors
+}) => {
+  // Reglas del registro; la contraseña actual solo se pide si cambia el correo
+  const schema = useMemo(() => ({
+    name: [
+      required('El nombre es requerido'),
+      minLength(2, 'El nombre debe tener al menos 2 caracteres')
+    ],
+    email: [required('El correo electrónico es requerido'), email()],
+    currentPassword: [
+      (value, formValues) => (isEmailChanged(formValues.email, user.email) && !value
+        ? 'Introduce tu contraseña actual para cambiar el correo'
+        : '')
+    ]
+  }), [user.email]);
+
+  const { values, formRef, handleSubmit, getFieldProps } = useForm({
+    initialValues: { name: user.name, email: user.email, currentPassword: '' },
+    schema,
+    fieldMap: PROFILE_FIELD_MAP,
+    serverErrors,
+    onSubmit: (formValues) => onSubmit({
+      name: formValues.name.trim(),
+      email: formValues.email.trim(),
+      ...(isEmailChanged(formValues.email, user.email) && { current_password: formValues.currentPassword })
+    })
+  });
+
+  const emailChanged = isEmailChanged(values.email, user.email);
+  const unchanged = !emailChanged && values.name.trim() === user.name;
+
+  return (
+    <form ref={formRef} onSubmit={handleSubmit} className="space-y-6" noValidate>
+      {/* Error devuelto por la API */}
+      {error && (
+        <ErrorMessage type="error" size="md" showIcon>
+          {error}
+        </ErrorMessage>
+      )}
+
+      <FormField
+        id="profile-name"
+        label="Nombre Completo"
+        {...getFieldProps('name')}
+        disabled={loading}
+        autoComplete="name"
+        placeholder="Tu Nombre"
+        required
+        icon={<User size={18} />}
+      />
+
+      <FormField
+        id="profile-email"
+        label="Correo Electrónico"
+        type="email"
+        {...getFieldProps('email')}
+        disabled={loading}
+        autoComplete="email"
+        placeholder="usuario@ejemplo.com"
+        required
+        icon={<Mail size={18} />}
+      />
+
+      {/* Cambio de correo pedido antes y aún sin confirmar */}
+      {user.pending_email && !emailChanged && (
+        <ErrorMessage type="info" size="md" showIcon>
+          {`Cambio pendiente a ${user.pending_email}: abre el enlace que te enviamos para confirmarlo.`}
+        </ErrorMessage>
+      )}
+
+      {/* Cambiar el correo exige la contraseña y confirmar el nuevo */}
+      {emailChanged && (
+        <>
+          <FormField
+            id="profile-current-password"
+            label="Contraseña Actual"
+            type="password"
+            {...getFieldProps('currentPassword')}
+            disabled={loading}
+            autoComplete="current-password"
+            placeholder="••••••••"
+            required
+            icon={<KeyRound size={18} />}
+          />
+
+          <ErrorMessage type="warning" size="md" showIcon>
+            Te enviaremos un enlace al nuevo correo. Hasta que lo confirmes seguirás entrando con el actual.
+          </ErrorMessage>
+        </>
+      )}
+
+      <div className="flex justify-end pt-2">
+        <Button type="submit" variant="primary" size="sm" loading={loading} disabled={unchanged}>
+          Guardar Cambios
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Validación de tipos con PropTypes
+ProfileForm.propTypes = {
+  /** Usuario actual */
+  user: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    email: PropTypes.string.isRequired,
+    pending_email: PropTypes.string,
+  }).isRequired,
+  /** Función callback ejecutada con los datos validados */
+  onSubmit: PropTypes.func.isRequired,
+  /** Si el envío está en curso */
+  loading: PropTypes.bool,
+  /** Mensaje de error devuelto por la API */
+  error: PropTypes.string,
+  /** Errores por campo devueltos por la API ({ email: ['...'], current_password: ['...'] }) */
+  serverErrors: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+};
+
+// Valores por defecto
+ProfileForm.defaultProps = {
+  loading: false,
+  error: '',
+};
+
+export default ProfileForm;
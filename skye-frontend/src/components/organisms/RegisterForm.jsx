@@ -1,118 +1,122 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useMemo, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
-import { Mail, Lock, User, UserPlus, AlertCircle, CheckCircle } from 'lucide-react';
+import { Mail, Lock, User, UserPlus, AlertCircle, CheckCircle, XCircle, Loader2 } from 'lucide-react';
 import { useTheme } from '../../contexts/ThemeContext';
-import { Input, Button, Label, ErrorMessage } from '../atoms';
+import { Button, ErrorMessage } from '../atoms';
+import { FormField, PasswordStrengthMeter } from '../molecules';
+import { usePasswordPolicy, useForm, useEmailAvailability } from '../../hooks';
+import { EMAIL_AVAILABILITY } from '../../hooks/useEmailAvailability';
+import {
+  checkPassword,
+  getPasswordStrength,
+  passwordPolicyRule
+} from '../../services/passwordPolicy';
+import { required, minLength, email, matchesField } from '../../services/validation';
+
+// Campos de la API con otro nombre en el formulario
+const REGISTER_FIELD_MAP = {
+  password_confirmation: 'confirmPassword'
+};
+
+// Valores iniciales del formulario
+const REGISTER_INITIAL_VALUES = {
+  name: '',
+  email: '',
+  password: '',
+  confirmPassword: ''
+};
+
+// Reglas de validación (la de la contraseña depende de la política cargada)
+const REGISTER_SCHEMA = {
+  name: [
+    required('El nombre es requerido'),
+    minLength(2, 'El nombre debe tener al menos 2 caracteres')
+  ],
+  email: [required('El correo electrónico es requerido'), email()],
+  confirmPassword: [
+    required('Confirma tu contraseña'),
+    matchesField('password', 'Las contraseñas no coinciden')
+  ]
+};
 
 const RegisterForm = ({ 
   onRegister,
   loading = false,
   className = ''
 }) => {
-  const navigate = useNavigate();
   const { isDark, colors } = useTheme();
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    password: '',
-    confirmPassword: ''
-  });
-  const [fieldErrors, setFieldErrors] = useState({});
-  const [error, setError] = useState('');
-  const [success, setSuccess] = useState('');
 
-  const validateForm = () => {
-    const errors = {};
+  // Política del backend: hasta que carga solo se exige que haya contraseña
+  const policy = usePasswordPolicy();
+  // Última comprobación del correo, leída por su regla al validar
+  const emailAvailabilityRef = useRef(null);
 
-    // Validar nombre
-    if (!formData.name.trim()) {
-      errors.name = 'El nombre es requerido';
-    } else if (formData.name.trim().length < 2) {
-      errors.name = 'El nombre debe tener al menos 2 caracteres';
-    }
-
-    // Validar correo electrónico
-    if (!formData.email) {
-      errors.email = 'El correo electrónico es requerido';
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-      errors.email = 'Ingresa un correo electrónico válido';
-    }
+  const schema = useMemo(() => ({
+    ...REGISTER_SCHEMA,
+    email: [
+      ...REGISTER_SCHEMA.email,
+      () => (emailAvailabilityRef.current?.status === EMAIL_AVAILABILITY.TAKEN
+        ? emailAvailabilityRef.current.message
+        : '')
+    ],
+    password: [
+      required('La contraseña es requerida'),
+      passwordPolicyRule(policy, (values) => [values.name, values.email])
+    ]
+  }), [policy]);
 
-    // Validar contraseña
-    if (!formData.password) {
-      errors.password = 'La contraseña es requerida';
-    } else if (formData.password.length < 6) {
-      errors.password = 'La contraseña debe tener al menos 6 caracteres';
+  // La página decide a dónde ir tras el registro (sus errores por campo se muestran bajo cada campo)
+  const handleRegister = async (values) => {
+    if (onRegister) {
+      await onRegister({
+        name: values.name.trim(),
+        email: values.email.trim(),
+        password: values.password,
+        confirmPassword: values.confirmPassword
+      });
     }
-
-    // Validar confirmación de contraseña
-    if (!formData.confirmPassword) {
-      errors.confirmPassword = 'Confirma tu contraseña';
-    } else if (formData.password !== formData.confirmPassword) {
-      errors.confirmPassword = 'Las contraseñas no coinciden';
-    }
-
-    setFieldErrors(errors);
-    return Object.keys(errors).length === 0;
   };
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
-
-    // Borrar error del campo al modificar
-    if (fieldErrors[name]) {
-      setFieldErrors(prev => ({
-        ...prev,
-        [name]: ''
-      }));
-    }
-
-    // Borrar error general
-    if (error) setError('');
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!validateForm()) {
-      return;
-    }
+  const {
+    values,
+    errors,
+    submitError: error,
+    formRef,
+    handleSubmit,
+    getFieldProps
+  } = useForm({
+    initialValues: REGISTER_INITIAL_VALUES,
+    schema,
+    validateOn: 'blur',
+    fieldMap: REGISTER_FIELD_MAP,
+    onSubmit: handleRegister
+  });
 
-    try {
-      setError('');
-      setSuccess('');
-      
-      // función de registro
-      if (onRegister) {
-        await onRegister({
-          name: formData.name.trim(),
-          email: formData.email.trim(),
-          password: formData.password,
-          confirmPassword: formData.confirmPassword
-        });
-      }
+  // Comprobación en vivo del correo; el backend la repite al registrar
+  const emailAvailability = useEmailAvailability(values.email, { enabled: !loading });
+  const emailTaken = emailAvailability.status === EMAIL_AVAILABILITY.TAKEN;
+  const emailAvailable = emailAvailability.status === EMAIL_AVAILABILITY.AVAILABLE;
 
-      // Mostrar mensaje de éxito
-      setSuccess('¡Cuenta creada exitosamente! Redirigiendo...');
-      
-      // Redirigir a login después de un retraso
-      setTimeout(() => {
-        navigate('/login');
-      }, 2000);
+  useEffect(() => {
+    emailAvailabilityRef.current = emailAvailability;
+  });
 
-    } catch (err) {
-      setError(err.message || 'Error al crear la cuenta. Inténtalo de nuevo.');
-    }
+  // Icono del campo de correo según la comprobación
+  const emailStatusIcons = {
+    [EMAIL_AVAILABILITY.IDLE]: <Mail size={18} />,
+    [EMAIL_AVAILABILITY.CHECKING]: <Loader2 size={18} className="animate-spin" />,
+    [EMAIL_AVAILABILITY.AVAILABLE]: <CheckCircle size={18} style={{ color: colors.success }} />,
+    [EMAIL_AVAILABILITY.TAKEN]: <XCircle size={18} style={{ color: colors.error }} />
   };
 
+  const passwordChecks = policy
+    ? checkPassword(values.password, policy, [values.name, values.email])
+    : [];
+
   return (
     <div className={`w-full space-y-8 ${className}`}>
-      <form onSubmit={handleSubmit} className="space-y-6">
+      <form ref={formRef} onSubmit={handleSubmit} className="space-y-6" noValidate>
         
         {/* Header Editorial */}
         <div className="text-center mb-8">
@@ -149,23 +153,6 @@ const RegisterForm = ({
           </p>
         </div>
 
-        {/* Success Message */}
-        {success && (
-          <div 
-            className={`border-l-4 px-4 py-3 transition-all duration-300 ${isDark ? 'shadow-lg' : ''}`}
-            style={{
-              background: `${colors.surface}90`,
-              borderColor: colors.primary,
-              backdropFilter: 'blur(10px)',
-              boxShadow: isDark ? `0 0 15px ${colors.primary}20` : 'none'
-            }}
-          >
-            <ErrorMessage type="success" size="md" showIcon>
-              {success}
-            </ErrorMessage>
-          </div>
-        )}
-
         {/* Error Message */}
         {error && (
           <div 
@@ -185,95 +172,76 @@ const RegisterForm = ({
 
         <div className="space-y-6">
           {/* Name Field */}
-          <div className="space-y-2">
-            <Label htmlFor="name" required>
-              Nombre Completo
-            </Label>
-            <Input
-              id="name"
-              name="name"
-              type="text"
-              value={formData.name}
-              onChange={handleChange}
-              disabled={loading}
-              placeholder="Tu Nombre"
-              hasError={!!fieldErrors.name}
-              ariaDescribedBy={fieldErrors.name ? "name-error" : undefined}
-              icon={<User size={18} />}
-            />
-            <ErrorMessage id="name-error" type="error">
-              {fieldErrors.name}
-            </ErrorMessage>
-          </div>
+          <FormField
+            id="name"
+            label="Nombre Completo"
+            {...getFieldProps('name')}
+            disabled={loading}
+            autoComplete="name"
+            placeholder="Tu Nombre"
+            required
+            icon={<User size={18} />}
+          />
 
-          {/* Email Field */}
+          {/* Email Field con el estado de la comprobación en el icono */}
           <div className="space-y-2">
-            <Label htmlFor="email" required>
-              Correo Electrónico
-            </Label>
-            <Input
+            <FormField
               id="email"
-              name="email"
+              label="Correo Electrónico"
               type="email"
-              value={formData.email}
-              onChange={handleChange}
+              {...getFieldProps('email')}
+              error={errors.email || (emailTaken ? emailAvailability.message : '')}
               disabled={loading}
               autoComplete="email"
               placeholder="usuario@ejemplo.com"
-              hasError={!!fieldErrors.email}
-              ariaDescribedBy={fieldErrors.email ? "email-error" : undefined}
-              icon={<Mail size={18} />}
+              required
+              describedBy={emailAvailable ? 'email-availability' : undefined}
+              icon={emailStatusIcons[emailAvailability.status]}
             />
-            <ErrorMessage id="email-error" type="error">
-              {fieldErrors.email}
-            </ErrorMessage>
+            {emailAvailable && (
+              <ErrorMessage id="email-availability" type="success" size="sm">
+                {emailAvailability.message}
+              </ErrorMessage>
+            )}
           </div>
 
           {/* Password Field */}
           <div className="space-y-2">
-            <Label htmlFor="password" required>
-              Contraseña
-            </Label>
-            <Input
+            <FormField
               id="password"
-              name="password"
+              label="Contraseña"
               type="password"
-              value={formData.password}
-              onChange={handleChange}
+              {...getFieldProps('password')}
               disabled={loading}
               autoComplete="new-password"
               placeholder="••••••••"
-              hasError={!!fieldErrors.password}
-              ariaDescribedBy={fieldErrors.password ? "password-error" : undefined}
+              required
+              describedBy={policy ? 'password-policy' : undefined}
               icon={<Lock size={18} />}
             />
-            <ErrorMessage id="password-error" type="error">
-              {fieldErrors.password}
-            </ErrorMessage>
+            {/* Requisitos de la política con su estado mientras se escribe */}
+            {policy && (
+              <PasswordStrengthMeter
+                id="password-policy"
+                checks={passwordChecks}
+                strength={getPasswordStrength(values.password, passwordChecks, policy)}
+                className="pt-2"
+              />
+            )}
           </div>
 
           {/* Confirm Password Field */}
-          <div className="space-y-2">
-            <Label htmlFor="confirmPassword" required>
-              Confirmar Contraseña
-            </Label>
-            <Input
-              id="confirmPassword"
-              name="confirmPassword"
-              type="password"
-              value={formData.confirmPassword}
-              onChange={handleChange}
-              disabled={loading}
-              autoComplete="new-password"
-              placeholder="••••••••"
-              hasError={!!fieldErrors.confirmPassword}
-              ariaDescribedBy={fieldErrors.confirmPassword ? "confirm-password-error" : undefined}
-              icon={<Lock size={18} />}
-            />
-            <ErrorMessage id="confirm-password-error" type="error">
-              {fieldErrors.confirmPassword}
-            </ErrorMessage>
-          </div>
+          <FormField
+            id="confirmPassword"
+            label="Confirmar Contraseña"
+            type="password"
+            {...getFieldProps('confirmPassword')}
+            disabled={loading}
+            autoComplete="new-password"
+            placeholder="••••••••"
+            required
+            icon={<Lock size={18} />}
+          />
         </div>
 
         {/* Submit Button */}
@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ShieldCheck, KeyRound, ArrowLeft } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button, ErrorMessage, IconBox, Text } from '../atoms';
+import { FormField } from '../molecules';
+
+/**
+ * @fileoverview Segundo paso del inicio de sesión para CatWare Systems
+ * Pide el código de la aplicación de autenticación o un código de recuperación
+ */
+
+/**
+ * @component TwoFactorChallengeForm
+ * @description Formulario del segundo paso del login. Por defecto pide el código
+ * de 6 dígitos de la aplicación; si el usuario no tiene el móvil a mano puede
+ * cambiar a un código de recuperación de un solo uso.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {string} [props.email=''] - Correo de la cuenta que inicia sesión
+ * @param {Function} props.onSubmit - Callback con { code } o { recoveryCode }
+ * @param {Function} props.onCancel - Callback para volver al formulario de login
+ * @param {boolean} [props.loading=false] - Estado de carga del formulario
+ * @param {string} [props.error=''] - Mensaje de error de la verificación
+ * @returns {JSX.Element} Elemento JSX del formulario
+ *
+ * @example
+ * <TwoFactorChallengeForm
+ *   email={twoFactorChallenge.email}
+ *   onSubmit={verifyTwoFactor}
+ *   onCancel={cancelTwoFactor}
+ * />
+ */
+const TwoFactorChallengeForm = ({
+  email = '',
+  onSubmit,
+  onCancel,
+  loading = false,
+  error = ''
+}) => {
+  const { colors } = useTheme();
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [value, setValue] = useState('');
+  const [fieldError, setFieldError] = useState('');
+
+  const handleChange = (e) => {
+    setValue(e.target.value);
+    if (fieldError) setFieldError('');
+  };
+
+  const handleToggleMode = () => {
+    setUseRecovery((prev) => !prev);
+    setValue('');
+    setFieldError('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = value.replace(/\s+/g, '');
+
+    // Validar formato antes de consumir un intento
+    if (!trimmed) {
+      setFieldError(useRecovery ? 'Introduce un código de recuperación' : 'Introduce el código de verificación');
+      return;
+    }
+    if (!useRecovery && !/^\d{6}$/.test(trimmed)) {
+      setFieldError('El código tiene 6 dígitos');
+      return;
+    }
+
+    onSubmit(useRecovery ? { recoveryCode: trimmed } : { code: trimmed });
+  };
+
+  return (
+    <div className="w-full space-y-8">
+      {/* Cabecera */}
+      <div className="text-center">
+        <div className="flex justify-center mb-6">
+          <IconBox size="lg">
+            <ShieldCheck className="w-8 h-8" />
+          </IconBox>
+        </div>
+        <Text variant="heading" size="2xl" as="h2" className="mb-2">
+          Verificación en Dos Pasos
+        </Text>
+        <Text variant="muted" size="sm">
+          {useRecovery
+            ? 'Introduce uno de tus códigos de recuperación'
+            : 'Introduce el código de 6 dígitos de tu aplicación de autenticación'}
+        </Text>
+        {email && (
+          <Text variant="muted" size="xs" className="mt-1">
+            {email}
+          </Text>
+        )}
+      </div>
+
+      {error && (
+        <ErrorMessage type="error" size="md" showIcon>
+          {error}
+        </ErrorMessage>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+        <FormField
+          id="two-factor-code"
+          name={useRecovery ? 'recovery_code' : 'code'}
+          label={useRecovery ? 'Código de Recuperación' : 'Código de Verificación'}
+          value={value}
+          onChange={handleChange}
+          disabled={loading}
+          autoComplete="one-time-code"
+          inputMode={useRecovery ? 'text' : 'numeric'}
+          placeholder={useRecovery ? 'XXXXX-XXXXX' : '123456'}
+          required
+          autoFocus
+          error={fieldError}
+          icon={<KeyRound size={18} />}
+        />
+
+        <div className="pt-4">
+          <Button type="submit" variant="primary" loading={loading} fullWidth>
+            {loading ? 'Verificando...' : 'Verificar'}
+          </Button>
+        </div>
+      </form>
+
+      {/* Cambiar de tipo de código o volver al login */}
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={loading}
+          className="flex items-center space-x-1 text-xs tracking-wider transition-colors duration-200"
+          style={{ color: colors.mediumGray }}
+        >
+          <ArrowLeft className="w-3 h-3" />
+          <span>Volver</span>
+        </button>
+        <button
+          type="button"
+          onClick={handleToggleMode}
+          disabled={loading}
+          className="text-xs tracking-wider transition-colors duration-200"
+          style={{
+            color: colors.darkGray,
+            borderBottom: `1px solid ${colors.mediumGray}`
+          }}
+        >
+          {useRecovery ? 'Usar la aplicación de autenticación' : 'Usar un código de recuperación'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Validación de tipos con PropTypes
+TwoFactorChallengeForm.propTypes = {
+  /** Correo de la cuenta que inicia sesión */
+  email: PropTypes.string,
+  /** Función callback con el código introducido */
+  onSubmit: PropTypes.func.isRequired,
+  /** Función callback para volver al formulario de login */
+  onCancel: PropTypes.func.isRequired,
+  /** Estado de carga del formulario */
+  loading: PropTypes.bool,
+  /** Mensaje de error de la verificación */
+  error: PropTypes.string,
+};
+
+// Valores por defecto
+TwoFactorChallengeForm.defaultProps = {
+  email: '',
+  loading: false,
+  error: '',
+};
+
+export default TwoFactorChallengeForm;
@@ -0,0 +1,264 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Mail, Lock, User } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { Button, ErrorMessage, Label } from '../atoms';
+import { FormField, PasswordStrengthMeter } from '../molecules';
+import { usePasswordPolicy, useForm } from '../../hooks';
+import {
+  checkPassword,
+  getPasswordStrength,
+  passwordPolicyRule
+} from '../../services/passwordPolicy';
+import { required, minLength, email, matchesField } from '../../services/validation';
+import { ROLES } from '../../constants/permissions';
+
+/**
+ * @fileoverview Componente UserForm organism para CatWare Systems
+ * Formulario de alta y edición de usuarios desde la pantalla de usuarios
+ */
+
+// Campos de la API con otro nombre en el formulario
+const USER_FIELD_MAP = {
+  password_confirmation: 'confirmPassword'
+};
+
+// Reglas de validación comunes al alta y la edición (las mismas que el registro)
+const USER_SCHEMA = {
+  name: [
+    required('El nombre es requerido'),
+    minLength(2, 'El nombre debe tener al menos 2 caracteres')
+  ],
+  email: [required('El correo electrónico es requerido'), email()]
+};
+
+/**
+ * @component UserForm
+ * @description Formulario para crear o editar un usuario. Aplica las mismas
+ * validaciones que el registro; al editar, la contraseña es opcional y solo
+ * se cambia si se rellena. El selector de rol solo aparece si el usuario
+ * actual puede asignar roles.
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object|null} [props.user=null] - Usuario a editar, null para crear
+ * @param {Function} props.onSubmit - Callback async con los datos del formulario
+ * @param {Function} props.onCancel - Callback para cancelar
+ * @param {boolean} [props.loading=false] - Si el envío está en curso
+ * @param {string} [props.error=''] - Mensaje de error devuelto por la API
+ * @param {Object<string, string[]>} [props.serverErrors] - Errores por campo devueltos por la API
+ * @param {boolean} [props.canAssignRole=false] - Muestra el selector de rol
+ * @returns {JSX.Element} Elemento JSX del formulario
+ *
+ * @example
+ * <UserForm
+ *   user={selectedUser}
+ *   onSubmit={handleSave}
+ *   onCancel={closeModal}
+ *   loading={saving}
+ *   error={saveError}
+ * />
+ */
+const UserForm = ({
+  user = null,
+  onSubmit,
+  onCancel,
+  loading = false,
+  error = '',
+  serverErrors,
+  canAssignRole = false
+}) => {
+  const { colors, isDark } = useTheme();
+  const isEditing = Boolean(user);
+  // Política del backend para la contraseña nueva (null mientras carga)
+  const policy = usePasswordPolicy();
+  const schema = useMemo(() => ({
+    ...USER_SCHEMA,
+    password: [
+      // Al editar, la contraseña es opcional y solo se cambia si se rellena
+      ...(isEditing ? [] : [required('La contraseña es requerida')]),
+      passwordPolicyRule(policy, (values) => [values.name, values.email])
+    ],
+    confirmPassword: [
+      (value, values) => (values.password && !value ? 'Confirma la contraseña' : ''),
+      matchesField('password', 'Las contraseñas no coinciden')
+    ]
+  }), [policy, isEditing]);
+
+  /**
+   * Convierte los valores validados al formato esperado por la API
+   *
+   * @param {Object} formValues - Valores del formulario
+   * @returns {Object} Datos del usuario
+   */
+  const toPayload = (formValues) => {
+    const payload = {
+      name: formValues.name.trim(),
+      email: formValues.email.trim()
+    };
+
+    // El rol solo se envía si el usuario actual puede asignarlo
+    if (canAssignRole) {
+      payload.role = formValues.role;
+    }
+
+    // Al editar, la contraseña solo se envía si se ha rellenado
+    if (formValues.password) {
+      payload.password = formValues.password;
+      payload.password_confirmation = formValues.confirmPassword;
+    }
+
+    return payload;
+  };
+
+  const { values, formRef, handleSubmit, getFieldProps } = useForm({
+    initialValues: {
+      name: user?.name || '',
+      email: user?.email || '',
+      role: user?.role || 'viewer',
+      password: '',
+      confirmPassword: ''
+    },
+    schema,
+    fieldMap: USER_FIELD_MAP,
+    serverErrors,
+    onSubmit: (formValues) => onSubmit(toPayload(formValues))
+  });
+
+  const passwordChecks = policy
+    ? checkPassword(values.password, policy, [values.name, values.email])
+    : [];
+
+  return (
+    <form ref={formRef} onSubmit={handleSubmit} className="space-y-6" noValidate>
+      {/* Error devuelto por la API */}
+      {error && (
+        <ErrorMessage type="error" size="md" showIcon>
+          {error}
+        </ErrorMessage>
+      )}
+
+      <FormField
+        id="user-form-name"
+        label="Nombre Completo"
+        {...getFieldProps('name')}
+        disabled={loading}
+        placeholder="Nombre del usuario"
+        required
+        icon={<User size={18} />}
+      />
+
+      <FormField
+        id="user-form-email"
+        label="Correo Electrónico"
+        type="email"
+        {...getFieldProps('email')}
+        disabled={loading}
+        autoComplete="off"
+        placeholder="usuario@ejemplo.com"
+        required
+        icon={<Mail size={18} />}
+      />
+
+      {/* Selector de rol (solo para quien puede asignar roles) */}
+      {canAssignRole && (
+        <div className="space-y-2">
+          <Label htmlFor="user-form-role">
+            Rol
+          </Label>
+          <select
+            id="user-form-role"
+            name="role"
+            value={values.role}
+            onChange={getFieldProps('role').onChange}
+            disabled={loading}
+            className="w-full px-0 py-3 bg-transparent border-0 border-b-2 focus:outline-none focus:ring-0 transition-colors duration-200"
+            style={{
+              borderBottomColor: colors.lightGray,
+              color: colors.darkGray,
+              background: isDark ? colors.surface : 'transparent',
+              fontSize: '16px'
+            }}
+          >
+            {ROLES.map((role) => (
+              <option key={role.value} value={role.value}>{role.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <FormField
+        id="user-form-password"
+        label={isEditing ? 'Nueva Contraseña (opcional)' : 'Contraseña'}
+        type="password"
+        {...getFieldProps('password')}
+        disabled={loading}
+        autoComplete="new-password"
+        placeholder={isEditing ? 'Dejar en blanco para no cambiarla' : '••••••••'}
+        required={!isEditing}
+        icon={<Lock size={18} />}
+      />
+
+      {policy && values.password && (
+        <PasswordStrengthMeter
+          checks={passwordChecks}
+          strength={getPasswordStrength(values.password, passwordChecks, policy)}
+        />
+      )}
+
+      <FormField
+        id="user-form-confirm-password"
+        label="Confirmar Contraseña"
+        type="password"
+        {...getFieldProps('confirmPassword')}
+        disabled={loading}
+        autoComplete="new-password"
+        placeholder="••••••••"
+        required={!isEditing}
+        icon={<Lock size={18} />}
+      />
+
+      {/* Acciones */}
+      <div className="flex justify-end space-x-3 pt-4">
+        <Button variant="secondary" size="sm" onClick={onCancel} disabled={loading}>
+          Cancelar
+        </Button>
+        <Button type="submit" variant="primary" size="sm" loading={loading}>
+          {isEditing ? 'Guardar Cambios' : 'Crear Usuario'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// Validación de tipos con PropTypes
+UserForm.propTypes = {
+  /** Usuario a editar; null para crear uno nuevo */
+  user: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    email: PropTypes.string.isRequired,
+    role: PropTypes.string,
+  }),
+  /** Función callback ejecutada con los datos validados */
+  onSubmit: PropTypes.func.isRequired,
+  /** Función callback para cancelar */
+  onCancel: PropTypes.func.isRequired,
+  /** Si el envío está en curso */
+  loading: PropTypes.bool,
+  /** Mensaje de error devuelto por la API */
+  error: PropTypes.string,
+  /** Errores por campo devueltos por la API ({ email: ['...'] }) */
+  serverErrors: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+  /** Muestra el selector de rol */
+  canAssignRole: PropTypes.bool,
+};
+
+// Valores por defecto
+UserForm.defaultProps = {
+  user: null,
+  loading: false,
+  error: '',
+  canAssignRole: false,
+};
+
+export default UserForm;
@@ -1,18 +1,19 @@
-import { useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { LogOut, Users, ChevronUp, ChevronDown } from 'lucide-react';
+import { LogOut, Users, ChevronUp, ChevronDown, UserPlus, Pencil, Trash2, ShieldOff, Eye } from 'lucide-react';
 import { useTheme } from '../../contexts/ThemeContext';
 import { Button, Spinner, IconBox, Text } from '../atoms';
+import { Pagination } from '../molecules';
+import { getRoleLabel } from '../../constants/permissions';
 
 /**
  * @fileoverview Componente de tabla de usuarios para CatWare Systems
- * Muestra lista de usuarios registrados con funcionalidades de ordenamiento
+ * Muestra lista de usuarios registrados con ordenamiento y paginación del servidor
  * Implementa accesibilidad completa, diseño responsivo y modo oscuro
  */
 
 /**
  * Componente de tabla para mostrar y gestionar usuarios del sistema
- * Incluye ordenamiento por columnas, estados de carga y botón de logout
+ * Incluye ordenamiento por columnas, paginación del servidor, acciones por fila, estados de carga y botón de logout
  * Optimizado para accesibilidad y modo oscuro gótico
  * 
  * @component
@@ -20,6 +21,22 @@ import { Button, Spinner, IconBox, Text } from '../atoms';
  * @param {Array<Object>} [props.users=[]] - Array de usuarios a mostrar
  * @param {Function} props.onLogout - Callback para cerrar sesión
  * @param {boolean} [props.loading=false] - Estado de carga
+ * @param {string} [props.sortBy='name'] - Campo por el que ordena el servidor
+ * @param {'asc'|'desc'} [props.sortDirection='asc'] - Dirección de ordenamiento actual
+ * @param {Function} [props.onSortChange] - Callback (campo, dirección) al pulsar una cabecera
+ * @param {string} [props.emptyMessage] - Texto mostrado cuando no hay usuarios
+ * @param {Object} [props.pagination] - Metadatos de paginación del servidor (meta)
+ * @param {Function} [props.onPageChange] - Callback con la nueva página
+ * @param {Function} [props.onPerPageChange] - Callback con el nuevo tamaño de página
+ * @param {Function} [props.onCreate] - Callback del botón "Nuevo Usuario"
+ * @param {Function} [props.onEdit] - Callback con el usuario a editar
+ * @param {Function} [props.onDelete] - Callback con el usuario a eliminar
+ * @param {Function} [props.canEditUser] - Indica si se puede editar un usuario concreto
+ * @param {Function} [props.canDeleteUser] - Indica si se puede eliminar un usuario concreto
+ * @param {Function} [props.onResetTwoFactor] - Callback con el usuario cuya verificación en dos pasos se restablece
+ * @param {Function} [props.canResetTwoFactor] - Indica si se puede restablecer la verificación de un usuario concreto
+ * @param {Function} [props.onImpersonate] - Callback con el usuario como el que se quiere entrar
+ * @param {Function} [props.canImpersonate] - Indica si se puede entrar como un usuario concreto
  * @param {string} [props.className=''] - Clases CSS adicionales
  * @returns {JSX.Element} Tabla de usuarios accesible y temática
  * 
@@ -36,75 +53,61 @@ const UserTable = ({
   users = [],
   onLogout,
   loading = false,
+  sortBy = 'name',
+  sortDirection = 'asc',
+  onSortChange,
+  emptyMessage = 'No hay Usuarios Registrados',
+  pagination = null,
+  onPageChange,
+  onPerPageChange,
+  onCreate,
+  onEdit,
+  onDelete,
+  canEditUser = () => true,
+  canDeleteUser = () => true,
+  onResetTwoFactor,
+  canResetTwoFactor = () => true,
+  onImpersonate,
+  canImpersonate = () => true,
   className = ''
 }) => {
   // Hook de tema para colores y modo oscuro
   const { isDark, colors } = useTheme();
-  
-  // Estados para el ordenamiento de la tabla
-  /** @type {string} Campo actual por el cual se está ordenando */
-  const [sortField, setSortField] = useState('name');
-  
-  /** @type {'asc'|'desc'} Dirección del ordenamiento actual */
-  const [sortDirection, setSortDirection] = useState('asc');
-
-  /**
-   * Memo que ordena los usuarios según el campo y dirección seleccionados
-   * Optimiza el rendimiento recalculando solo cuando cambian las dependencias
-   * Maneja diferentes tipos de datos: strings, fechas, números
-   * 
-   * @returns {Array<Object>} Array de usuarios ordenados
-   */
-  const sortedUsers = useMemo(() => {
-    // Si no hay usuarios, retornar array vacío
-    if (!users.length) return [];
-
-    // Crear copia del array para no mutar el original
-    return [...users].sort((a, b) => {
-      let aValue = a[sortField];
-      let bValue = b[sortField];
-
-      // Manejo especial para ordenamiento de fechas
-      if (sortField === 'created_at') {
-        aValue = new Date(aValue);
-        bValue = new Date(bValue);
-      }
-
-      // Manejo especial para ordenamiento de strings (case-insensitive)
-      if (typeof aValue === 'string') {
-        aValue = aValue.toLowerCase();
-        bValue = bValue.toLowerCase();
-      }
-
-      // Lógica de comparación con dirección
-      if (aValue < bValue) {
-        return sortDirection === 'asc' ? -1 : 1;
-      }
-      if (aValue > bValue) {
-        return sortDirection === 'asc' ? 1 : -1;
-      }
-      return 0;
-    });
-  }, [users, sortField, sortDirection]);
 
+  // La columna de acciones solo se muestra si hay alguna acción disponible
+  const hasRowActions = Boolean(onEdit || onDelete || onResetTwoFactor || onImpersonate);
+  
   /**
    * Maneja el clic en los headers de la tabla para ordenamiento
+   * El ordenamiento lo aplica el servidor: aquí solo se calcula el nuevo estado
    * Si se hace clic en la misma columna, invierte la dirección
    * Si se hace clic en una columna diferente, la establece como campo de ordenamiento
    * 
    * @param {string} field - Campo por el cual ordenar ('name', 'email', 'created_at')
    */
   const handleSort = (field) => {
-    if (sortField === field) {
+    if (!onSortChange) return;
+
+    if (sortBy === field) {
       // Si es el mismo campo, invertir dirección
-      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+      onSortChange(field, sortDirection === 'asc' ? 'desc' : 'asc');
     } else {
       // Si es campo diferente, establecerlo y empezar con 'asc'
-      setSortField(field);
-      setSortDirection('asc');
+      onSortChange(field, 'asc');
     }
   };
 
+  /**
+   * Obtiene el valor aria-sort de una columna para lectores de pantalla
+   * 
+   * @param {string} field - Campo de la columna
+   * @returns {'ascending'|'descending'|'none'} Estado de ordenamiento
+   */
+  const getAriaSort = (field) => {
+    if (sortBy !== field) return 'none';
+    return sortDirection === 'asc' ? 'ascending' : 'descending';
+  };
+
   /**
    * Formatea una fecha ISO string a formato legible en español
    * 
@@ -128,7 +131,7 @@ const UserTable = ({
    */
   const getSortIcon = (field) => {
     // Si no es el campo activo, mostrar ícono neutral
-    if (sortField !== field) {
+    if (sortBy !== field) {
       return <ChevronUp className="w-4 h-4" style={{ color: colors.textMuted, opacity: 0.4 }} />;
     }
     
@@ -198,21 +201,34 @@ const UserTable = ({
               Usuarios del Sistema
             </Text>
             <Text variant="subheading" size="sm">
-              {users.length} Registrados
+              {pagination ? pagination.total : users.length} Registrados
             </Text>
           </div>
         </div>
         
-        <Button
-          key="logout-button"
-          onClick={onLogout}
-          variant="danger"
-          size="md"
-          className="flex items-center space-x-2"
-        >
-          <LogOut className="w-5 h-5" />
-          <span className="text-sm tracking-wider uppercase">Cerrar Sesión</span>
-        </Button>
+        <div className="flex flex-col sm:flex-row gap-3">
+          {onCreate && (
+            <Button
+              onClick={onCreate}
+              variant="primary"
+              size="md"
+              className="flex items-center space-x-2"
+            >
+              <UserPlus className="w-5 h-5" />
+              <span className="text-sm tracking-wider uppercase">Nuevo Usuario</span>
+            </Button>
+          )}
+          <Button
+            key="logout-button"
+            onClick={onLogout}
+            variant="danger"
+            size="md"
+            className="flex items-center space-x-2"
+          >
+            <LogOut className="w-5 h-5" />
+            <span className="text-sm tracking-wider uppercase">Cerrar Sesión</span>
+          </Button>
+        </div>
       </div>
 
       {users.length === 0 ? (
@@ -228,7 +244,7 @@ const UserTable = ({
             <Users className="w-16 h-16" />
           </div>
           <Text variant="muted" size="lg">
-            No hay Usuarios Registrados
+            {emptyMessage}
           </Text>
         </div>
       ) : (
@@ -254,6 +270,7 @@ const UserTable = ({
                   <th 
                     className={`px-6 py-4 text-left text-xs font-medium uppercase tracking-widest cursor-pointer transition-all duration-300 ${isDark ? 'hover:drop-shadow-sm' : ''}`}
                     onClick={() => handleSort('name')}
+                    aria-sort={getAriaSort('name')}
                     style={{ 
                       color: isDark ? '#FFFFFF' : colors.text,
                       textShadow: isDark ? `0 0 8px ${colors.primary}20` : 'none'
@@ -265,17 +282,32 @@ const UserTable = ({
                     </div>
                   </th>
                   <th 
-                    className={`px-6 py-4 text-left text-xs font-medium uppercase tracking-widest transition-all duration-300 ${isDark ? 'hover:drop-shadow-sm' : ''}`}
+                    className={`px-6 py-4 text-left text-xs font-medium uppercase tracking-widest cursor-pointer transition-all duration-300 ${isDark ? 'hover:drop-shadow-sm' : ''}`}
+                    onClick={() => handleSort('email')}
+                    aria-sort={getAriaSort('email')}
                     style={{ 
                       color: isDark ? '#FFFFFF' : colors.text,
                       textShadow: isDark ? `0 0 8px ${colors.primary}20` : 'none'
                     }}
                   >
-                    Correo Electrónico
+                    <div className="flex items-center space-x-2">
+                      <span>Correo Electrónico</span>
+                      {getSortIcon('email')}
+                    </div>
+                  </th>
+                  <th 
+                    className="px-6 py-4 text-left text-xs font-medium uppercase tracking-widest"
+                    style={{ 
+                      color: isDark ? '#FFFFFF' : colors.text,
+                      textShadow: isDark ? `0 0 8px ${colors.primary}20` : 'none'
+                    }}
+                  >
+                    <span>Rol</span>
                   </th>
                   <th 
                     className={`px-6 py-4 text-left text-xs font-medium uppercase tracking-widest cursor-pointer transition-all duration-300 ${isDark ? 'hover:drop-shadow-sm' : ''}`}
                     onClick={() => handleSort('created_at')}
+                    aria-sort={getAriaSort('created_at')}
                     style={{ 
                       color: isDark ? '#FFFFFF' : colors.text,
                       textShadow: isDark ? `0 0 8px ${colors.primary}20` : 'none'
@@ -286,15 +318,26 @@ const UserTable = ({
                       {getSortIcon('created_at')}
                     </div>
                   </th>
+                  {hasRowActions && (
+                    <th 
+                      className="px-6 py-4 text-right text-xs font-medium uppercase tracking-widest"
+                      style={{ 
+                        color: isDark ? '#FFFFFF' : colors.text,
+                        textShadow: isDark ? `0 0 8px ${colors.primary}20` : 'none'
+                      }}
+                    >
+                      <span>Acciones</span>
+                    </th>
+                  )}
                 </tr>
               </thead>
               <tbody>
-                {sortedUsers.map((user, index) => (
+                {users.map((user, index) => (
                   <tr 
                     key={user.id}
                     className="transition-all duration-300 hover:bg-gray-100 dark:hover:bg-gray-800"
                     style={{
-                      borderBottom: index !== sortedUsers.length - 1 ? `1px solid ${colors.border}30` : 'none',
+                      borderBottom: index !== users.length - 1 ? `1px solid ${colors.border}30` : 'none',
                     }}
                   >
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -307,16 +350,95 @@ const UserTable = ({
                         {user.email}
                       </Text>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className="px-2 py-1 text-xs font-medium uppercase tracking-wider"
+                        style={{
+                          border: `1px solid ${user.role === 'admin' ? colors.primary : colors.border}`,
+                          color: user.role === 'admin' ? colors.primary : colors.textMuted
+                        }}
+                      >
+                        {getRoleLabel(user.role)}
+                      </span>
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <Text variant="muted" size="sm">
                         {formatDate(user.created_at)}
                       </Text>
                     </td>
+                    {hasRowActions && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <div className="inline-flex items-center space-x-1">
+                          {onImpersonate && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => onImpersonate(user)}
+                              disabled={!canImpersonate(user)}
+                              aria-label={`Entrar como ${user.name}`}
+                              title="Entrar como este usuario"
+                            >
+                              <Eye className="w-4 h-4" />
+                            </Button>
+                          )}
+                          {onEdit && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => onEdit(user)}
+                              disabled={!canEditUser(user)}
+                              aria-label={`Editar a ${user.name}`}
+                              title="Editar"
+                            >
+                              <Pencil className="w-4 h-4" />
+                            </Button>
+                          )}
+                          {onResetTwoFactor && user.two_factor_enabled && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => onResetTwoFactor(user)}
+                              disabled={!canResetTwoFactor(user)}
+                              aria-label={`Restablecer la verificación en dos pasos de ${user.name}`}
+                              title="Restablecer verificación en dos pasos"
+                            >
+                              <ShieldOff className="w-4 h-4" />
+                            </Button>
+                          )}
+                          {onDelete && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => onDelete(user)}
+                              disabled={!canDeleteUser(user)}
+                              aria-label={`Eliminar a ${user.name}`}
+                              title="Eliminar"
+                            >
+                              <Trash2 className="w-4 h-4" style={{ color: colors.error }} />
+                            </Button>
+                          )}
+                        </div>
+                      </td>
+                    )}
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
+
+          {/* Control de paginación del servidor */}
+          {pagination && (
+            <Pagination
+              currentPage={pagination.current_page}
+              lastPage={pagination.last_page}
+              perPage={pagination.per_page}
+              from={pagination.from}
+              to={pagination.to}
+              total={pagination.total}
+              onPageChange={onPageChange}
+              onPerPageChange={onPerPageChange}
+            />
+          )}
         </div>
       )}
     </div>
@@ -337,6 +459,8 @@ UserTable.propTypes = {
       name: PropTypes.string.isRequired,
       /** Correo electrónico del usuario */
       email: PropTypes.string.isRequired,
+      /** Rol del usuario ('admin', 'manager', 'viewer') */
+      role: PropTypes.string,
       /** Fecha de creación en formato ISO string */
       created_at: PropTypes.string.isRequired,
     })
@@ -345,6 +469,45 @@ UserTable.propTypes = {
   onLogout: PropTypes.func.isRequired,
   /** Estado de carga para mostrar spinner */
   loading: PropTypes.bool,
+  /** Campo por el que ordena el servidor */
+  sortBy: PropTypes.oneOf(['name', 'email', 'created_at']),
+  /** Dirección de ordenamiento actual */
+  sortDirection: PropTypes.oneOf(['asc', 'desc']),
+  /** Función callback (campo, dirección) ejecutada al pulsar una cabecera */
+  onSortChange: PropTypes.func,
+  /** Texto mostrado cuando la lista está vacía */
+  emptyMessage: PropTypes.string,
+  /** Metadatos de paginación devueltos por GET /api/users (meta) */
+  pagination: PropTypes.shape({
+    current_page: PropTypes.number.isRequired,
+    per_page: PropTypes.number.isRequired,
+    last_page: PropTypes.number.isRequired,
+    from: PropTypes.number,
+    to: PropTypes.number,
+    total: PropTypes.number.isRequired,
+  }),
+  /** Función callback ejecutada al cambiar de página */
+  onPageChange: PropTypes.func,
+  /** Función callback ejecutada al cambiar el tamaño de página */
+  onPerPageChange: PropTypes.func,
+  /** Función callback del botón "Nuevo Usuario" */
+  onCreate: PropTypes.func,
+  /** Función callback ejecutada con el usuario a editar */
+  onEdit: PropTypes.func,
+  /** Función callback ejecutada con el usuario a eliminar */
+  onDelete: PropTypes.func,
+  /** Función que indica si un usuario concreto se puede editar */
+  canEditUser: PropTypes.func,
+  /** Función que indica si un usuario concreto se puede eliminar */
+  canDeleteUser: PropTypes.func,
+  /** Función callback ejecutada con el usuario cuya verificación en dos pasos se restablece */
+  onResetTwoFactor: PropTypes.func,
+  /** Función que indica si se puede restablecer la verificación de un usuario concreto */
+  canResetTwoFactor: PropTypes.func,
+  /** Función callback ejecutada con el usuario como el que se quiere entrar */
+  onImpersonate: PropTypes.func,
+  /** Función que indica si se puede entrar como un usuario concreto */
+  canImpersonate: PropTypes.func,
   /** Clases CSS adicionales para personalizar el estilo */
   className: PropTypes.string,
 };
@@ -353,6 +516,14 @@ UserTable.propTypes = {
 UserTable.defaultProps = {
   users: [],
   loading: false,
+  sortBy: 'name',
+  sortDirection: 'asc',
+  emptyMessage: 'No hay Usuarios Registrados',
+  pagination: null,
+  canEditUser: () => true,
+  canDeleteUser: () => true,
+  canResetTwoFactor: () => true,
+  canImpersonate: () => true,
   className: '',
 };
 
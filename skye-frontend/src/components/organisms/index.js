@@ -1,4 +1,10 @@
 // Organisms exports
 export { default as LoginForm } from './LoginForm';
 export { default as RegisterForm } from './RegisterForm';
-export { default as UserTable } from './UserTable';
\ No newline at end of file
+export { default as UserTable } from './UserTable';
+export { default as UserForm } from './UserForm';
+export { default as AuditLogTable } from './AuditLogTable';
+export { default as TwoFactorChallengeForm } from './TwoFactorChallengeForm';
+export { default as ActiveSessions } from './ActiveSessions';
+export { default as ProfileForm } from './ProfileForm';
+export { default as ChangePasswordForm } from './ChangePasswordForm';
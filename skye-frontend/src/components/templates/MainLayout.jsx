@@ -1,15 +1,80 @@
+import { useState } from 'react';
 import PropTypes from 'prop-types';
-import { useNavigate } from 'react-router-dom';
-import { Database, Users, Activity } from 'lucide-react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Database, Users, Activity, User, ShieldCheck } from 'lucide-react';
 import { useTheme } from '../../contexts/ThemeContext';
+import { PERMISSIONS } from '../../constants/permissions';
+import { IDLE_TIMEOUT_MS, IDLE_WARNING_MS } from '../../constants/session';
+import { useAuth, useIdleTimeout, useCountdown, useOfflineQueue } from '../../hooks';
 import ThemeToggle from '../atoms/ThemeToggle';
+import UserMenu from '../molecules/UserMenu';
+import IdleTimeoutDialog from '../molecules/IdleTimeoutDialog';
+import ImpersonationBanner from '../molecules/ImpersonationBanner';
+import ConnectionStatus from '../molecules/ConnectionStatus';
+
+// Secciones de la navegación principal con el permiso que requieren (sin permiso: todos)
+const NAV_ITEMS = [
+  { path: '/users', label: 'Usuarios', permission: PERMISSIONS.VIEW_USERS },
+  { path: '/audit-logs', label: 'Auditoría', permission: PERMISSIONS.VIEW_AUDIT_LOGS },
+];
+
+// Páginas de la propia cuenta, en el menú de usuario (disponibles para todos los roles)
+const ACCOUNT_ITEMS = [
+  { path: '/profile', label: 'Mi Perfil', icon: <User size={16} /> },
+  { path: '/security', label: 'Seguridad', icon: <ShieldCheck size={16} /> },
+];
 
 const MainLayout = ({ 
   children,
   className = ''
 }) => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { isDark, colors } = useTheme();
+  const { user, can, logout, impersonator, stopImpersonating } = useAuth();
+  const [stoppingImpersonation, setStoppingImpersonation] = useState(false);
+
+  // Solo se muestran las secciones permitidas por el rol del usuario
+  const navItems = NAV_ITEMS.filter((item) => !item.permission || can(item.permission));
+
+  const handleLogout = async () => {
+    // El AuthProvider invalida el token en el servidor y limpia la sesión local
+    await logout();
+    navigate('/login');
+  };
+
+  // Vuelta a la cuenta del administrador y al listado desde el que entró
+  const handleStopImpersonating = async () => {
+    setStoppingImpersonation(true);
+    try {
+      await stopImpersonating();
+    } finally {
+      setStoppingImpersonation(false);
+    }
+    navigate('/users');
+  };
+
+  // Cierre por inactividad: mismo logout, avisando y recordando la página para volver a ella
+  const handleIdle = async () => {
+    await logout();
+    navigate('/login', {
+      state: {
+        from: location,
+        notice: 'Tu sesión se cerró por inactividad',
+        noticeType: 'warning'
+      }
+    });
+  };
+
+  const { warningUntil, reset: resetIdle } = useIdleTimeout({
+    timeout: IDLE_TIMEOUT_MS,
+    warningTime: IDLE_WARNING_MS,
+    onIdle: handleIdle,
+    enabled: !!user
+  });
+  const idleSeconds = useCountdown(warningUntil);
+  const connection = useOfflineQueue();
+
   return (
     <div 
       className={`min-h-screen relative overflow-hidden transition-all duration-500 ${className}`}
@@ -90,9 +155,19 @@ const MainLayout = ({
         <Users size={28} />
       </div>
 
-      {/* Header Bar */}
+      {/* Aviso de suplantación, siempre visible mientras dure */}
+      {impersonator && user && (
+        <ImpersonationBanner
+          userName={user.name}
+          impersonatorName={impersonator.name}
+          onStop={handleStopImpersonating}
+          loading={stoppingImpersonation}
+        />
+      )}
+
+      {/* Header Bar (por encima del contenido para que se vea el menú de usuario) */}
       <div 
-        className={`relative z-10 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''}`}
+        className={`relative z-20 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''}`}
         style={{
           backdropFilter: 'blur(10px)',
           background: `${colors.surface}90`,
@@ -128,18 +203,46 @@ const MainLayout = ({
               >
                 Panel CatWare
               </h1>
+              {navItems.length > 0 && (
+                <nav className="hidden sm:flex items-center space-x-2 pl-4" aria-label="Navegación principal">
+                  {navItems.map((item) => {
+                    const isActive = location.pathname === item.path;
+                    return (
+                      <button
+                        key={item.path}
+                        type="button"
+                        onClick={() => navigate(item.path)}
+                        aria-current={isActive ? 'page' : undefined}
+                        className="px-3 py-1 text-xs font-medium tracking-widest uppercase transition-colors duration-300"
+                        style={{
+                          color: isActive ? colors.primary : colors.textMuted,
+                          borderBottom: `2px solid ${isActive ? colors.primary : 'transparent'}`
+                        }}
+                      >
+                        {item.label}
+                      </button>
+                    );
+                  })}
+                </nav>
+              )}
             </div>
             <div className="flex items-center space-x-4">
-              <div className="flex items-center space-x-2 text-sm transition-colors duration-300" style={{ color: colors.textMuted }}>
-                <div 
-                  className={`w-2 h-2 rounded-full transition-all duration-500 ${isDark ? 'shadow-sm' : ''}`}
-                  style={{ 
-                    backgroundColor: colors.primary,
-                    boxShadow: isDark ? `0 0 8px ${colors.primary}60` : 'none'
-                  }}
-                ></div>
-                <span className="tracking-wider uppercase font-medium">Sistema Activo</span>
-              </div>
+              {user && (
+                <UserMenu
+                  user={user}
+                  items={ACCOUNT_ITEMS}
+                  currentPath={location.pathname}
+                  onNavigate={navigate}
+                  onLogout={handleLogout}
+                />
+              )}
+              <ConnectionStatus
+                online={connection.online}
+                pending={connection.pending}
+                replaying={connection.replaying}
+                failed={connection.failed}
+                onDiscardFailed={connection.discardFailed}
+              />
               <ThemeToggle />
             </div>
           </div>
@@ -153,6 +256,13 @@ const MainLayout = ({
         </div>
       </div>
 
+      <IdleTimeoutDialog
+        isOpen={warningUntil !== null}
+        seconds={idleSeconds}
+        onStay={resetIdle}
+        onLogout={handleLogout}
+      />
+
       {/* Bottom Decoration */}
       <div 
         className="absolute bottom-0 left-0 right-0 h-1 transition-all duration-500"
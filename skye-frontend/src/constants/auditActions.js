@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Acciones del registro de auditoría de CatWare Systems
+ * Reflejan las constantes de App\Models\AuditLog del backend
+ */
+
+/**
+ * Acciones registradas con su nombre legible
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const AUDIT_ACTIONS = [
+  { value: 'auth.login', label: 'Inicio de sesión' },
+  { value: 'auth.login_failed', label: 'Inicio de sesión fallido' },
+  { value: 'auth.register', label: 'Registro' },
+  { value: 'auth.logout', label: 'Cierre de sesión' },
+  { value: 'auth.session_revoked', label: 'Sesión de otro dispositivo cerrada' },
+  { value: 'auth.impersonation_started', label: 'Entrada como otro usuario' },
+  { value: 'auth.impersonation_ended', label: 'Vuelta a la propia cuenta' },
+  { value: 'auth.password_reset', label: 'Contraseña restablecida' },
+  { value: 'auth.email_verified', label: 'Correo verificado' },
+  { value: 'auth.two_factor_enabled', label: 'Verificación en dos pasos activada' },
+  { value: 'auth.two_factor_disabled', label: 'Verificación en dos pasos desactivada' },
+  { value: 'user.created', label: 'Usuario creado' },
+  { value: 'user.updated', label: 'Usuario editado' },
+  { value: 'user.deleted', label: 'Usuario eliminado' },
+  { value: 'user.two_factor_reset', label: 'Verificación en dos pasos restablecida' },
+];
+
+/**
+ * Obtiene el nombre legible de una acción
+ *
+ * @param {string} action - Valor de la acción (ej: 'auth.login')
+ * @returns {string} Nombre de la acción o el propio valor si es desconocido
+ */
+export const getActionLabel = (action) =>
+  AUDIT_ACTIONS.find((item) => item.value === action)?.label || action;
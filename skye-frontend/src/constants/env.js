@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Lectura de variables VITE_* para CatWare Systems
+ * Comparte la conversión de valores del .env entre los módulos de constants/
+ */
+
+/**
+ * Lee un número positivo de una variable de entorno
+ *
+ * @param {string|undefined} value - Valor de import.meta.env
+ * @param {number} fallback - Valor si la variable falta o no es válida
+ * @returns {number} Número leído o el valor por defecto
+ */
+export const readNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
@@ -0,0 +1,31 @@
+import { readNumber } from './env';
+
+/**
+ * @fileoverview Parámetros de red del cliente de la API para CatWare Systems
+ * Se configuran con variables VITE_* en el .env del frontend
+ */
+
+/**
+ * Tiempo máximo de espera de cada petición
+ * @constant {number}
+ */
+export const API_TIMEOUT_MS = readNumber(import.meta.env.VITE_API_TIMEOUT_SECONDS, 10) * 1000;
+
+/**
+ * Reintentos de una petición idempotente tras un fallo de red o del servidor (0 los desactiva)
+ * @constant {number}
+ */
+export const API_MAX_RETRIES = readNumber(import.meta.env.VITE_API_MAX_RETRIES, 3);
+
+/**
+ * Espera base del primer reintento; se duplica en cada intento
+ * @constant {number}
+ */
+export const API_RETRY_BASE_DELAY_MS = readNumber(import.meta.env.VITE_API_RETRY_BASE_MS, 500);
+
+/**
+ * Espera máxima entre reintentos; un Retry-After mayor no se espera y el error
+ * llega a la interfaz
+ * @constant {number}
+ */
+export const API_RETRY_MAX_DELAY_MS = readNumber(import.meta.env.VITE_API_RETRY_MAX_MS, 10000);
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Roles y permisos de CatWare Systems
+ * Reflejan el enum App\Enums\Role del backend; la API es quien los aplica,
+ * el frontend solo los usa para ocultar o deshabilitar acciones
+ */
+
+/**
+ * Permisos que puede conceder un rol
+ * @constant {Object<string, string>}
+ */
+export const PERMISSIONS = {
+  VIEW_USERS: 'users.view',
+  CREATE_USERS: 'users.create',
+  UPDATE_USERS: 'users.update',
+  DELETE_USERS: 'users.delete',
+  ASSIGN_ROLES: 'users.assign-role',
+  RESET_TWO_FACTOR: 'users.reset-two-factor',
+  IMPERSONATE_USERS: 'users.impersonate',
+  VIEW_AUDIT_LOGS: 'audit.view',
+};
+
+/**
+ * Roles disponibles con su nombre legible, en orden de mayor a menor privilegio
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const ROLES = [
+  { value: 'admin', label: 'Administrador' },
+  { value: 'manager', label: 'Gestor' },
+  { value: 'viewer', label: 'Lector' },
+];
+
+/**
+ * Obtiene el nombre legible de un rol
+ *
+ * @param {string} role - Valor del rol ('admin', 'manager', 'viewer')
+ * @returns {string} Nombre del rol o el propio valor si es desconocido
+ */
+export const getRoleLabel = (role) => ROLES.find((item) => item.value === role)?.label || role;
@@ -0,0 +1,18 @@
+import { readNumber } from './env';
+
+/**
+ * @fileoverview Parámetros de la sesión en el navegador para CatWare Systems
+ * Se configuran con variables VITE_* en el .env del frontend
+ */
+
+/**
+ * Minutos sin actividad antes de cerrar la sesión (0 lo desactiva)
+ * @constant {number}
+ */
+export const IDLE_TIMEOUT_MS = readNumber(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES, 15) * 60 * 1000;
+
+/**
+ * Antelación con la que se avisa antes de cerrar la sesión por inactividad
+ * @constant {number}
+ */
+export const IDLE_WARNING_MS = readNumber(import.meta.env.VITE_IDLE_WARNING_SECONDS, 60) * 1000;
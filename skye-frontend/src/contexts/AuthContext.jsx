@@ -0,0 +1,602 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  authAPI,
+  usersAPI,
+  setAuthToken,
+  setUnauthorizedHandler,
+  setTokenRefreshedHandler,
+  setStoredTokensReader,
+  SPA_MODE
+} from '../services/api';
+import { API_ERROR_CODES, API_ERROR_KINDS } from '../services/apiError';
+import { broadcastTabEvent, subscribeTabEvents, TAB_EVENTS } from '../services/tabSync';
+import { setQueueOwner, clearQueue } from '../services/offlineQueue';
+import AuthContext from './AuthContextObject';
+
+/**
+ * @fileoverview Contexto de autenticación para la aplicación CatWare Systems
+ * Centraliza la sesión del usuario (token, usuario actual y acciones)
+ * Es el único punto de la aplicación que lee y escribe la sesión en localStorage
+ * En modo SPA (cookies de Sanctum) no se guarda ningún token en el navegador
+ * El login, el logout y la renovación de tokens se propagan a las demás pestañas
+ * Al entrar como otro usuario, los tokens del administrador se apartan para volver a ellos
+ */
+
+// Claves de localStorage para la sesión
+const TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const LEGACY_USER_KEY = 'user';
+const IMPERSONATOR_SESSION_KEY = 'impersonatorSession';
+
+// Espera entre intentos de validar la sesión guardada al arrancar (se duplica hasta el máximo)
+const SESSION_RETRY_BASE_DELAY_MS = 2000;
+const SESSION_RETRY_MAX_DELAY_MS = 30000;
+
+// Errores pasajeros tras los que se vuelve a validar la sesión guardada
+const SESSION_RETRY_KINDS = [
+  API_ERROR_KINDS.NETWORK,
+  API_ERROR_KINDS.TIMEOUT,
+  API_ERROR_KINDS.RATE_LIMITED,
+  API_ERROR_KINDS.SERVER,
+];
+
+/**
+ * Extrae (y borra) los tokens del administrador guardados al entrar como otro usuario
+ *
+ * @returns {Object|null} { token, refreshToken } o null si no hay suplantación
+ */
+const takeImpersonatorSession = () => {
+  const stored = localStorage.getItem(IMPERSONATOR_SESSION_KEY);
+  localStorage.removeItem(IMPERSONATOR_SESSION_KEY);
+  try {
+    const session = stored ? JSON.parse(stored) : null;
+    return session?.token ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Proveedor de contexto de autenticación
+ * Rehidrata el usuario desde GET /api/user al montar, de modo que nunca se
+ * confía en datos de usuario guardados en localStorage
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {React.ReactNode} props.children - Componentes hijo
+ * @returns {JSX.Element} Proveedor de contexto
+ *
+ * @example
+ * <AuthProvider>
+ *   <App />
+ * </AuthProvider>
+ */
+export const AuthProvider = ({ children }) => {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [user, setUser] = useState(null);
+  const [initializing, setInitializing] = useState(true);
+  const [reconnecting, setReconnecting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [unverifiedEmail, setUnverifiedEmail] = useState('');
+  const [loginLockedUntil, setLoginLockedUntil] = useState(null);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+
+  // Usuario actual y vuelta a la cuenta del administrador en curso (ver restoreImpersonator)
+  const userRef = useRef(null);
+  const restorePromiseRef = useRef(null);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  /**
+   * Guarda o elimina los tokens en memoria, en localStorage y en el cliente API
+   *
+   * @param {Object|null} tokens - { token, refreshToken } o null para eliminarlos
+   */
+  const storeTokens = useCallback((tokens) => {
+    if (tokens?.token) {
+      localStorage.setItem(TOKEN_KEY, tokens.token);
+      localStorage.setItem(REFRESH_TOKEN_KEY, tokens.refreshToken || '');
+    } else {
+      localStorage.removeItem(TOKEN_KEY);
+      localStorage.removeItem(REFRESH_TOKEN_KEY);
+      localStorage.removeItem(IMPERSONATOR_SESSION_KEY);
+    }
+    // Versiones anteriores guardaban el usuario; ya no se usa
+    localStorage.removeItem(LEGACY_USER_KEY);
+
+    setAuthToken(tokens?.token || null, tokens?.refreshToken || null);
+    setToken(tokens?.token || null);
+  }, []);
+
+  /**
+   * Guarda o elimina la sesión completa (tokens y usuario)
+   *
+   * @param {Object|null} tokens - { token, refreshToken } o null para cerrar sesión
+   * @param {Object|null} newUser - Usuario autenticado o null
+   */
+  const persistSession = useCallback((tokens, newUser) => {
+    storeTokens(tokens);
+    setUser(newUser);
+  }, [storeTokens]);
+
+  /**
+   * Recupera la sesión del administrador apartada al entrar como otro usuario
+   * Sin ella (o si ya no es válida) se cierra la sesión local
+   * Es idempotente: el 401 del token caducado y stopImpersonating pueden
+   * pedirla a la vez, y una segunda llamada con la sesión ya recuperada no
+   * cierra la del administrador
+   *
+   * @returns {Promise<void>}
+   */
+  const restoreImpersonator = useCallback(() => {
+    if (!restorePromiseRef.current) {
+      restorePromiseRef.current = (async () => {
+        const impersonatorSession = takeImpersonatorSession();
+        if (!impersonatorSession) {
+          // Ya se volvió a la cuenta del administrador
+          if (userRef.current && !userRef.current.impersonator) return;
+          persistSession(null, null);
+          return;
+        }
+
+        storeTokens(impersonatorSession);
+        try {
+          const admin = await authAPI.me();
+          userRef.current = admin;
+          setUser(admin);
+        } catch {
+          persistSession(null, null);
+        } finally {
+          broadcastTabEvent(TAB_EVENTS.LOGIN);
+        }
+      })().finally(() => {
+        restorePromiseRef.current = null;
+      });
+    }
+    return restorePromiseRef.current;
+  }, [persistSession, storeTokens]);
+
+  /**
+   * Effect para rehidratar la sesión al arrancar la aplicación
+   * Valida el token guardado contra el backend antes de confiar en él
+   * Sin conexión o con un error del servidor se conserva la sesión guardada y
+   * se sigue arrancando (initializing + reconnecting) mientras se reintenta con
+   * espera creciente y al recuperar la conexión, para no enviar al login a
+   * quien tiene una sesión válida
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let retryTimer = null;
+    let retryDelay = SESSION_RETRY_BASE_DELAY_MS;
+    const storedToken = SPA_MODE ? null : localStorage.getItem(TOKEN_KEY);
+
+    // En modo SPA la sesión vive en una cookie: siempre se consulta al backend
+    if (!storedToken && !SPA_MODE) {
+      persistSession(null, null);
+      setInitializing(false);
+      return;
+    }
+
+    // Si el token de acceso expiró, el cliente API lo renueva con el de refresco
+    if (storedToken) {
+      storeTokens({ token: storedToken, refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY) });
+    }
+
+    const stopRetrying = () => {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      window.removeEventListener('online', retryNow);
+    };
+
+    const finish = () => {
+      stopRetrying();
+      setReconnecting(false);
+      setInitializing(false);
+    };
+
+    const validateSession = () => {
+      // Mientras tanto otra pestaña pudo iniciar o cerrar sesión
+      if (userRef.current || !(SPA_MODE || localStorage.getItem(TOKEN_KEY))) {
+        finish();
+        return;
+      }
+
+      authAPI.me()
+        .then((currentUser) => {
+          if (cancelled) return;
+          userRef.current = currentUser;
+          setUser(currentUser);
+          finish();
+        })
+        .catch((err) => {
+          if (cancelled) return;
+          // Un 401 ya lo gestionó el cliente API (cierre o vuelta al administrador);
+          // el resto de errores definitivos tampoco se reintenta
+          if (!SESSION_RETRY_KINDS.includes(err.kind)) {
+            finish();
+            return;
+          }
+
+          setReconnecting(true);
+          retryTimer = setTimeout(retryNow, retryDelay);
+          retryDelay = Math.min(retryDelay * 2, SESSION_RETRY_MAX_DELAY_MS);
+        });
+    };
+
+    // Al recuperar la conexión no se espera al siguiente intento programado
+    const retryNow = () => {
+      if (cancelled || !retryTimer) return;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      validateSession();
+    };
+
+    window.addEventListener('online', retryNow);
+    validateSession();
+
+    return () => {
+      cancelled = true;
+      stopRetrying();
+    };
+  }, [persistSession, storeTokens]);
+
+  /**
+   * Effect para sincronizar la sesión con el cliente API:
+   * guarda los tokens renovados y cierra la sesión local si la renovación falla
+   */
+  useEffect(() => {
+    setTokenRefreshedHandler((tokens) => {
+      storeTokens(tokens);
+      broadcastTabEvent(TAB_EVENTS.TOKEN_REFRESHED);
+    });
+    // Antes de renovar, el cliente comprueba si otra pestaña ya lo hizo
+    setStoredTokensReader(() => ({
+      token: localStorage.getItem(TOKEN_KEY),
+      refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY)
+    }));
+    // Si caduca el token de suplantación se vuelve a la sesión del administrador
+    setUnauthorizedHandler(() => {
+      if (localStorage.getItem(IMPERSONATOR_SESSION_KEY)) {
+        restoreImpersonator();
+      } else {
+        persistSession(null, null);
+      }
+    });
+    return () => {
+      setTokenRefreshedHandler(null);
+      setStoredTokensReader(null);
+      setUnauthorizedHandler(null);
+    };
+  }, [persistSession, storeTokens, restoreImpersonator]);
+
+  /**
+   * Effect para que la cola sin conexión solo envíe los cambios del usuario actual
+   */
+  useEffect(() => {
+    setQueueOwner(user?.id ?? null);
+  }, [user?.id]);
+
+  /**
+   * Effect para aplicar los cambios de sesión hechos en otras pestañas
+   * La pestaña que los hace ya actualizó localStorage: aquí solo se toma
+   * el estado en memoria, sin volver a escribirlo ni a difundirlo
+   */
+  useEffect(() => {
+    // Toma los tokens que la otra pestaña dejó en localStorage
+    const adoptStoredTokens = () => {
+      const storedToken = SPA_MODE ? null : localStorage.getItem(TOKEN_KEY);
+      setAuthToken(storedToken, SPA_MODE ? null : localStorage.getItem(REFRESH_TOKEN_KEY));
+      setToken(storedToken);
+    };
+
+    // La sesión de otra pestaña también termina un arranque que seguía reintentando
+    const endInitializing = () => {
+      setReconnecting(false);
+      setInitializing(false);
+    };
+
+    const clearLocalSession = () => {
+      setAuthToken(null, null);
+      setToken(null);
+      setUser(null);
+      endInitializing();
+    };
+
+    return subscribeTabEvents(({ type }) => {
+      switch (type) {
+        case TAB_EVENTS.LOGIN:
+          setError('');
+          setFieldErrors({});
+          setUnverifiedEmail('');
+          setTwoFactorChallenge(null);
+          setLoginLockedUntil(null);
+          adoptStoredTokens();
+          authAPI.me()
+            .then((currentUser) => {
+              setUser(currentUser);
+              endInitializing();
+            })
+            .catch(clearLocalSession);
+          break;
+        case TAB_EVENTS.LOGOUT:
+          clearLocalSession();
+          break;
+        case TAB_EVENTS.TOKEN_REFRESHED:
+          adoptStoredTokens();
+          break;
+        default:
+          break;
+      }
+    });
+  }, []);
+
+  /**
+   * Guarda la sesión a partir de una respuesta de login correcta
+   *
+   * @param {Object} response - Respuesta de login o del segundo paso
+   */
+  const startSession = useCallback((response) => {
+    // En modo SPA la respuesta no incluye tokens: la sesión va en cookie
+    const tokens = SPA_MODE ? null : { token: response.token, refreshToken: response.refresh_token };
+    localStorage.removeItem(IMPERSONATOR_SESSION_KEY);
+    persistSession(tokens, response.user);
+    broadcastTabEvent(TAB_EVENTS.LOGIN);
+  }, [persistSession]);
+
+  /**
+   * Inicia sesión y guarda el token devuelto por la API
+   * Si la cuenta tiene verificación en dos pasos, deja pendiente el segundo paso
+   *
+   * @param {string} email - Correo electrónico
+   * @param {string} password - Contraseña
+   * @returns {Promise<boolean>} true si el login fue exitoso
+   */
+  const login = useCallback(async (email, password) => {
+    setLoading(true);
+    setError('');
+    setFieldErrors({});
+    setUnverifiedEmail('');
+    setTwoFactorChallenge(null);
+    setLoginLockedUntil(null);
+
+    try {
+      const response = await authAPI.login(email, password);
+
+      // Contraseña correcta pero falta el código de la aplicación de autenticación
+      if (response.two_factor_required) {
+        setTwoFactorChallenge({ challengeToken: response.challenge_token, email });
+        return false;
+      }
+
+      if (response.success) {
+        startSession(response);
+        return true;
+      }
+
+      setError(response.message || 'Error al iniciar sesión');
+      return false;
+    } catch (err) {
+      console.error('Error de login:', err);
+      // Cuenta sin verificar: la interfaz ofrece reenviar el enlace
+      if (err.code === API_ERROR_CODES.EMAIL_UNVERIFIED) {
+        setUnverifiedEmail(email);
+      }
+      // Demasiados intentos: la interfaz muestra la cuenta atrás en lugar del mensaje
+      if (err.kind === API_ERROR_KINDS.RATE_LIMITED) {
+        setLoginLockedUntil(Date.now() + err.retryAfter * 1000);
+        return false;
+      }
+      // Errores de validación: el formulario los muestra bajo cada campo
+      if (Object.keys(err.fieldErrors).length > 0) {
+        setFieldErrors(err.fieldErrors);
+        return false;
+      }
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, [startSession]);
+
+  /**
+   * Completa el segundo paso del login
+   *
+   * @param {Object} codes - { code } de la aplicación o { recoveryCode }
+   * @returns {Promise<boolean>} true si el código fue aceptado
+   */
+  const verifyTwoFactor = useCallback(async ({ code, recoveryCode }) => {
+    if (!twoFactorChallenge) return false;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authAPI.twoFactorChallenge({
+        challengeToken: twoFactorChallenge.challengeToken,
+        code,
+        recoveryCode
+      });
+
+      startSession(response);
+      setTwoFactorChallenge(null);
+      return true;
+    } catch (err) {
+      console.error('Error en la verificación en dos pasos:', err);
+      // El reto caducó: hay que volver a introducir la contraseña
+      if (err.code === API_ERROR_CODES.TWO_FACTOR_EXPIRED) {
+        setTwoFactorChallenge(null);
+      }
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, [twoFactorChallenge, startSession]);
+
+  /**
+   * Abandona el segundo paso del login
+   */
+  const cancelTwoFactor = useCallback(() => {
+    setTwoFactorChallenge(null);
+    setError('');
+  }, []);
+
+  /**
+   * Vuelve a cargar el usuario actual (ej: tras activar la verificación en dos pasos)
+   *
+   * @returns {Promise<void>}
+   */
+  const refreshUser = useCallback(async () => {
+    const currentUser = await authAPI.me();
+    setUser(currentUser);
+  }, []);
+
+  /**
+   * Registra un nuevo usuario sin iniciar sesión automáticamente
+   * El usuario debe hacer login después de la confirmación
+   *
+   * @param {Object} userData - Datos del formulario de registro
+   * @returns {Promise<Object>} Respuesta de la API con el usuario creado
+   * @throws {ApiError} Si el registro falla (con los errores por campo)
+   */
+  const register = useCallback(async ({ name, email, password, confirmPassword }) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      return await authAPI.register(name, email, password, confirmPassword);
+    } catch (err) {
+      console.error('Error en registro:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Cierra la sesión en el servidor y limpia la sesión local y la de las demás pestañas
+   * Aunque falle la API, la sesión local se elimina siempre
+   *
+   * @param {Object} [options] - Opciones del logout
+   * @param {boolean} [options.allDevices=false] - Cerrar también los demás dispositivos
+   */
+  const logout = useCallback(async ({ allDevices = false } = {}) => {
+    const impersonatorSession = takeImpersonatorSession();
+    // Los cambios guardados sin conexión no se envían tras salir voluntariamente
+    clearQueue();
+
+    try {
+      // Entrando como otro usuario: revocar el token de suplantación y cerrar la sesión del administrador
+      if (impersonatorSession) {
+        await authAPI.stopImpersonating().catch((err) => {
+          console.error('Error terminando la suplantación:', err);
+        });
+        setAuthToken(impersonatorSession.token, impersonatorSession.refreshToken);
+      }
+
+      // Llamar a la API de logout para invalidar los tokens de esta sesión (o de todas)
+      await authAPI.logout({ allDevices });
+    } catch (err) {
+      console.error('Error durante logout:', err);
+    } finally {
+      persistSession(null, null);
+      broadcastTabEvent(TAB_EVENTS.LOGOUT);
+    }
+  }, [persistSession]);
+
+  /**
+   * Entra como otro usuario con un token de suplantación de corta duración
+   * Los tokens del administrador quedan apartados hasta stopImpersonating
+   *
+   * @param {number|string} userId - Usuario a suplantar
+   * @returns {Promise<Object>} Respuesta de la API
+   * @throws {ApiError} Si la API lo rechaza
+   */
+  const impersonate = useCallback(async (userId) => {
+    const response = await usersAPI.impersonate(userId);
+
+    localStorage.setItem(IMPERSONATOR_SESSION_KEY, JSON.stringify({
+      token: localStorage.getItem(TOKEN_KEY),
+      refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY)
+    }));
+    storeTokens({ token: response.token, refreshToken: null });
+    setUser(response.user);
+    broadcastTabEvent(TAB_EVENTS.LOGIN);
+
+    return response;
+  }, [storeTokens]);
+
+  /**
+   * Termina la suplantación y vuelve a la sesión del administrador
+   * Aunque falle la API, se recuperan los tokens apartados
+   */
+  const stopImpersonating = useCallback(async () => {
+    try {
+      await authAPI.stopImpersonating();
+    } catch (err) {
+      console.error('Error terminando la suplantación:', err);
+    } finally {
+      await restoreImpersonator();
+    }
+  }, [restoreImpersonator]);
+
+  /**
+   * Indica si el usuario actual tiene un permiso (ver constants/permissions)
+   * Solo sirve para adaptar la interfaz: la API vuelve a comprobarlo
+   *
+   * @param {string} permission - Permiso a comprobar
+   * @returns {boolean} true si el rol del usuario lo concede
+   */
+  const can = useCallback(
+    (permission) => Boolean(user?.permissions?.includes(permission)),
+    [user]
+  );
+
+  // Valor del contexto con todas las propiedades necesarias
+  const value = {
+    user,
+    token,
+    isAuthenticated: !!user && (SPA_MODE || !!token),
+    initializing,
+    reconnecting,
+    loading,
+    error,
+    fieldErrors,
+    unverifiedEmail,
+    loginLockedUntil,
+    twoFactorChallenge,
+    impersonator: user?.impersonator || null,
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    refreshUser,
+    register,
+    logout,
+    impersonate,
+    stopImpersonating,
+    can,
+    clearError: () => {
+      setError('');
+      setFieldErrors({});
+      setUnverifiedEmail('');
+    }
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+// Validación de tipos con PropTypes
+AuthProvider.propTypes = {
+  /** Componentes hijo que tendrán acceso al contexto de autenticación */
+  children: PropTypes.node.isRequired,
+};
@@ -0,0 +1,12 @@
+import { createContext } from 'react';
+
+/**
+ * @fileoverview Objeto de contexto de la sesión para CatWare Systems
+ * Lo comparten AuthProvider (que le da valor) y el hook useAuth (que lo lee)
+ * Vive en su propio módulo para que AuthContext.jsx solo exporte componentes
+ */
+
+// Crear contexto de autenticación
+const AuthContext = createContext();
+
+export default AuthContext;
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import { broadcastTabEvent, subscribeTabEvents, TAB_EVENTS } from '../services/tabSync';
 
 /**
  * @fileoverview Contexto de tema para la aplicación CatWare Systems
@@ -83,6 +84,7 @@ export const useTheme = () => {
  * Proveedor de contexto de tema
  * Gestiona el estado del tema y proporciona persistencia en localStorage
  * Detecta preferencias del sistema operativo para tema inicial
+ * Los cambios de tema se aplican también en las demás pestañas abiertas
  * 
  * @component
  * @param {Object} props - Propiedades del componente
@@ -127,12 +129,23 @@ export const ThemeProvider = ({ children }) => {
     document.documentElement.setAttribute('data-theme', themeValue);
   }, [isDark]);
 
+  /**
+   * Effect para aplicar el tema elegido en otra pestaña
+   */
+  useEffect(() => subscribeTabEvents(({ type, payload }) => {
+    if (type === TAB_EVENTS.THEME_CHANGED) {
+      setIsDark(payload.theme === 'dark');
+    }
+  }), []);
+
   /**
    * Función para alternar entre tema claro y oscuro
    * Incluye haptic feedback en dispositivos compatibles
    */
   const toggleTheme = () => {
-    setIsDark(prev => !prev);
+    const nextIsDark = !isDark;
+    setIsDark(nextIsDark);
+    broadcastTabEvent(TAB_EVENTS.THEME_CHANGED, { theme: nextIsDark ? 'dark' : 'light' });
     
     // Haptic feedback en dispositivos móviles compatibles
     if ('vibrate' in navigator) {
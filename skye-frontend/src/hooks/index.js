@@ -0,0 +1,10 @@
+// Hooks exports
+export { default as useDebouncedValue } from './useDebouncedValue';
+export { default as useCountdown } from './useCountdown';
+export { default as usePasswordPolicy } from './usePasswordPolicy';
+export { default as useIdleTimeout } from './useIdleTimeout';
+export { default as useFieldErrors } from './useFieldErrors';
+export { default as useForm } from './useForm';
+export { default as useEmailAvailability } from './useEmailAvailability';
+export { default as useOfflineQueue } from './useOfflineQueue';
+export { default as useAuth } from './useAuth';
@@ -0,0 +1,49 @@
+import { useContext } from 'react';
+import AuthContext from '../contexts/AuthContextObject';
+
+/**
+ * @fileoverview Hook de acceso a la sesión para CatWare Systems
+ * Lee el valor que publica AuthProvider (contexts/AuthContext.jsx)
+ */
+
+/**
+ * Hook personalizado para acceder al contexto de autenticación
+ *
+ * @returns {Object} Objeto con la sesión y sus acciones
+ * @returns {Object|null} user - Usuario autenticado o null
+ * @returns {string|null} token - Token de acceso de Sanctum actual
+ * @returns {boolean} isAuthenticated - Si hay una sesión válida
+ * @returns {boolean} initializing - Si se está rehidratando la sesión al arrancar
+ * @returns {boolean} reconnecting - Si la sesión guardada está pendiente de validar por falta de conexión
+ * @returns {boolean} loading - Si hay una acción de autenticación en curso
+ * @returns {string} error - Último mensaje de error de autenticación
+ * @returns {Object} fieldErrors - Errores por campo del último login rechazado por validación
+ * @returns {string} unverifiedEmail - Correo del último login rechazado por no estar verificado
+ * @returns {number|null} loginLockedUntil - Marca de tiempo (ms) hasta la que el login está bloqueado
+ * @returns {Object|null} twoFactorChallenge - Segundo paso del login pendiente ({ challengeToken, email })
+ * @returns {Object|null} impersonator - Administrador que está entrando como el usuario ({ id, name, email })
+ * @returns {Function} can - Indica si el rol del usuario concede un permiso
+ * @returns {Function} login - Inicia sesión con email y contraseña
+ * @returns {Function} verifyTwoFactor - Completa el login con un código TOTP o de recuperación
+ * @returns {Function} cancelTwoFactor - Abandona el segundo paso y vuelve al formulario de login
+ * @returns {Function} refreshUser - Vuelve a cargar el usuario actual desde la API
+ * @returns {Function} register - Registra un nuevo usuario
+ * @returns {Function} logout - Cierra la sesión de este dispositivo (o de todos con { allDevices: true })
+ * @returns {Function} impersonate - Entra como otro usuario conservando la sesión del administrador
+ * @returns {Function} stopImpersonating - Vuelve a la sesión del administrador
+ *
+ * @throws {Error} Si se usa fuera de AuthProvider
+ *
+ * @example
+ * const { user, login, logout, can } = useAuth();
+ * if (can(PERMISSIONS.DELETE_USERS)) { ... }
+ */
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (context === undefined) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export default useAuth;
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * @fileoverview Hook de cuenta atrás para CatWare Systems
+ * Segundos que faltan hasta un instante, actualizados cada segundo
+ */
+
+/**
+ * Calcula los segundos enteros que faltan hasta `until`
+ *
+ * @param {number|null} until - Marca de tiempo en ms
+ * @returns {number} Segundos restantes (0 si ya pasó o no hay fecha)
+ */
+const secondsUntil = (until) => (until ? Math.max(0, Math.ceil((until - Date.now()) / 1000)) : 0);
+
+/**
+ * Devuelve los segundos que faltan hasta `until` y se vuelve a renderizar
+ * cada segundo hasta llegar a 0. Al depender de la hora final y no de un
+ * contador, no se desajusta si la pestaña estuvo en segundo plano
+ *
+ * @param {number|null} until - Marca de tiempo en ms (ej: Date.now() + 30000)
+ * @returns {number} Segundos restantes
+ *
+ * @example
+ * const seconds = useCountdown(lockedUntil);
+ * <Button disabled={seconds > 0}>...</Button>
+ */
+const useCountdown = (until) => {
+  const [seconds, setSeconds] = useState(() => secondsUntil(until));
+
+  useEffect(() => {
+    setSeconds(secondsUntil(until));
+    if (!until) return undefined;
+
+    const timer = setInterval(() => {
+      const remaining = secondsUntil(until);
+      setSeconds(remaining);
+      if (remaining === 0) clearInterval(timer);
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [until]);
+
+  return seconds;
+};
+
+export default useCountdown;
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * @fileoverview Hook de debounce para CatWare Systems
+ * Retrasa la propagación de un valor hasta que deja de cambiar
+ */
+
+/**
+ * Devuelve el valor recibido solo después de `delay` ms sin cambios
+ * Útil para no lanzar una petición a la API en cada pulsación de tecla
+ *
+ * @param {*} value - Valor a retrasar
+ * @param {number} [delay=400] - Milisegundos de espera
+ * @returns {*} Último valor estable
+ *
+ * @example
+ * const debouncedSearch = useDebouncedValue(search, 400);
+ */
+const useDebouncedValue = (value, delay = 400) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+export default useDebouncedValue;
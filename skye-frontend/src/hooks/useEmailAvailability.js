@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import useDebouncedValue from './useDebouncedValue';
+import { authAPI } from '../services/api';
+import { EMAIL_PATTERN } from '../services/validation';
+
+/**
+ * @fileoverview Hook de disponibilidad del correo para CatWare Systems
+ * Consulta en vivo si un correo ya está registrado mientras se escribe
+ */
+
+// Espera tras la última pulsación antes de consultar la API
+const EMAIL_CHECK_DEBOUNCE_MS = 500;
+
+/**
+ * Estado de la comprobación de un correo
+ * @constant {Object}
+ */
+export const EMAIL_AVAILABILITY = {
+  IDLE: 'idle',
+  CHECKING: 'checking',
+  AVAILABLE: 'available',
+  TAKEN: 'taken',
+};
+
+/**
+ * Comprueba contra la API si un correo está libre
+ * Solo consulta correos con formato válido; si la petición falla (sin
+ * conexión, límite superado...) el estado vuelve a 'idle' y el backend
+ * sigue rechazando el correo duplicado al registrar
+ *
+ * @param {string} email - Correo escrito en el formulario
+ * @param {Object} [options] - Opciones del hook
+ * @param {boolean} [options.enabled=true] - Si se debe comprobar (ej: false mientras se envía)
+ * @returns {Object} Resultado de la comprobación
+ * @returns {string} status - Uno de EMAIL_AVAILABILITY
+ * @returns {string} message - Mensaje del backend ('' salvo disponible o registrado)
+ *
+ * @example
+ * const { status, message } = useEmailAvailability(values.email);
+ * const taken = status === EMAIL_AVAILABILITY.TAKEN;
+ */
+const useEmailAvailability = (email, { enabled = true } = {}) => {
+  const normalizedEmail = email.trim().toLowerCase();
+  const debouncedEmail = useDebouncedValue(normalizedEmail, EMAIL_CHECK_DEBOUNCE_MS);
+  // Resultados por correo: volver a un correo ya comprobado no repite la petición
+  const [results, setResults] = useState({});
+
+  const shouldCheck = enabled && EMAIL_PATTERN.test(debouncedEmail) && !results[debouncedEmail];
+
+  useEffect(() => {
+    if (!shouldCheck) return;
+
+    let active = true;
+
+    authAPI.checkEmailAvailable(debouncedEmail)
+      .then((response) => {
+        if (!active) return;
+        setResults((prev) => ({
+          ...prev,
+          [debouncedEmail]: {
+            status: response.available ? EMAIL_AVAILABILITY.AVAILABLE : EMAIL_AVAILABILITY.TAKEN,
+            message: response.message
+          }
+        }));
+      })
+      .catch((err) => {
+        console.error('Error comprobando el correo:', err);
+        if (!active) return;
+        setResults((prev) => ({
+          ...prev,
+          [debouncedEmail]: { status: EMAIL_AVAILABILITY.IDLE, message: '' }
+        }));
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [debouncedEmail, shouldCheck]);
+
+  if (!enabled || !EMAIL_PATTERN.test(normalizedEmail)) {
+    return { status: EMAIL_AVAILABILITY.IDLE, message: '' };
+  }
+
+  if (results[normalizedEmail]) {
+    return results[normalizedEmail];
+  }
+
+  // Esperando al debounce o a la respuesta de la API
+  const pending = normalizedEmail !== debouncedEmail || shouldCheck;
+  return { status: pending ? EMAIL_AVAILABILITY.CHECKING : EMAIL_AVAILABILITY.IDLE, message: '' };
+};
+
+export default useEmailAvailability;
@@ -0,0 +1,138 @@
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+/**
+ * @fileoverview Hook de errores por campo para los formularios de CatWare Systems
+ * Une en un solo estado los errores de la validación local y los `errors`
+ * que devuelve la API (ApiError.fieldErrors) y lleva el foco al primer campo inválido
+ */
+
+// Sin mapa de nombres los campos de la API y del formulario coinciden
+const NO_FIELD_MAP = {};
+
+/**
+ * Busca el control de un formulario por su atributo name
+ *
+ * @param {HTMLFormElement|null} form - Formulario
+ * @param {string} name - Nombre del campo
+ * @returns {HTMLElement|null} Control o null si el formulario no lo tiene
+ */
+const findControl = (form, name) => {
+  const control = form?.elements.namedItem(name);
+  return control instanceof HTMLElement ? control : null;
+};
+
+/**
+ * Estado de errores por campo de un formulario
+ * El foco espera a que el campo deje de estar deshabilitado (ej: mientras se envía)
+ *
+ * @param {Object} [options] - Opciones del hook
+ * @param {Object<string, string>} [options.fieldMap] - Nombre en la API → nombre en el
+ *   formulario cuando no coinciden (ej: { password_confirmation: 'confirmPassword' })
+ * @param {Object<string, string[]>|null} [options.serverErrors=null] - Errores de la API
+ *   recibidos por props; se aplican cada vez que cambia el objeto
+ * @returns {Object} Estado y acciones
+ * @returns {Object<string, string>} fieldErrors - Mensaje de cada campo ('' o ausente si es válido)
+ * @returns {Object} formRef - Ref para el elemento <form>
+ * @returns {Function} showFieldErrors - Sustituye los errores (validación local) y enfoca el primero
+ * @returns {Function} setFieldError - Cambia el error de un campo sin mover el foco
+ * @returns {Function} clearFieldError - Borra el error de un campo (al escribir en él)
+ * @returns {Function} applyServerErrors - Añade los `errors` de la API; devuelve el primer
+ *   mensaje sin campo en el formulario ('' si todos tienen campo)
+ * @returns {Function} applyApiError - Aplica un ApiError; devuelve el mensaje general que
+ *   queda por mostrar ('' si todo se muestra bajo los campos)
+ *
+ * @example
+ * const { fieldErrors, formRef, applyApiError } = useFieldErrors({ fieldMap: REGISTER_FIELD_MAP });
+ * try {
+ *   await onRegister(data);
+ * } catch (err) {
+ *   setError(applyApiError(err));
+ * }
+ */
+const useFieldErrors = ({ fieldMap = NO_FIELD_MAP, serverErrors = null } = {}) => {
+  const formRef = useRef(null);
+  const pendingFocusRef = useRef(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const showFieldErrors = useCallback((errors) => {
+    setFieldErrors(errors);
+    pendingFocusRef.current = Object.values(errors).some(Boolean);
+  }, []);
+
+  const setFieldError = useCallback((name, message) => {
+    setFieldErrors((prev) => ((prev[name] || '') === message ? prev : { ...prev, [name]: message }));
+  }, []);
+
+  const clearFieldError = useCallback((name) => setFieldError(name, ''), [setFieldError]);
+
+  const applyServerErrors = useCallback((errors) => {
+    const placed = {};
+    const unplaced = [];
+
+    Object.entries(errors || {}).forEach(([apiField, messages]) => {
+      const name = fieldMap[apiField] || apiField;
+      const message = Array.isArray(messages) ? messages[0] : messages;
+
+      if (findControl(formRef.current, name)) {
+        placed[name] = message;
+      } else {
+        unplaced.push(message);
+      }
+    });
+
+    if (Object.keys(placed).length > 0) {
+      setFieldErrors((prev) => ({ ...prev, ...placed }));
+      pendingFocusRef.current = true;
+    }
+
+    return unplaced[0] || '';
+  }, [fieldMap]);
+
+  const applyApiError = useCallback((error) => {
+    const hasFieldErrors = Object.keys(error?.fieldErrors || {}).length > 0;
+    const unplaced = applyServerErrors(error?.fieldErrors);
+    return hasFieldErrors ? unplaced : error?.message || '';
+  }, [applyServerErrors]);
+
+  /**
+   * Effect para aplicar los errores recibidos por props antes de pintar,
+   * de modo que el formulario no muestre un instante el aviso general
+   */
+  useLayoutEffect(() => {
+    if (serverErrors) {
+      applyServerErrors(serverErrors);
+    }
+  }, [serverErrors, applyServerErrors]);
+
+  /**
+   * Effect para enfocar el primer campo inválido en el orden del formulario
+   * Se reintenta en cada render mientras el campo siga deshabilitado
+   */
+  useEffect(() => {
+    if (!pendingFocusRef.current || !formRef.current) return;
+
+    const invalid = Array.from(formRef.current.elements)
+      .find((element) => element.name && fieldErrors[element.name]);
+
+    if (!invalid) {
+      pendingFocusRef.current = false;
+      return;
+    }
+    if (invalid.disabled) return;
+
+    invalid.focus();
+    pendingFocusRef.current = false;
+  });
+
+  return {
+    fieldErrors,
+    formRef,
+    showFieldErrors,
+    setFieldError,
+    clearFieldError,
+    applyServerErrors,
+    applyApiError
+  };
+};
+
+export default useFieldErrors;
@@ -0,0 +1,171 @@
+import { useState, useRef, useCallback } from 'react';
+import useFieldErrors from './useFieldErrors';
+import { validateValue, validateSchema } from '../services/validation';
+
+/**
+ * @fileoverview Hook de formularios para CatWare Systems
+ * Estado de valores, validación con esquemas de services/validation,
+ * campos tocados y modificados, y envío con los errores de la API por campo
+ */
+
+/**
+ * Estado y manejadores de un formulario
+ *
+ * @param {Object} options - Opciones del formulario
+ * @param {Object} options.initialValues - Valores iniciales por nombre de campo
+ * @param {Object<string, Array<Function>>} [options.schema={}] - Reglas por campo
+ * @param {string} [options.validateOn='submit'] - Cuándo se valida un campo (el envío siempre
+ *   valida todos): 'submit' (escribir borra su error), 'blur' (al salir del campo) o 'change'
+ * @param {Function} options.onSubmit - Recibe los valores válidos; si lanza un ApiError
+ *   sus errores por campo se muestran bajo cada campo y el resto en `submitError`
+ * @param {Object<string, string>} [options.fieldMap] - Nombres de la API distintos (ver useFieldErrors)
+ * @param {Object<string, string[]>} [options.serverErrors] - Errores de la API recibidos por props
+ * @returns {Object} Estado y manejadores
+ * @returns {Object} values - Valores actuales
+ * @returns {Object<string, string>} errors - Error de cada campo
+ * @returns {Object<string, boolean>} touched - Campos que han perdido el foco o se han enviado
+ * @returns {Object<string, boolean>} dirty - Campos cuyo valor difiere del inicial
+ * @returns {boolean} isDirty - Si algún campo difiere del valor inicial
+ * @returns {boolean} submitting - Si se está validando o enviando
+ * @returns {string} submitError - Error general del último envío
+ * @returns {Object} formRef - Ref para el elemento <form> (foco en el primer campo inválido)
+ * @returns {Function} handleChange - onChange de los campos
+ * @returns {Function} handleBlur - onBlur de los campos
+ * @returns {Function} handleSubmit - onSubmit del formulario
+ * @returns {Function} getFieldProps - Props { name, value, onChange, onBlur, error } para FormField
+ *
+ * @example
+ * const { formRef, handleSubmit, getFieldProps } = useForm({
+ *   initialValues: { email: '' },
+ *   schema: { email: [required('El correo electrónico es requerido'), email()] },
+ *   onSubmit: (values) => onSave(values)
+ * });
+ *
+ * <form ref={formRef} onSubmit={handleSubmit} noValidate>
+ *   <FormField id="email" label="Correo Electrónico" {...getFieldProps('email')} />
+ * </form>
+ */
+const useForm = ({
+  initialValues,
+  schema = {},
+  validateOn = 'submit',
+  onSubmit,
+  fieldMap,
+  serverErrors
+}) => {
+  const [values, setValues] = useState(initialValues);
+  const [touched, setTouched] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+  const initialValuesRef = useRef(initialValues);
+
+  // Última validación lanzada por campo: descarta resultados asíncronos antiguos
+  const validationRunsRef = useRef({});
+
+  const {
+    fieldErrors,
+    formRef,
+    showFieldErrors,
+    setFieldError,
+    clearFieldError,
+    applyApiError
+  } = useFieldErrors({ fieldMap, serverErrors });
+
+  const dirty = Object.fromEntries(
+    Object.keys(values).map((name) => [name, values[name] !== initialValuesRef.current[name]])
+  );
+
+  /**
+   * Valida un campo y muestra su error si sigue siendo la última validación
+   *
+   * @param {string} name - Nombre del campo
+   * @param {Object} currentValues - Valores con los que validar
+   * @returns {Promise<string>} Mensaje de error o ''
+   */
+  const validateField = useCallback(async (name, currentValues) => {
+    const run = (validationRunsRef.current[name] || 0) + 1;
+    validationRunsRef.current[name] = run;
+
+    const message = await validateValue(schema[name], currentValues[name], currentValues);
+    if (validationRunsRef.current[name] === run) {
+      setFieldError(name, message);
+    }
+    return message;
+  }, [schema, setFieldError]);
+
+  const handleChange = (e) => {
+    const { name, type, checked, value } = e.target;
+    const nextValues = { ...values, [name]: type === 'checkbox' ? checked : value };
+
+    setValues(nextValues);
+    if (submitError) setSubmitError('');
+
+    if (validateOn === 'change') {
+      validateField(name, nextValues);
+    } else {
+      // Una validación pendiente no debe volver a mostrar el error que se borra
+      validationRunsRef.current[name] = (validationRunsRef.current[name] || 0) + 1;
+      clearFieldError(name);
+    }
+  };
+
+  const handleBlur = (e) => {
+    const { name } = e.target;
+
+    setTouched((prev) => (prev[name] ? prev : { ...prev, [name]: true }));
+    if (validateOn === 'blur') {
+      validateField(name, values);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (submitting) return;
+
+    setTouched(Object.fromEntries(Object.keys(values).map((name) => [name, true])));
+    setSubmitError('');
+    setSubmitting(true);
+
+    try {
+      // Las validaciones en curso de cada campo quedan sustituidas por esta
+      Object.keys(schema).forEach((name) => {
+        validationRunsRef.current[name] = (validationRunsRef.current[name] || 0) + 1;
+      });
+
+      const errors = await validateSchema(schema, values);
+      showFieldErrors(errors);
+      if (Object.keys(errors).length > 0) return;
+
+      await onSubmit(values);
+    } catch (err) {
+      setSubmitError(applyApiError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getFieldProps = (name) => ({
+    name,
+    value: values[name],
+    onChange: handleChange,
+    onBlur: handleBlur,
+    error: fieldErrors[name]
+  });
+
+  return {
+    values,
+    errors: fieldErrors,
+    touched,
+    dirty,
+    isDirty: Object.values(dirty).some(Boolean),
+    submitting,
+    submitError,
+    formRef,
+    handleChange,
+    handleBlur,
+    handleSubmit,
+    getFieldProps
+  };
+};
+
+export default useForm;
@@ -0,0 +1,125 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { broadcastTabEvent, subscribeTabEvents, TAB_EVENTS } from '../services/tabSync';
+
+/**
+ * @fileoverview Hook de inactividad para CatWare Systems
+ * Detecta cuándo el usuario deja de usar la aplicación y avisa antes de expirar
+ */
+
+// Eventos que cuentan como actividad del usuario
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+
+// Cada cuánto se comprueba el tiempo inactivo
+const CHECK_INTERVAL_MS = 1000;
+
+// Intervalo mínimo entre avisos de actividad a las demás pestañas
+const ACTIVITY_BROADCAST_MS = 10000;
+
+/**
+ * Vigila la actividad del ratón, el teclado y la visibilidad de la pestaña.
+ * Al quedar `warningTime` ms para expirar devuelve la hora de expiración y,
+ * desde ese momento, solo `reset()` (el botón de seguir conectado) cuenta como
+ * actividad. Se compara con la hora de la última actividad y no con un
+ * temporizador, así que una pestaña en segundo plano o un equipo suspendido
+ * expiran en cuanto vuelven a estar visibles. La actividad se comparte con
+ * las demás pestañas para que una pestaña olvidada no cierre la sesión de
+ * quien trabaja en otra
+ *
+ * @param {Object} options - Opciones del hook
+ * @param {number} options.timeout - Milisegundos sin actividad hasta expirar (0 lo desactiva)
+ * @param {number} options.warningTime - Milisegundos de aviso antes de expirar
+ * @param {Function} options.onIdle - Callback al expirar
+ * @param {boolean} [options.enabled=true] - Si se vigila la actividad
+ * @returns {Object} Estado del aviso
+ * @returns {number|null} warningUntil - Marca de tiempo (ms) de la expiración mientras se avisa
+ * @returns {Function} reset - Reinicia el tiempo de inactividad y cierra el aviso
+ *
+ * @example
+ * const { warningUntil, reset } = useIdleTimeout({ timeout, warningTime, onIdle: handleLogout });
+ */
+const useIdleTimeout = ({ timeout, warningTime, onIdle, enabled = true }) => {
+  const [warningUntil, setWarningUntil] = useState(null);
+  const lastActivityRef = useRef(Date.now());
+  const lastBroadcastRef = useRef(0);
+  const warningRef = useRef(false);
+
+  // Referencia al callback para no reiniciar la vigilancia en cada render del padre
+  const onIdleRef = useRef(onIdle);
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  const resetLocal = useCallback(() => {
+    lastActivityRef.current = Date.now();
+    warningRef.current = false;
+    setWarningUntil(null);
+  }, []);
+
+  const reset = useCallback(() => {
+    resetLocal();
+    lastBroadcastRef.current = Date.now();
+    broadcastTabEvent(TAB_EVENTS.ACTIVITY);
+  }, [resetLocal]);
+
+  useEffect(() => {
+    if (!enabled || !timeout) return undefined;
+
+    lastActivityRef.current = Date.now();
+    let expired = false;
+
+    const check = () => {
+      if (expired) return;
+
+      const deadline = lastActivityRef.current + timeout;
+      const remaining = deadline - Date.now();
+
+      if (remaining <= 0) {
+        expired = true;
+        warningRef.current = false;
+        setWarningUntil(null);
+        onIdleRef.current();
+      } else if (remaining <= warningTime && !warningRef.current) {
+        warningRef.current = true;
+        setWarningUntil(deadline);
+      }
+    };
+
+    const handleActivity = () => {
+      // Con el aviso abierto hay que confirmar explícitamente
+      if (warningRef.current) return;
+
+      const now = Date.now();
+      lastActivityRef.current = now;
+      if (now - lastBroadcastRef.current >= ACTIVITY_BROADCAST_MS) {
+        lastBroadcastRef.current = now;
+        broadcastTabEvent(TAB_EVENTS.ACTIVITY);
+      }
+    };
+
+    // Actividad en otra pestaña: cuenta como propia y cierra el aviso
+    const unsubscribe = subscribeTabEvents(({ type }) => {
+      if (type === TAB_EVENTS.ACTIVITY && !expired) resetLocal();
+    });
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      unsubscribe();
+      clearInterval(timer);
+      warningRef.current = false;
+      setWarningUntil(null);
+    };
+  }, [enabled, timeout, warningTime, resetLocal]);
+
+  return { warningUntil, reset };
+};
+
+export default useIdleTimeout;
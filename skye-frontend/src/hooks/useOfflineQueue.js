@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { getQueueState, subscribeQueue, discardFailed } from '../services/offlineQueue';
+
+/**
+ * @fileoverview Hook del estado de la conexión para CatWare Systems
+ * Une el estado de red del navegador y la cola de cambios sin conexión
+ */
+
+/**
+ * Estado de la conexión y de los cambios guardados sin conexión
+ *
+ * @returns {Object} Estado de la conexión
+ * @returns {boolean} online - Si el navegador tiene conexión
+ * @returns {number} pending - Cambios del usuario actual pendientes de enviar
+ * @returns {Array<Object>} failed - Cambios que el servidor rechazó al enviarlos ({ method, url, message })
+ * @returns {boolean} replaying - Si se están enviando los cambios pendientes
+ * @returns {Function} discardFailed - Descarta los cambios rechazados
+ *
+ * @example
+ * const { online, pending } = useOfflineQueue();
+ */
+const useOfflineQueue = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [queue, setQueue] = useState(getQueueState);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const unsubscribe = subscribeQueue(setQueue);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      unsubscribe();
+    };
+  }, []);
+
+  return { online, ...queue, discardFailed };
+};
+
+export default useOfflineQueue;
@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import { fetchPasswordPolicy } from '../services/passwordPolicy';
+
+/**
+ * @fileoverview Hook de la política de contraseñas para CatWare Systems
+ * Carga la política del backend para validar contraseñas nuevas en vivo
+ */
+
+/**
+ * Devuelve la política de contraseñas del backend
+ * Mientras carga, o si la petición falla, devuelve null: los formularios
+ * omiten la validación en vivo y el backend la sigue aplicando al guardar
+ *
+ * @returns {Object|null} Política ({ min_length, mixed_case, numbers, ... }) o null
+ *
+ * @example
+ * const policy = usePasswordPolicy();
+ * const checks = policy ? checkPassword(password, policy, [name, email]) : [];
+ */
+const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    fetchPasswordPolicy()
+      .then((result) => {
+        if (active) setPolicy(result);
+      })
+      .catch((err) => {
+        console.error('Error cargando la política de contraseñas:', err);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return policy;
+};
+
+export default usePasswordPolicy;
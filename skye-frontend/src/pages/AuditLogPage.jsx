@@ -0,0 +1,105 @@
+import { useState, useEffect, useCallback } from 'react';
+import { AuditLogTable, AuditLogFilters, MainLayout } from '../components';
+import { auditLogsAPI } from '../services/api';
+import { useDebouncedValue } from '../hooks';
+
+// Tamaño de página inicial del registro
+const DEFAULT_PER_PAGE = 25;
+
+// Espera tras la última pulsación antes de pedir resultados
+const FILTER_DEBOUNCE_MS = 400;
+
+// Filtros vacíos del panel
+const EMPTY_FILTERS = { action: '', search: '', createdFrom: '', createdTo: '' };
+
+/**
+ * Página del registro de auditoría
+ * Solo accesible con el permiso audit.view (ver ProtectedRoute en App)
+ */
+const AuditLogPage = () => {
+  const [logs, setLogs] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [perPage, setPerPage] = useState(DEFAULT_PER_PAGE);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const debouncedFilters = useDebouncedValue(filters, FILTER_DEBOUNCE_MS);
+
+  // La página se guarda junto a los filtros con los que se eligió:
+  // si los filtros cambian se vuelve a la primera sin una petición extra
+  const [pageState, setPageState] = useState({ page: 1, filters: debouncedFilters });
+  const page = pageState.filters === debouncedFilters ? pageState.page : 1;
+
+  const loadLogs = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const response = await auditLogsAPI.getLogs({
+        page,
+        perPage,
+        action: debouncedFilters.action,
+        search: debouncedFilters.search.trim(),
+        createdFrom: debouncedFilters.createdFrom,
+        createdTo: debouncedFilters.createdTo
+      });
+
+      if (response.success) {
+        setLogs(response.logs);
+        setPagination(response.meta);
+      } else {
+        console.error('Error en la respuesta de la API:', response.message);
+        setLogs([]);
+        setPagination(null);
+      }
+    } catch (error) {
+      console.error('Error loading audit logs:', error);
+      setLogs([]);
+      setPagination(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, perPage, debouncedFilters]);
+
+  useEffect(() => {
+    loadLogs();
+  }, [loadLogs]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handlePageChange = (newPage) => {
+    setPageState({ page: newPage, filters: debouncedFilters });
+  };
+
+  const handlePerPageChange = (newPerPage) => {
+    // Volver a la primera página al cambiar el tamaño
+    setPerPage(newPerPage);
+    handlePageChange(1);
+  };
+
+  const hasFilters = Object.values(debouncedFilters).some(Boolean);
+
+  return (
+    <MainLayout>
+      <AuditLogFilters
+        values={filters}
+        onChange={handleFilterChange}
+        onClear={handleClearFilters}
+      />
+      <AuditLogTable
+        logs={logs}
+        loading={loading}
+        emptyMessage={hasFilters ? 'Ningún evento coincide con los filtros' : 'No hay eventos registrados'}
+        pagination={pagination}
+        onPageChange={handlePageChange}
+        onPerPageChange={handlePerPageChange}
+      />
+    </MainLayout>
+  );
+};
+
+export default AuditLogPage;
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Mail, KeyRound } from 'lucide-react';
+import { AuthLayout } from '../components/templates';
+import { Button, ErrorMessage, IconBox, Text } from '../components/atoms';
+import { FormField } from '../components/molecules';
+import { useTheme } from '../contexts/ThemeContext';
+import { authAPI } from '../services/api';
+
+/**
+ * Página para solicitar el enlace de restablecimiento de contraseña
+ * La respuesta es la misma exista o no el correo, para no revelar usuarios
+ */
+const ForgotPasswordPage = () => {
+  const { colors } = useTheme();
+  const [email, setEmail] = useState('');
+  const [fieldError, setFieldError] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+    if (fieldError) setFieldError('');
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Validar correo electrónico
+    if (!email.trim()) {
+      setFieldError('El correo electrónico es requerido');
+      return;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      setFieldError('Ingresa un correo electrónico válido');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.forgotPassword(email.trim());
+      setSuccess(response.message);
+    } catch (err) {
+      console.error('Error solicitando el enlace:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthLayout title="Recuperar Contraseña">
+      <div className="w-full space-y-8">
+        {/* Cabecera */}
+        <div className="text-center">
+          <div className="flex justify-center mb-6">
+            <IconBox size="lg">
+              <KeyRound className="w-8 h-8" />
+            </IconBox>
+          </div>
+          <Text variant="heading" size="2xl" as="h2" className="mb-2">
+            ¿Olvidaste tu contraseña?
+          </Text>
+          <Text variant="muted" size="sm">
+            Escribe tu correo y te enviaremos un enlace para crear una nueva
+          </Text>
+        </div>
+
+        {success && (
+          <ErrorMessage type="success" size="md" showIcon>
+            {success}
+          </ErrorMessage>
+        )}
+
+        {error && (
+          <ErrorMessage type="error" size="md" showIcon>
+            {error}
+          </ErrorMessage>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+          <FormField
+            id="email"
+            name="email"
+            label="Correo Electrónico"
+            type="email"
+            value={email}
+            onChange={handleChange}
+            disabled={loading}
+            autoComplete="email"
+            placeholder="usuario@ejemplo.com"
+            required
+            error={fieldError}
+            icon={<Mail size={18} />}
+          />
+
+          <div className="pt-4">
+            <Button type="submit" variant="primary" loading={loading} fullWidth>
+              {loading ? 'Enviando...' : 'Enviar Enlace'}
+            </Button>
+          </div>
+        </form>
+
+        {/* Volver al login */}
+        <div className="text-center">
+          <Link
+            to="/login"
+            className="text-xs font-medium tracking-wider transition-colors duration-200"
+            style={{
+              color: colors.darkGray,
+              textDecoration: 'none',
+              borderBottom: `1px solid ${colors.mediumGray}`
+            }}
+          >
+            Volver a Iniciar Sesión
+          </Link>
+        </div>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default ForgotPasswordPage;
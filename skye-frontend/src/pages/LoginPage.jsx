@@ -1,64 +1,97 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { LoginForm, AuthLayout } from '../components';
-import { authAPI } from '../services/api';
+import { useNavigate, useLocation } from 'react-router-dom';
+import {
+  LoginForm,
+  TwoFactorChallengeForm,
+  AuthLayout,
+  ErrorMessage,
+  ResendVerification
+} from '../components';
+import { useAuth, useCountdown } from '../hooks';
+import { getRedirectTarget } from '../routes';
 
 const LoginPage = () => {
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const {
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    twoFactorChallenge,
+    loading,
+    error,
+    fieldErrors,
+    unverifiedEmail,
+    loginLockedUntil
+  } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // Segundos de bloqueo tras demasiados intentos fallidos (se actualiza cada segundo)
+  const lockedSeconds = useCountdown(loginLockedUntil);
+
+  // Aviso enviado por otras páginas (ej: tras restablecer la contraseña o por inactividad)
+  const notice = location.state?.notice;
+  const noticeType = location.state?.noticeType || 'success';
 
   const handleLogin = async (credentials) => {
-    setLoading(true);
-    setError('');
+    // El AuthProvider guarda la sesión y expone el error si falla
+    const success = await login(credentials.email, credentials.password);
 
-    try {
-      // Llamada real a la API de Laravel
-      const response = await authAPI.login(credentials.email, credentials.password);
-      
-      if (response.success) {
-        // Guardar token y datos del usuario
-        localStorage.setItem('authToken', response.token);
-        localStorage.setItem('user', JSON.stringify(response.user));
-        
-        navigate('/users');
-      } else {
-        setError(response.message || 'Error al iniciar sesión');
-      }
-    } catch (err) {
-      console.error('Error de login:', err);
-      
-      // Manejar diferentes tipos de error
-      if (err.response?.data?.message) {
-        setError(err.response.data.message);
-      } else if (err.response?.status === 401) {
-        setError('Credenciales incorrectas');
-      } else if (err.code === 'NETWORK_ERROR' || !navigator.onLine) {
-        setError('Error de conexión. Verifique su conexión a internet.');
-      } else {
-        setError('Error al iniciar sesión. Por favor intente nuevamente.');
-      }
-    } finally {
-      setLoading(false);
+    // Volver a la URL solicitada antes del login (o a la pantalla de inicio por defecto)
+    if (success) {
+      navigate(getRedirectTarget(location), { replace: true });
+    }
+  };
+
+  const handleTwoFactor = async (codes) => {
+    const success = await verifyTwoFactor(codes);
+
+    if (success) {
+      navigate(getRedirectTarget(location), { replace: true });
     }
   };
 
+  // Segundo paso: la contraseña fue correcta y falta el código de la aplicación
+  if (twoFactorChallenge) {
+    return (
+      <AuthLayout title="Acceso al Sistema">
+        <TwoFactorChallengeForm
+          email={twoFactorChallenge.email}
+          onSubmit={handleTwoFactor}
+          onCancel={cancelTwoFactor}
+          loading={loading}
+          error={error}
+        />
+      </AuthLayout>
+    );
+  }
+
   return (
     <AuthLayout title="Acceso al Sistema">
+      {notice && !error && (
+        <ErrorMessage type={noticeType} size="md" showIcon className="mb-6">
+          {notice}
+        </ErrorMessage>
+      )}
       <LoginForm
         onSubmit={handleLogin}
         loading={loading}
         error={error}
+        serverErrors={fieldErrors}
+        lockedSeconds={lockedSeconds}
       />
+
+      {/* Cuenta sin verificar: permitir pedir un nuevo enlace */}
+      {unverifiedEmail && (
+        <ResendVerification email={unverifiedEmail} className="mt-6" />
+      )}
       
       {/* Development helper */}
       <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-md text-center">
         <p className="text-sm text-blue-800">
-          <strong>Desarrollo:</strong> Use admin@test.com / 123456 para probar
+          <strong>Desarrollo:</strong> Use admin@test.com / CatWare-2025 para probar
         </p>
       </div>
     </AuthLayout>
   );
 };
 
-export default LoginPage;
\ No newline at end of file
+export default LoginPage;
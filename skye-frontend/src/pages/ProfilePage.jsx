@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import { UserCircle, KeyRound } from 'lucide-react';
+import {
+  MainLayout,
+  ErrorMessage,
+  IconBox,
+  Text,
+  ProfileForm,
+  ChangePasswordForm
+} from '../components';
+import { useAuth } from '../hooks';
+import { useTheme } from '../contexts/ThemeContext';
+import { profileAPI } from '../services/api';
+
+/**
+ * Página de perfil del usuario actual
+ * Edición de nombre y correo (un correo nuevo pide la contraseña actual y no
+ * se aplica hasta confirmar el enlace que recibe) y cambio de contraseña con
+ * la actual. Accesible para cualquier rol
+ */
+const ProfilePage = () => {
+  const { user, refreshUser } = useAuth();
+  const { colors, isDark } = useTheme();
+
+  const [profileLoading, setProfileLoading] = useState(false);
+  const [profileError, setProfileError] = useState('');
+  // Errores de validación de la API que el formulario muestra bajo cada campo
+  const [profileFieldErrors, setProfileFieldErrors] = useState(null);
+  const [profileNotice, setProfileNotice] = useState('');
+  // Cambiar la key devuelve el formulario de perfil al correo actual tras pedir un cambio
+  const [profileFormKey, setProfileFormKey] = useState(0);
+
+  const [passwordLoading, setPasswordLoading] = useState(false);
+  const [passwordError, setPasswordError] = useState('');
+  const [passwordFieldErrors, setPasswordFieldErrors] = useState(null);
+  const [passwordNotice, setPasswordNotice] = useState('');
+  // Cambiar la key vacía el formulario de contraseña tras un cambio correcto
+  const [passwordFormKey, setPasswordFormKey] = useState(0);
+
+  const handleSaveProfile = async (data) => {
+    setProfileLoading(true);
+    setProfileError('');
+    setProfileFieldErrors(null);
+    setProfileNotice('');
+
+    try {
+      const response = await profileAPI.update(data);
+
+      await refreshUser();
+      setProfileNotice(response.message);
+      // El correo nuevo queda pendiente: el formulario vuelve a mostrar el actual
+      if (response.email_change_pending) {
+        setProfileFormKey((prev) => prev + 1);
+      }
+    } catch (err) {
+      console.error('Error actualizando el perfil:', err);
+      if (Object.keys(err.fieldErrors || {}).length > 0) {
+        setProfileFieldErrors(err.fieldErrors);
+      } else {
+        setProfileError(err.message);
+      }
+    } finally {
+      setProfileLoading(false);
+    }
+  };
+
+  const handleChangePassword = async (data) => {
+    setPasswordLoading(true);
+    setPasswordError('');
+    setPasswordFieldErrors(null);
+    setPasswordNotice('');
+
+    try {
+      const response = await profileAPI.updatePassword(data);
+      setPasswordNotice(response.message);
+      setPasswordFormKey((prev) => prev + 1);
+    } catch (err) {
+      console.error('Error cambiando la contraseña:', err);
+      if (Object.keys(err.fieldErrors || {}).length > 0) {
+        setPasswordFieldErrors(err.fieldErrors);
+      } else {
+        setPasswordError(err.message);
+      }
+    } finally {
+      setPasswordLoading(false);
+    }
+  };
+
+  // Marco compartido por las dos secciones
+  const panelClassName = `p-8 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''}`;
+  const panelStyle = {
+    background: colors.background,
+    border: `2px solid ${colors.primary}`,
+    boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+  };
+
+  return (
+    <MainLayout>
+      {/* Datos personales */}
+      <div className={panelClassName} style={panelStyle}>
+        <div className="flex items-start space-x-4 mb-8">
+          <IconBox size="md">
+            <UserCircle className="w-6 h-6" />
+          </IconBox>
+          <div>
+            <Text variant="heading" size="xl" as="h2" className="mb-1">
+              Mi Perfil
+            </Text>
+            <Text variant="muted" size="sm">
+              Tu nombre y tu correo electrónico de acceso.
+            </Text>
+          </div>
+        </div>
+
+        {profileNotice && (
+          <ErrorMessage type="success" size="md" showIcon className="mb-6">
+            {profileNotice}
+          </ErrorMessage>
+        )}
+
+        <ProfileForm
+          key={profileFormKey}
+          user={user}
+          onSubmit={handleSaveProfile}
+          loading={profileLoading}
+          error={profileError}
+          serverErrors={profileFieldErrors}
+        />
+      </div>
+
+      {/* Cambio de contraseña */}
+      <div className={`mt-8 ${panelClassName}`} style={panelStyle}>
+        <div className="flex items-start space-x-4 mb-8">
+          <IconBox size="md">
+            <KeyRound className="w-6 h-6" />
+          </IconBox>
+          <div>
+            <Text variant="heading" size="xl" as="h2" className="mb-1">
+              Cambiar Contraseña
+            </Text>
+            <Text variant="muted" size="sm">
+              Al cambiarla se cerrará la sesión en tus demás dispositivos.
+            </Text>
+          </div>
+        </div>
+
+        {passwordNotice && (
+          <ErrorMessage type="success" size="md" showIcon className="mb-6">
+            {passwordNotice}
+          </ErrorMessage>
+        )}
+
+        <ChangePasswordForm
+          key={passwordFormKey}
+          user={user}
+          onSubmit={handleChangePassword}
+          loading={passwordLoading}
+          error={passwordError}
+          serverErrors={passwordFieldErrors}
+        />
+      </div>
+    </MainLayout>
+  );
+};
+
+export default ProfilePage;
@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Mail, Lock, KeyRound } from 'lucide-react';
+import { AuthLayout } from '../components/templates';
+import { Button, ErrorMessage, IconBox, Text } from '../components/atoms';
+import { FormField, PasswordStrengthMeter } from '../components/molecules';
+import { useTheme } from '../contexts/ThemeContext';
+import { usePasswordPolicy } from '../hooks';
+import { authAPI } from '../services/api';
+import {
+  checkPassword,
+  getPasswordPolicyError,
+  getPasswordStrength
+} from '../services/passwordPolicy';
+
+/**
+ * Página para elegir una nueva contraseña
+ * Se abre desde el enlace del correo: /reset-password?token=...&email=...
+ * Tras restablecerla redirige al login con un aviso de éxito
+ */
+const ResetPasswordPage = () => {
+  const { colors } = useTheme();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [formData, setFormData] = useState({
+    email: searchParams.get('email') || '',
+    password: '',
+    confirmPassword: ''
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(token ? '' : 'El enlace de restablecimiento no es válido. Solicita uno nuevo.');
+  const [loading, setLoading] = useState(false);
+
+  // Política del backend para la contraseña nueva (null mientras carga)
+  const policy = usePasswordPolicy();
+  const passwordChecks = policy ? checkPassword(formData.password, policy, [formData.email]) : [];
+
+  const validateForm = () => {
+    const errors = {};
+
+    // Validar correo electrónico
+    if (!formData.email) {
+      errors.email = 'El correo electrónico es requerido';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      errors.email = 'Ingresa un correo electrónico válido';
+    }
+
+    // Validar contraseña
+    if (!formData.password) {
+      errors.password = 'La contraseña es requerida';
+    } else if (policy && getPasswordPolicyError(passwordChecks, policy)) {
+      errors.password = getPasswordPolicyError(passwordChecks, policy);
+    }
+
+    // Validar confirmación de contraseña
+    if (!formData.confirmPassword) {
+      errors.confirmPassword = 'Confirma tu contraseña';
+    } else if (formData.password !== formData.confirmPassword) {
+      errors.confirmPassword = 'Las contraseñas no coinciden';
+    }
+
+    setFieldErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    // Borrar error del campo al modificar
+    if (fieldErrors[name]) {
+      setFieldErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!token || !validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authAPI.resetPassword({
+        token,
+        email: formData.email.trim(),
+        password: formData.password,
+        password_confirmation: formData.confirmPassword
+      });
+
+      // El aviso se muestra en la página de login
+      navigate('/login', { replace: true, state: { notice: response.message } });
+    } catch (err) {
+      console.error('Error restableciendo la contraseña:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthLayout title="Restablecer Contraseña">
+      <div className="w-full space-y-8">
+        {/* Cabecera */}
+        <div className="text-center">
+          <div className="flex justify-center mb-6">
+            <IconBox size="lg">
+              <KeyRound className="w-8 h-8" />
+            </IconBox>
+          </div>
+          <Text variant="heading" size="2xl" as="h2" className="mb-2">
+            Nueva Contraseña
+          </Text>
+          <Text variant="muted" size="sm">
+            Elige una contraseña que cumpla los requisitos
+          </Text>
+        </div>
+
+        {error && (
+          <ErrorMessage type="error" size="md" showIcon>
+            {error}
+          </ErrorMessage>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+          <FormField
+            id="email"
+            name="email"
+            label="Correo Electrónico"
+            type="email"
+            value={formData.email}
+            onChange={handleChange}
+            disabled={loading}
+            autoComplete="email"
+            placeholder="usuario@ejemplo.com"
+            required
+            error={fieldErrors.email}
+            icon={<Mail size={18} />}
+          />
+
+          <FormField
+            id="password"
+            name="password"
+            label="Nueva Contraseña"
+            type="password"
+            value={formData.password}
+            onChange={handleChange}
+            disabled={loading}
+            autoComplete="new-password"
+            placeholder="••••••••"
+            required
+            error={fieldErrors.password}
+            icon={<Lock size={18} />}
+          />
+
+          {policy && (
+            <PasswordStrengthMeter
+              checks={passwordChecks}
+              strength={getPasswordStrength(formData.password, passwordChecks, policy)}
+            />
+          )}
+
+          <FormField
+            id="confirmPassword"
+            name="confirmPassword"
+            label="Confirmar Contraseña"
+            type="password"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            disabled={loading}
+            autoComplete="new-password"
+            placeholder="••••••••"
+            required
+            error={fieldErrors.confirmPassword}
+            icon={<Lock size={18} />}
+          />
+
+          <div className="pt-4">
+            <Button type="submit" variant="primary" loading={loading} disabled={!token} fullWidth>
+              {loading ? 'Guardando...' : 'Restablecer Contraseña'}
+            </Button>
+          </div>
+        </form>
+
+        {/* Solicitar un nuevo enlace */}
+        <div className="text-center">
+          <Link
+            to="/forgot-password"
+            className="text-xs font-medium tracking-wider transition-colors duration-200"
+            style={{
+              color: colors.darkGray,
+              textDecoration: 'none',
+              borderBottom: `1px solid ${colors.mediumGray}`
+            }}
+          >
+            Solicitar un nuevo enlace
+          </Link>
+        </div>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default ResetPasswordPage;
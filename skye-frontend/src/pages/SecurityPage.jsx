@@ -0,0 +1,328 @@
+import { useState, useEffect, useCallback } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import {
+  MainLayout,
+  Button,
+  ErrorMessage,
+  IconBox,
+  Text,
+  FormField,
+  PasswordConfirmDialog,
+  RecoveryCodes,
+  ActiveSessions
+} from '../components';
+import { useAuth } from '../hooks';
+import { useTheme } from '../contexts/ThemeContext';
+import { twoFactorAPI, sessionsAPI } from '../services/api';
+
+// Acciones que piden la contraseña actual antes de ejecutarse
+const PASSWORD_ACTIONS = {
+  disable: {
+    title: 'Desactivar verificación en dos pasos',
+    message: 'Tu cuenta volverá a protegerse solo con la contraseña. Introdúcela para continuar.',
+    confirmLabel: 'Desactivar',
+    variant: 'danger'
+  },
+  regenerate: {
+    title: 'Generar nuevos códigos',
+    message: 'Los códigos de recuperación anteriores dejarán de funcionar. Introduce tu contraseña para continuar.',
+    confirmLabel: 'Generar',
+    variant: 'primary'
+  }
+};
+
+/**
+ * Página de seguridad de la cuenta
+ * Alta de la verificación en dos pasos (QR + código de confirmación),
+ * códigos de recuperación, desactivación y sesiones abiertas en otros
+ * dispositivos. Accesible para cualquier rol
+ */
+const SecurityPage = () => {
+  const { user, refreshUser, logout } = useAuth();
+  const { colors, isDark } = useTheme();
+
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [passwordAction, setPasswordAction] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [sessionsError, setSessionsError] = useState('');
+  const [sessionsNotice, setSessionsNotice] = useState('');
+
+  const enabled = Boolean(user?.two_factor_enabled);
+
+  /**
+   * Limpia los mensajes antes de una nueva acción
+   */
+  const resetMessages = () => {
+    setError('');
+    setNotice('');
+  };
+
+  /**
+   * Carga las sesiones activas del usuario
+   */
+  const loadSessions = useCallback(async () => {
+    setSessionsLoading(true);
+
+    try {
+      const response = await sessionsAPI.getSessions();
+      setSessions(response.sessions);
+    } catch (err) {
+      console.error('Error cargando las sesiones:', err);
+      setSessionsError(err.message);
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevokeSession = async (session) => {
+    setSessionsError('');
+    setSessionsNotice('');
+    setRevokingId(session.id);
+
+    try {
+      const response = await sessionsAPI.revoke(session.id);
+      setSessions((prev) => prev.filter((item) => item.id !== session.id));
+      setSessionsNotice(response.message);
+    } catch (err) {
+      console.error('Error cerrando la sesión:', err);
+      setSessionsError(err.message);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    resetMessages();
+    setLoading(true);
+
+    try {
+      const response = await twoFactorAPI.enable();
+      setSetup({ secret: response.secret, otpauthUrl: response.otpauth_url });
+      setCode('');
+      setCodeError('');
+    } catch (err) {
+      console.error('Error iniciando la verificación en dos pasos:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const trimmed = code.replace(/\s+/g, '');
+
+    if (!/^\d{6}$/.test(trimmed)) {
+      setCodeError('Introduce el código de 6 dígitos de la aplicación');
+      return;
+    }
+
+    resetMessages();
+    setLoading(true);
+
+    try {
+      const response = await twoFactorAPI.confirm(trimmed);
+      setSetup(null);
+      setRecoveryCodes(response.recovery_codes);
+      setNotice(response.message);
+      await refreshUser();
+    } catch (err) {
+      console.error('Error confirmando la verificación en dos pasos:', err);
+      setCodeError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordConfirm = async (password) => {
+    resetMessages();
+    setLoading(true);
+
+    try {
+      if (passwordAction === 'disable') {
+        const response = await twoFactorAPI.disable(password);
+        setRecoveryCodes([]);
+        setNotice(response.message);
+        await refreshUser();
+      } else {
+        const response = await twoFactorAPI.regenerateRecoveryCodes(password);
+        setRecoveryCodes(response.recovery_codes);
+        setNotice(response.message);
+      }
+      setPasswordAction(null);
+    } catch (err) {
+      console.error('Error en la acción de seguridad:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasswordCancel = () => {
+    setPasswordAction(null);
+    setError('');
+  };
+
+  return (
+    <MainLayout>
+      <div
+        className={`p-8 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''}`}
+        style={{
+          background: colors.background,
+          border: `2px solid ${colors.primary}`,
+          boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+        }}
+      >
+        {/* Cabecera con el estado actual */}
+        <div className="flex items-start space-x-4 mb-8">
+          <IconBox size="md">
+            {enabled ? <ShieldCheck className="w-6 h-6" /> : <ShieldOff className="w-6 h-6" />}
+          </IconBox>
+          <div>
+            <Text variant="heading" size="xl" as="h2" className="mb-1">
+              Verificación en Dos Pasos
+            </Text>
+            <Text variant="muted" size="sm">
+              {enabled
+                ? 'Activada: al iniciar sesión se pide un código de tu aplicación de autenticación.'
+                : 'Desactivada: añade un código de tu móvil al inicio de sesión para proteger tu cuenta.'}
+            </Text>
+          </div>
+        </div>
+
+        {notice && !passwordAction && (
+          <ErrorMessage type="success" size="md" showIcon className="mb-6">
+            {notice}
+          </ErrorMessage>
+        )}
+
+        {error && !passwordAction && (
+          <ErrorMessage type="error" size="md" showIcon className="mb-6">
+            {error}
+          </ErrorMessage>
+        )}
+
+        {recoveryCodes.length > 0 ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes([])} />
+        ) : setup ? (
+          /* Alta: escanear el QR y confirmar con un código */
+          <form onSubmit={handleConfirm} className="space-y-6" noValidate>
+            <Text variant="body" size="sm">
+              1. Escanea este código con Google Authenticator, Authy u otra aplicación compatible.
+            </Text>
+            <div className="flex justify-center">
+              <div className="p-4" style={{ background: '#FFFFFF' }}>
+                <QRCodeSVG value={setup.otpauthUrl} size={180} />
+              </div>
+            </div>
+            <Text variant="muted" size="xs" className="text-center">
+              ¿No puedes escanearlo? Introduce esta clave:{' '}
+              <span className="font-mono break-all" style={{ color: colors.text }}>{setup.secret}</span>
+            </Text>
+            <Text variant="body" size="sm">
+              2. Escribe el código de 6 dígitos que muestra la aplicación.
+            </Text>
+            <FormField
+              id="two-factor-confirm-code"
+              name="code"
+              label="Código de Verificación"
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value);
+                if (codeError) setCodeError('');
+              }}
+              disabled={loading}
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              placeholder="123456"
+              required
+              error={codeError}
+              icon={<KeyRound size={18} />}
+            />
+            <div className="flex justify-end space-x-3">
+              <Button type="button" variant="secondary" size="sm" onClick={() => setSetup(null)} disabled={loading}>
+                Cancelar
+              </Button>
+              <Button type="submit" variant="primary" size="sm" loading={loading}>
+                Confirmar y Activar
+              </Button>
+            </div>
+          </form>
+        ) : enabled ? (
+          <div className="flex flex-wrap justify-end gap-3">
+            <Button variant="secondary" size="sm" onClick={() => setPasswordAction('regenerate')}>
+              Nuevos Códigos de Recuperación
+            </Button>
+            <Button variant="danger" size="sm" onClick={() => setPasswordAction('disable')}>
+              Desactivar
+            </Button>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <Button variant="primary" size="sm" onClick={handleStartSetup} loading={loading}>
+              Activar Verificación en Dos Pasos
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {/* Sesiones abiertas en este y otros dispositivos */}
+      <div
+        className={`mt-8 p-8 transition-all duration-500 ${isDark ? 'shadow-2xl' : ''}`}
+        style={{
+          background: colors.background,
+          border: `2px solid ${colors.primary}`,
+          boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+        }}
+      >
+        {sessionsNotice && (
+          <ErrorMessage type="success" size="md" showIcon className="mb-6">
+            {sessionsNotice}
+          </ErrorMessage>
+        )}
+
+        {sessionsError && (
+          <ErrorMessage type="error" size="md" showIcon className="mb-6">
+            {sessionsError}
+          </ErrorMessage>
+        )}
+
+        <ActiveSessions
+          sessions={sessions}
+          loading={sessionsLoading}
+          revokingId={revokingId}
+          onRevoke={handleRevokeSession}
+          onLogoutAll={() => logout({ allDevices: true })}
+        />
+      </div>
+
+      {/* Se monta solo mientras está abierto para no conservar la contraseña */}
+      {passwordAction && (
+        <PasswordConfirmDialog
+          isOpen
+          {...PASSWORD_ACTIONS[passwordAction]}
+          onConfirm={handlePasswordConfirm}
+          onCancel={handlePasswordCancel}
+          loading={loading}
+          error={error}
+        />
+      )}
+    </MainLayout>
+  );
+};
+
+export default SecurityPage;
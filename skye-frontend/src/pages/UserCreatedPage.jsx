@@ -1,16 +1,17 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { CheckCircle, User, ArrowRight, Timer } from 'lucide-react';
+import { CheckCircle, User, ArrowRight, Mail } from 'lucide-react';
 import { AuthLayout } from '../components/templates';
 import { Button } from '../components/atoms';
+import { ResendVerification } from '../components/molecules';
 import { useTheme } from '../contexts/ThemeContext';
 
 /**
  * Página de confirmación de usuario creado
- * Muestra mensaje de éxito y redirige al login
+ * La cuenta queda pendiente hasta verificar el correo, así que en lugar de
+ * redirigir al login se pide revisar la bandeja y se ofrece reenviar el enlace
  */
 const UserCreatedPage = () => {
-  const [countdown, setCountdown] = useState(10);
   const [isVisible, setIsVisible] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
@@ -23,23 +24,8 @@ const UserCreatedPage = () => {
     // Animación de entrada
     const timer = setTimeout(() => setIsVisible(true), 300);
 
-    // Countdown automático
-    const countdownInterval = setInterval(() => {
-      setCountdown((prev) => {
-        if (prev <= 1) {
-          clearInterval(countdownInterval);
-          navigate('/login');
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
-
-    return () => {
-      clearTimeout(timer);
-      clearInterval(countdownInterval);
-    };
-  }, [navigate]);
+    return () => clearTimeout(timer);
+  }, []);
 
   const handleGoToLogin = () => {
     navigate('/login');
@@ -106,7 +92,7 @@ const UserCreatedPage = () => {
             >
               Tu cuenta ha sido creada exitosamente.
               <br />
-              Ya puedes iniciar sesión y acceder al dashboard.
+              Verifica tu correo electrónico para poder iniciar sesión.
             </p>
           </div>
         </div>
@@ -152,32 +138,35 @@ const UserCreatedPage = () => {
           </div>
         </div>
 
-        {/* Countdown and Actions */}
+        {/* Email Verification and Actions */}
         <div 
           className={`space-y-6 transition-all duration-700 delay-500 ${
             isVisible ? 'translate-y-0 opacity-100' : 'translate-y-4 opacity-0'
           }`}
         >
-          {/* Countdown Display */}
+          {/* Verify Email Notice */}
           <div 
-            className="flex items-center justify-center space-x-2 py-3 px-4 rounded-lg"
+            className="flex items-start space-x-3 py-3 px-4 rounded-lg"
             style={{ 
               background: `${colors.primary}10`,
               border: `1px solid ${colors.primary}20`
             }}
           >
-            <Timer 
-              className="w-4 h-4 animate-pulse" 
+            <Mail 
+              className="w-4 h-4 mt-0.5 flex-shrink-0 animate-pulse" 
               style={{ color: colors.primary }} 
             />
             <span 
               className="text-sm font-medium"
               style={{ color: colors.primary }}
             >
-              Redirigiendo al login en {countdown} segundos
+              Te enviamos un enlace de verificación{userData.email ? ` a ${userData.email}` : ''}.
+              Ábrelo para activar tu cuenta.
             </span>
           </div>
 
+          {userData.email && <ResendVerification email={userData.email} />}
+
           {/* Action Button */}
           <Button
             onClick={handleGoToLogin}
@@ -1,88 +1,441 @@
-import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { UserTable, MainLayout } from '../components';
-import { usersAPI, authAPI } from '../services/api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { UserTable, UserForm, UserFilters, Modal, ConfirmDialog, MainLayout, ErrorMessage } from '../components';
+import { usersAPI } from '../services/api';
+import { API_ERROR_CODES } from '../services/apiError';
+import { useAuth, useDebouncedValue } from '../hooks';
+import { PERMISSIONS } from '../constants/permissions';
+import { DEFAULT_PRIVATE_PATH } from '../routes/redirect';
+
+// Tamaño de página inicial del listado
+const DEFAULT_PER_PAGE = 15;
+
+// Valores permitidos en la URL (coinciden con la validación de UserController)
+const SORT_FIELDS = ['name', 'email', 'created_at'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Espera tras la última pulsación antes de pedir resultados
+const FILTER_DEBOUNCE_MS = 400;
+
+/**
+ * Lee el estado del listado desde la query de la URL
+ * Ej: /users?sort=email&dir=desc&page=2&per_page=25&q=juan&from=2024-01-01&to=2024-12-31
+ * Los valores inválidos se sustituyen por los valores por defecto
+ *
+ * @param {URLSearchParams} searchParams - Query actual
+ * @returns {Object} { sortBy, sortDirection, page, perPage, search, createdFrom, createdTo }
+ */
+const parseListParams = (searchParams) => {
+  const sort = searchParams.get('sort');
+  const dir = searchParams.get('dir');
+  const page = parseInt(searchParams.get('page'), 10);
+  const perPage = parseInt(searchParams.get('per_page'), 10);
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+
+  return {
+    sortBy: SORT_FIELDS.includes(sort) ? sort : 'name',
+    sortDirection: SORT_DIRECTIONS.includes(dir) ? dir : 'asc',
+    page: page > 0 ? page : 1,
+    perPage: perPage > 0 && perPage <= 100 ? perPage : DEFAULT_PER_PAGE,
+    search: searchParams.get('q') || '',
+    createdFrom: DATE_PATTERN.test(from) ? from : '',
+    createdTo: DATE_PATTERN.test(to) ? to : '',
+  };
+};
 
 const UsersPage = () => {
   const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
   const [loading, setLoading] = useState(true);
-  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { sortBy, sortDirection, page, perPage, search, createdFrom, createdTo } = parseListParams(searchParams);
 
-  useEffect(() => {
-    // Check if user is authenticated
-    const token = localStorage.getItem('authToken');
-    if (!token) {
-      navigate('/login');
-      return;
-    }
+  // Valores escritos en el panel de filtros; llegan a la URL con debounce
+  const [filters, setFilters] = useState({ search, createdFrom, createdTo });
+  const debouncedFilters = useDebouncedValue(filters, FILTER_DEBOUNCE_MS);
+  const { user: currentUser, logout, can, impersonate } = useAuth();
+  const navigate = useNavigate();
 
-    // Load users data
-    loadUsers();
-  }, [navigate]);
+  // Modal de alta/edición: { mode: 'create' | 'edit', user } o null si está cerrado
+  const [formModal, setFormModal] = useState(null);
+  const [userToDelete, setUserToDelete] = useState(null);
+  const [userToResetTwoFactor, setUserToResetTwoFactor] = useState(null);
+  const [userToImpersonate, setUserToImpersonate] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState('');
+  // Aviso de cambios guardados sin conexión que aún no se han enviado
+  const [notice, setNotice] = useState('');
+  // Errores de validación de la API que UserForm muestra bajo cada campo
+  const [saveFieldErrors, setSaveFieldErrors] = useState(null);
 
-  const loadUsers = async () => {
+  const loadUsers = useCallback(async () => {
     setLoading(true);
     
     try {
       // Llamada real a la API de Laravel
-      const response = await usersAPI.getUsers();
+      const response = await usersAPI.getUsers({
+        sortBy,
+        sortDirection,
+        page,
+        perPage,
+        search,
+        createdFrom,
+        createdTo
+      });
       
       if (response.success) {
         setUsers(response.users);
+        setPagination(response.meta);
       } else {
         console.error('Error en la respuesta de la API:', response.message);
         // Si hay error en la respuesta, mantener lista vacía
         setUsers([]);
+        setPagination(null);
       }
     } catch (error) {
+      // Un 401 cierra la sesión en el AuthProvider y ProtectedRoute redirige al login
       console.error('Error loading users:', error);
       
-      // Manejar diferentes tipos de error
-      if (error.response?.status === 401) {
-        // Token expirado o inválido, redirigir al login
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('user');
-        navigate('/login');
-      } else if (error.code === 'NETWORK_ERROR' || !navigator.onLine) {
-        console.error('Error de conexión');
-        // Podríamos mostrar un mensaje de error de conexión
-      } else {
-        console.error('Error desconocido al cargar usuarios');
-      }
-      
       // En caso de error, mantener lista vacía
       setUsers([]);
+      setPagination(null);
     } finally {
       setLoading(false);
     }
+  }, [sortBy, sortDirection, page, perPage, search, createdFrom, createdTo]);
+
+  useEffect(() => {
+    // ProtectedRoute garantiza que solo llegamos aquí con sesión válida
+    loadUsers();
+  }, [loadUsers]);
+
+  /**
+   * Actualiza la query de la URL; cada cambio crea una entrada en el historial
+   * para que el botón atrás restaure la vista anterior
+   *
+   * @param {Object} changes - Parámetros a modificar (null o '' elimina el parámetro)
+   * @param {Object} [options] - Opciones de navegación ({ replace })
+   */
+  const updateListParams = useCallback((changes, options) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === null || value === '') {
+          next.delete(key);
+        } else {
+          next.set(key, String(value));
+        }
+      });
+      return next;
+    }, options);
+  }, [setSearchParams]);
+
+  // Últimos filtros y parámetros de la URL ya tratados: cada effect solo reacciona a su origen
+  const handledFiltersRef = useRef(debouncedFilters);
+  const handledParamsRef = useRef({ search, createdFrom, createdTo });
+
+  /**
+   * Effect que lleva los filtros ya estabilizados (debounce) a la URL
+   * Reemplaza la entrada del historial para no crear una por cada búsqueda
+   */
+  useEffect(() => {
+    // Solo debe reaccionar a los cambios escritos por el usuario
+    if (handledFiltersRef.current === debouncedFilters) return;
+    handledFiltersRef.current = debouncedFilters;
+
+    const { search: q, createdFrom: from, createdTo: to } = debouncedFilters;
+    if (q.trim() === search && from === createdFrom && to === createdTo) return;
+
+    updateListParams({ q: q.trim(), from, to, page: null }, { replace: true });
+  }, [debouncedFilters, search, createdFrom, createdTo, updateListParams]);
+
+  /**
+   * Effect que sincroniza el panel cuando la URL cambia desde fuera
+   * (botón atrás, enlace compartido); ignora los cambios que acaba de escribir el propio panel
+   */
+  useEffect(() => {
+    // Solo debe reaccionar a los cambios de la URL
+    const handled = handledParamsRef.current;
+    if (handled.search === search && handled.createdFrom === createdFrom && handled.createdTo === createdTo) return;
+    handledParamsRef.current = { search, createdFrom, createdTo };
+
+    const { search: q, createdFrom: from, createdTo: to } = debouncedFilters;
+    if (q.trim() === search && from === createdFrom && to === createdTo) return;
+
+    setFilters({ search, createdFrom, createdTo });
+  }, [search, createdFrom, createdTo, debouncedFilters]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
   };
 
-  const handleLogout = async () => {
+  const handleClearFilters = () => {
+    setFilters({ search: '', createdFrom: '', createdTo: '' });
+  };
+
+  const handleSortChange = (field, direction) => {
+    // Volver a la primera página al cambiar el orden
+    updateListParams({ sort: field, dir: direction, page: null });
+  };
+
+  const handlePageChange = (newPage) => {
+    updateListParams({ page: newPage });
+  };
+
+  const handlePerPageChange = (newPerPage) => {
+    // Volver a la primera página al cambiar el tamaño
+    updateListParams({ per_page: newPerPage, page: null });
+  };
+
+  const openCreateModal = () => {
+    setActionError('');
+    setFormModal({ mode: 'create', user: null });
+  };
+
+  const openEditModal = (user) => {
+    setActionError('');
+    setFormModal({ mode: 'edit', user });
+  };
+
+  const openDeleteDialog = (user) => {
+    setActionError('');
+    setUserToDelete(user);
+  };
+
+  const openResetTwoFactorDialog = (user) => {
+    setActionError('');
+    setUserToResetTwoFactor(user);
+  };
+
+  const openImpersonateDialog = (user) => {
+    setActionError('');
+    setUserToImpersonate(user);
+  };
+
+  const closeModals = () => {
+    setFormModal(null);
+    setUserToDelete(null);
+    setUserToResetTwoFactor(null);
+    setUserToImpersonate(null);
+    setActionError('');
+    setSaveFieldErrors(null);
+  };
+
+  /**
+   * Crea o actualiza un usuario y refleja el cambio en la lista sin recargarla
+   *
+   * @param {Object} userData - Datos validados por UserForm
+   */
+  const handleSaveUser = async (userData) => {
+    setSaving(true);
+    setActionError('');
+    setSaveFieldErrors(null);
+    setNotice('');
+
     try {
-      // Llamar a la API de logout para invalidar el token en el servidor
-      await authAPI.logout();
+      if (formModal.mode === 'edit') {
+        const response = await usersAPI.update(formModal.user.id, userData);
+        setUsers((prev) => prev.map((user) => (user.id === response.user.id ? response.user : user)));
+      } else {
+        const response = await usersAPI.create(userData);
+        // El nuevo usuario se muestra al principio de la página actual
+        setUsers((prev) => [response.user, ...prev]);
+        setPagination((prev) => (prev ? { ...prev, total: prev.total + 1 } : prev));
+      }
+      closeModals();
     } catch (error) {
-      console.error('Error durante logout:', error);
-      // Aunque haya error en la API, procedemos con el logout local
+      console.error('Error saving user:', error);
+      if (error.code === API_ERROR_CODES.QUEUED_OFFLINE) {
+        // La lista se actualizará al recargarla cuando el cambio llegue al servidor
+        closeModals();
+        setNotice(error.message);
+      } else if (Object.keys(error.fieldErrors || {}).length > 0) {
+        setSaveFieldErrors(error.fieldErrors);
+      } else {
+        setActionError(error.message);
+      }
     } finally {
-      // Limpiar datos locales siempre
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('user');
-      
-      // Redirigir al login
-      navigate('/login');
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Elimina el usuario seleccionado y lo quita de la lista sin recargarla
+   */
+  const handleDeleteUser = async () => {
+    setSaving(true);
+    setActionError('');
+    setNotice('');
+
+    try {
+      await usersAPI.remove(userToDelete.id);
+      setUsers((prev) => prev.filter((user) => user.id !== userToDelete.id));
+      setPagination((prev) => (prev ? { ...prev, total: Math.max(prev.total - 1, 0) } : prev));
+      closeModals();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      if (error.code === API_ERROR_CODES.QUEUED_OFFLINE) {
+        closeModals();
+        setNotice(error.message);
+      } else {
+        setActionError(error.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Desactiva la verificación en dos pasos del usuario seleccionado (ej: perdió el móvil)
+   */
+  const handleResetTwoFactor = async () => {
+    setSaving(true);
+    setActionError('');
+
+    try {
+      const response = await usersAPI.resetTwoFactor(userToResetTwoFactor.id);
+      setUsers((prev) => prev.map((user) => (user.id === response.user.id ? response.user : user)));
+      closeModals();
+    } catch (error) {
+      console.error('Error resetting two-factor:', error);
+      setActionError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Entra como el usuario seleccionado y abre la pantalla que él ve tras el login
+   */
+  const handleImpersonate = async () => {
+    setSaving(true);
+    setActionError('');
+
+    try {
+      await impersonate(userToImpersonate.id);
+      closeModals();
+      navigate(DEFAULT_PRIVATE_PATH);
+    } catch (error) {
+      console.error('Error impersonating user:', error);
+      setActionError(error.message);
+    } finally {
+      setSaving(false);
     }
   };
 
+  /**
+   * Reglas de la interfaz por fila (UserPolicy las vuelve a aplicar en la API):
+   * solo un administrador edita a otro administrador y nadie se edita, se elimina
+   * ni restablece su propia verificación en dos pasos (se hace desde Perfil y Seguridad).
+   * Solo se entra como usuarios no administradores con el correo verificado
+   */
+  const canEditUser = (user) => user.id !== currentUser?.id
+    && (user.role !== 'admin' || currentUser?.role === 'admin');
+  const canDeleteUser = (user) => user.id !== currentUser?.id;
+  const canResetTwoFactor = (user) => user.id !== currentUser?.id;
+  const canImpersonate = (user) => user.id !== currentUser?.id && user.role !== 'admin' && user.email_verified;
+
+  const handleLogout = async () => {
+    // El AuthProvider invalida el token en el servidor y limpia la sesión local
+    await logout();
+
+    // Redirigir al login
+    navigate('/login');
+  };
+
   return (
     <MainLayout>
+      {/* Cambios pendientes de sincronizar */}
+      <ErrorMessage type="info" size="md" showIcon className="mb-4">
+        {notice}
+      </ErrorMessage>
+      <UserFilters
+        values={filters}
+        onChange={handleFilterChange}
+        onClear={handleClearFilters}
+      />
       <UserTable
         users={users}
         onLogout={handleLogout}
         loading={loading}
+        sortBy={sortBy}
+        sortDirection={sortDirection}
+        onSortChange={handleSortChange}
+        emptyMessage={search || createdFrom || createdTo
+          ? 'Ningún usuario coincide con los filtros'
+          : 'No hay Usuarios Registrados'}
+        pagination={pagination}
+        onPageChange={handlePageChange}
+        onPerPageChange={handlePerPageChange}
+        onCreate={can(PERMISSIONS.CREATE_USERS) ? openCreateModal : undefined}
+        onEdit={can(PERMISSIONS.UPDATE_USERS) ? openEditModal : undefined}
+        onDelete={can(PERMISSIONS.DELETE_USERS) ? openDeleteDialog : undefined}
+        canEditUser={canEditUser}
+        canDeleteUser={canDeleteUser}
+        onResetTwoFactor={can(PERMISSIONS.RESET_TWO_FACTOR) ? openResetTwoFactorDialog : undefined}
+        canResetTwoFactor={canResetTwoFactor}
+        onImpersonate={can(PERMISSIONS.IMPERSONATE_USERS) ? openImpersonateDialog : undefined}
+        canImpersonate={canImpersonate}
+      />
+
+      {/* Alta y edición de usuarios */}
+      <Modal
+        isOpen={!!formModal}
+        onClose={() => !saving && closeModals()}
+        title={formModal?.mode === 'edit' ? 'Editar Usuario' : 'Nuevo Usuario'}
+      >
+        <UserForm
+          key={formModal?.user?.id ?? 'new'}
+          user={formModal?.user}
+          onSubmit={handleSaveUser}
+          onCancel={closeModals}
+          loading={saving}
+          error={actionError}
+          serverErrors={saveFieldErrors}
+          canAssignRole={can(PERMISSIONS.ASSIGN_ROLES)}
+        />
+      </Modal>
+
+      {/* Confirmación de eliminación */}
+      <ConfirmDialog
+        isOpen={!!userToDelete}
+        title="Eliminar Usuario"
+        message={`¿Seguro que deseas eliminar a ${userToDelete?.name}? Esta acción no se puede deshacer.`}
+        confirmLabel="Eliminar"
+        onConfirm={handleDeleteUser}
+        onCancel={closeModals}
+        loading={saving}
+        error={actionError}
+      />
+
+      {/* Confirmación de restablecimiento de la verificación en dos pasos */}
+      <ConfirmDialog
+        isOpen={!!userToResetTwoFactor}
+        title="Restablecer Verificación en Dos Pasos"
+        message={`${userToResetTwoFactor?.name} podrá entrar solo con su contraseña y se cerrarán sus sesiones abiertas. Podrá volver a activarla desde Seguridad.`}
+        confirmLabel="Restablecer"
+        onConfirm={handleResetTwoFactor}
+        onCancel={closeModals}
+        loading={saving}
+        error={actionError}
+      />
+
+      {/* Confirmación de entrada como otro usuario */}
+      <ConfirmDialog
+        isOpen={!!userToImpersonate}
+        title="Entrar como Usuario"
+        message={`Verás la aplicación como ${userToImpersonate?.name} hasta que vuelvas a tu cuenta. Quedará registrado en la auditoría y no podrás cambiar su correo, su contraseña ni su seguridad.`}
+        confirmLabel="Entrar"
+        variant="primary"
+        onConfirm={handleImpersonate}
+        onCancel={closeModals}
+        loading={saving}
+        error={actionError}
       />
     </MainLayout>
   );
 };
 
-export default UsersPage;
\ No newline at end of file
+export default UsersPage;
@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { MailCheck } from 'lucide-react';
+import { AuthLayout } from '../components/templates';
+import { ErrorMessage, IconBox, Spinner, Text } from '../components/atoms';
+import { useTheme } from '../contexts/ThemeContext';
+import { authAPI } from '../services/api';
+
+/**
+ * Página de verificación de correo
+ * Se abre desde el enlace del correo: /verify-email?id=...&hash=...&expires=...&signature=...
+ * Envía los parámetros firmados a la API y, si son válidos, redirige al login con un aviso
+ */
+const VerifyEmailPage = () => {
+  const { colors } = useTheme();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+
+  // Evita verificar dos veces el mismo enlace (StrictMode monta los efectos dos veces)
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    const params = {
+      id: searchParams.get('id'),
+      hash: searchParams.get('hash'),
+      expires: searchParams.get('expires'),
+      signature: searchParams.get('signature')
+    };
+
+    if (Object.values(params).some((value) => !value)) {
+      setError('El enlace de verificación no es válido. Solicita uno nuevo al iniciar sesión.');
+      return;
+    }
+
+    authAPI.verifyEmail(params)
+      .then((response) => {
+        // El aviso se muestra en la página de login
+        navigate('/login', { replace: true, state: { notice: response.message } });
+      })
+      .catch((err) => {
+        console.error('Error verificando el correo:', err);
+        setError(err.message);
+      });
+  }, [navigate, searchParams]);
+
+  return (
+    <AuthLayout title="Verificar Correo">
+      <div className="w-full space-y-8">
+        {/* Cabecera */}
+        <div className="text-center">
+          <div className="flex justify-center mb-6">
+            <IconBox size="lg">
+              <MailCheck className="w-8 h-8" />
+            </IconBox>
+          </div>
+          <Text variant="heading" size="2xl" as="h2" className="mb-2">
+            Verificación de Correo
+          </Text>
+        </div>
+
+        {error ? (
+          <ErrorMessage type="error" size="md" showIcon>
+            {error}
+          </ErrorMessage>
+        ) : (
+          <Spinner message="Confirmando tu dirección de correo..." />
+        )}
+
+        {/* Volver al login */}
+        <div className="text-center">
+          <Link
+            to="/login"
+            className="text-xs font-medium tracking-wider transition-colors duration-200"
+            style={{
+              color: colors.darkGray,
+              textDecoration: 'none',
+              borderBottom: `1px solid ${colors.mediumGray}`
+            }}
+          >
+            Volver a Iniciar Sesión
+          </Link>
+        </div>
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default VerifyEmailPage;
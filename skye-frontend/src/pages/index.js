@@ -2,4 +2,9 @@
 export { default as LoginPage } from './LoginPage';
 export { default as RegisterPage } from './RegisterPage';
 export { default as UserCreatedPage } from './UserCreatedPage';
-export { default as UsersPage } from './UsersPage';
\ No newline at end of file
+export { default as UsersPage } from './UsersPage';
+export { default as AuditLogPage } from './AuditLogPage';
+export { default as ForgotPasswordPage } from './ForgotPasswordPage';
+export { default as ResetPasswordPage } from './ResetPasswordPage';
+export { default as VerifyEmailPage } from './VerifyEmailPage';
+export { default as SecurityPage } from './SecurityPage';export { default as ProfilePage } from './ProfilePage';
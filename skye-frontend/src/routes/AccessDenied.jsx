@@ -0,0 +1,63 @@
+import { useNavigate } from 'react-router-dom';
+import { ShieldOff, LogOut } from 'lucide-react';
+import { MainLayout } from '../components/templates';
+import { Button, IconBox, Text } from '../components/atoms';
+import { useAuth } from '../hooks';
+import { useTheme } from '../contexts/ThemeContext';
+import { getRoleLabel } from '../constants/permissions';
+
+/**
+ * Pantalla mostrada cuando el rol del usuario no concede el permiso de la ruta
+ * Permite cerrar sesión para entrar con otra cuenta
+ *
+ * @component
+ * @returns {JSX.Element} Aviso de acceso denegado dentro del layout principal
+ */
+const AccessDenied = () => {
+  const { user, logout } = useAuth();
+  const { colors, isDark } = useTheme();
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  return (
+    <MainLayout>
+      <div
+        className={`p-8 text-center transition-all duration-500 ${isDark ? 'shadow-2xl' : ''}`}
+        style={{
+          background: colors.background,
+          border: `2px solid ${colors.primary}`,
+          boxShadow: isDark ? `0 0 30px ${colors.primary}20` : 'none'
+        }}
+        role="alert"
+      >
+        <div className="flex justify-center mb-6">
+          <IconBox size="lg">
+            <ShieldOff className="w-8 h-8" />
+          </IconBox>
+        </div>
+        <Text variant="heading" size="2xl" as="h2" className="mb-2">
+          Acceso restringido
+        </Text>
+        <Text variant="muted" className="mb-8">
+          Tu rol ({getRoleLabel(user?.role)}) no tiene permiso para ver esta sección.
+          Pide a un administrador que te asigne los permisos necesarios.
+        </Text>
+        <Button
+          onClick={handleLogout}
+          variant="danger"
+          size="md"
+          className="inline-flex items-center space-x-2"
+        >
+          <LogOut className="w-5 h-5" />
+          <span className="text-sm tracking-wider uppercase">Cerrar Sesión</span>
+        </Button>
+      </div>
+    </MainLayout>
+  );
+};
+
+export default AccessDenied;
@@ -0,0 +1,35 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../hooks';
+import SessionLoader from './SessionLoader';
+import { getRedirectTarget } from './redirect';
+
+/**
+ * Ruta solo para visitantes sin sesión (login, registro)
+ * Si el usuario ya está autenticado lo envía a la URL que solicitó
+ * originalmente o, en su defecto, a su pantalla de inicio
+ *
+ * @component
+ * @returns {JSX.Element} Rutas hijas, loader o redirección
+ *
+ * @example
+ * <Route element={<GuestOnlyRoute />}>
+ *   <Route path="/login" element={<LoginPage />} />
+ * </Route>
+ */
+const GuestOnlyRoute = () => {
+  const { isAuthenticated, initializing } = useAuth();
+  const location = useLocation();
+
+  // Bloquear el renderizado hasta conocer el estado de la sesión
+  if (initializing) {
+    return <SessionLoader />;
+  }
+
+  if (isAuthenticated) {
+    return <Navigate to={getRedirectTarget(location)} replace />;
+  }
+
+  return <Outlet />;
+};
+
+export default GuestOnlyRoute;
@@ -0,0 +1,24 @@
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../hooks';
+import { PERMISSIONS } from '../constants/permissions';
+
+/**
+ * Pantalla de inicio según el rol del usuario autenticado
+ * Quien puede ver el directorio entra al listado de usuarios; el resto
+ * (ej: el rol `viewer`) a su perfil en lugar de a un acceso denegado
+ *
+ * @component
+ * @returns {JSX.Element} Redirección a la pantalla de inicio
+ *
+ * @example
+ * <Route element={<ProtectedRoute />}>
+ *   <Route path="/" element={<HomeRedirect />} />
+ * </Route>
+ */
+const HomeRedirect = () => {
+  const { can } = useAuth();
+
+  return <Navigate to={can(PERMISSIONS.VIEW_USERS) ? '/users' : '/profile'} replace />;
+};
+
+export default HomeRedirect;
@@ -0,0 +1,49 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { useAuth } from '../hooks';
+import SessionLoader from './SessionLoader';
+import AccessDenied from './AccessDenied';
+
+/**
+ * Ruta que solo se renderiza con una sesión válida
+ * Si no hay sesión redirige al login recordando la URL solicitada
+ * (incluyendo query string) para volver a ella tras autenticarse
+ * Si se indica un permiso y el rol del usuario no lo concede, muestra AccessDenied
+ *
+ * @component
+ * @param {Object} props - Propiedades del componente
+ * @param {string} [props.permission] - Permiso requerido (ver constants/permissions)
+ * @returns {JSX.Element} Rutas hijas, loader, aviso de acceso o redirección
+ *
+ * @example
+ * <Route element={<ProtectedRoute permission={PERMISSIONS.VIEW_USERS} />}>
+ *   <Route path="/users" element={<UsersPage />} />
+ * </Route>
+ */
+const ProtectedRoute = ({ permission }) => {
+  const { isAuthenticated, initializing, can } = useAuth();
+  const location = useLocation();
+
+  // Bloquear el renderizado hasta conocer el estado de la sesión
+  if (initializing) {
+    return <SessionLoader />;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (permission && !can(permission)) {
+    return <AccessDenied />;
+  }
+
+  return <Outlet />;
+};
+
+// Validación de tipos con PropTypes
+ProtectedRoute.propTypes = {
+  /** Permiso requerido para acceder a las rutas hijas */
+  permission: PropTypes.string,
+};
+
+export default ProtectedRoute;
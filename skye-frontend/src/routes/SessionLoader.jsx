@@ -0,0 +1,32 @@
+import { Spinner } from '../components/atoms';
+import { useTheme } from '../contexts/ThemeContext';
+import { useAuth } from '../hooks';
+
+/**
+ * Pantalla de carga mostrada mientras el AuthProvider valida la sesión
+ * Evita renderizar rutas protegidas o de invitado antes de conocer el estado
+ * Sin conexión con el servidor indica que se sigue reintentando
+ *
+ * @component
+ * @returns {JSX.Element} Spinner a pantalla completa con el tema actual
+ */
+const SessionLoader = () => {
+  const { colors } = useTheme();
+  const { reconnecting } = useAuth();
+
+  return (
+    <div
+      className="min-h-screen flex items-center justify-center transition-all duration-500"
+      style={{ background: colors.background }}
+      role="status"
+      aria-label="Verificando sesión"
+    >
+      <Spinner
+        size="md"
+        message={reconnecting ? 'Sin conexión con el servidor. Reintentando...' : 'Verificando sesión...'}
+      />
+    </div>
+  );
+};
+
+export default SessionLoader;
@@ -0,0 +1,5 @@
+// Routes exports
+export { default as ProtectedRoute } from './ProtectedRoute';
+export { default as GuestOnlyRoute } from './GuestOnlyRoute';
+export { default as HomeRedirect } from './HomeRedirect';
+export { getRedirectTarget, DEFAULT_PRIVATE_PATH } from './redirect';
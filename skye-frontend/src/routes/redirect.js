@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Utilidades de redirección para las rutas de CatWare Systems
+ * Permiten volver a la URL solicitada originalmente después del login
+ */
+
+// Ruta por defecto tras iniciar sesión (HomeRedirect elige la pantalla según el rol)
+export const DEFAULT_PRIVATE_PATH = '/';
+
+/**
+ * Obtiene la URL a la que debe volver el usuario tras autenticarse
+ * ProtectedRoute guarda la ubicación original en `location.state.from`
+ *
+ * @param {Object} location - Ubicación actual de React Router
+ * @returns {string} Ruta completa (pathname + query + hash)
+ */
+export const getRedirectTarget = (location) => {
+  const from = location.state?.from;
+  if (!from?.pathname) {
+    return DEFAULT_PRIVATE_PATH;
+  }
+  return `${from.pathname}${from.search || ''}${from.hash || ''}`;
+};
@@ -1,13 +1,34 @@
 import axios from 'axios';
+import { ApiError, API_ERROR_CODES, API_ERROR_KINDS } from './apiError';
+import { enqueueRequest, setQueueSender } from './offlineQueue';
+import {
+  API_TIMEOUT_MS,
+  API_MAX_RETRIES,
+  API_RETRY_BASE_DELAY_MS,
+  API_RETRY_MAX_DELAY_MS
+} from '../constants/network';
 
 /**
  * @fileoverview Configuración de API para CatWare Systems
  * Cliente Axios configurado para conectar con Laravel backend
+ * Todas las peticiones fallidas se rechazan con un ApiError (ver services/apiError)
+ * Las peticiones idempotentes se reintentan con espera exponencial y los cambios
+ * marcados con `queueOffline` se guardan sin conexión (ver services/offlineQueue)
  */
 
 // Configuración base de la API
 const API_BASE_URL = 'http://localhost/api';
 
+// Endpoint de Sanctum que entrega la cookie XSRF-TOKEN (fuera de /api)
+const CSRF_COOKIE_URL = `${API_BASE_URL.replace(/\/api$/, '')}/sanctum/csrf-cookie`;
+
+/**
+ * Modo SPA opcional (VITE_AUTH_MODE=spa): autenticación con la sesión de
+ * Sanctum por cookies + CSRF en lugar de un token Bearer en localStorage.
+ * Requiere SANCTUM_SPA_MODE=true en el backend.
+ */
+export const SPA_MODE = import.meta.env.VITE_AUTH_MODE === 'spa';
+
 // Crear instancia de Axios
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -15,20 +36,243 @@ const api = axios.create({
     'Content-Type': 'application/json',
     'Accept': 'application/json',
   },
-  timeout: 10000, // 10 segundos
+  timeout: API_TIMEOUT_MS,
+  // En modo SPA enviar cookies de sesión y la cabecera X-XSRF-TOKEN entre orígenes
+  withCredentials: SPA_MODE,
+  withXSRFToken: SPA_MODE,
 });
 
+/**
+ * Obtiene la cookie CSRF de Sanctum antes de peticiones que inician sesión
+ * No hace nada en modo token
+ *
+ * @returns {Promise<void>}
+ */
+const ensureCsrfCookie = async () => {
+  if (!SPA_MODE) return;
+  try {
+    await axios.get(CSRF_COOKIE_URL, { withCredentials: true, timeout: api.defaults.timeout });
+  } catch (error) {
+    throw ApiError.from(error);
+  }
+};
+
+// Tokens de la sesión actual (los gestiona AuthProvider)
+let authToken = null;
+let refreshToken = null;
+
+// Callback a ejecutar cuando la sesión deja de ser válida (lo registra AuthProvider)
+let unauthorizedHandler = null;
+
+// Callback a ejecutar cuando se renuevan los tokens (lo registra AuthProvider)
+let tokenRefreshedHandler = null;
+
+// Función que lee los tokens guardados, compartidos entre pestañas (la registra AuthProvider)
+let storedTokensReader = null;
+
+// Bloqueo compartido entre pestañas para que solo una renueve a la vez
+const REFRESH_LOCK_NAME = 'catware-token-refresh';
+
+// Promesa de la renovación en curso; las peticiones esperan a que termine
+let refreshPromise = null;
+
+// Endpoints en los que un 401 no significa sesión expirada
+const AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/email/resend',
+  '/auth/two-factor-challenge',
+  // Un token de suplantación caducado no cierra la sesión: se vuelve a la del administrador
+  '/auth/impersonation'
+];
+
+/**
+ * Establece los tokens que usará el cliente
+ * @param {string|null} token - Token de acceso de Sanctum o null para eliminarlo
+ * @param {string|null} [newRefreshToken=null] - Token de refresco o null
+ */
+export const setAuthToken = (token, newRefreshToken = null) => {
+  authToken = token;
+  refreshToken = newRefreshToken;
+};
+
+/**
+ * Registra el callback que se ejecuta cuando la sesión deja de ser válida
+ * @param {Function|null} handler - Función sin argumentos o null para eliminarla
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * Registra el callback que recibe los nuevos tokens tras una renovación
+ * @param {Function|null} handler - Función ({ token, refreshToken }) o null para eliminarla
+ */
+export const setTokenRefreshedHandler = (handler) => {
+  tokenRefreshedHandler = handler;
+};
+
+/**
+ * Registra la función que lee los tokens guardados por cualquier pestaña
+ * @param {Function|null} reader - Función () => ({ token, refreshToken }) o null para eliminarla
+ */
+export const setStoredTokensReader = (reader) => {
+  storedTokensReader = reader;
+};
+
+/**
+ * Toma los tokens guardados si otra pestaña ya los renovó
+ * El token de refresco es de un solo uso: el que queda en memoria ya no vale
+ *
+ * @returns {string|null} Token de acceso adoptado o null si no había otros
+ */
+const adoptNewerStoredTokens = () => {
+  const stored = storedTokensReader ? storedTokensReader() : null;
+  if (!stored?.token || !stored.refreshToken || stored.refreshToken === refreshToken) {
+    return null;
+  }
+  setAuthToken(stored.token, stored.refreshToken);
+  return stored.token;
+};
+
+/**
+ * Ejecuta una tarea con el bloqueo de renovación (sin Web Locks solo se evita dentro de la pestaña)
+ *
+ * @param {Function} task - Función async
+ * @returns {Promise<*>} Resultado de la tarea
+ */
+const withRefreshLock = (task) => (
+  navigator.locks?.request ? navigator.locks.request(REFRESH_LOCK_NAME, task) : task()
+);
+
+/**
+ * Renueva el token de acceso una sola vez aunque lo pidan varias peticiones
+ * o varias pestañas: la que espera al bloqueo adopta los tokens de la que
+ * renovó antes en lugar de gastar un token de refresco ya usado
+ * Usa axios directamente para no pasar por los interceptores de `api`
+ *
+ * @returns {Promise<string>} Nuevo token de acceso
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = withRefreshLock(async () => {
+      const adoptedToken = adoptNewerStoredTokens();
+      if (adoptedToken) return adoptedToken;
+
+      try {
+        const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, null, {
+          headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${refreshToken}`,
+          },
+          timeout: api.defaults.timeout,
+        });
+        setAuthToken(data.token, data.refresh_token);
+        if (tokenRefreshedHandler) {
+          tokenRefreshedHandler({ token: data.token, refreshToken: data.refresh_token });
+        }
+        return data.token;
+      } catch (error) {
+        // Sin Web Locks otra pestaña pudo renovar a la vez: su sesión sigue siendo válida
+        const token = error.response?.status === 401 ? adoptNewerStoredTokens() : null;
+        if (token) return token;
+        throw error;
+      }
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Indica si la URL corresponde a un endpoint de autenticación
+ * @param {string} [url] - URL relativa de la petición
+ * @returns {boolean}
+ */
+const isAuthEndpoint = (url = '') => AUTH_ENDPOINTS.some((endpoint) => url.endsWith(endpoint));
+
+// Métodos que se pueden repetir sin duplicar el cambio
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Respuestas transitorias que merecen un reintento (429 y 503 pueden traer Retry-After)
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/**
+ * Indica si el navegador cree tener conexión
+ * @returns {boolean}
+ */
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Indica si una petición fallida se debe repetir
+ * Nunca se repiten los POST ni las peticiones con `retry: false`
+ *
+ * @param {Error} error - Error de Axios
+ * @returns {boolean}
+ */
+const shouldRetry = (error) => {
+  const config = error.config;
+  if (!config || config.retry === false || axios.isCancel(error) || !isOnline()) return false;
+  if (!IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase())) return false;
+  if ((config._retryAttempt || 0) >= API_MAX_RETRIES) return false;
+
+  return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+};
+
+/**
+ * Milisegundos antes del siguiente intento
+ * Respeta Retry-After en 429 y 503; si no, espera exponencial con jitter completo
+ *
+ * @param {Error} error - Error de Axios
+ * @param {number} attempt - Reintentos ya hechos
+ * @returns {number} Milisegundos a esperar
+ */
+const getRetryDelay = (error, attempt) => {
+  const { response } = error;
+
+  if (response?.status === 429 || response?.status === 503) {
+    const seconds = Number.parseInt(response.headers?.['retry-after'] ?? response.data?.retry_after, 10);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      return seconds * 1000;
+    }
+  }
+
+  const ceiling = Math.min(API_RETRY_MAX_DELAY_MS, API_RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.random() * ceiling;
+};
+
 // Interceptor para añadir token de autenticación automáticamente
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('authToken');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+  async (config) => {
+    // Pausar las peticiones nuevas mientras se renueva el token
+    if (refreshPromise && !isAuthEndpoint(config.url)) {
+      try {
+        await refreshPromise;
+      } catch {
+        // Si la renovación falla, la petición saldrá sin token y recibirá 401
+      }
+    }
+
+    // Sin conexión: los cambios que lo admiten se guardan para enviarlos después
+    if (!isOnline() && enqueueRequest(config)) {
+      throw new ApiError({
+        kind: API_ERROR_KINDS.NETWORK,
+        code: API_ERROR_CODES.QUEUED_OFFLINE,
+        message: 'Sin conexión. El cambio se enviará automáticamente al recuperar la conexión.'
+      });
+    }
+
+    if (authToken) {
+      config.headers.Authorization = `Bearer ${authToken}`;
     }
     return config;
   },
   (error) => {
-    return Promise.reject(error);
+    return Promise.reject(ApiError.from(error));
   }
 );
 
@@ -37,17 +281,62 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    // Si el token expiró, limpiar storage y redirigir
-    if (error.response?.status === 401) {
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Fallo transitorio de una petición idempotente: esperar y repetirla
+    if (shouldRetry(error)) {
+      const attempt = originalRequest._retryAttempt || 0;
+      const delay = getRetryDelay(error, attempt);
+
+      if (delay <= API_RETRY_MAX_DELAY_MS) {
+        originalRequest._retryAttempt = attempt + 1;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return api(originalRequest);
+      }
+    }
+
+    // Modo SPA: token CSRF caducado (419), pedir uno nuevo y repetir una vez
+    if (SPA_MODE && error.response?.status === 419 && originalRequest && !originalRequest._csrfRetry) {
+      originalRequest._csrfRetry = true;
+      await ensureCsrfCookie();
+      return api(originalRequest);
+    }
+
+    if (error.response?.status !== 401 || !originalRequest || isAuthEndpoint(originalRequest.url)) {
+      return Promise.reject(ApiError.from(error));
+    }
+
+    // Token expirado: renovar una vez y repetir la petición original
+    if (refreshToken && !originalRequest._retry) {
+      originalRequest._retry = true;
+      try {
+        // Si otra petición ya renovó el token, basta con repetir esta
+        if (originalRequest.headers.Authorization === `Bearer ${authToken}`) {
+          await refreshAccessToken();
+        }
+        return api(originalRequest);
+      } catch {
+        // La renovación falló: se cierra la sesión más abajo
+      }
     }
-    return Promise.reject(error);
+
+    // Sin posibilidad de renovar: notificar al AuthProvider para cerrar la sesión
+    if (unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    return Promise.reject(ApiError.from(error));
   }
 );
 
+// Los cambios guardados sin conexión se envían con este mismo cliente (token y reintentos)
+setQueueSender((item) => api.request({
+  method: item.method,
+  url: item.url,
+  data: item.data ?? undefined,
+  params: item.params ?? undefined,
+}));
+
 /**
  * Servicios de API
  */
@@ -56,13 +345,29 @@ export const authAPI = {
    * Login de usuario
    * @param {string} email 
    * @param {string} password 
-   * @returns {Promise} Respuesta con usuario y token
+   * @returns {Promise} Respuesta con usuario y tokens (en modo SPA solo usuario; la sesión va en cookie)
    */
   login: async (email, password) => {
+    await ensureCsrfCookie();
     const response = await api.post('/auth/login', { email, password });
     return response.data;
   },
 
+  /**
+   * Segundo paso del login cuando la cuenta tiene verificación en dos pasos
+   * @param {Object} data - { challengeToken, code } o { challengeToken, recoveryCode }
+   * @returns {Promise} Respuesta con usuario y tokens, igual que el login
+   */
+  twoFactorChallenge: async ({ challengeToken, code, recoveryCode }) => {
+    await ensureCsrfCookie();
+    const response = await api.post('/auth/two-factor-challenge', {
+      challenge_token: challengeToken,
+      code: code || undefined,
+      recovery_code: recoveryCode || undefined
+    });
+    return response.data;
+  },
+
   /**
    * Registro de nuevo usuario
    * @param {string} name 
@@ -72,6 +377,7 @@ export const authAPI = {
    * @returns {Promise} Respuesta con usuario y token
    */
   register: async (name, email, password, password_confirmation) => {
+    await ensureCsrfCookie();
     const response = await api.post('/auth/register', { 
       name, 
       email, 
@@ -81,28 +387,315 @@ export const authAPI = {
     return response.data;
   },
 
+  /**
+   * Solicitar el enlace de restablecimiento de contraseña por correo
+   * @param {string} email 
+   * @returns {Promise} Respuesta genérica (no revela si el correo existe)
+   */
+  forgotPassword: async (email) => {
+    await ensureCsrfCookie();
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  /**
+   * Restablecer la contraseña con el token recibido por correo
+   * @param {Object} data - { token, email, password, password_confirmation }
+   * @returns {Promise} Respuesta de restablecimiento
+   */
+  resetPassword: async ({ token, email, password, password_confirmation }) => {
+    await ensureCsrfCookie();
+    const response = await api.post('/auth/reset-password', {
+      token,
+      email,
+      password,
+      password_confirmation
+    });
+    return response.data;
+  },
+
+  /**
+   * Verificar el correo con los parámetros firmados del enlace
+   * @param {Object} params - { id, hash, expires, signature } de la URL del correo
+   * @returns {Promise} Respuesta de verificación
+   */
+  verifyEmail: async ({ id, hash, expires, signature }) => {
+    const response = await api.get(
+      `/auth/email/verify/${encodeURIComponent(id)}/${encodeURIComponent(hash)}`,
+      { params: { expires, signature } }
+    );
+    return response.data;
+  },
+
+  /**
+   * Reenviar el correo de verificación
+   * @param {string} email 
+   * @returns {Promise} Respuesta genérica (no revela si el correo existe)
+   */
+  resendVerification: async (email) => {
+    await ensureCsrfCookie();
+    const response = await api.post('/auth/email/resend', { email });
+    return response.data;
+  },
+
+  /**
+   * Comprobar si un correo está libre para el registro
+   * @param {string} email 
+   * @returns {Promise} Respuesta con available (boolean) y message
+   */
+  checkEmailAvailable: async (email) => {
+    const response = await api.get('/auth/email-available', { params: { email } });
+    return response.data;
+  },
+
+  /**
+   * Obtener la política de contraseñas que aplica el backend
+   * @returns {Promise} Respuesta con policy: { min_length, mixed_case, numbers, symbols, reject_personal_info, common_passwords }
+   */
+  getPasswordPolicy: async () => {
+    const response = await api.get('/auth/password-policy');
+    return response.data;
+  },
+
   /**
    * Logout de usuario
+   * @param {Object} [options] - Opciones del logout
+   * @param {boolean} [options.allDevices=false] - Cerrar también las sesiones de los demás dispositivos
    * @returns {Promise} Respuesta de logout
    */
-  logout: async () => {
-    const response = await api.post('/auth/logout');
+  logout: async ({ allDevices = false } = {}) => {
+    const response = await api.post('/auth/logout', allDevices ? { all_devices: true } : {});
+    return response.data;
+  },
+
+  /**
+   * Obtener el usuario autenticado actual
+   * @returns {Promise} Datos del usuario dueño del token (con impersonator si es una suplantación)
+   */
+  me: async () => {
+    const response = await api.get('/user');
+    return response.data;
+  },
+
+  /**
+   * Terminar la suplantación revocando el token de suplantación actual
+   * @returns {Promise} Respuesta de confirmación
+   */
+  stopImpersonating: async () => {
+    const response = await api.delete('/auth/impersonation');
     return response.data;
   }
 };
 
 export const usersAPI = {
   /**
-   * Obtener lista de usuarios con ordenamiento
-   * @param {string} sortBy - Campo de ordenamiento
-   * @param {string} sortDirection - Dirección (asc/desc)
-   * @returns {Promise} Lista de usuarios
+   * Obtener lista paginada de usuarios con ordenamiento
+   * @param {Object} [options] - Opciones del listado
+   * @param {string} [options.sortBy='name'] - Campo de ordenamiento
+   * @param {string} [options.sortDirection='asc'] - Dirección (asc/desc)
+   * @param {number} [options.page=1] - Página a obtener
+   * @param {number} [options.perPage=15] - Usuarios por página
+   * @param {string} [options.search] - Texto a buscar en nombre o correo
+   * @param {string} [options.createdFrom] - Fecha mínima de registro (AAAA-MM-DD)
+   * @param {string} [options.createdTo] - Fecha máxima de registro (AAAA-MM-DD)
+   * @returns {Promise} Lista de usuarios con metadatos de paginación (meta)
    */
-  getUsers: async (sortBy = 'name', sortDirection = 'asc') => {
+  getUsers: async ({
+    sortBy = 'name',
+    sortDirection = 'asc',
+    page = 1,
+    perPage = 15,
+    search,
+    createdFrom,
+    createdTo
+  } = {}) => {
     const response = await api.get('/users', {
       params: {
         sort_by: sortBy,
-        sort_direction: sortDirection
+        sort_direction: sortDirection,
+        page,
+        per_page: perPage,
+        // Los filtros vacíos no se envían
+        search: search || undefined,
+        created_from: createdFrom || undefined,
+        created_to: createdTo || undefined
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Crear un nuevo usuario
+   * No se guarda sin conexión: el cuerpo lleva la contraseña
+   * @param {Object} userData - { name, email, password, password_confirmation }
+   * @returns {Promise} Respuesta con el usuario creado
+   */
+  create: async (userData) => {
+    const response = await api.post('/users', userData);
+    return response.data;
+  },
+
+  /**
+   * Actualizar un usuario existente
+   * @param {number|string} id - ID del usuario
+   * @param {Object} userData - { name, email, password?, password_confirmation? }
+   * @returns {Promise} Respuesta con el usuario actualizado
+   */
+  update: async (id, userData) => {
+    // Sin conexión se guarda para enviarlo después (salvo si cambia la contraseña)
+    const response = await api.put(`/users/${id}`, userData, { queueOffline: true });
+    return response.data;
+  },
+
+  /**
+   * Eliminar un usuario
+   * @param {number|string} id - ID del usuario
+   * @returns {Promise} Respuesta de eliminación
+   */
+  remove: async (id) => {
+    const response = await api.delete(`/users/${id}`, { queueOffline: true });
+    return response.data;
+  },
+
+  /**
+   * Desactivar la verificación en dos pasos de un usuario (solo administradores)
+   * @param {number|string} id - ID del usuario
+   * @returns {Promise} Respuesta con el usuario actualizado
+   */
+  resetTwoFactor: async (id) => {
+    const response = await api.delete(`/users/${id}/two-factor`);
+    return response.data;
+  },
+
+  /**
+   * Entrar como otro usuario (solo administradores)
+   * @param {number|string} id - ID del usuario
+   * @returns {Promise} Respuesta con user y un token de suplantación sin token de refresco
+   */
+  impersonate: async (id) => {
+    const response = await api.post(`/users/${id}/impersonate`);
+    return response.data;
+  }
+};
+
+// Funciones del perfil del usuario actual
+export const profileAPI = {
+  /**
+   * Actualizar nombre y correo del usuario actual
+   * Un correo nuevo queda pendiente hasta confirmar el enlace que recibe
+   * @param {Object} data - { name, email, current_password } (la contraseña solo si cambia el correo)
+   * @returns {Promise} Respuesta con user y email_change_pending (si se pidió cambiar el correo)
+   */
+  update: async ({ name, email, current_password }) => {
+    const response = await api.put('/user', { name, email, current_password });
+    return response.data;
+  },
+
+  /**
+   * Cambiar la contraseña (cierra las sesiones de los demás dispositivos)
+   * @param {Object} data - { current_password, password, password_confirmation }
+   * @returns {Promise} Respuesta de confirmación
+   */
+  updatePassword: async (data) => {
+    const response = await api.put('/user/password', data);
+    return response.data;
+  }
+};
+
+// Funciones de verificación en dos pasos del usuario actual
+export const twoFactorAPI = {
+  /**
+   * Generar un nuevo secreto para escanear con la aplicación de autenticación
+   * @returns {Promise} Respuesta con secret y otpauth_url (para el código QR)
+   */
+  enable: async () => {
+    const response = await api.post('/user/two-factor');
+    return response.data;
+  },
+
+  /**
+   * Confirmar la activación con un código de la aplicación
+   * @param {string} code - Código de 6 dígitos
+   * @returns {Promise} Respuesta con los códigos de recuperación
+   */
+  confirm: async (code) => {
+    const response = await api.post('/user/two-factor/confirm', { code });
+    return response.data;
+  },
+
+  /**
+   * Generar nuevos códigos de recuperación (invalida los anteriores)
+   * @param {string} password - Contraseña actual
+   * @returns {Promise} Respuesta con los nuevos códigos de recuperación
+   */
+  regenerateRecoveryCodes: async (password) => {
+    const response = await api.post('/user/two-factor/recovery-codes', { password });
+    return response.data;
+  },
+
+  /**
+   * Desactivar la verificación en dos pasos
+   * @param {string} password - Contraseña actual
+   * @returns {Promise} Respuesta de desactivación
+   */
+  disable: async (password) => {
+    const response = await api.delete('/user/two-factor', { data: { password } });
+    return response.data;
+  }
+};
+
+// Funciones de las sesiones activas (dispositivos) del usuario actual
+export const sessionsAPI = {
+  /**
+   * Obtener las sesiones abiertas con token (la actual va primero)
+   * @returns {Promise} Respuesta con sessions: [{ id, device_name, ip_address, last_used_at, current, ... }]
+   */
+  getSessions: async () => {
+    const response = await api.get('/sessions');
+    return response.data;
+  },
+
+  /**
+   * Cerrar otra sesión revocando sus tokens
+   * @param {string} id - Identificador de la sesión
+   * @returns {Promise} Respuesta de cierre
+   */
+  revoke: async (id) => {
+    const response = await api.delete(`/sessions/${id}`, { queueOffline: true });
+    return response.data;
+  }
+};
+
+// Funciones del registro de auditoría
+export const auditLogsAPI = {
+  /**
+   * Obtener eventos de auditoría paginados (del más reciente al más antiguo)
+   * @param {Object} [options] - Opciones del listado
+   * @param {number} [options.page=1] - Página a obtener
+   * @param {number} [options.perPage=25] - Eventos por página
+   * @param {string} [options.action] - Acción a filtrar (ej: 'auth.login')
+   * @param {string} [options.search] - Texto a buscar en correos e IP
+   * @param {string} [options.createdFrom] - Fecha mínima (AAAA-MM-DD)
+   * @param {string} [options.createdTo] - Fecha máxima (AAAA-MM-DD)
+   * @returns {Promise} Lista de eventos con metadatos de paginación (meta)
+   */
+  getLogs: async ({
+    page = 1,
+    perPage = 25,
+    action,
+    search,
+    createdFrom,
+    createdTo
+  } = {}) => {
+    const response = await api.get('/audit-logs', {
+      params: {
+        page,
+        per_page: perPage,
+        // Los filtros vacíos no se envían
+        action: action || undefined,
+        search: search || undefined,
+        created_from: createdFrom || undefined,
+        created_to: createdTo || undefined
       }
     });
     return response.data;
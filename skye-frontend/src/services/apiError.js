@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Errores normalizados de la API para CatWare Systems
+ * El cliente de services/api.js convierte cualquier fallo en un ApiError,
+ * de modo que las páginas solo tienen que mostrar `message` y `fieldErrors`
+ * sin interpretar respuestas de Axios
+ */
+
+/**
+ * Tipos de error que distingue la interfaz
+ * @constant {Object}
+ */
+export const API_ERROR_KINDS = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  VALIDATION: 'validation',
+  AUTH: 'auth',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not-found',
+  RATE_LIMITED: 'rate-limited',
+  SERVER: 'server',
+};
+
+/**
+ * Códigos del sobre de error del backend que la interfaz trata de forma especial
+ * La lista completa está en app/Http/Responses/ApiError.php
+ * @constant {Object}
+ */
+export const API_ERROR_CODES = {
+  EMAIL_UNVERIFIED: 'email_unverified',
+  LOGIN_LOCKED: 'login_locked',
+  TWO_FACTOR_EXPIRED: 'two_factor_expired',
+  IMPERSONATING: 'impersonating',
+  // Propio del frontend: el cambio se guardó sin conexión (services/offlineQueue)
+  QUEUED_OFFLINE: 'queued_offline',
+};
+
+// Mensaje por defecto de cada tipo cuando el servidor no envía uno
+const DEFAULT_MESSAGES = {
+  [API_ERROR_KINDS.NETWORK]: 'Error de conexión. Verifique su conexión a internet.',
+  [API_ERROR_KINDS.TIMEOUT]: 'El servidor tardó demasiado en responder. Inténtalo de nuevo.',
+  [API_ERROR_KINDS.VALIDATION]: 'Datos inválidos. Verifique la información.',
+  [API_ERROR_KINDS.AUTH]: 'Tu sesión no es válida. Vuelve a iniciar sesión.',
+  [API_ERROR_KINDS.FORBIDDEN]: 'No tienes permiso para realizar esta acción.',
+  [API_ERROR_KINDS.NOT_FOUND]: 'El recurso solicitado no existe.',
+  [API_ERROR_KINDS.RATE_LIMITED]: 'Demasiados intentos. Espera un momento e inténtalo de nuevo.',
+  [API_ERROR_KINDS.SERVER]: 'Error del servidor. Inténtalo de nuevo más tarde.',
+};
+
+// Espera por defecto ante un 429 sin indicación (ventana de throttle de Laravel)
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Tipo de error según el código de estado HTTP
+ *
+ * @param {number} status - Código de estado de la respuesta
+ * @returns {string} Uno de API_ERROR_KINDS
+ */
+const kindFromStatus = (status) => {
+  if (status === 401 || status === 419) return API_ERROR_KINDS.AUTH;
+  if (status === 403) return API_ERROR_KINDS.FORBIDDEN;
+  if (status === 404) return API_ERROR_KINDS.NOT_FOUND;
+  if (status === 429) return API_ERROR_KINDS.RATE_LIMITED;
+  if (status >= 400 && status < 500) return API_ERROR_KINDS.VALIDATION;
+  return API_ERROR_KINDS.SERVER;
+};
+
+/**
+ * Segundos de espera de una respuesta 429
+ * Usa retry_after del cuerpo o, si no viene, la cabecera Retry-After
+ *
+ * @param {Object} response - Respuesta de Axios
+ * @returns {number} Segundos a esperar (siempre mayor que 0)
+ */
+const retryAfterFrom = (response) => {
+  const value = response.data?.retry_after ?? response.headers?.['retry-after'];
+  const seconds = Number.parseInt(value, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_RETRY_AFTER_SECONDS;
+};
+
+/**
+ * Error tipado de la API
+ *
+ * @property {string} kind - Uno de API_ERROR_KINDS
+ * @property {string} message - Mensaje listo para mostrar al usuario
+ * @property {number|null} status - Código HTTP (null sin respuesta)
+ * @property {string|null} code - Código estable del backend (ej: 'email_unverified')
+ * @property {Object<string, string[]>} fieldErrors - Errores por campo del backend
+ * @property {number} retryAfter - Segundos a esperar ante un 429 (0 en otro caso)
+ * @property {Object|null} data - Cuerpo completo de la respuesta
+ *
+ * @example
+ * try {
+ *   await usersAPI.delete(id);
+ * } catch (err) {
+ *   setError(err.message);
+ * }
+ */
+export class ApiError extends Error {
+  constructor({
+    kind,
+    message,
+    status = null,
+    code = null,
+    fieldErrors = {},
+    retryAfter = 0,
+    data = null
+  }) {
+    super(message || DEFAULT_MESSAGES[kind]);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter = retryAfter;
+    this.data = data;
+  }
+
+  /**
+   * Primer error de un campo concreto
+   *
+   * @param {string} field - Nombre del campo en la API (ej: 'email')
+   * @returns {string} Mensaje o cadena vacía
+   */
+  getFieldError(field) {
+    return this.fieldErrors[field]?.[0] || '';
+  }
+
+  /**
+   * Convierte cualquier error capturado en un ApiError
+   * Un ApiError se devuelve tal cual
+   *
+   * @param {Error} error - Error de Axios u otro error
+   * @returns {ApiError}
+   */
+  static from(error) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+
+    const response = error?.response;
+
+    // Sin respuesta: la petición no llegó o no volvió a tiempo
+    if (!response) {
+      const timedOut = error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT';
+      return new ApiError({
+        kind: timedOut ? API_ERROR_KINDS.TIMEOUT : API_ERROR_KINDS.NETWORK,
+      });
+    }
+
+    const { status, data } = response;
+    const kind = kindFromStatus(status);
+    const fieldErrors = data?.errors && typeof data.errors === 'object' ? data.errors : {};
+    const firstFieldError = Object.values(fieldErrors)[0]?.[0];
+
+    return new ApiError({
+      kind,
+      // El primer error de validación es más concreto que el mensaje general
+      message: firstFieldError || data?.message,
+      status,
+      code: data?.code || null,
+      fieldErrors,
+      retryAfter: kind === API_ERROR_KINDS.RATE_LIMITED ? retryAfterFrom(response) : 0,
+      data: data ?? null,
+    });
+  }
+}
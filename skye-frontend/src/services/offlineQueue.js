@@ -0,0 +1,250 @@
+import { API_ERROR_KINDS } from './apiError';
+
+/**
+ * @fileoverview Cola de cambios sin conexión para CatWare Systems
+ * Guarda en localStorage las peticiones marcadas con `queueOffline` que se
+ * hacen sin conexión y las envía en orden cuando vuelve la red. Cada cambio
+ * pertenece al usuario que lo hizo y solo se envía con su sesión
+ */
+
+// Clave de localStorage y nombre del bloqueo compartido entre pestañas
+const STORAGE_KEY = 'catware-offline-queue';
+const LOCK_NAME = 'catware-offline-queue';
+
+// Campos que nunca se guardan en el navegador: esas peticiones no se encolan
+const SENSITIVE_FIELDS = ['password', 'password_confirmation', 'current_password'];
+
+// Usuario de la sesión actual (lo registra AuthProvider)
+let owner = null;
+
+// Función que envía un cambio guardado (la registra services/api.js)
+let sender = null;
+
+// Si esta pestaña está enviando la cola
+let replaying = false;
+
+// Suscriptores del estado de la cola
+const listeners = new Set();
+
+/**
+ * Lee la cola guardada
+ *
+ * @returns {{ pending: Array<Object>, failed: Array<Object> }} Cambios pendientes y rechazados
+ */
+const readQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      pending: Array.isArray(queue?.pending) ? queue.pending : [],
+      failed: Array.isArray(queue?.failed) ? queue.failed : [],
+    };
+  } catch {
+    return { pending: [], failed: [] };
+  }
+};
+
+/**
+ * Estado de la cola para el usuario actual
+ *
+ * @returns {{ pending: number, failed: Array<Object>, replaying: boolean }}
+ */
+export const getQueueState = () => {
+  const queue = readQueue();
+  return {
+    pending: queue.pending.filter((item) => item.owner === owner).length,
+    failed: queue.failed.filter((item) => item.owner === owner),
+    replaying,
+  };
+};
+
+/**
+ * Avisa a los suscriptores del nuevo estado
+ */
+const notify = () => {
+  const state = getQueueState();
+  listeners.forEach((listener) => listener(state));
+};
+
+/**
+ * Guarda la cola y avisa a los suscriptores
+ *
+ * @param {{ pending: Array<Object>, failed: Array<Object> }} queue - Cola completa
+ */
+const writeQueue = (queue) => {
+  try {
+    if (queue.pending.length === 0 && queue.failed.length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+    }
+  } catch {
+    // Sin almacenamiento disponible (ej: modo privado): la cola no persiste
+  }
+  notify();
+};
+
+/**
+ * Cuerpo de una petición como objeto
+ * Al repetir una petición Axios ya lo ha convertido en JSON
+ *
+ * @param {*} data - Cuerpo de la petición
+ * @returns {Object|null} Cuerpo o null si no hay
+ */
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data ?? null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Indica si el cuerpo de una petición incluye algún campo sensible
+ *
+ * @param {Object|null} body - Cuerpo de la petición
+ * @returns {boolean}
+ */
+const hasSensitiveData = (body) =>
+  Boolean(body) && typeof body === 'object' && SENSITIVE_FIELDS.some((field) => field in body);
+
+/**
+ * Guarda una petición para enviarla al recuperar la conexión
+ * Solo se encolan las peticiones con `queueOffline` de un usuario con sesión
+ * y sin contraseñas en el cuerpo
+ *
+ * @param {Object} config - Configuración de Axios de la petición
+ * @returns {boolean} true si la petición ha quedado en la cola
+ */
+export const enqueueRequest = (config) => {
+  const body = parseBody(config.data);
+  if (!config.queueOffline || owner === null || hasSensitiveData(body)) {
+    return false;
+  }
+
+  const queue = readQueue();
+  queue.pending.push({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    owner,
+    method: config.method,
+    url: config.url,
+    data: body,
+    params: config.params ?? null,
+    queuedAt: new Date().toISOString(),
+  });
+  writeQueue(queue);
+  return true;
+};
+
+/**
+ * Ejecuta una tarea con el bloqueo de la cola para que dos pestañas no
+ * envíen el mismo cambio (sin Web Locks solo se evita dentro de la pestaña)
+ *
+ * @param {Function} task - Función async
+ * @returns {Promise<void>}
+ */
+const withQueueLock = (task) => (
+  navigator.locks?.request ? navigator.locks.request(LOCK_NAME, task) : task()
+);
+
+/**
+ * Envía en orden los cambios pendientes del usuario actual
+ * Un fallo de red detiene el envío hasta la próxima reconexión; un rechazo
+ * del servidor pasa el cambio a la lista de rechazados
+ *
+ * @returns {Promise<void>}
+ */
+export const replayQueue = async () => {
+  if (replaying || !sender || owner === null || !navigator.onLine) return;
+
+  replaying = true;
+  notify();
+
+  try {
+    await withQueueLock(async () => {
+      for (;;) {
+        // Se relee en cada vuelta: otra pestaña puede haber cambiado la cola
+        const item = readQueue().pending.find((pending) => pending.owner === owner);
+        if (!item) return;
+
+        try {
+          await sender(item);
+          const queue = readQueue();
+          queue.pending = queue.pending.filter((pending) => pending.id !== item.id);
+          writeQueue(queue);
+        } catch (error) {
+          if (error?.kind === API_ERROR_KINDS.NETWORK || error?.kind === API_ERROR_KINDS.TIMEOUT) {
+            return;
+          }
+
+          const queue = readQueue();
+          queue.pending = queue.pending.filter((pending) => pending.id !== item.id);
+          queue.failed.push({ ...item, message: error?.message || '' });
+          writeQueue(queue);
+        }
+      }
+    });
+  } finally {
+    replaying = false;
+    notify();
+  }
+};
+
+/**
+ * Registra la función que envía los cambios guardados
+ *
+ * @param {Function|null} send - Función async (item) => respuesta
+ */
+export const setQueueSender = (send) => {
+  sender = send;
+};
+
+/**
+ * Cambia el usuario de la sesión actual y envía sus cambios pendientes
+ *
+ * @param {number|null} userId - ID del usuario o null sin sesión
+ */
+export const setQueueOwner = (userId) => {
+  if (owner === userId) return;
+  owner = userId;
+  notify();
+  replayQueue();
+};
+
+/**
+ * Borra todos los cambios guardados (al cerrar sesión voluntariamente)
+ * Las pestañas comparten la sesión, así que el logout cierra la de todas
+ */
+export const clearQueue = () => {
+  writeQueue({ pending: [], failed: [] });
+};
+
+/**
+ * Descarta los cambios rechazados del usuario actual
+ */
+export const discardFailed = () => {
+  const queue = readQueue();
+  writeQueue({ ...queue, failed: queue.failed.filter((item) => item.owner !== owner) });
+};
+
+/**
+ * Se suscribe a los cambios de estado de la cola
+ *
+ * @param {Function} listener - Recibe { pending, failed, replaying }
+ * @returns {Function} Función para cancelar la suscripción
+ *
+ * @example
+ * const unsubscribe = subscribeQueue(({ pending }) => setPending(pending));
+ */
+export const subscribeQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => replayQueue());
+  // Otra pestaña ha encolado o enviado cambios
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEY) notify();
+  });
+}
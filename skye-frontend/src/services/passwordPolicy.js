@@ -0,0 +1,171 @@
+import { authAPI } from './api';
+
+/**
+ * @fileoverview Política de contraseñas de CatWare Systems
+ * Repite en el navegador las comprobaciones de App\Services\PasswordPolicy
+ * para validar en vivo; el backend vuelve a aplicarlas al guardar
+ */
+
+// Longitud mínima de un dato personal para buscarlo en la contraseña (igual que el backend)
+const MIN_PERSONAL_FRAGMENT = 3;
+
+// Petición compartida: la política se descarga una sola vez por carga de la página
+let policyPromise = null;
+
+/**
+ * Descarga la política del backend (con caché en memoria)
+ * Si la petición falla se descarta la caché para reintentar la próxima vez
+ *
+ * @returns {Promise<Object>} Política ({ min_length, mixed_case, numbers, ... })
+ */
+export const fetchPasswordPolicy = () => {
+  if (!policyPromise) {
+    policyPromise = authAPI.getPasswordPolicy()
+      .then((response) => response.policy)
+      .catch((error) => {
+        policyPromise = null;
+        throw error;
+      });
+  }
+  return policyPromise;
+};
+
+/**
+ * Fragmentos del nombre y del correo que no pueden aparecer en la contraseña
+ *
+ * @param {Array<string>} personalInfo - Nombre, correo...
+ * @returns {Array<string>} Fragmentos en minúsculas
+ */
+const personalFragments = (personalInfo) => {
+  const fragments = [];
+
+  personalInfo.filter(Boolean).forEach((value) => {
+    let text = value.trim().toLowerCase();
+
+    // "ana.garcia@ejemplo.com" -> "ana.garcia", "ana", "garcia"
+    if (text.includes('@')) {
+      text = text.split('@')[0];
+      fragments.push(text);
+    }
+
+    fragments.push(...text.split(/[^\p{L}\p{N}]+/u));
+  });
+
+  return [...new Set(fragments)].filter((fragment) => fragment.length >= MIN_PERSONAL_FRAGMENT);
+};
+
+/**
+ * Comprueba una contraseña contra la política
+ *
+ * @param {string} password - Contraseña a comprobar
+ * @param {Object} policy - Política devuelta por /api/auth/password-policy
+ * @param {Array<string>} [personalInfo=[]] - Nombre y correo del usuario
+ * @returns {Array<{id: string, label: string, passed: boolean}>} Requisitos con su estado
+ *
+ * @example
+ * const checks = checkPassword('Secreta123', policy, [name, email]);
+ * const valid = checks.every((check) => check.passed);
+ */
+export const checkPassword = (password, policy, personalInfo = []) => {
+  const checks = [
+    {
+      id: 'length',
+      label: `Al menos ${policy.min_length} caracteres`,
+      passed: [...password].length >= policy.min_length
+    }
+  ];
+
+  if (policy.mixed_case) {
+    checks.push({
+      id: 'mixed_case',
+      label: 'Mayúsculas y minúsculas',
+      passed: /\p{Ll}/u.test(password) && /\p{Lu}/u.test(password)
+    });
+  }
+  if (policy.numbers) {
+    checks.push({ id: 'numbers', label: 'Al menos un número', passed: /\p{N}/u.test(password) });
+  }
+  if (policy.symbols) {
+    checks.push({ id: 'symbols', label: 'Al menos un símbolo', passed: /[^\p{L}\p{N}]/u.test(password) });
+  }
+  if (policy.reject_personal_info) {
+    const lower = password.toLowerCase();
+    checks.push({
+      id: 'personal_info',
+      label: 'Sin tu nombre ni tu correo',
+      passed: !personalFragments(personalInfo).some((fragment) => lower.includes(fragment))
+    });
+  }
+  if (policy.common_passwords?.length) {
+    checks.push({
+      id: 'common',
+      label: 'No es una contraseña común',
+      passed: !policy.common_passwords.includes(password.toLowerCase())
+    });
+  }
+
+  return checks;
+};
+
+/**
+ * Mensaje del primer requisito incumplido, con el mismo texto que el backend
+ *
+ * @param {Array<Object>} checks - Resultado de checkPassword
+ * @param {Object} policy - Política de contraseñas
+ * @returns {string} Mensaje de error o cadena vacía si se cumplen todos
+ */
+export const getPasswordPolicyError = (checks, policy) => {
+  const failed = checks.find((check) => !check.passed);
+  if (!failed) return '';
+
+  const messages = {
+    length: `La contraseña debe tener al menos ${policy.min_length} caracteres`,
+    mixed_case: 'La contraseña debe combinar mayúsculas y minúsculas',
+    numbers: 'La contraseña debe incluir al menos un número',
+    symbols: 'La contraseña debe incluir al menos un símbolo',
+    personal_info: 'La contraseña no puede contener tu nombre ni tu correo electrónico',
+    common: 'Esta contraseña es demasiado común'
+  };
+  return messages[failed.id];
+};
+
+/**
+ * Regla de validación (services/validation) que exige cumplir la política
+ * Sin política cargada o sin contraseña no comprueba nada: de lo primero se
+ * encarga el backend al guardar y de lo segundo la regla `required`
+ *
+ * @param {Object|null} policy - Política de contraseñas
+ * @param {Function} [getPersonalInfo] - Recibe los valores del formulario y devuelve nombre y correo
+ * @returns {Function} Regla
+ *
+ * @example
+ * password: [required('La contraseña es requerida'), passwordPolicyRule(policy, (values) => [values.name, values.email])]
+ */
+export const passwordPolicyRule = (policy, getPersonalInfo = () => []) => (password, values) => {
+  if (!policy || !password) return '';
+  return getPasswordPolicyError(checkPassword(password, policy, getPersonalInfo(values)), policy);
+};
+
+/**
+ * Nivel de fortaleza de 0 a 4 para el medidor
+ * Cuenta los requisitos cumplidos y premia la longitud por encima del mínimo;
+ * una contraseña común o con datos personales nunca pasa de débil
+ *
+ * @param {string} password - Contraseña a evaluar
+ * @param {Array<Object>} checks - Resultado de checkPassword
+ * @param {Object} policy - Política de contraseñas
+ * @returns {number} 0 (vacía), 1 (débil), 2 (aceptable), 3 (buena) o 4 (fuerte)
+ */
+export const getPasswordStrength = (password, checks, policy) => {
+  if (!password) return 0;
+
+  const blocked = checks.some((check) => ['personal_info', 'common'].includes(check.id) && !check.passed);
+  if (blocked) return 1;
+
+  const passedRatio = checks.filter((check) => check.passed).length / checks.length;
+  const length = [...password].length;
+
+  if (passedRatio < 1) return passedRatio >= 0.5 ? 2 : 1;
+  if (length >= policy.min_length + 4 && /[^\p{L}\p{N}]/u.test(password)) return 4;
+  return 3;
+};
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Sincronización entre pestañas para CatWare Systems
+ * Avisa al resto de pestañas abiertas de la SPA de los cambios de sesión y de tema
+ * Usa BroadcastChannel y, si el navegador no lo soporta, el evento `storage`
+ */
+
+// Nombre del canal y clave de localStorage usada como alternativa
+const CHANNEL_NAME = 'catware-sync';
+const STORAGE_KEY = 'catware-sync';
+
+/**
+ * Eventos que se envían entre pestañas
+ * Solo llevan datos no sensibles: los tokens se leen de localStorage y el
+ * usuario se vuelve a pedir a la API
+ * @constant {Object<string, string>}
+ */
+export const TAB_EVENTS = {
+  LOGIN: 'auth:login',
+  LOGOUT: 'auth:logout',
+  TOKEN_REFRESHED: 'auth:token-refreshed',
+  ACTIVITY: 'session:activity',
+  THEME_CHANGED: 'theme:changed',
+};
+
+// Un único canal por pestaña: BroadcastChannel no entrega un mensaje al objeto que lo envía
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+// Suscriptores de esta pestaña
+const listeners = new Set();
+
+/**
+ * Entrega un mensaje recibido de otra pestaña a los suscriptores
+ *
+ * @param {Object} message - { type, payload }
+ */
+const dispatch = (message) => {
+  if (!message?.type) return;
+  listeners.forEach((listener) => listener(message));
+};
+
+if (channel) {
+  channel.onmessage = (event) => dispatch(event.data);
+} else if (typeof window !== 'undefined') {
+  // El evento storage solo llega a las demás pestañas, nunca a la que escribe
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+    try {
+      dispatch(JSON.parse(event.newValue));
+    } catch {
+      // Valor ajeno o corrupto: se ignora
+    }
+  });
+}
+
+/**
+ * Envía un evento al resto de pestañas
+ *
+ * @param {string} type - Tipo de evento (ver TAB_EVENTS)
+ * @param {Object} [payload={}] - Datos del evento
+ *
+ * @example
+ * broadcastTabEvent(TAB_EVENTS.THEME_CHANGED, { theme: 'dark' });
+ */
+export const broadcastTabEvent = (type, payload = {}) => {
+  const message = { type, payload };
+
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+
+  try {
+    // La marca de tiempo asegura que el valor cambia aunque se repita el evento
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Sin almacenamiento disponible (ej: modo privado): no hay sincronización
+  }
+};
+
+/**
+ * Escucha los eventos enviados por otras pestañas
+ *
+ * @param {Function} listener - Función ({ type, payload })
+ * @returns {Function} Función para dejar de escuchar
+ *
+ * @example
+ * useEffect(() => subscribeTabEvents(({ type }) => { ... }), []);
+ */
+export const subscribeTabEvents = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Reglas de validación de formularios para CatWare Systems
+ * Un esquema asocia a cada campo una lista de reglas; una regla recibe el
+ * valor y todos los valores del formulario y devuelve el mensaje de error,
+ * '' si el valor es válido, o una promesa con cualquiera de los dos (reglas
+ * asíncronas que consultan la API). Lo usa el hook useForm
+ *
+ * @example
+ * const schema = {
+ *   email: [required('El correo electrónico es requerido'), email()],
+ *   confirmPassword: [matchesField('password', 'Las contraseñas no coinciden')]
+ * };
+ */
+
+/**
+ * Expresión regular para validar correos electrónicos
+ * @constant {RegExp}
+ */
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Indica si un valor está vacío (los espacios no cuentan como contenido)
+ *
+ * @param {*} value - Valor del campo
+ * @returns {boolean}
+ */
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * El campo debe tener contenido
+ *
+ * @param {string} message - Mensaje de error
+ * @returns {Function} Regla
+ */
+export const required = (message) => (value) => (isBlank(value) ? message : '');
+
+/**
+ * Longitud mínima sin contar los espacios de los extremos (se omite si está vacío)
+ *
+ * @param {number} length - Número mínimo de caracteres
+ * @param {string} message - Mensaje de error
+ * @returns {Function} Regla
+ */
+export const minLength = (length, message) => (value) =>
+  (!isBlank(value) && String(value).trim().length < length ? message : '');
+
+/**
+ * Formato de correo electrónico (se omite si está vacío)
+ *
+ * @param {string} [message] - Mensaje de error
+ * @returns {Function} Regla
+ */
+export const email = (message = 'Ingresa un correo electrónico válido') => (value) =>
+  (!isBlank(value) && !EMAIL_PATTERN.test(String(value).trim()) ? message : '');
+
+/**
+ * El valor debe coincidir con el de otro campo (ej: confirmación de contraseña)
+ *
+ * @param {string} field - Nombre del otro campo
+ * @param {string} message - Mensaje de error
+ * @returns {Function} Regla
+ */
+export const matchesField = (field, message) => (value, values) =>
+  (value !== values[field] ? message : '');
+
+/**
+ * El valor debe ser distinto del de otro campo (ej: contraseña nueva y actual)
+ *
+ * @param {string} field - Nombre del otro campo
+ * @param {string} message - Mensaje de error
+ * @returns {Function} Regla
+ */
+export const differentFrom = (field, message) => (value, values) =>
+  (!isBlank(value) && value === values[field] ? message : '');
+
+/**
+ * Aplica las reglas de un campo en orden y devuelve el primer error
+ * Las reglas asíncronas se esperan antes de pasar a la siguiente
+ *
+ * @param {Array<Function>} [rules=[]] - Reglas del campo
+ * @param {*} value - Valor del campo
+ * @param {Object} values - Todos los valores del formulario
+ * @returns {Promise<string>} Mensaje de error o '' si es válido
+ */
+export const validateValue = async (rules = [], value, values) => {
+  for (const rule of rules) {
+    const message = await rule(value, values);
+    if (message) return message;
+  }
+  return '';
+};
+
+/**
+ * Valida todos los campos de un esquema
+ *
+ * @param {Object<string, Array<Function>>} schema - Reglas por campo
+ * @param {Object} values - Valores del formulario
+ * @returns {Promise<Object<string, string>>} Solo los campos con error
+ */
+export const validateSchema = async (schema, values) => {
+  const entries = await Promise.all(
+    Object.entries(schema).map(async ([name, rules]) => [name, await validateValue(rules, values[name], values)])
+  );
+  return Object.fromEntries(entries.filter(([, message]) => message));
+};